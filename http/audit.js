@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+
+// Audit Log - one JSON line per tool call: who called what, over which route, and how it
+// ended. Arguments are not recorded since they can hold secrets (importAccount, etc.).
+// Lines go to AUDIT_LOG_FILE when set, otherwise to stdout prefixed with "AUDIT".
+class AuditLog {
+  constructor(config = {}) {
+    this.file = config.file || null;
+    if (this.file) {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    }
+  }
+
+  // entry: { auth, ip, transport, tool|method, outcome, durationMs, error, sessionId }
+  record(entry) {
+    const { auth, ...rest } = entry;
+    const line = JSON.stringify({
+      at: new Date().toISOString(),
+      caller: auth ? auth.clientId : 'anonymous',
+      authMethod: auth && auth.extra ? auth.extra.method : 'none',
+      ...rest
+    });
+
+    if (this.file) {
+      fs.appendFile(this.file, line + '\n', (error) => {
+        if (error) console.error('Audit log write failed:', error.message);
+      });
+    } else {
+      console.log(`AUDIT ${line}`);
+    }
+  }
+}
+
+module.exports = AuditLog;
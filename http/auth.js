@@ -0,0 +1,381 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const YAML = require('yaml');
+
+// Auth Module - API-key and bearer-token (JWT) authentication with per-caller scopes.
+//
+// Callers present an API key (X-API-Key, or Authorization: Bearer <key>) or a JWT issued by
+// an OIDC provider (Authorization: Bearer <jwt>). Either way they end up with a client id
+// and a list of scopes. Every tool needs one scope:
+//   read      queries, previews, address utilities
+//   transfer  sendPHA, sendPHAEthereum, delegateStake
+//   deploy    contracts, agents, containers, clusters, workflows
+//   approve   approving or rejecting queued transactions
+//   accounts  creating, importing and exporting keystore accounts
+//   admin     anything not listed below, including tools added later
+// "*" grants every scope and "tool:<name>" grants a single tool.
+//
+// API keys come from API_KEYS_FILE (YAML or JSON):
+//   keys:
+//     - id: dashboard
+//       keyHash: "sha256:9f86d081..."   # or `key: "plain secret"`
+//       scopes: [read]
+//     - id: treasury-bot
+//       key: "..."
+//       scopes: [read, transfer]
+// approve belongs on a separate operator key; a caller holding it alongside transfer or
+// deploy can approve what it queued itself.
+const SCOPES = ['read', 'transfer', 'deploy', 'approve', 'accounts', 'admin'];
+
+const TOOL_SCOPES = {
+  transfer: ['sendPHA', 'sendPHAEthereum', 'delegateStake'],
+  deploy: [
+    'deployPhatContract',
+    'executePhatContract',
+    'deployAIAgent',
+    'deployAIAgentTemplate',
+    'deployContainer',
+    'createCluster',
+    'createWorkflow'
+  ],
+  approve: ['approveTransaction', 'rejectTransaction'],
+  accounts: ['createAccount', 'importAccount', 'exportAccountJson'],
+  read: [
+    'getServiceInfo',
+    'getChainInfo',
+    'getPHABalance',
+    'getWorkerList',
+    'getWorkerInfo',
+    'queryWorkers',
+    'getWorkerStats',
+    'verifyAttestation',
+    'getPhatContractList',
+    'queryPhatContract',
+    'queryAIAgent',
+    'getContainerStatus',
+    'getClusterInfo',
+    'getStakingInfo',
+    'getPHABalanceEthereum',
+    'getPHABalanceCrossChain',
+    'getPHATokenInfo',
+    'getTransactionStatus',
+    'listPendingTransactions',
+    'listAccounts',
+    'convertAddress',
+    'validateAddress',
+    'getWalletAddresses',
+    'generateVRF',
+    'fetchOracleData',
+    'getAIAgentTemplates',
+    'sequentialThinking',
+    'fetchRealtimeData',
+    'personalFinance'
+  ]
+};
+
+// MCP methods other than tools/call that expose data
+const READ_METHODS = ['resources/read', 'resources/subscribe', 'prompts/get', 'completion/complete'];
+
+// Allowed difference between our clock and the token issuer's
+const CLOCK_SKEW_SECONDS = 60;
+const JWKS_TTL_MS = 10 * 60 * 1000;
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function scopeForTool(name) {
+  for (const [scope, tools] of Object.entries(TOOL_SCOPES)) {
+    if (tools.includes(name)) return scope;
+  }
+  return 'admin';
+}
+
+// Scope an MCP request needs; null when being authenticated is enough
+function requiredScope(message) {
+  if (message.method === 'tools/call') return scopeForTool(message.params && message.params.name);
+  if (READ_METHODS.includes(message.method)) return 'read';
+  // Methods of our own (phala/*) are for operators
+  if (String(message.method).startsWith('phala/')) return 'admin';
+  return null;
+}
+
+function hashKey(key) {
+  return `sha256:${crypto.createHash('sha256').update(key).digest('hex')}`;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function isJwt(token) {
+  return /^[\w-]+\.[\w-]+\.[\w-]*$/.test(token);
+}
+
+// Verify a JWS signature with Node's crypto; supports HS*, RS*, PS*, ES* and EdDSA
+function verifySignature(alg, data, signature, key) {
+  const bits = (alg.match(/\d+$/) || [])[0];
+  const hash = bits ? `sha${bits}` : null;
+
+  if (alg.startsWith('HS')) {
+    const expected = crypto.createHmac(hash, key).update(data).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+  if (alg.startsWith('RS')) {
+    return crypto.verify(hash, Buffer.from(data), key, signature);
+  }
+  if (alg.startsWith('PS')) {
+    return crypto.verify(hash, Buffer.from(data), {
+      key,
+      padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+    }, signature);
+  }
+  if (alg.startsWith('ES')) {
+    return crypto.verify(hash, Buffer.from(data), { key, dsaEncoding: 'ieee-p1363' }, signature);
+  }
+  if (alg === 'EdDSA') {
+    return crypto.verify(null, Buffer.from(data), key, signature);
+  }
+  throw new AuthError(`Unsupported token algorithm ${alg}`);
+}
+
+class Authenticator {
+  constructor(config = {}) {
+    this.keysFile = config.keysFile || null;
+    this.keys = this.keysFile ? Authenticator.loadKeys(this.keysFile) : [];
+    // jwt: { secret, jwksUrl, issuer, audience, scopesClaim, defaultScopes }
+    this.jwt = config.jwt || {};
+    this.jwks = { keys: new Map(), fetchedAt: 0, url: this.jwt.jwksUrl || null };
+  }
+
+  static loadKeys(file) {
+    const raw = fs.readFileSync(file, 'utf8');
+    const ext = path.extname(file).toLowerCase();
+    const config = ext === '.yaml' || ext === '.yml' ? YAML.parse(raw) : JSON.parse(raw);
+
+    return (config.keys || []).map((entry, index) => {
+      if (!entry.id) {
+        throw new Error(`API key #${index + 1} in ${file} has no id`);
+      }
+      if (!entry.key && !entry.keyHash) {
+        throw new Error(`API key "${entry.id}" in ${file} needs key or keyHash`);
+      }
+      const scopes = entry.scopes || ['read'];
+      const unknown = scopes.filter(scope => scope !== '*' && !scope.startsWith('tool:') && !SCOPES.includes(scope));
+      if (unknown.length > 0) {
+        throw new Error(`API key "${entry.id}" in ${file} has unknown scopes: ${unknown.join(', ')}`);
+      }
+      return {
+        id: entry.id,
+        hash: entry.keyHash ? entry.keyHash.toLowerCase() : hashKey(String(entry.key)),
+        scopes,
+        // { perMinute, burst } overriding the rate limit defaults for this key
+        rateLimit: entry.rateLimit || null
+      };
+    });
+  }
+
+  get jwtEnabled() {
+    return !!(this.jwt.secret || this.jwt.jwksUrl || this.jwt.issuer);
+  }
+
+  // Authentication is enforced as soon as any credential source is configured
+  get enabled() {
+    return this.keys.length > 0 || this.jwtEnabled;
+  }
+
+  // Resolve the caller of an HTTP request. Returns null when auth is disabled.
+  async authenticate(req) {
+    if (!this.enabled) return null;
+
+    const header = req.headers.authorization || '';
+    const bearer = header.match(/^Bearer\s+(.+)$/i);
+    const apiKey = req.headers['x-api-key'] || (bearer && !isJwt(bearer[1]) ? bearer[1] : null);
+
+    if (apiKey) {
+      return this.authenticateKey(String(apiKey).trim());
+    }
+    if (bearer) {
+      if (!this.jwtEnabled) {
+        throw new AuthError('Bearer tokens are not accepted; use an API key');
+      }
+      return this.authenticateJwt(bearer[1].trim());
+    }
+    throw new AuthError('Authentication required: send X-API-Key or Authorization: Bearer <token>');
+  }
+
+  authenticateKey(key) {
+    const hash = hashKey(key);
+    const entry = this.keys.find(candidate => safeEqual(candidate.hash, hash));
+    if (!entry) {
+      throw new AuthError('Invalid API key');
+    }
+    return { token: key, clientId: entry.id, scopes: entry.scopes, extra: { method: 'api-key', rateLimit: entry.rateLimit } };
+  }
+
+  async authenticateJwt(token) {
+    const [headerPart, payloadPart, signaturePart] = token.split('.');
+    let header;
+    let payload;
+    try {
+      header = decodeSegment(headerPart);
+      payload = decodeSegment(payloadPart);
+    } catch (error) {
+      throw new AuthError('Malformed bearer token');
+    }
+
+    if (!header.alg || header.alg === 'none') {
+      throw new AuthError('Unsigned tokens are not accepted');
+    }
+    const key = header.alg.startsWith('HS') ? this.hmacKey() : await this.publicKey(header.kid);
+    const valid = verifySignature(header.alg, `${headerPart}.${payloadPart}`, Buffer.from(signaturePart, 'base64url'), key);
+    if (!valid) {
+      throw new AuthError('Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (payload.exp !== undefined && now > payload.exp + CLOCK_SKEW_SECONDS) {
+      throw new AuthError('Token expired');
+    }
+    if (payload.nbf !== undefined && now + CLOCK_SKEW_SECONDS < payload.nbf) {
+      throw new AuthError('Token not yet valid');
+    }
+    if (this.jwt.issuer && payload.iss !== this.jwt.issuer) {
+      throw new AuthError(`Token issuer ${payload.iss} is not trusted`);
+    }
+    if (this.jwt.audience) {
+      const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+      if (!audiences.includes(this.jwt.audience)) {
+        throw new AuthError(`Token audience does not include ${this.jwt.audience}`);
+      }
+    }
+
+    return {
+      token,
+      clientId: payload.client_id || payload.azp || payload.sub || 'jwt',
+      scopes: this.tokenScopes(payload),
+      expiresAt: payload.exp,
+      extra: { method: 'jwt', subject: payload.sub || null }
+    };
+  }
+
+  // `scope` is a space-separated string in OAuth; some providers use arrays (scp, permissions)
+  tokenScopes(payload) {
+    const claim = payload[this.jwt.scopesClaim || 'scope'] || payload.scp;
+    const scopes = Array.isArray(claim) ? claim : String(claim || '').split(' ').filter(Boolean);
+    return scopes.length > 0 ? scopes : this.jwt.defaultScopes || [];
+  }
+
+  hmacKey() {
+    if (!this.jwt.secret) {
+      throw new AuthError('HMAC-signed tokens are not accepted');
+    }
+    return Buffer.from(this.jwt.secret);
+  }
+
+  // Signing key from the issuer's JWKS, refetched when an unknown kid shows up
+  async publicKey(kid) {
+    const stale = Date.now() - this.jwks.fetchedAt > JWKS_TTL_MS;
+    if (stale || !this.jwks.keys.has(kid)) {
+      await this.refreshJwks();
+    }
+    const key = this.jwks.keys.get(kid) || (this.jwks.keys.size === 1 && !kid ? Array.from(this.jwks.keys.values())[0] : null);
+    if (!key) {
+      throw new AuthError(`Unknown token signing key ${kid || '(no kid)'}`);
+    }
+    return key;
+  }
+
+  async refreshJwks() {
+    // Avoid refetching on every request that carries a bad kid
+    if (Date.now() - this.jwks.fetchedAt < 30000 && this.jwks.keys.size > 0) return;
+
+    if (!this.jwks.url) {
+      if (!this.jwt.issuer) {
+        throw new AuthError('Token verification is not configured (JWT_JWKS_URL or JWT_ISSUER)');
+      }
+      const discovery = await axios.get(`${this.jwt.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`, { timeout: 5000 });
+      this.jwks.url = discovery.data.jwks_uri;
+    }
+
+    const response = await axios.get(this.jwks.url, { timeout: 5000 });
+    const keys = new Map();
+    for (const jwk of response.data.keys || []) {
+      if (jwk.use && jwk.use !== 'sig') continue;
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+    this.jwks.keys = keys;
+    this.jwks.fetchedAt = Date.now();
+  }
+
+  // Express middleware: sets req.auth (the MCP SDK's AuthInfo shape) or answers 401.
+  // With `scope`, callers lacking it get a 403 (routes for operators, such as /metrics).
+  middleware(scope = null) {
+    return async (req, res, next) => {
+      try {
+        const auth = await this.authenticate(req);
+        if (auth) req.auth = auth;
+        if (scope && !Authenticator.allows(auth, scope)) {
+          throw new AuthError(`Forbidden: ${auth.clientId} lacks the "${scope}" scope required for ${req.path}`, 403);
+        }
+        next();
+      } catch (error) {
+        const status = error.status || 401;
+        if (status === 401) {
+          res.set('WWW-Authenticate', 'Bearer');
+        }
+        res.status(status).json({
+          jsonrpc: '2.0',
+          error: { code: status === 403 ? -32003 : -32001, message: error.message },
+          id: null
+        });
+      }
+    };
+  }
+
+  // Whether a caller holds `scope` (or a grant for this specific tool)
+  static allows(auth, scope, toolName = null) {
+    if (!auth || !scope) return true;
+    return auth.scopes.includes('*') ||
+      auth.scopes.includes(scope) ||
+      (toolName !== null && auth.scopes.includes(`tool:${toolName}`));
+  }
+
+  // Denial reason for an MCP request, or null when allowed
+  static authorize(auth, message) {
+    const scope = requiredScope(message);
+    const toolName = message.method === 'tools/call' && message.params ? message.params.name : null;
+    if (Authenticator.allows(auth, scope, toolName)) return null;
+    const target = toolName ? `tool ${toolName}` : message.method;
+    return `Forbidden: ${auth.clientId} lacks the "${scope}" scope required for ${target}`;
+  }
+
+  status() {
+    return {
+      enabled: this.enabled,
+      apiKeys: this.keys.length,
+      jwt: this.jwtEnabled ? { issuer: this.jwt.issuer || null, audience: this.jwt.audience || null } : null
+    };
+  }
+}
+
+module.exports = Authenticator;
+module.exports.AuthError = AuthError;
+module.exports.SCOPES = SCOPES;
+module.exports.TOOL_SCOPES = TOOL_SCOPES;
+module.exports.scopeForTool = scopeForTool;
+module.exports.requiredScope = requiredScope;
+module.exports.hashKey = hashKey;
@@ -0,0 +1,269 @@
+const { randomUUID } = require('crypto');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const {
+  CallToolResultSchema,
+  isInitializeRequest,
+  isJSONRPCError,
+  isJSONRPCNotification,
+  isJSONRPCRequest,
+  isJSONRPCResponse
+} = require('@modelcontextprotocol/sdk/types.js');
+
+// MCP Sessions - serves the Streamable HTTP transport from server.js.
+//
+// Each HTTP client gets its own session (Mcp-Session-Id): a StreamableHTTPServerTransport
+// connected to an McpServer of its own from `createServer`, running in this process. The
+// client's initialize, capabilities, request ids and progress tokens reach that server
+// unchanged. All servers share the process's services, so state such as the approval
+// queue is the same for every session and for the REST routes.
+//
+// A session belongs to the caller that initialized it (req.auth, set by the auth
+// middleware); every request is checked against `authorize` before the server sees it
+// and each tool call is reported to `onCall` once it finishes.
+//
+// Sessions nobody has used for `idleTimeoutMs`, with no response still open, are closed, and
+// at most `maxSessions` are open at once. Expired sessions are swept whenever a request
+// arrives, the way idle rate limit buckets are, so there is no timer to stop.
+//
+// The legacy {tool, params} shim and the REST routes call tools through `callTool`, an
+// in-memory client on one more server of the same kind.
+
+class McpSessions {
+  constructor(config = {}) {
+    // createServer: () => McpServer, a new one for every session
+    this.createServer = config.createServer;
+    // authorize: (auth, message) => denial reason or null; onCall: (entry) => void
+    this.authorize = config.authorize || (() => null);
+    // admit: (req, tools) => null or { retryAfterSeconds, reason } for the tool calls of
+    // one POST, checked before the transport answers so a rejected POST can still get an
+    // HTTP 429
+    this.admit = config.admit || (() => null);
+    this.onCall = config.onCall || (() => {});
+    this.idleTimeoutMs = config.idleTimeoutMs || 30 * 60 * 1000;
+    this.maxSessions = config.maxSessions || 100;
+    this.sessions = new Map();
+    this.client = null;
+  }
+
+  // Express handler for POST, GET and DELETE /mcp
+  async handleRequest(req, res) {
+    this.closeIdleSessions();
+    const sessionId = req.headers['mcp-session-id'];
+    let session = sessionId ? this.sessions.get(sessionId) : null;
+
+    // Another caller presenting a session id gets the same answer as an unknown id
+    if (session && session.clientId !== (req.auth ? req.auth.clientId : null)) {
+      session = null;
+    }
+
+    if (!session) {
+      if (sessionId) {
+        return res.status(404).json({
+          jsonrpc: '2.0',
+          error: { code: -32001, message: 'Session not found' },
+          id: null
+        });
+      }
+      if (req.method !== 'POST' || !isInitializeRequest(req.body)) {
+        return res.status(400).json({
+          jsonrpc: '2.0',
+          error: { code: -32000, message: 'Bad Request: send initialize first, then pass the Mcp-Session-Id header' },
+          id: null
+        });
+      }
+      if (this.sessions.size >= this.maxSessions) {
+        res.set('Retry-After', '60');
+        return res.status(503).json({
+          jsonrpc: '2.0',
+          error: { code: -32000, message: `Too many MCP sessions (limit ${this.maxSessions}); end unused sessions with DELETE or retry later` },
+          id: null
+        });
+      }
+      session = await this.createSession(req);
+    }
+
+    if (req.method === 'POST') {
+      // A batch is admitted as a whole, so a rejected one has used up no quota
+      const messages = Array.isArray(req.body) ? req.body : [req.body];
+      const calls = messages.filter(message => message && message.method === 'tools/call');
+      const rejection = calls.length > 0 && this.admit(req, calls.map(message => message.params && message.params.name));
+      if (rejection) {
+        res.set('Retry-After', String(rejection.retryAfterSeconds));
+        return res.status(429).json({
+          jsonrpc: '2.0',
+          error: { code: -32029, message: rejection.reason, data: { retryAfter: rejection.retryAfterSeconds } },
+          id: messages.length === 1 && calls[0].id !== undefined ? calls[0].id : null
+        });
+      }
+    }
+
+    // An open SSE stream or a slow call keeps the session in use however long it runs
+    session.lastSeenAt = Date.now();
+    session.openResponses++;
+    res.on('close', () => {
+      session.openResponses--;
+      session.lastSeenAt = Date.now();
+    });
+
+    await session.transport.handleRequest(req, res, req.body);
+
+    // An initialize the transport refused leaves a server no session will ever reach
+    if (!session.id) await session.server.close();
+  }
+
+  async createSession(req) {
+    const session = {
+      id: null,
+      server: this.createServer(),
+      transport: null,
+      clientId: req.auth ? req.auth.clientId : null,
+      ip: req.ip,
+      createdAt: new Date().toISOString(),
+      lastSeenAt: Date.now(),
+      openResponses: 0,
+      // request id -> { message, auth, startedAt } of tool calls not yet answered
+      calls: new Map()
+    };
+    session.transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        session.id = id;
+        this.sessions.set(id, session);
+      }
+    });
+    await session.server.connect(session.transport);
+    this.guard(session);
+    return session;
+  }
+
+  // Put authorization and auditing between the transport and the server connected to it
+  guard(session) {
+    const { transport } = session;
+
+    const receive = transport.onmessage;
+    transport.onmessage = (message, extra = {}) => {
+      const auth = extra.authInfo || null;
+      if (isJSONRPCRequest(message)) {
+        const denied = this.authorize(auth, message);
+        if (denied) {
+          this.audit(session, auth, message, 'denied', { error: denied });
+          transport.send({ jsonrpc: '2.0', id: message.id, error: { code: -32003, message: denied } }).catch((error) => {
+            console.error(`MCP session ${session.id} send failed:`, error.message);
+          });
+          return;
+        }
+        if (message.method === 'tools/call') {
+          session.calls.set(message.id, { message, auth, startedAt: Date.now() });
+        }
+      } else if (isJSONRPCNotification(message) && message.method === 'notifications/cancelled') {
+        // The server sends no response for a cancelled request
+        this.finish(session, message.params.requestId, 'cancelled');
+      }
+      receive(message, extra);
+    };
+
+    const send = transport.send.bind(transport);
+    transport.send = (message, options) => {
+      if ((isJSONRPCResponse(message) || isJSONRPCError(message)) && session.calls.has(message.id)) {
+        const failed = message.error || (message.result && message.result.isError);
+        this.finish(session, message.id, failed ? 'error' : 'ok', message.error ? message.error.message : null);
+      }
+      return send(message, options);
+    };
+
+    const close = transport.onclose;
+    transport.onclose = () => {
+      this.closeSession(session);
+      if (close) close();
+    };
+    transport.onerror = (error) => console.error(`MCP session ${session.id} error:`, error.message);
+  }
+
+  // Close sessions unused for idleTimeoutMs; their clients get 404 and initialize again
+  closeIdleSessions(now = Date.now()) {
+    for (const session of Array.from(this.sessions.values())) {
+      if (session.openResponses > 0 || now - session.lastSeenAt < this.idleTimeoutMs) continue;
+      this.closeSession(session);
+      session.server.close().catch(() => {});
+    }
+  }
+
+  closeSession(session) {
+    if (!this.sessions.delete(session.id)) return;
+    for (const id of Array.from(session.calls.keys())) {
+      this.finish(session, id, 'cancelled', 'session closed');
+    }
+  }
+
+  // Close every session, for shutdown
+  async closeAll() {
+    for (const session of Array.from(this.sessions.values())) {
+      this.closeSession(session);
+      await session.server.close();
+    }
+    if (this.client) await (await this.client).close();
+  }
+
+  // Forget an answered tool call and audit how it ended
+  finish(session, id, outcome, error = null) {
+    const entry = session.calls.get(id);
+    if (!entry) return;
+    session.calls.delete(id);
+    this.audit(session, entry.auth, entry.message, outcome, {
+      durationMs: Date.now() - entry.startedAt,
+      error
+    });
+  }
+
+  // Tool calls are audited; other methods only when denied
+  audit(session, auth, message, outcome, details = {}) {
+    if (message.method !== 'tools/call' && outcome !== 'denied') return;
+    this.onCall({
+      auth,
+      ip: session.ip,
+      transport: 'streamable-http',
+      sessionId: session.id,
+      ...(message.method === 'tools/call' ? { tool: message.params && message.params.name } : { method: message.method }),
+      outcome,
+      ...details
+    });
+  }
+
+  // Call a tool on behalf of server.js itself (the legacy shim, REST routes, health
+  // details). Resolves with the tool result; JSON-RPC errors and timeouts reject with an
+  // McpError.
+  async callTool(name, args = {}, timeoutMs = 30000) {
+    if (!this.client) this.client = this.connectClient();
+    const client = await this.client;
+    return client.request({ method: 'tools/call', params: { name, arguments: args } }, CallToolResultSchema, { timeout: timeoutMs });
+  }
+
+  async connectClient() {
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    const client = new Client({ name: 'phala-mcp-http-server', version: '0.1.0' });
+    await this.createServer().connect(serverTransport);
+    await client.connect(clientTransport);
+    return client;
+  }
+
+  // Tool calls sessions are waiting on
+  get inFlightCalls() {
+    let count = 0;
+    for (const session of this.sessions.values()) {
+      count += session.calls.size;
+    }
+    return count;
+  }
+
+  status() {
+    return {
+      sessions: this.sessions.size,
+      maxSessions: this.maxSessions,
+      inFlight: this.inFlightCalls
+    };
+  }
+}
+
+module.exports = McpSessions;
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+// Rate Limit Module - token buckets per caller and per tool, plus a cap on tool calls in
+// flight to the MCP child.
+//
+// Every caller (API key / token client id, or client IP when auth is off) has a bucket
+// holding up to `burst` tokens that refills at `perMinute`. A tool call takes `cost`
+// tokens from it, so heavy queries use up quota faster. Tools can also have their own
+// bucket per caller, limiting how often that tool is called regardless of spare quota.
+//
+// RATE_LIMITS_FILE (YAML or JSON):
+//   defaults: { perMinute: 120, burst: 60 }
+//   maxConcurrent: 8
+//   tools:
+//     getStakingInfo: { cost: 10, perMinute: 6 }
+//     getWorkerList: { cost: 5 }
+// API keys can override defaults with `rateLimit: { perMinute, burst }` in API_KEYS_FILE.
+
+// Built-in weights for tools that scan whole storage maps
+const DEFAULT_TOOL_COSTS = {
+  getStakingInfo: 10,
+  getWorkerList: 5,
+  getPHABalanceCrossChain: 2
+};
+
+// Buckets untouched this long are full again and can be dropped
+const IDLE_BUCKET_MS = 10 * 60 * 1000;
+
+class TokenBucket {
+  constructor(perMinute, burst) {
+    this.capacity = burst;
+    this.refillPerMs = perMinute / 60000;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now = Date.now()) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  // A cost above the bucket size would never fit; such calls need a full bucket instead
+  fit(cost) {
+    return Math.min(cost, this.capacity);
+  }
+
+  // Milliseconds until `cost` tokens are available (0 when they are now)
+  waitFor(cost) {
+    this.refill();
+    const needed = this.fit(cost);
+    if (this.tokens >= needed) return 0;
+    return Math.ceil((needed - this.tokens) / this.refillPerMs);
+  }
+
+  take(cost) {
+    this.tokens -= this.fit(cost);
+  }
+}
+
+class RateLimiter {
+  constructor(config = {}) {
+    const file = config.file ? RateLimiter.load(config.file) : {};
+    const defaults = { ...(file.defaults || {}), ...stripUndefined(config.defaults || {}) };
+    this.perMinute = defaults.perMinute === undefined ? 120 : defaults.perMinute;
+    this.burst = defaults.burst === undefined ? Math.max(1, Math.ceil(this.perMinute / 2)) : defaults.burst;
+    this.maxConcurrent = config.maxConcurrent !== undefined ? config.maxConcurrent : (file.maxConcurrent || 8);
+    this.tools = {};
+    for (const [tool, cost] of Object.entries(DEFAULT_TOOL_COSTS)) {
+      this.tools[tool] = { cost };
+    }
+    for (const [tool, rules] of Object.entries(file.tools || {})) {
+      this.tools[tool] = { ...this.tools[tool], ...rules };
+    }
+    // getInFlight: () => number of tool calls currently running in the child
+    this.getInFlight = config.getInFlight || (() => 0);
+    this.buckets = new Map();
+    this.rejected = 0;
+  }
+
+  static load(file) {
+    const raw = fs.readFileSync(file, 'utf8');
+    const ext = path.extname(file).toLowerCase();
+    return (ext === '.yaml' || ext === '.yml' ? YAML.parse(raw) : JSON.parse(raw)) || {};
+  }
+
+  // perMinute 0 turns rate limiting off
+  get enabled() {
+    return this.perMinute > 0;
+  }
+
+  costOf(tool) {
+    const rules = this.tools[tool];
+    return rules && rules.cost !== undefined ? rules.cost : 1;
+  }
+
+  bucket(key, perMinute, burst) {
+    let bucket = this.buckets.get(key);
+    if (!bucket || bucket.capacity !== burst) {
+      bucket = new TokenBucket(perMinute, burst);
+      this.buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  // Caller key for buckets: authenticated client id, else client IP
+  static callerKey(auth, ip) {
+    return auth ? `client:${auth.clientId}` : `ip:${ip}`;
+  }
+
+  // Admit a tool call, or all calls of a JSON-RPC batch (`tools`), or explain why not.
+  // A batch is admitted or rejected as a whole; tokens are taken only when admitted.
+  // Returns { allowed, retryAfterSeconds, reason, cost }
+  check({ auth, ip, tool, tools = [tool] }) {
+    const cost = tools.reduce((sum, name) => sum + this.costOf(name), 0);
+
+    if (this.maxConcurrent > 0 && this.getInFlight() + tools.length > this.maxConcurrent) {
+      return this.reject(1, `Too many tool calls in progress (limit ${this.maxConcurrent}); retry shortly`, cost);
+    }
+    if (!this.enabled) {
+      return { allowed: true, cost };
+    }
+
+    this.sweep();
+    const caller = RateLimiter.callerKey(auth, ip);
+    const limits = { perMinute: this.perMinute, burst: this.burst, ...(auth && auth.extra && auth.extra.rateLimit) };
+    const callerBucket = this.bucket(caller, limits.perMinute, limits.burst || Math.max(1, Math.ceil(limits.perMinute / 2)));
+
+    // Per-tool buckets take one token per call
+    const calls = new Map();
+    for (const name of tools) calls.set(name, (calls.get(name) || 0) + 1);
+    const toolBuckets = [];
+    for (const [name, count] of calls) {
+      const rules = this.tools[name] || {};
+      if (!rules.perMinute) continue;
+      const bucket = this.bucket(`${caller}|${name}`, rules.perMinute, rules.burst || Math.max(1, Math.ceil(rules.perMinute / 2)));
+      toolBuckets.push({ name, count, perMinute: rules.perMinute, bucket, wait: bucket.waitFor(count) });
+    }
+
+    const callerWait = callerBucket.waitFor(cost);
+    const slowest = toolBuckets.reduce((worst, entry) => (!worst || entry.wait > worst.wait ? entry : worst), null);
+    const toolWait = slowest ? slowest.wait : 0;
+    const wait = Math.max(callerWait, toolWait);
+    if (wait > 0) {
+      const calling = tools.length === 1 ? `${tools[0]} costs ${cost}` : `${tools.length} tool calls cost ${cost}`;
+      const reason = toolWait >= callerWait
+        ? `Rate limit for ${slowest.name} reached (${slowest.perMinute}/min)`
+        : `Rate limit reached (${limits.perMinute} tokens/min, ${calling})`;
+      return this.reject(Math.ceil(wait / 1000), reason, cost);
+    }
+
+    callerBucket.take(cost);
+    for (const { bucket, count } of toolBuckets) bucket.take(count);
+    return { allowed: true, cost, remaining: Math.floor(callerBucket.tokens) };
+  }
+
+  reject(retryAfterSeconds, reason, cost) {
+    this.rejected++;
+    return { allowed: false, retryAfterSeconds: Math.max(1, retryAfterSeconds), reason, cost };
+  }
+
+  // Drop buckets that have refilled completely
+  sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (now - bucket.updatedAt > IDLE_BUCKET_MS) this.buckets.delete(key);
+    }
+  }
+
+  status() {
+    return {
+      enabled: this.enabled,
+      perMinute: this.perMinute,
+      burst: this.burst,
+      maxConcurrent: this.maxConcurrent,
+      inFlight: this.getInFlight(),
+      trackedCallers: this.buckets.size,
+      rejected: this.rejected
+    };
+  }
+}
+
+function stripUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+module.exports = RateLimiter;
+module.exports.TokenBucket = TokenBucket;
+module.exports.DEFAULT_TOOL_COSTS = DEFAULT_TOOL_COSTS;
@@ -0,0 +1,219 @@
+const ethers = require("ethers");
+const {
+  base58Decode,
+  blake2AsU8a,
+  checkAddressChecksum,
+  decodeAddress,
+  encodeAddress
+} = require("@polkadot/util-crypto");
+const { hexToU8a, stringToU8a, u8aConcat, u8aToHex } = require("@polkadot/util");
+const { ToolError } = require("./errors");
+
+// Address Module - parsing, validation and conversion between SS58, raw AccountId and EVM.
+//
+// EVM (H160) addresses map to 32-byte AccountIds in one of two ways:
+//   hashed     blake2_256("evm:" ++ H160), Frontier's HashedAddressMapping. One-way.
+//   truncated  the AccountId's first 20 bytes are the H160 (EnsureAddressTruncated). An
+//              H160 maps back to H160 ++ 12 zero bytes, so the round trip is exact.
+const PHALA_SS58_PREFIX = 30;
+const GENERIC_SS58_PREFIX = 42;
+const MAPPINGS = ["hashed", "truncated"];
+
+const EVM_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const ACCOUNT_ID_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// "evm", "accountId" or "ss58" (unchecked; parse functions validate)
+function detectFormat(address) {
+  const value = String(address || "").trim();
+  if (EVM_PATTERN.test(value)) return "evm";
+  if (ACCOUNT_ID_PATTERN.test(value)) return "accountId";
+  return "ss58";
+}
+
+function checkMapping(mapping) {
+  if (!MAPPINGS.includes(mapping)) {
+    throw new ToolError("INVALID_ARGUMENT", `Unknown EVM address mapping "${mapping}". Use one of: ${MAPPINGS.join(", ")}`);
+  }
+  return mapping;
+}
+
+// Validate an EVM address and return its EIP-55 checksummed form. Mixed-case input must
+// carry a correct checksum; all-lowercase or all-uppercase input has none to check.
+function parseEvmAddress(address) {
+  const value = String(address || "").trim();
+  if (!EVM_PATTERN.test(value)) {
+    throw new ToolError("INVALID_ARGUMENT", `Invalid EVM address "${value}": expected 0x followed by 40 hex characters`);
+  }
+  const checksummed = ethers.utils.getAddress(value.toLowerCase());
+  const body = value.slice(2);
+  const hasChecksum = body !== body.toLowerCase() && body !== body.toUpperCase();
+  if (hasChecksum && checksummed !== value) {
+    throw new ToolError("INVALID_ARGUMENT", `Invalid EIP-55 checksum for EVM address ${value} (expected ${checksummed})`);
+  }
+  return checksummed;
+}
+
+// SS58 prefix an address was encoded with
+function ss58Prefix(address) {
+  const [, , , prefix] = checkAddressChecksum(base58Decode(address));
+  return prefix;
+}
+
+// AccountId bytes for an EVM address under the given mapping
+function evmToAccountId(evmAddress, mapping) {
+  const h160 = hexToU8a(parseEvmAddress(evmAddress));
+  return checkMapping(mapping) === "hashed"
+    ? blake2AsU8a(u8aConcat(stringToU8a("evm:"), h160), 256)
+    : u8aConcat(h160, new Uint8Array(12));
+}
+
+// EVM address for an AccountId. Only the truncated mapping can go this way.
+function accountIdToEvm(accountId, mapping = "truncated") {
+  if (checkMapping(mapping) === "hashed") {
+    throw new ToolError("UNSUPPORTED", "The hashed mapping is one-way; an AccountId cannot be converted back to its EVM address");
+  }
+  return ethers.utils.getAddress(u8aToHex(accountId.slice(0, 20)));
+}
+
+// Parse any supported address into { format, accountId, evm, prefix }.
+// EVM addresses are mapped to an AccountId with `mapping`.
+function parseAddress(address, { mapping = "hashed" } = {}) {
+  const value = String(address || "").trim();
+  if (!value) {
+    throw new ToolError("INVALID_ARGUMENT", "Address is required");
+  }
+
+  const format = detectFormat(value);
+  if (format === "evm") {
+    const evm = parseEvmAddress(value);
+    return { format, accountId: evmToAccountId(evm, mapping), evm, prefix: null, mapping };
+  }
+  if (format === "accountId") {
+    return { format, accountId: hexToU8a(value), evm: null, prefix: null, mapping: null };
+  }
+
+  let accountId;
+  try {
+    accountId = decodeAddress(value);
+  } catch (error) {
+    throw new ToolError("INVALID_ARGUMENT", `Invalid SS58 address "${value}": ${error.message.replace(/^Decoding .*?: /, "")}`);
+  }
+  if (accountId.length !== 32) {
+    throw new ToolError("INVALID_ARGUMENT", `Invalid SS58 address "${value}": decodes to ${accountId.length} bytes, expected a 32-byte AccountId`);
+  }
+  return { format, accountId, evm: null, prefix: ss58Prefix(value), mapping: null };
+}
+
+// Any supported address as an SS58 address with the given prefix (Phala's by default)
+function toSubstrateAddress(address, { mapping = "hashed", prefix = PHALA_SS58_PREFIX } = {}) {
+  return encodeAddress(parseAddress(address, { mapping }).accountId, prefix);
+}
+
+// Comparable key for an address: AccountId hex for Substrate formats, lowercase H160 for EVM
+function addressKey(address) {
+  const format = detectFormat(address);
+  if (format === "evm" || format === "accountId") return String(address).trim().toLowerCase();
+  return u8aToHex(decodeAddress(String(address).trim()));
+}
+
+// Describe an address without throwing: format, checksum status, prefix and errors
+function validateAddress(address, { expectedPrefix = null, expectedFormat = null } = {}) {
+  const value = String(address || "").trim();
+  const format = detectFormat(value);
+  const report = { address: value, valid: false, format, errors: [] };
+
+  try {
+    const parsed = parseAddress(value);
+    report.accountId = format === "evm" ? null : u8aToHex(parsed.accountId);
+
+    if (format === "evm") {
+      const body = value.slice(2);
+      report.checksum = {
+        present: body !== body.toLowerCase() && body !== body.toUpperCase(),
+        valid: true,
+        checksummed: parsed.evm
+      };
+    } else if (format === "ss58") {
+      report.checksum = { present: true, valid: true };
+      report.prefix = parsed.prefix;
+      if (expectedPrefix !== null && parsed.prefix !== expectedPrefix) {
+        report.errors.push(`SS58 prefix ${parsed.prefix} does not match expected prefix ${expectedPrefix}`);
+      }
+    }
+  } catch (error) {
+    if (/checksum/i.test(error.message)) {
+      report.checksum = { present: true, valid: false };
+    }
+    report.errors.push(error.message);
+  }
+
+  if (expectedFormat === "substrate" && format === "evm") {
+    report.errors.push("Expected a Substrate address but got an EVM address");
+  } else if (expectedFormat === "evm" && format !== "evm") {
+    report.errors.push("Expected an EVM address");
+  }
+
+  report.valid = report.errors.length === 0;
+  return report;
+}
+
+// Every representation of an address: AccountId, SS58 (requested, Phala and generic
+// prefixes) and EVM, with the mapping used and whether the conversion is reversible
+function convertAddress(address, { mapping = "hashed", prefix = PHALA_SS58_PREFIX } = {}) {
+  const parsed = parseAddress(address, { mapping });
+  const encode = (accountId) => ({
+    accountId: u8aToHex(accountId),
+    ss58: encodeAddress(accountId, prefix),
+    phala: encodeAddress(accountId, PHALA_SS58_PREFIX),
+    generic: encodeAddress(accountId, GENERIC_SS58_PREFIX)
+  });
+
+  if (parsed.format === "evm") {
+    // Show both mappings so callers can see which account each scheme targets
+    const mappings = {};
+    for (const scheme of MAPPINGS) {
+      mappings[scheme] = { ...encode(evmToAccountId(parsed.evm, scheme)), reversible: scheme === "truncated" };
+    }
+    return {
+      input: String(address).trim(),
+      format: parsed.format,
+      evm: parsed.evm,
+      mapping,
+      prefix,
+      ...encode(parsed.accountId),
+      mappings
+    };
+  }
+
+  // An AccountId round-trips through the truncated mapping only if its last 12 bytes are zero
+  const paddedH160 = parsed.accountId.slice(20).every(byte => byte === 0);
+  return {
+    input: String(address).trim(),
+    format: parsed.format,
+    inputPrefix: parsed.prefix,
+    prefix,
+    ...encode(parsed.accountId),
+    evm: {
+      truncated: accountIdToEvm(parsed.accountId, "truncated"),
+      reversible: paddedH160,
+      note: paddedH160
+        ? "This AccountId is a padded H160; the truncated EVM address maps back to it exactly"
+        : "Truncating loses the last 12 bytes; the EVM address does not map back to this account. Hashed mappings cannot be reversed"
+    }
+  };
+}
+
+module.exports = {
+  PHALA_SS58_PREFIX,
+  GENERIC_SS58_PREFIX,
+  MAPPINGS,
+  detectFormat,
+  parseEvmAddress,
+  evmToAccountId,
+  accountIdToEvm,
+  parseAddress,
+  toSubstrateAddress,
+  addressKey,
+  validateAddress,
+  convertAddress
+};
@@ -0,0 +1,97 @@
+const { ToolError } = require("./errors");
+
+// Amount Module - exact decimal handling for PHA amounts (no floating point)
+//
+// Accepted inputs: "1.5", "1.5 PHA", "250 mPHA", "10 uPHA", "1000000 planck" and "max".
+
+const AMOUNT_PATTERN = /^(\d+(?:\.\d*)?|\.\d+)\s*([a-zA-Zµ]+)?$/;
+
+function isMaxAmount(input) {
+  return String(input).trim().toLowerCase() === "max";
+}
+
+// Unit name (lowercased) -> decimal exponent, relative to the token's base unit
+function unitExponents(decimals, symbol, baseUnit) {
+  const sym = symbol.toLowerCase();
+  return {
+    [sym]: decimals,
+    [`m${sym}`]: decimals - 3,
+    [`u${sym}`]: decimals - 6,
+    [`µ${sym}`]: decimals - 6,
+    [baseUnit.toLowerCase()]: 0
+  };
+}
+
+// Parse a user-supplied amount into base units (planck/wei) as a BigInt.
+// Throws rather than rounding when the input has more precision than the unit allows.
+function parseAmount(input, { decimals, symbol = "PHA", baseUnit = "planck", max = null } = {}) {
+  if (input === undefined || input === null || String(input).trim() === "") {
+    throw new ToolError("INVALID_ARGUMENT", "Amount is required");
+  }
+
+  if (isMaxAmount(input)) {
+    if (max === null || max === undefined) {
+      throw new ToolError("INVALID_ARGUMENT", "\"max\" is not supported for this amount");
+    }
+    return BigInt(max);
+  }
+
+  const match = String(input).trim().match(AMOUNT_PATTERN);
+  if (!match) {
+    throw new ToolError("INVALID_ARGUMENT", `Invalid amount "${input}". Use a decimal number with an optional unit (${symbol}, m${symbol}, ${baseUnit}) or "max"`);
+  }
+
+  const [, number, unit] = match;
+  const exponents = unitExponents(decimals, symbol, baseUnit);
+  const exponent = unit ? exponents[unit.toLowerCase()] : decimals;
+  if (exponent === undefined || exponent < 0) {
+    throw new ToolError("INVALID_ARGUMENT", `Unknown unit "${unit}". Supported: ${symbol}, m${symbol}, u${symbol}, ${baseUnit}`);
+  }
+
+  const [whole, fraction = ""] = number.split(".");
+  if (fraction.length > exponent) {
+    throw new ToolError("INVALID_ARGUMENT", `Amount "${input}" has more than ${exponent} decimal places`);
+  }
+
+  return BigInt(whole || "0") * (BigInt(10) ** BigInt(exponent)) + BigInt(fraction.padEnd(exponent, "0") || "0");
+}
+
+// Exact decimal string for a base-unit amount, e.g. 1500000000000n -> "1.5"
+function formatUnits(raw, decimals) {
+  const value = BigInt(raw.toString());
+  const negative = value < BigInt(0);
+  const digits = (negative ? -value : value).toString().padStart(decimals + 1, "0");
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, "");
+  return `${negative ? "-" : ""}${whole}${fraction ? "." + fraction : ""}`;
+}
+
+function formatAmount(raw, decimals, symbol = "PHA") {
+  return `${formatUnits(raw, decimals)} ${symbol}`;
+}
+
+// Balance field carrying both the raw base-unit string and the exact formatted value
+function amountFields(raw, decimals, symbol = "PHA") {
+  return {
+    raw: BigInt(raw.toString()).toString(),
+    formatted: formatAmount(raw, decimals, symbol)
+  };
+}
+
+// Rescale a base-unit amount between decimal precisions (e.g. 12 -> 18). Only widens exactly.
+function rescale(raw, fromDecimals, toDecimals) {
+  const value = BigInt(raw.toString());
+  if (toDecimals >= fromDecimals) {
+    return value * (BigInt(10) ** BigInt(toDecimals - fromDecimals));
+  }
+  return value / (BigInt(10) ** BigInt(fromDecimals - toDecimals));
+}
+
+module.exports = {
+  isMaxAmount,
+  parseAmount,
+  formatUnits,
+  formatAmount,
+  amountFields,
+  rescale
+};
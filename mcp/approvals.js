@@ -0,0 +1,133 @@
+const crypto = require("crypto");
+const { parseAmount } = require("./amount");
+const { ToolError } = require("./errors");
+
+// PHA amounts are compared at 18 decimals so both Phala (12) and Ethereum (18) amounts fit exactly
+const COMPARE_DECIMALS = 18;
+const toUnits = (amount) => parseAmount(amount, { decimals: COMPARE_DECIMALS, symbol: "PHA" });
+
+// Approval Queue Module - holds signed-transaction intents until a human approves them
+class ApprovalQueue {
+  constructor(config = {}) {
+    // "required" queues every intent, "disabled" submits immediately (legacy behaviour)
+    this.mode = config.mode || "required";
+    // Intents moving less than this many PHA are submitted without approval (0 = never)
+    this.autoApproveBelow = toUnits(config.autoApproveBelow || "0");
+    // Contract calls qualify for that only on these contracts
+    this.autoApproveContracts = (config.autoApproveContracts || []).map(address => address.toLowerCase());
+    this.ttl = (config.ttlSeconds || 900) * 1000;
+    this.intents = new Map();
+  }
+
+  // Decide whether an intent can skip the queue. `contract` is set for contract calls,
+  // whose attached value does not bound what they do.
+  isAutoApproved(amount, contract = null) {
+    if (this.mode === "disabled") return true;
+    if (contract && !this.autoApproveContracts.includes(contract.toLowerCase())) return false;
+    return this.autoApproveBelow > BigInt(0) && toUnits(amount || "0") < this.autoApproveBelow;
+  }
+
+  // Expire intents whose approval window has passed and forget old decided ones
+  prune() {
+    const now = Date.now();
+    for (const intent of this.intents.values()) {
+      if (intent.status === "pending" && intent.expiresAt <= now) {
+        intent.status = "expired";
+        intent.execute = null;
+      } else if (intent.status !== "pending" && intent.expiresAt + this.ttl <= now) {
+        this.intents.delete(intent.id);
+      }
+    }
+  }
+
+  // Create an intent, or run it straight away when policy allows.
+  // `execute` performs the actual signing and submission and returns the tool result.
+  async submit({ tool, params, amount, contract = null, summary, execute }) {
+    if (this.isAutoApproved(amount, contract)) {
+      return { autoApproved: true, result: await execute() };
+    }
+
+    this.prune();
+    const now = Date.now();
+    const intent = {
+      id: crypto.randomUUID(),
+      tool,
+      params,
+      amount,
+      summary,
+      status: "pending",
+      createdAt: now,
+      expiresAt: now + this.ttl,
+      execute
+    };
+    this.intents.set(intent.id, intent);
+
+    return { autoApproved: false, intent: this.describe(intent) };
+  }
+
+  // Public view of an intent (never exposes the executor)
+  describe(intent) {
+    return {
+      id: intent.id,
+      tool: intent.tool,
+      params: intent.params,
+      amount: intent.amount,
+      summary: intent.summary,
+      status: intent.status,
+      createdAt: new Date(intent.createdAt).toISOString(),
+      expiresAt: new Date(intent.expiresAt).toISOString(),
+      ...(intent.decidedAt && { decidedAt: new Date(intent.decidedAt).toISOString() }),
+      ...(intent.reason && { reason: intent.reason })
+    };
+  }
+
+  list() {
+    this.prune();
+    return Array.from(this.intents.values())
+      .filter(intent => intent.status === "pending")
+      .map(intent => this.describe(intent));
+  }
+
+  // Look up a pending intent or explain why it cannot be acted on
+  take(id) {
+    this.prune();
+    const intent = this.intents.get(id);
+    if (!intent) {
+      throw new ToolError("NOT_FOUND", `Transaction intent ${id} not found`);
+    }
+    if (intent.status !== "pending") {
+      throw new ToolError("CONFLICT", `Transaction intent ${id} is ${intent.status}`);
+    }
+    return intent;
+  }
+
+  async approve(id) {
+    const intent = this.take(id);
+    const execute = intent.execute;
+    // Mark before executing so a second approval cannot submit twice
+    intent.status = "approved";
+    intent.decidedAt = Date.now();
+    intent.execute = null;
+
+    try {
+      const result = await execute();
+      intent.status = "submitted";
+      return { intent: this.describe(intent), result };
+    } catch (error) {
+      intent.status = "failed";
+      intent.reason = error.message;
+      throw error;
+    }
+  }
+
+  reject(id, reason) {
+    const intent = this.take(id);
+    intent.status = "rejected";
+    intent.decidedAt = Date.now();
+    intent.reason = reason || "Rejected by operator";
+    intent.execute = null;
+    return this.describe(intent);
+  }
+}
+
+module.exports = ApprovalQueue;
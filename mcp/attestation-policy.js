@@ -0,0 +1,203 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { TCB_STATUSES } = require("./attestation");
+const { ToolError } = require("./errors");
+
+const RULES = ["allowedMrEnclaves", "allowedMrTds", "allowedComposeHashes", "minTcbStatus", "maxReportAgeSeconds", "requireReportData", "enforce"];
+// Tools that act on an enclave's trust: a failing verdict fails them unless `enforce: false`.
+// verifyAttestation and getContainerStatus only report the verdict.
+const ENFORCING_TOOLS = ["deployContainer", "queryAIAgent"];
+
+// Raised when attestation evidence fails the policy of an enforcing tool
+class AttestationPolicyError extends ToolError {
+  constructor(message, verdict, details = {}) {
+    super("POLICY_VIOLATION", `${message}: ${verdict.reasons.join("; ")}`, {
+      details: { ...details, rules: verdict.rules }
+    });
+    this.name = "AttestationPolicyError";
+    this.verdict = verdict;
+  }
+}
+
+function normalizeHex(value) {
+  return "0x" + String(value).trim().replace(/^0x/i, "").toLowerCase();
+}
+
+// Check one rule set from the policy file; throws on unknown rules or bad values
+function validateRules(rules, where) {
+  for (const [rule, value] of Object.entries(rules)) {
+    if (!RULES.includes(rule)) {
+      throw new Error(`Unknown attestation policy rule "${rule}" in ${where}`);
+    }
+    if (rule.startsWith("allowed") && !Array.isArray(value)) {
+      throw new Error(`${where}.${rule} must be a list of hex values`);
+    }
+  }
+  if (rules.minTcbStatus !== undefined && !TCB_STATUSES.includes(rules.minTcbStatus)) {
+    throw new Error(`${where}.minTcbStatus must be one of ${TCB_STATUSES.join(", ")}`);
+  }
+  if (rules.maxReportAgeSeconds !== undefined && !(rules.maxReportAgeSeconds > 0)) {
+    throw new Error(`${where}.maxReportAgeSeconds must be a positive number of seconds`);
+  }
+  return Object.fromEntries(Object.entries(rules).map(([rule, value]) =>
+    [rule, rule.startsWith("allowed") ? value.map(normalizeHex) : value]
+  ));
+}
+
+// Attestation Policy Module - which enclaves and TDs are trusted, and how fresh and bound
+// their evidence must be.
+//
+// Policy file (JSON or YAML):
+//   defaults:                      applied to every tool, overridden per tool
+//     allowedMrEnclaves: ["0x..."] SGX enclaves (MRENCLAVE)
+//     allowedMrTds: ["0x..."]      TDX TDs (MRTD)
+//     allowedComposeHashes: ["0x..."]  dstack app compose hashes, from the RTMR3 event log
+//     minTcbStatus: SWHardeningNeeded  worst acceptable TCB status
+//     maxReportAgeSeconds: 86400
+//     requireReportData: true      the report data must match the expected value (a nonce
+//                                  the tool sends, or verifyAttestation's reportData)
+//   tools:
+//     queryAIAgent:
+//       enforce: false             report the verdict without failing the call
+//
+// An SGX quote is held to allowedMrEnclaves and a TDX quote to allowedMrTds; once either
+// list is set, evidence of a TEE type without a list fails.
+class AttestationPolicy {
+  constructor(config = {}) {
+    this.file = config.file || null;
+    this.policy = this.file ? AttestationPolicy.load(this.file) : null;
+  }
+
+  static load(file) {
+    const raw = fs.readFileSync(file, "utf8");
+    const ext = path.extname(file).toLowerCase();
+    const policy = ext === ".yaml" || ext === ".yml" ? YAML.parse(raw) : JSON.parse(raw);
+    return {
+      defaults: validateRules(policy.defaults || {}, "defaults"),
+      tools: Object.fromEntries(Object.entries(policy.tools || {}).map(([tool, rules]) => [tool, validateRules(rules || {}, `tools.${tool}`)]))
+    };
+  }
+
+  get enabled() {
+    return !!this.policy;
+  }
+
+  // Rules for a tool after merging defaults with tool-specific overrides
+  rulesFor(tool) {
+    return { ...this.policy.defaults, ...(this.policy.tools[tool] || {}) };
+  }
+
+  enforces(tool) {
+    return this.enabled && ENFORCING_TOOLS.includes(tool) && this.rulesFor(tool).enforce !== false;
+  }
+
+  // Reasons no evidence at all can pass a tool's rules (empty allow-lists), for previews
+  // that run before there is evidence to evaluate
+  unsatisfiable(tool) {
+    if (!this.enabled) return [];
+    const rules = this.rulesFor(tool);
+    const reasons = [];
+    const measurementLists = ["allowedMrEnclaves", "allowedMrTds"].filter(name => rules[name]);
+    if (measurementLists.length > 0 && measurementLists.every(name => rules[name].length === 0)) {
+      reasons.push(`${measurementLists.join(" and ")} allow${measurementLists.length === 1 ? "s" : ""} no measurement`);
+    }
+    if (rules.allowedComposeHashes && rules.allowedComposeHashes.length === 0) {
+      reasons.push("allowedComposeHashes allows no compose hash");
+    }
+    return reasons;
+  }
+
+  // Verdict on a verification result of attestation.js (null when there was no evidence):
+  // { verdict: "pass" | "fail", enforced, rules: [{ rule, passed, message }], reasons }.
+  // `reportedAt` is when a service says it produced a DCAP quote, which carries no time.
+  // Null without a policy.
+  evaluate(tool, result, { reportedAt = null, now = Date.now() } = {}) {
+    if (!this.enabled) return null;
+
+    const rules = this.rulesFor(tool);
+    const outcomes = [];
+    const rule = (name, passed, message) => outcomes.push({ rule: name, passed, message });
+
+    if (!result) {
+      rule("verified", false, "No attestation evidence");
+    } else {
+      const messages = {
+        verified: `${result.evidence.toUpperCase()} evidence verified`,
+        // Signatures check out, but nothing says the platform is not revoked
+        tcbUnevaluated: `${result.evidence.toUpperCase()} evidence verified, but its TCB status was not evaluated`
+      };
+      rule("verified", result.status === "verified", messages[result.status] || result.reasons.join("; "));
+    }
+    const quote = result && result.quote;
+
+    if (rules.allowedMrEnclaves || rules.allowedMrTds) {
+      const tdx = !!quote && quote.teeType === "Intel TDX";
+      const [name, label, value] = tdx
+        ? ["allowedMrTds", "MRTD", quote.measurements.mrTd]
+        : ["allowedMrEnclaves", "MRENCLAVE", quote && quote.measurements.mrEnclave];
+      if (!value) {
+        rule(name, false, `No ${label} in the evidence`);
+      } else if (!rules[name]) {
+        rule(name, false, `The policy allows no ${quote.teeType} ${label}`);
+      } else {
+        const allowed = rules[name].includes(normalizeHex(value));
+        rule(name, allowed, `${label} ${value} is ${allowed ? "" : "not "}allowed`);
+      }
+    }
+
+    if (rules.allowedComposeHashes) {
+      const composeHash = result && result.composeHash;
+      if (!composeHash) {
+        rule("allowedComposeHashes", false, "No compose hash measured in an RTMR3 event log");
+      } else {
+        const allowed = rules.allowedComposeHashes.includes(composeHash);
+        rule("allowedComposeHashes", allowed, `Compose hash ${composeHash} is ${allowed ? "" : "not "}allowed`);
+      }
+    }
+
+    if (rules.minTcbStatus) {
+      const status = result && result.tcb.status;
+      const rank = TCB_STATUSES.indexOf(status);
+      if (!status) {
+        rule("minTcbStatus", false, "TCB status not evaluated");
+      } else {
+        const passed = rank >= 0 && rank <= TCB_STATUSES.indexOf(rules.minTcbStatus);
+        rule("minTcbStatus", passed, `TCB status ${status} is ${passed ? "at or above" : "below"} ${rules.minTcbStatus}`);
+      }
+    }
+
+    if (rules.maxReportAgeSeconds) {
+      // IAS reports carry a signed timestamp; a service's own claim is only a fallback
+      const signed = !!(result && result.reportTimestamp);
+      const time = signed ? result.reportTimestamp : reportedAt;
+      if (!time || isNaN(Date.parse(time))) {
+        rule("maxReportAgeSeconds", false, "The evidence carries no report time");
+      } else {
+        const age = Math.round((now - Date.parse(time)) / 1000);
+        const passed = age <= rules.maxReportAgeSeconds;
+        const source = signed ? "" : " (as reported by the service)";
+        rule("maxReportAgeSeconds", passed, `Report is ${age}s old${source}; at most ${rules.maxReportAgeSeconds}s allowed`);
+      }
+    }
+
+    if (rules.requireReportData) {
+      const check = result && result.checks.find(entry => entry.check === "reportData");
+      const passed = !!check && check.passed === true;
+      rule("requireReportData", passed, check && check.passed !== null ? check.message : "No expected report data to bind the evidence to");
+    }
+
+    const reasons = outcomes.filter(outcome => !outcome.passed).map(outcome => `${outcome.rule}: ${outcome.message}`);
+    return { verdict: reasons.length > 0 ? "fail" : "pass", enforced: this.enforces(tool), rules: outcomes, reasons };
+  }
+
+  // Throw an AttestationPolicyError when an enforcing tool's verdict fails
+  enforce(tool, verdict, message, details) {
+    if (verdict && verdict.verdict === "fail" && this.enforces(tool)) {
+      throw new AttestationPolicyError(message, verdict, details);
+    }
+  }
+}
+
+module.exports = AttestationPolicy;
+module.exports.AttestationPolicyError = AttestationPolicyError;
@@ -0,0 +1,659 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { SGX_ROOT_CA, IAS_REPORT_SIGNING_CA } = require("./intel-roots");
+const { ToolError } = require("./errors");
+
+const QUOTE_HEADER_SIZE = 48;
+const ENCLAVE_REPORT_SIZE = 384;
+const TD_REPORT_SIZE = 584;
+// EPID quote body inside an IAS report: header and enclave report, no signature
+const EPID_QUOTE_BODY_SIZE = QUOTE_HEADER_SIZE + ENCLAVE_REPORT_SIZE;
+// Quote header tee_type (v4; v3 quotes are always SGX)
+const TEE_TYPES = { 0x00: "Intel SGX", 0x81: "Intel TDX" };
+const ECDSA_P256_KEY = 2;
+// Certification data types of the quote signature data
+const PCK_CERT_CHAIN = 5;
+const QE_REPORT_CERTIFICATION = 6;
+// Intel SGX extensions of PCK certificates
+const SGX_EXTENSIONS_OID = "1.2.840.113741.1.13.1";
+// Event type of dstack runtime events (app-id, compose-hash, ...) in RTMR3
+const DSTACK_EVENT_TYPE = 0x08000001;
+
+// TCB statuses from best to worst
+const TCB_STATUSES = [
+  "UpToDate",
+  "SWHardeningNeeded",
+  "ConfigurationNeeded",
+  "ConfigurationAndSWHardeningNeeded",
+  "OutOfDate",
+  "OutOfDateConfigurationNeeded",
+  "Revoked"
+];
+
+// IAS isvEnclaveQuoteStatus -> TCB status; any other status (SIGNATURE_INVALID,
+// SIGRL_VERSION_MISMATCH, ...) fails the report
+const IAS_QUOTE_STATUSES = {
+  OK: "UpToDate",
+  SW_HARDENING_NEEDED: "SWHardeningNeeded",
+  CONFIGURATION_NEEDED: "ConfigurationNeeded",
+  CONFIGURATION_AND_SW_HARDENING_NEEDED: "ConfigurationAndSWHardeningNeeded",
+  GROUP_OUT_OF_DATE: "OutOfDate",
+  GROUP_REVOKED: "Revoked",
+  SIGNATURE_REVOKED: "Revoked",
+  KEY_REVOKED: "Revoked"
+};
+
+function hex(bytes) {
+  return "0x" + Buffer.from(bytes).toString("hex");
+}
+
+// Quote bytes from a Buffer, hex (0x optional) or base64
+function toBuffer(value) {
+  if (Buffer.isBuffer(value)) return value;
+  const text = String(value).trim();
+  if (/^(0x)?([0-9a-fA-F]{2})+$/.test(text)) {
+    return Buffer.from(text.replace(/^0x/, ""), "hex");
+  }
+  return Buffer.from(text, "base64");
+}
+
+// Sequential little-endian reads that fail on truncated input
+class ByteReader {
+  constructor(buffer, what) {
+    this.buffer = buffer;
+    this.what = what;
+    this.offset = 0;
+  }
+
+  take(size) {
+    if (this.offset + size > this.buffer.length) {
+      throw new Error(`${this.what} is truncated at byte ${this.offset}`);
+    }
+    const bytes = this.buffer.subarray(this.offset, this.offset + size);
+    this.offset += size;
+    return bytes;
+  }
+
+  u16() {
+    return this.take(2).readUInt16LE(0);
+  }
+
+  u32() {
+    return this.take(4).readUInt32LE(0);
+  }
+}
+
+// Just enough DER to read the SGX extensions of PCK certificates
+
+function readTlv(buffer, offset = 0) {
+  let length = buffer[offset + 1];
+  let start = offset + 2;
+  if (length & 0x80) {
+    const bytes = length & 0x7f;
+    length = buffer.readUIntBE(start, bytes);
+    start += bytes;
+  }
+  if (start + length > buffer.length) {
+    throw new Error("Truncated DER value");
+  }
+  return { tag: buffer[offset], value: buffer.subarray(start, start + length), end: start + length };
+}
+
+function derChildren(buffer) {
+  const items = [];
+  for (let offset = 0; offset < buffer.length; offset = items[items.length - 1].end) {
+    items.push(readTlv(buffer, offset));
+  }
+  return items;
+}
+
+function decodeOid(bytes) {
+  const parts = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+  let value = 0;
+  for (const byte of bytes.subarray(1)) {
+    value = value * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      parts.push(value);
+      value = 0;
+    }
+  }
+  return parts.join(".");
+}
+
+// Contents of a SEQUENCE OF SEQUENCE { OID, value } -> Map of OID -> value TLV
+function oidFields(contents) {
+  return new Map(derChildren(contents).map((entry) => {
+    const [id, value] = derChildren(entry.value);
+    return [decodeOid(id.value), value];
+  }));
+}
+
+// Value (OCTET STRING contents) of a certificate extension, or null
+function certificateExtension(der, oid) {
+  const [tbs] = derChildren(readTlv(der).value);
+  const extensions = derChildren(tbs.value).find(item => item.tag === 0xa3);
+  if (!extensions) return null;
+  for (const extension of derChildren(readTlv(extensions.value).value)) {
+    const parts = derChildren(extension.value);
+    if (decodeOid(parts[0].value) === oid) return parts[parts.length - 1].value;
+  }
+  return null;
+}
+
+// FMSPC, PCE ID and platform TCB (16 CPU SVN components and the PCE SVN) of a PCK certificate
+function pckExtensions(certificate) {
+  const value = certificateExtension(certificate.raw, SGX_EXTENSIONS_OID);
+  if (!value) throw new Error("PCK certificate has no SGX extensions");
+  const field = (map, oid) => {
+    if (!map.has(oid)) throw new Error(`PCK certificate lacks SGX extension ${oid}`);
+    return map.get(oid).value;
+  };
+  const fields = oidFields(readTlv(value).value);
+  const tcb = oidFields(field(fields, `${SGX_EXTENSIONS_OID}.2`));
+  const svn = (oid) => {
+    const integer = field(tcb, oid);
+    return integer.readUIntBE(0, integer.length);
+  };
+  return {
+    fmspc: field(fields, `${SGX_EXTENSIONS_OID}.4`).toString("hex"),
+    pceId: field(fields, `${SGX_EXTENSIONS_OID}.3`).toString("hex"),
+    components: Array.from({ length: 16 }, (_, index) => svn(`${SGX_EXTENSIONS_OID}.2.${index + 1}`)),
+    pceSvn: svn(`${SGX_EXTENSIONS_OID}.2.17`)
+  };
+}
+
+function parseEnclaveReport(bytes) {
+  return {
+    measurements: {
+      mrEnclave: hex(bytes.subarray(64, 96)),
+      mrSigner: hex(bytes.subarray(128, 160)),
+      isvProdId: bytes.readUInt16LE(256),
+      isvSvn: bytes.readUInt16LE(258),
+      attributes: hex(bytes.subarray(48, 64)),
+      miscSelect: bytes.readUInt32LE(16),
+      cpuSvn: hex(bytes.subarray(0, 16))
+    },
+    // ATTRIBUTES.DEBUG
+    debug: (bytes[48] & 0x02) !== 0,
+    reportData: hex(bytes.subarray(320, 384))
+  };
+}
+
+function parseTdReport(bytes) {
+  const field = (start, size) => hex(bytes.subarray(start, start + size));
+  return {
+    measurements: {
+      mrTd: field(136, 48),
+      rtmrs: [328, 376, 424, 472].map(start => field(start, 48)),
+      mrSeam: field(16, 48),
+      mrSignerSeam: field(64, 48),
+      mrConfigId: field(184, 48),
+      mrOwner: field(232, 48),
+      mrOwnerConfig: field(280, 48),
+      tdAttributes: field(120, 8),
+      xfam: field(128, 8),
+      teeTcbSvn: field(0, 16)
+    },
+    // TD_ATTRIBUTES.DEBUG
+    debug: (bytes[120] & 0x01) !== 0,
+    reportData: field(520, 64)
+  };
+}
+
+function certificationData(reader) {
+  const type = reader.u16();
+  return { type, data: reader.take(reader.u32()) };
+}
+
+// Parse a DCAP ECDSA quote (v3 SGX, v4 SGX or TDX). Throws on anything malformed.
+function parseQuote(buffer) {
+  const reader = new ByteReader(buffer, "Quote");
+  const header = reader.take(QUOTE_HEADER_SIZE);
+  const version = header.readUInt16LE(0);
+  if (version !== 3 && version !== 4) {
+    throw new Error(`Unsupported quote version ${version}; expected a DCAP v3 or v4 quote`);
+  }
+  if (header.readUInt16LE(2) !== ECDSA_P256_KEY) {
+    throw new Error(`Unsupported attestation key type ${header.readUInt16LE(2)}; expected ECDSA P-256`);
+  }
+  const teeType = TEE_TYPES[version === 3 ? 0 : header.readUInt32LE(4)];
+  if (!teeType) {
+    throw new Error(`Unsupported TEE type 0x${header.readUInt32LE(4).toString(16)}`);
+  }
+  const tdx = teeType === "Intel TDX";
+  const body = reader.take(tdx ? TD_REPORT_SIZE : ENCLAVE_REPORT_SIZE);
+  const signature = new ByteReader(reader.take(reader.u32()), "Quote signature data");
+  const quoteSignature = signature.take(64);
+  const attestationKey = signature.take(64);
+
+  // v3 carries the QE report directly, v4 inside QE report certification data
+  let qe = signature;
+  if (version === 4) {
+    const { type, data } = certificationData(signature);
+    if (type !== QE_REPORT_CERTIFICATION) {
+      throw new Error(`Unsupported certification data type ${type}; expected QE report certification data`);
+    }
+    qe = new ByteReader(data, "QE report certification data");
+  }
+  const qeReport = qe.take(ENCLAVE_REPORT_SIZE);
+  const qeReportSignature = qe.take(64);
+  const qeAuthData = qe.take(qe.u16());
+  const { type, data } = certificationData(qe);
+  if (type !== PCK_CERT_CHAIN) {
+    throw new Error(`Unsupported certification data type ${type}; only quotes carrying the PCK certificate chain are supported`);
+  }
+
+  return {
+    format: `DCAP v${version}`,
+    version,
+    teeType,
+    qeVendorId: hex(header.subarray(12, 28)),
+    ...(tdx ? parseTdReport(body) : parseEnclaveReport(body)),
+    signed: buffer.subarray(0, QUOTE_HEADER_SIZE + body.length),
+    teeTcbSvn: tdx ? body.subarray(0, 16) : null,
+    quoteSignature,
+    attestationKey,
+    qeReport,
+    qeReportSignature,
+    qeAuthData,
+    pckChain: data.toString("utf8")
+  };
+}
+
+// Parse the EPID quote body (base64 isvEnclaveQuoteBody) of an IAS report
+function parseEpidQuoteBody(base64) {
+  const bytes = Buffer.from(base64 || "", "base64");
+  if (bytes.length < EPID_QUOTE_BODY_SIZE) {
+    throw new Error(`isvEnclaveQuoteBody has ${bytes.length} bytes; expected ${EPID_QUOTE_BODY_SIZE}`);
+  }
+  const version = bytes.readUInt16LE(0);
+  return {
+    format: `EPID v${version}`,
+    version,
+    teeType: "Intel SGX",
+    ...parseEnclaveReport(bytes.subarray(QUOTE_HEADER_SIZE, EPID_QUOTE_BODY_SIZE))
+  };
+}
+
+// TCB info as served by the PCS, the raw body {"tcbInfo":{...},"signature":"<hex>"}. The
+// signature covers the tcbInfo object exactly as it appears in the body, so pass the text
+// unchanged; a parsed object is serialized back compactly, which matches PCS output.
+function parseTcbInfo(body) {
+  const text = typeof body === "string" ? body : JSON.stringify(body);
+  const match = /^\s*\{\s*"tcbInfo"\s*:\s*(\{[\s\S]*\})\s*,\s*"signature"\s*:\s*"([0-9a-fA-F]+)"\s*\}\s*$/.exec(text);
+  if (!match) {
+    throw new Error("TCB info must be the PCS response body {\"tcbInfo\":{...},\"signature\":\"...\"}");
+  }
+  return { tcbInfo: JSON.parse(match[1]), signed: Buffer.from(match[1]), signature: Buffer.from(match[2], "hex") };
+}
+
+function levelSvns(tcb) {
+  if (tcb.sgxtcbcomponents) return tcb.sgxtcbcomponents.map(component => component.svn);
+  // TCB info v2 names every component
+  return Array.from({ length: 16 }, (_, index) => tcb[`sgxtcbcomp${String(index + 1).padStart(2, "0")}svn`]);
+}
+
+// The first (highest) TCB level every platform SVN reaches, or null
+function matchTcbLevel(tcbInfo, platform, teeTcbSvn) {
+  return (tcbInfo.tcbLevels || []).find(({ tcb }) =>
+    levelSvns(tcb).every((svn, index) => platform.components[index] >= svn) &&
+    platform.pceSvn >= tcb.pcesvn &&
+    (!teeTcbSvn || !tcb.tdxtcbcomponents || tcb.tdxtcbcomponents.every((component, index) => teeTcbSvn[index] >= component.svn))
+  ) || null;
+}
+
+function parseCertificates(pem) {
+  const blocks = String(pem || "").match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+  return blocks.map(block => new crypto.X509Certificate(block));
+}
+
+function commonName(certificate) {
+  const match = /(?:^|\n)CN=([^\n]+)/.exec(certificate.subject);
+  return match ? match[1] : certificate.subject;
+}
+
+// Check that each certificate (leaf first) is in its validity period and signed by the
+// next one, and that the last one is a trusted root or signed by one. Returns the root.
+function verifyChain(certificates, roots, now) {
+  if (certificates.length === 0) {
+    throw new Error("No certificates");
+  }
+  for (const [index, certificate] of certificates.entries()) {
+    if (now < Date.parse(certificate.validFrom) || now > Date.parse(certificate.validTo)) {
+      throw new Error(`Certificate "${commonName(certificate)}" is not valid at ${new Date(now).toISOString()}`);
+    }
+    const issuer = certificates[index + 1];
+    if (!issuer) break;
+    if (!issuer.ca) {
+      throw new Error(`Certificate "${commonName(issuer)}" is not a CA`);
+    }
+    if (!certificate.checkIssued(issuer) || !certificate.verify(issuer.publicKey)) {
+      throw new Error(`Certificate "${commonName(certificate)}" is not signed by "${commonName(issuer)}"`);
+    }
+  }
+  const last = certificates[certificates.length - 1];
+  const root = roots.find(candidate => candidate.fingerprint256 === last.fingerprint256) ||
+    roots.find(candidate => last.checkIssued(candidate) && last.verify(candidate.publicKey));
+  if (!root) {
+    throw new Error(`Certificate chain ends at "${commonName(last)}", which is not a trusted root`);
+  }
+  return root;
+}
+
+// ECDSA P-256 public key from its raw x || y form
+function rawP256Key(bytes) {
+  const coordinate = start => bytes.subarray(start, start + 32).toString("base64url");
+  return crypto.createPublicKey({ key: { kty: "EC", crv: "P-256", x: coordinate(0), y: coordinate(32) }, format: "jwk" });
+}
+
+// Signatures in quotes and TCB info are raw r || s
+function verifyP256(data, signature, key) {
+  return crypto.verify("sha256", data, { key, dsaEncoding: "ieee-p1363" }, signature);
+}
+
+// Run one named check; it passes unless the task throws. Returns whether it passed.
+function runCheck(checks, check, task) {
+  try {
+    checks.push({ check, passed: true, message: task() || "OK" });
+    return true;
+  } catch (error) {
+    checks.push({ check, passed: false, message: error.message });
+    return false;
+  }
+}
+
+function skipCheck(checks, check, message) {
+  checks.push({ check, passed: null, message });
+}
+
+// Expected report data as lowercase hex without 0x, or null when none is given. An empty
+// prefix would match every quote, so it is refused rather than skipped.
+function expectedReportData(reportData) {
+  if (reportData === null || reportData === undefined) return null;
+  const expected = String(reportData).replace(/^0x/, "").toLowerCase();
+  if (!/^([0-9a-f]{2}){1,64}$/.test(expected)) {
+    throw new ToolError("INVALID_ARGUMENT", `Invalid expected report data "${reportData}": expected 1 to 64 bytes of hex`);
+  }
+  return expected;
+}
+
+function reportDataCheck(checks, quote, expected) {
+  if (!expected) {
+    skipCheck(checks, "reportData", "No expected report data given");
+    return;
+  }
+  runCheck(checks, "reportData", () => {
+    if (!quote.reportData.slice(2).startsWith(expected)) {
+      throw new Error(`Report data ${quote.reportData} does not start with 0x${expected}`);
+    }
+    return "Report data matches";
+  });
+}
+
+function debugCheck(checks, quote) {
+  runCheck(checks, "production", () => {
+    if (quote.debug) throw new Error(`${quote.teeType === "Intel TDX" ? "TD" : "Enclave"} runs in debug mode; its memory is not confidential`);
+  });
+}
+
+function tcbStatusMessage(tcb) {
+  const advisories = tcb.advisoryIds.length ? ` (advisories: ${tcb.advisoryIds.join(", ")})` : "";
+  return `TCB status ${tcb.status}${advisories}`;
+}
+
+// dstack event digest: sha384(event_type || ":" || event || ":" || payload)
+function eventDigest(entry) {
+  const type = Buffer.alloc(4);
+  type.writeUInt32LE(entry.event_type);
+  return crypto.createHash("sha384")
+    .update(Buffer.concat([type, Buffer.from(":"), Buffer.from(entry.event || ""), Buffer.from(":"), Buffer.from(entry.event_payload || "", "hex")]))
+    .digest();
+}
+
+// Replay the RTMR3 events of a dstack event log ([{ imr, event_type, digest, event,
+// event_payload }], or its JSON) and compare with the TD quote. Returns the compose hash
+// the log measured, or null.
+function replayEventLog(quote, eventLog) {
+  if (quote.teeType !== "Intel TDX") {
+    throw new Error("Event logs can only be checked against TDX quotes");
+  }
+  const events = typeof eventLog === "string" ? JSON.parse(eventLog) : eventLog;
+  let rtmr = Buffer.alloc(48);
+  let composeHash = null;
+  for (const entry of events.filter(event => event.imr === 3)) {
+    const digest = Buffer.from(entry.digest || "", "hex");
+    if (digest.length !== 48) {
+      throw new Error(`Event "${entry.event}" has no SHA-384 digest`);
+    }
+    if (entry.event_type === DSTACK_EVENT_TYPE) {
+      if (!eventDigest(entry).equals(digest)) {
+        throw new Error(`Digest of event "${entry.event}" does not match its payload`);
+      }
+      if (entry.event === "compose-hash") {
+        if (composeHash) throw new Error("Event log measures more than one compose hash");
+        composeHash = "0x" + entry.event_payload.toLowerCase();
+      }
+    }
+    rtmr = crypto.createHash("sha384").update(Buffer.concat([rtmr, digest])).digest();
+  }
+  if (hex(rtmr) !== quote.measurements.rtmrs[3]) {
+    throw new Error("Event log does not replay to the quote's RTMR3");
+  }
+  return composeHash;
+}
+
+// Public fields of a parsed quote
+function describeQuote(quote) {
+  return {
+    format: quote.format,
+    version: quote.version,
+    teeType: quote.teeType,
+    debug: quote.debug,
+    reportData: quote.reportData,
+    measurements: quote.measurements
+  };
+}
+
+// failed when a check failed; tcbUnevaluated when every check that ran passed but the
+// platform TCB could not be judged (a DCAP quote without collateral)
+function outcome(evidence, quote, tcb, checks, warnings, { reportTimestamp = null, composeHash = null } = {}) {
+  const reasons = checks.filter(check => check.passed === false).map(check => `${check.check}: ${check.message}`);
+  let status = "verified";
+  if (reasons.length > 0) {
+    status = "failed";
+  } else if (!tcb.evaluated) {
+    status = "tcbUnevaluated";
+  }
+  return {
+    status,
+    evidence,
+    teeType: quote ? quote.teeType : null,
+    quote: quote ? describeQuote(quote) : null,
+    tcb,
+    reportTimestamp,
+    composeHash,
+    checks,
+    reasons,
+    warnings
+  };
+}
+
+// Attestation Verifier Module - local verification of Intel TEE attestation evidence.
+//
+// DCAP quotes (v3 SGX, v4 SGX and TDX) are checked the way the Intel quote verification
+// library does: the PCK certificate chain in the quote up to the Intel SGX Root CA, the QE
+// report signed by the PCK key, the QE report data committing to the attestation key, and
+// the quote signed by that key. With TCB info collateral from the PCS (and its issuer
+// chain) the platform TCB from the PCK certificate is matched against the TCB levels.
+// IAS reports (EPID) are checked against the Attestation Report Signing CA. A dstack
+// event log given with a TD quote is replayed against RTMR3, which yields the measured
+// compose hash.
+// Revocation lists, QE identity and TDX module identities are not evaluated.
+//
+// Every step is reported as a check; evidence is "verified" only when none fails and the
+// TCB status was evaluated, "tcbUnevaluated" when nothing failed but it was not. Trust
+// anchors default to the bundled Intel roots (intel-roots.js).
+class AttestationVerifier {
+  constructor(config = {}) {
+    this.roots = {
+      dcap: parseCertificates(config.dcapRootsFile ? fs.readFileSync(config.dcapRootsFile, "utf8") : SGX_ROOT_CA),
+      ias: parseCertificates(config.iasRootsFile ? fs.readFileSync(config.iasRootsFile, "utf8") : IAS_REPORT_SIGNING_CA)
+    };
+    for (const [kind, roots] of Object.entries(this.roots)) {
+      if (roots.length === 0) throw new Error(`No ${kind} attestation root certificates found`);
+    }
+  }
+
+  // quote: Buffer, hex or base64. collateral: { tcbInfo, tcbInfoIssuerChain }.
+  // reportData: hex the quote's report data must start with. eventLog: dstack event log
+  // of a TD, replayed against RTMR3 to read the compose hash.
+  verifyQuote(input, { collateral = null, reportData = null, eventLog = null, now = Date.now() } = {}) {
+    const expected = expectedReportData(reportData);
+    const checks = [];
+    const warnings = [];
+    const tcb = { evaluated: false, status: null, date: null, advisoryIds: [], fmspc: null };
+    let quote;
+    if (!runCheck(checks, "quoteFormat", () => {
+      quote = parseQuote(toBuffer(input));
+      return `${quote.format} ${quote.teeType} quote`;
+    })) {
+      return outcome("dcap", null, tcb, checks, warnings);
+    }
+
+    let pck = null;
+    runCheck(checks, "pckCertificateChain", () => {
+      const certificates = parseCertificates(quote.pckChain);
+      const root = verifyChain(certificates, this.roots.dcap, now);
+      pck = certificates[0];
+      return `"${commonName(pck)}" chains to "${commonName(root)}"`;
+    });
+    runCheck(checks, "qeReportSignature", () => {
+      if (!pck) throw new Error("No trusted PCK certificate to check the QE report with");
+      if (!verifyP256(quote.qeReport, quote.qeReportSignature, pck.publicKey)) {
+        throw new Error("QE report signature does not verify with the PCK certificate");
+      }
+    });
+    runCheck(checks, "attestationKey", () => {
+      const expected = crypto.createHash("sha256").update(Buffer.concat([quote.attestationKey, quote.qeAuthData])).digest();
+      if (!expected.equals(quote.qeReport.subarray(320, 352))) {
+        throw new Error("QE report data does not commit to the attestation key");
+      }
+    });
+    runCheck(checks, "quoteSignature", () => {
+      if (!verifyP256(quote.signed, quote.quoteSignature, rawP256Key(quote.attestationKey))) {
+        throw new Error("Quote signature does not verify with the attestation key");
+      }
+    });
+    debugCheck(checks, quote);
+
+    if (!collateral || !collateral.tcbInfo) {
+      skipCheck(checks, "tcbStatus", "No TCB info collateral given");
+      warnings.push("TCB status not evaluated: pass collateral.tcbInfo and collateral.tcbInfoIssuerChain from the PCS");
+    } else {
+      runCheck(checks, "tcbStatus", () => this.evaluateTcb(quote, pck, collateral, tcb, warnings, now));
+    }
+    reportDataCheck(checks, quote, expected);
+
+    let composeHash = null;
+    if (eventLog) {
+      runCheck(checks, "eventLog", () => {
+        composeHash = replayEventLog(quote, eventLog);
+        return composeHash ? `RTMR3 replayed; compose hash ${composeHash}` : "RTMR3 replayed";
+      });
+    }
+    return outcome("dcap", quote, tcb, checks, warnings, { composeHash });
+  }
+
+  // Match the platform TCB against signed TCB info; fills in tcb
+  evaluateTcb(quote, pck, collateral, tcb, warnings, now) {
+    if (!pck) throw new Error("No trusted PCK certificate to read the platform TCB from");
+    const { tcbInfo, signed, signature } = parseTcbInfo(collateral.tcbInfo);
+    const signers = parseCertificates(collateral.tcbInfoIssuerChain);
+    verifyChain(signers, this.roots.dcap, now);
+    if (!verifyP256(signed, signature, signers[0].publicKey)) {
+      throw new Error("TCB info signature does not verify with its issuer certificate");
+    }
+    const platform = pckExtensions(pck);
+    tcb.fmspc = platform.fmspc;
+    if (String(tcbInfo.fmspc).toLowerCase() !== platform.fmspc) {
+      throw new Error(`TCB info is for FMSPC ${tcbInfo.fmspc}, the platform has ${platform.fmspc}`);
+    }
+    if (String(tcbInfo.pceId).toLowerCase() !== platform.pceId) {
+      throw new Error(`TCB info is for PCE ID ${tcbInfo.pceId}, the platform has ${platform.pceId}`);
+    }
+    const expectedId = quote.teeType === "Intel TDX" ? "TDX" : "SGX";
+    if ((tcbInfo.id || "SGX") !== expectedId) {
+      throw new Error(`TCB info is for ${tcbInfo.id}, the quote is ${quote.teeType}`);
+    }
+    if (tcbInfo.nextUpdate && Date.parse(tcbInfo.nextUpdate) < now) {
+      warnings.push(`TCB info is stale: its next update was due ${tcbInfo.nextUpdate}`);
+    }
+
+    const level = matchTcbLevel(tcbInfo, platform, quote.teeTcbSvn);
+    if (!level) {
+      throw new Error("Platform TCB is below every level of the TCB info");
+    }
+    Object.assign(tcb, { evaluated: true, status: level.tcbStatus, date: level.tcbDate || null, advisoryIds: level.advisoryIDs || [] });
+    if (tcb.status === "Revoked" || !TCB_STATUSES.includes(tcb.status)) {
+      throw new Error(tcbStatusMessage(tcb));
+    }
+    if (tcb.status !== "UpToDate") {
+      warnings.push(tcbStatusMessage(tcb));
+    }
+    return tcbStatusMessage(tcb);
+  }
+
+  // report: { body, signature, certificates } as returned by IAS: the raw JSON body, the
+  // X-IASReport-Signature header (base64) and the URL-decoded
+  // X-IASReport-Signing-Certificate header (PEM)
+  verifyIasReport(report, { reportData = null, now = Date.now() } = {}) {
+    const expected = expectedReportData(reportData);
+    const checks = [];
+    const warnings = [];
+    const tcb = { evaluated: false, status: null, date: null, advisoryIds: [], fmspc: null };
+
+    let signer = null;
+    runCheck(checks, "reportSigningChain", () => {
+      const certificates = parseCertificates(report.certificates);
+      const root = verifyChain(certificates, this.roots.ias, now);
+      signer = certificates[0];
+      return `"${commonName(signer)}" chains to "${commonName(root)}"`;
+    });
+    runCheck(checks, "reportSignature", () => {
+      if (!signer) throw new Error("No trusted report signing certificate");
+      if (!crypto.verify("sha256", Buffer.from(report.body || ""), signer.publicKey, Buffer.from(report.signature || "", "base64"))) {
+        throw new Error("Report signature does not verify with the signing certificate");
+      }
+    });
+
+    let body;
+    let quote;
+    if (!runCheck(checks, "quoteFormat", () => {
+      body = JSON.parse(report.body);
+      quote = parseEpidQuoteBody(body.isvEnclaveQuoteBody);
+      return `IAS report v${body.version}, ${quote.format} quote`;
+    })) {
+      return outcome("ias", null, tcb, checks, warnings);
+    }
+    debugCheck(checks, quote);
+
+    runCheck(checks, "tcbStatus", () => {
+      const status = IAS_QUOTE_STATUSES[body.isvEnclaveQuoteStatus];
+      if (!status) throw new Error(`Quote status ${body.isvEnclaveQuoteStatus}`);
+      Object.assign(tcb, { evaluated: true, status, advisoryIds: body.advisoryIDs || [] });
+      if (status === "Revoked") throw new Error(`Quote status ${body.isvEnclaveQuoteStatus}`);
+      if (status !== "UpToDate") warnings.push(tcbStatusMessage(tcb));
+      return tcbStatusMessage(tcb);
+    });
+    reportDataCheck(checks, quote, expected);
+
+    // IAS timestamps are UTC without a zone designator
+    const timestamp = body.timestamp ? new Date(/Z$/.test(body.timestamp) ? body.timestamp : `${body.timestamp}Z`) : null;
+    return outcome("ias", quote, tcb, checks, warnings, { reportTimestamp: timestamp && !isNaN(timestamp) ? timestamp.toISOString() : null });
+  }
+}
+
+module.exports = AttestationVerifier;
+module.exports.TCB_STATUSES = TCB_STATUSES;
+module.exports.parseQuote = parseQuote;
+module.exports.parseTcbInfo = parseTcbInfo;
@@ -0,0 +1,191 @@
+// Chain Stats Module - chain statistics refreshed in the background and served from cache.
+//
+// A refresh reads the node, the best and finalized heads, the runtime version, total
+// issuance and the average block time over the last blockTimeWindow blocks: a handful of
+// RPC calls. Counting accounts means walking every System.Account key, so that runs as a
+// separate paged scan (state_getKeysPaged, pageSize keys per request) on a slower
+// interval. Readers get the last results with their age and never wait for a scan.
+
+function ageSeconds(timestamp, now = Date.now()) {
+  return timestamp ? Math.round((now - timestamp) / 1000) : null;
+}
+
+class ChainStats {
+  constructor(config = {}) {
+    // getApi: async () => ApiPromise
+    this.getApi = config.getApi;
+    this.refreshIntervalMs = config.refreshIntervalMs || 60000;
+    // 0 turns the account scan off
+    this.accountScanIntervalMs = config.accountScanIntervalMs === undefined ? 3600000 : config.accountScanIntervalMs;
+    this.pageSize = config.pageSize || 1000;
+    this.blockTimeWindow = config.blockTimeWindow || 100;
+    this.issuanceSamples = config.issuanceSamples || 60;
+
+    this.snapshot = null;
+    this.refreshError = null;
+    // { blockNumber, timestamp, totalIssuance } per refresh, oldest first
+    this.issuance = [];
+    this.accounts = { count: null, scannedAt: null, durationMs: null, scanning: false, scanned: 0, error: null };
+    this.refreshing = null;
+    this.scanning = null;
+    this.timers = [];
+  }
+
+  get started() {
+    return this.timers.length > 0;
+  }
+
+  // Start the refresh and scan timers; resolves once the first refresh is done
+  start() {
+    if (!this.started) {
+      const every = (ms, task) => {
+        const timer = setInterval(() => task().catch(() => {}), ms);
+        timer.unref();
+        this.timers.push(timer);
+      };
+      every(this.refreshIntervalMs, () => this.refresh());
+      if (this.accountScanIntervalMs > 0) {
+        every(this.accountScanIntervalMs, () => this.scanAccounts());
+        this.scanAccounts().catch(() => {});
+      }
+    }
+    return this.refresh();
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.collect()
+        .then((snapshot) => {
+          this.snapshot = snapshot;
+          this.refreshError = null;
+          this.sampleIssuance(snapshot);
+          return snapshot;
+        })
+        .catch((error) => {
+          this.refreshError = error.message;
+          console.error("Chain stats refresh failed:", error.message);
+          throw error;
+        })
+        .finally(() => { this.refreshing = null; });
+    }
+    return this.refreshing;
+  }
+
+  async collect() {
+    const api = await this.getApi();
+    const [chain, nodeName, nodeVersion, header, finalizedHash, health, runtime, totalIssuance] = await Promise.all([
+      api.rpc.system.chain(),
+      api.rpc.system.name(),
+      api.rpc.system.version(),
+      api.rpc.chain.getHeader(),
+      api.rpc.chain.getFinalizedHead(),
+      api.rpc.system.health(),
+      api.rpc.state.getRuntimeVersion(),
+      api.query.balances.totalIssuance()
+    ]);
+    const blockNumber = header.number.toNumber();
+    const finalized = await api.rpc.chain.getHeader(finalizedHash);
+
+    return {
+      chain: chain.toString(),
+      nodeName: nodeName.toString(),
+      nodeVersion: nodeVersion.toString(),
+      health: { isSyncing: health.isSyncing.toString(), peers: health.peers.toNumber() },
+      blockNumber,
+      blockHash: header.hash.toHex(),
+      finalizedNumber: finalized.number.toNumber(),
+      finalizedHash: finalizedHash.toHex(),
+      blockTime: await this.blockTime(api, header),
+      runtime: {
+        specName: runtime.specName.toString(),
+        specVersion: runtime.specVersion.toNumber(),
+        transactionVersion: runtime.transactionVersion.toNumber()
+      },
+      totalIssuance: totalIssuance.toString(),
+      updatedAt: Date.now()
+    };
+  }
+
+  // Average milliseconds per block between the head and blockTimeWindow blocks earlier,
+  // from Timestamp.Now at both ends
+  async blockTime(api, header) {
+    const blocks = Math.min(this.blockTimeWindow, header.number.toNumber());
+    if (blocks === 0) return { averageMs: null, blocks: 0 };
+    const fromHash = await api.rpc.chain.getBlockHash(header.number.toNumber() - blocks);
+    const [from, to] = await Promise.all([
+      api.query.timestamp.now.at(fromHash),
+      api.query.timestamp.now.at(header.hash)
+    ]);
+    return { averageMs: Math.round((to.toNumber() - from.toNumber()) / blocks), blocks };
+  }
+
+  sampleIssuance(snapshot) {
+    const last = this.issuance[this.issuance.length - 1];
+    if (last && last.blockNumber === snapshot.blockNumber) return;
+    this.issuance.push({ blockNumber: snapshot.blockNumber, timestamp: snapshot.updatedAt, totalIssuance: snapshot.totalIssuance });
+    if (this.issuance.length > this.issuanceSamples) {
+      this.issuance.shift();
+    }
+  }
+
+  // Count System.Account entries page by page. The chain moves on during a long scan,
+  // so the count is approximate to the accounts created or reaped meanwhile.
+  scanAccounts() {
+    if (!this.scanning) {
+      this.scanning = this.scan().finally(() => { this.scanning = null; });
+    }
+    return this.scanning;
+  }
+
+  async scan() {
+    const started = Date.now();
+    Object.assign(this.accounts, { scanning: true, scanned: 0, error: null });
+    try {
+      const api = await this.getApi();
+      let startKey;
+      for (;;) {
+        const keys = await api.query.system.account.keysPaged({ args: [], pageSize: this.pageSize, startKey });
+        this.accounts.scanned += keys.length;
+        if (keys.length < this.pageSize) break;
+        startKey = keys[keys.length - 1].toHex();
+      }
+      Object.assign(this.accounts, { count: this.accounts.scanned, scannedAt: Date.now(), durationMs: Date.now() - started });
+    } catch (error) {
+      this.accounts.error = error.message;
+      console.error("Account scan failed:", error.message);
+    } finally {
+      this.accounts.scanning = false;
+    }
+    return this.accounts.count;
+  }
+
+  // Cached statistics with their age; refreshes first only when nothing is cached yet
+  async get() {
+    if (!this.snapshot) {
+      await this.start();
+    }
+    const now = Date.now();
+    return {
+      ...this.snapshot,
+      ageSeconds: ageSeconds(this.snapshot.updatedAt, now),
+      refreshError: this.refreshError,
+      issuance: this.issuance.slice(),
+      accounts: {
+        count: this.accounts.count,
+        scannedAt: this.accounts.scannedAt,
+        ageSeconds: ageSeconds(this.accounts.scannedAt, now),
+        durationMs: this.accounts.durationMs,
+        scanning: this.accounts.scanning,
+        scanned: this.accounts.scanned,
+        error: this.accounts.error
+      }
+    };
+  }
+}
+
+module.exports = ChainStats;
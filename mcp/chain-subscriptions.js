@@ -0,0 +1,205 @@
+const { amountFields } = require("./amount");
+
+// Chain Subscriptions Module - live chain state behind MCP resource subscriptions.
+//
+// Each resource URI is a feed backed by one node subscription, shared by every client
+// subscribed to it. The node subscription starts with the first subscriber and stops
+// with the last. WsProvider re-subscribes on its own after a reconnect.
+const NEW_HEADS_URI = "phala://chain/heads/new";
+const FINALIZED_HEADS_URI = "phala://chain/heads/finalized";
+const WORKERS_URI = "phala://registry/workers";
+const BALANCE_URI = /^phala:\/\/accounts\/([^/]+)\/balance$/;
+
+// Registry events kept in the workers resource
+const MAX_WORKER_CHANGES = 50;
+
+function balanceUri(address) {
+  return `phala://accounts/${encodeURIComponent(address)}/balance`;
+}
+
+function describeHeader(header) {
+  return {
+    number: header.number.toNumber(),
+    hash: header.hash.toHex(),
+    parentHash: header.parentHash.toHex(),
+    stateRoot: header.stateRoot.toHex(),
+    extrinsicsRoot: header.extrinsicsRoot.toHex()
+  };
+}
+
+class ChainSubscriptions {
+  constructor(config = {}) {
+    // getApi: async () => ApiPromise, notify: (uri, sessionIds) => void,
+    // resolveAddress: (input) => ss58
+    this.getApi = config.getApi;
+    this.notify = config.notify;
+    this.resolveAddress = config.resolveAddress || ((address) => address);
+    this.feeds = new Map();
+  }
+
+  // Which feed a URI refers to
+  parse(uri) {
+    if (uri === NEW_HEADS_URI) return { kind: "newHeads" };
+    if (uri === FINALIZED_HEADS_URI) return { kind: "finalizedHeads" };
+    if (uri === WORKERS_URI) return { kind: "workers" };
+    const match = uri.match(BALANCE_URI);
+    if (match) {
+      return { kind: "balance", address: this.resolveAddress(decodeURIComponent(match[1])) };
+    }
+    throw new Error(`Unknown resource ${uri}`);
+  }
+
+  async subscribe(uri, sessionId = "default") {
+    const spec = this.parse(uri);
+    const api = await this.getApi();
+    if (!api.hasSubscriptions) {
+      throw new Error("Resource subscriptions need a WebSocket connection (PHALA_RPC_MODE=ws)");
+    }
+
+    let feed = this.feeds.get(uri);
+    if (!feed) {
+      feed = { uri, spec, subscribers: new Set(), value: null, updatedAt: null, unsubscribe: null };
+      this.feeds.set(uri, feed);
+      try {
+        feed.unsubscribe = await this.start(api, feed);
+      } catch (error) {
+        this.feeds.delete(uri);
+        throw error;
+      }
+    }
+    feed.subscribers.add(sessionId);
+    return { uri, subscribers: feed.subscribers.size };
+  }
+
+  unsubscribe(uri, sessionId = "default") {
+    const feed = this.feeds.get(uri);
+    if (!feed) return;
+    feed.subscribers.delete(sessionId);
+    if (feed.subscribers.size === 0) {
+      this.stop(feed);
+    }
+  }
+
+  // Forget every subscription held by a closed session
+  dropSession(sessionId) {
+    for (const feed of Array.from(this.feeds.values())) {
+      this.unsubscribe(feed.uri, sessionId);
+    }
+  }
+
+  stop(feed) {
+    if (feed.unsubscribe) {
+      feed.unsubscribe();
+    }
+    this.feeds.delete(feed.uri);
+  }
+
+  update(feed, value) {
+    feed.value = value;
+    feed.updatedAt = new Date().toISOString();
+    if (feed.subscribers.size > 0) {
+      this.notify(feed.uri, Array.from(feed.subscribers));
+    }
+  }
+
+  // Open the node subscription for a feed; resolves with its unsubscribe function
+  async start(api, feed) {
+    const { spec } = feed;
+
+    switch (spec.kind) {
+      case "newHeads":
+        return api.rpc.chain.subscribeNewHeads(header => this.update(feed, describeHeader(header)));
+
+      case "finalizedHeads":
+        return api.rpc.chain.subscribeFinalizedHeads(header => this.update(feed, describeHeader(header)));
+
+      case "balance":
+        return api.query.system.account(spec.address, (account) => {
+          this.update(feed, this.describeAccount(api, spec.address, account));
+        });
+
+      case "workers": {
+        if (!api.query.phalaRegistry || !api.query.phalaRegistry.workers) {
+          throw new Error("Registry module not available");
+        }
+        const keys = await api.query.phalaRegistry.workers.keys();
+        feed.value = { workerCount: keys.length, changes: [] };
+        feed.updatedAt = new Date().toISOString();
+
+        return api.query.system.events((records) => {
+          const changes = records
+            .filter(({ event }) => event.section === "phalaRegistry")
+            .map(({ event }) => ({ event: event.method, data: event.data.toHuman(), at: new Date().toISOString() }));
+          if (changes.length === 0) return;
+
+          const added = changes.filter(change => change.event === "WorkerAdded").length;
+          this.update(feed, {
+            workerCount: feed.value.workerCount + added,
+            changes: [...changes, ...feed.value.changes].slice(0, MAX_WORKER_CHANGES)
+          });
+        });
+      }
+
+      default:
+        throw new Error(`Unsupported feed ${spec.kind}`);
+    }
+  }
+
+  describeAccount(api, address, account) {
+    const decimals = api.registry.chainDecimals[0];
+    const symbol = api.registry.chainTokens[0];
+    const { data } = account;
+    const frozen = data.frozen || data.miscFrozen;
+    return {
+      address,
+      nonce: account.nonce.toNumber(),
+      free: amountFields(data.free.toString(), decimals, symbol),
+      reserved: amountFields(data.reserved.toString(), decimals, symbol),
+      frozen: amountFields(frozen ? frozen.toString() : "0", decimals, symbol)
+    };
+  }
+
+  // Current value of a resource: the live value when subscribed, otherwise a one-off read
+  async read(uri) {
+    const feed = this.feeds.get(uri);
+    if (feed && feed.value) {
+      return { uri, live: true, updatedAt: feed.updatedAt, ...feed.value };
+    }
+
+    const spec = this.parse(uri);
+    const api = await this.getApi();
+    let value;
+    switch (spec.kind) {
+      case "newHeads":
+        value = describeHeader(await api.rpc.chain.getHeader());
+        break;
+      case "finalizedHeads":
+        value = describeHeader(await api.rpc.chain.getHeader(await api.rpc.chain.getFinalizedHead()));
+        break;
+      case "balance":
+        value = this.describeAccount(api, spec.address, await api.query.system.account(spec.address));
+        break;
+      case "workers": {
+        const keys = api.query.phalaRegistry ? await api.query.phalaRegistry.workers.keys() : [];
+        value = { workerCount: keys.length, changes: [], note: "Subscribe to receive registry changes" };
+        break;
+      }
+    }
+    return { uri, live: false, updatedAt: new Date().toISOString(), ...value };
+  }
+
+  // Active feeds for status reporting
+  status() {
+    return Array.from(this.feeds.values()).map(feed => ({
+      uri: feed.uri,
+      subscribers: feed.subscribers.size,
+      updatedAt: feed.updatedAt
+    }));
+  }
+}
+
+module.exports = ChainSubscriptions;
+module.exports.NEW_HEADS_URI = NEW_HEADS_URI;
+module.exports.FINALIZED_HEADS_URI = FINALIZED_HEADS_URI;
+module.exports.WORKERS_URI = WORKERS_URI;
+module.exports.balanceUri = balanceUri;
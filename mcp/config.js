@@ -0,0 +1,154 @@
+const path = require("path");
+require("dotenv").config();
+
+// Config Module - PHALA_CONFIG, read from the environment once at startup.
+
+// Endpoint list from a comma-separated *_URLS variable, else the single *_URL one
+function endpointList(listVar, singleVar, fallback) {
+  const value = process.env[listVar] || process.env[singleVar] || fallback;
+  return value.split(",").map(url => url.trim()).filter(Boolean);
+}
+
+function nameList(value) {
+  return value.split(",").map(name => name.trim()).filter(Boolean);
+}
+
+// Phala Network Configuration
+const PHALA_CONFIG = {
+  name: "Phala Network",
+  chainId: "phala",
+  // Requests go to the healthiest endpoint; rpcUrl is the first one
+  rpcUrls: endpointList("PHALA_RPC_URLS", "PHALA_RPC_URL", "https://api.phala.network/rpc"),
+  get rpcUrl() { return this.rpcUrls[0]; },
+  // "http" (default) or "ws"; only WebSocket mode supports resource subscriptions.
+  // Replaying upstream fixtures always uses HTTP: subscriptions are not recorded.
+  rpcMode: process.env.UPSTREAM_FIXTURES === "replay" ? "http" : process.env.PHALA_RPC_MODE || "http",
+  ws: {
+    // Comma-separated; the provider moves to the next endpoint on every reconnect
+    endpoints: (process.env.PHALA_WS_URLS || "wss://api.phala.network/ws").split(",").map(url => url.trim()).filter(Boolean),
+    reconnectMs: parseInt(process.env.PHALA_WS_RECONNECT_MS || "2500", 10),
+    connectTimeoutMs: parseInt(process.env.PHALA_WS_CONNECT_TIMEOUT_MS || "30000", 10)
+  },
+  phatRpcUrls: endpointList("PHALA_PHAT_RPC_URLS", "PHALA_PHAT_RPC_URL", "https://api.phala.network/phat"),
+  get phatRpcUrl() { return this.phatRpcUrls[0]; },
+  // Health probes shared by the Phala, Phat and Ethereum endpoint pools
+  rpcPool: {
+    probeIntervalMs: parseInt(process.env.RPC_PROBE_INTERVAL_MS || "30000", 10),
+    probeTimeoutMs: parseInt(process.env.RPC_PROBE_TIMEOUT_MS || "5000", 10),
+    // Endpoints further than this behind the highest reported block are avoided
+    maxLagBlocks: parseInt(process.env.RPC_MAX_LAG_BLOCKS || "5", 10)
+  },
+  apiKey: process.env.PHALA_API_KEY || null,
+  confidentialAIUrl: "https://api.phala.network/v1/ai", // Confidential AI API endpoint
+  explorer: "https://phala.subscan.io",
+  nativeToken: {
+    symbol: "PHA",
+    decimals: 12,
+    name: "Phala Token"
+  },
+  // PHA token on Ethereum
+  ethereum: {
+    rpcUrls: endpointList("ETHEREUM_RPC_URLS", "ETHEREUM_RPC_URL", "https://ethereum-rpc.publicnode.com"),
+    get rpcUrl() { return this.rpcUrls[0]; },
+    chainId: 1,
+    phaToken: "0x6c5bA91642F10282b576d91922Ae6448C9d52f4E",
+    decimals: 18,
+    explorer: "https://etherscan.io",
+    // How long sendPHAEthereum waits for a receipt before returning the transaction as pending
+    confirmationTimeoutMs: parseInt(process.env.ETHEREUM_CONFIRMATION_TIMEOUT_MS || "60000", 10)
+  },
+  contracts: {
+    // These will be populated with actual deployed contracts
+    phatFactory: process.env.PHAT_FACTORY_ADDRESS || null,
+    aiAgentFactory: process.env.AI_AGENT_FACTORY_ADDRESS || null,
+    dstackRegistry: process.env.DSTACK_REGISTRY_ADDRESS || null
+  },
+  tee: {
+    supportedTypes: ["Intel SGX", "Intel TDX", "AMD SEV", "NVIDIA H100", "NVIDIA H200", "AWS Nitro"],
+    workerEndpoint: process.env.TEE_WORKER_ENDPOINT || null,
+    attestationService: process.env.ATTESTATION_SERVICE_URL || null
+  },
+  // Trust anchors of verifyAttestation (see attestation.js); PEM files replacing the
+  // bundled Intel SGX Root CA and Attestation Report Signing CA. The policy file (JSON or
+  // YAML, see attestation-policy.js) sets which measurements and TCB levels are trusted.
+  attestation: {
+    dcapRootsFile: process.env.ATTESTATION_DCAP_ROOTS_FILE || null,
+    iasRootsFile: process.env.ATTESTATION_IAS_ROOTS_FILE || null,
+    policy: {
+      file: process.env.ATTESTATION_POLICY_FILE || null
+    }
+  },
+  // DStack configuration for containerized TEE deployments
+  dstack: {
+    apiUrl: process.env.DSTACK_API_URL || null,
+    registryUrl: process.env.DSTACK_REGISTRY_URL || null
+  },
+  vrf: {
+    endpoint: process.env.VRF_ENDPOINT || null
+  },
+  oracle: {
+    endpoint: process.env.ORACLE_ENDPOINT || null
+  },
+  // Human-in-the-loop approval for signed transactions
+  approvals: {
+    mode: process.env.APPROVAL_MODE || "required", // "required" or "disabled"
+    autoApproveBelow: process.env.APPROVAL_AUTO_APPROVE_BELOW_PHA || "0",
+    // Contracts whose calls may be auto-approved too (none by default)
+    autoApproveContracts: nameList(process.env.APPROVAL_AUTO_APPROVE_CONTRACTS || ""),
+    ttlSeconds: parseInt(process.env.APPROVAL_TTL_SECONDS || "900", 10)
+  },
+  // Declarative spending limits; counters persist in stateFile across restarts
+  spendingPolicy: {
+    file: process.env.SPENDING_POLICY_FILE || null,
+    stateFile: process.env.SPENDING_STATE_FILE || path.join(__dirname, "..", "data", "spending-state.json")
+  },
+  // How EVM (H160) addresses map to Phala AccountIds: "hashed" or "truncated"
+  evmAddressMapping: process.env.EVM_ADDRESS_MAPPING || "hashed",
+  // Key type and derivation path applied to WALLET_SEED_PHRASE / WALLET_PRIVATE_KEY.
+  // Without WALLET_KEY_TYPE a seed phrase is sr25519 and a private key is ecdsa.
+  wallet: {
+    keyType: process.env.WALLET_KEY_TYPE || null,
+    derivationPath: process.env.WALLET_DERIVATION_PATH || ""
+  },
+  // Encrypted named accounts; signing tools pick one with their `from` argument
+  keystore: {
+    dir: process.env.KEYSTORE_DIR || path.join(__dirname, "..", "data", "keystore"),
+    password: process.env.KEYSTORE_PASSWORD || null,
+    defaultAccount: process.env.KEYSTORE_DEFAULT_ACCOUNT || null
+  },
+  // Background chain statistics served by getChainInfo (see chain-stats.js)
+  chainStats: {
+    refreshIntervalMs: parseInt(process.env.CHAIN_STATS_REFRESH_MS || "60000", 10),
+    // 0 disables the System.Account scan behind totalAccounts
+    accountScanIntervalMs: parseInt(process.env.CHAIN_STATS_ACCOUNT_SCAN_MS || "3600000", 10),
+    pageSize: parseInt(process.env.CHAIN_STATS_PAGE_SIZE || "1000", 10),
+    blockTimeWindow: parseInt(process.env.CHAIN_STATS_BLOCK_WINDOW || "100", 10),
+    issuanceSamples: parseInt(process.env.CHAIN_STATS_ISSUANCE_SAMPLES || "60", 10)
+  },
+  // Local index of registry workers behind getWorkerList's totals and sorted pages,
+  // queryWorkers and getWorkerStats (see worker-index.js)
+  workerIndex: {
+    file: process.env.WORKER_INDEX_FILE || path.join(__dirname, "..", "data", "worker-index.json"),
+    // Apply registry events of newly finalized blocks this often
+    syncIntervalMs: parseInt(process.env.WORKER_INDEX_SYNC_MS || "30000", 10),
+    // Full registry scan, also run when more than maxSyncBlocks behind
+    refreshIntervalMs: parseInt(process.env.WORKER_INDEX_REFRESH_MS || "21600000", 10),
+    maxSyncBlocks: parseInt(process.env.WORKER_INDEX_MAX_SYNC_BLOCKS || "1200", 10),
+    pageSize: parseInt(process.env.WORKER_INDEX_PAGE_SIZE || "500", 10)
+  },
+  // Record upstream RPC and HTTP traffic to fixture files, or answer from them instead of
+  // the network (see traffic-fixtures.js)
+  upstreamFixtures: {
+    mode: process.env.UPSTREAM_FIXTURES || null, // "record" or "replay"
+    dir: process.env.UPSTREAM_FIXTURES_DIR || path.join(__dirname, "..", "data", "fixtures")
+  },
+  // Tool groups to serve and third-party tool packs to load (see registry.js)
+  tools: {
+    // Comma-separated group names; unset serves every group
+    groups: process.env.TOOL_GROUPS ? nameList(process.env.TOOL_GROUPS) : null,
+    disabledGroups: nameList(process.env.DISABLED_TOOL_GROUPS || ""),
+    packsDir: process.env.TOOL_PACKS_DIR || null
+  }
+};
+
+module.exports = PHALA_CONFIG;
@@ -0,0 +1,224 @@
+// Endpoint Pool Module - a list of interchangeable RPC endpoints with health checks.
+//
+// Each endpoint is probed in the background for latency and block height. Requests go to
+// the healthiest endpoint first: reachable, within `maxLagBlocks` of the highest height
+// seen, then lowest latency. A transport failure marks the endpoint unhealthy until its
+// next successful probe or request, and idempotent requests move on to the next endpoint.
+const TRANSPORT_CODES = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+  "SERVER_ERROR", // ethers: bad HTTP status or no response
+  "TIMEOUT", // ethers
+  "NETWORK_ERROR" // ethers
+];
+
+// Whether an error means the endpoint itself failed (worth retrying elsewhere), as
+// opposed to the node answering with an error for this particular request
+function isTransportError(error) {
+  if (!error) return false;
+  const status = error.status || (error.response && error.response.status);
+  if (status) return status >= 500 || status === 429;
+  if (TRANSPORT_CODES.includes(error.code)) return true;
+  const message = String(error.message || "");
+  // HttpProvider reports bad statuses as "[503]: Service Unavailable"
+  const httpStatus = message.match(/^\[(\d{3})\]/);
+  if (httpStatus) return Number(httpStatus[1]) >= 500 || Number(httpStatus[1]) === 429;
+  return /fetch failed|socket hang up|timed? ?out|network|ECONNREFUSED|ENOTFOUND/i.test(message);
+}
+
+function withTimeout(promise, ms, url) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Probe of ${url} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class EndpointPool {
+  constructor(config = {}) {
+    // probe: async (url, timeoutMs) => ({ height }) where height may be null
+    this.name = config.name;
+    this.probe = config.probe;
+    this.probeIntervalMs = config.probeIntervalMs || 30000;
+    this.probeTimeoutMs = config.probeTimeoutMs || 5000;
+    this.maxLagBlocks = config.maxLagBlocks === undefined ? 5 : config.maxLagBlocks;
+    // onRequest: ({ url, seconds, outcome }) after every request attempt, for metrics
+    this.onRequest = config.onRequest || null;
+
+    const urls = Array.from(new Set((config.urls || []).filter(Boolean)));
+    if (urls.length === 0) {
+      throw new Error(`No endpoints configured for ${this.name}`);
+    }
+    this.endpoints = urls.map(url => ({
+      url,
+      healthy: true,
+      latencyMs: null,
+      height: null,
+      lag: null,
+      failures: 0,
+      requests: 0,
+      lastError: null,
+      lastCheckedAt: null
+    }));
+    this.timer = null;
+    this.probing = null;
+  }
+
+  get urls() {
+    return this.endpoints.map(endpoint => endpoint.url);
+  }
+
+  // Begin background probing; later calls are no-ops
+  start() {
+    if (this.timer || !this.probe) return;
+    this.probeAll().catch(() => {});
+    this.timer = setInterval(() => this.probeAll().catch(() => {}), this.probeIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Probe every endpoint once; concurrent callers share the same round
+  probeAll() {
+    if (!this.probe) return Promise.resolve(this.status());
+    if (!this.probing) {
+      this.probing = Promise.all(this.endpoints.map(endpoint => this.probeOne(endpoint)))
+        .then(() => {
+          this.updateLag();
+          return this.status();
+        })
+        .finally(() => {
+          this.probing = null;
+        });
+    }
+    return this.probing;
+  }
+
+  async probeOne(endpoint) {
+    const started = Date.now();
+    try {
+      const { height = null } = await withTimeout(this.probe(endpoint.url, this.probeTimeoutMs), this.probeTimeoutMs, endpoint.url) || {};
+      endpoint.latencyMs = Date.now() - started;
+      endpoint.height = height;
+      endpoint.healthy = true;
+      endpoint.lastError = null;
+    } catch (error) {
+      endpoint.latencyMs = null;
+      endpoint.healthy = false;
+      endpoint.lastError = error.message;
+    }
+    endpoint.lastCheckedAt = new Date().toISOString();
+  }
+
+  // Lag is measured against the highest height any endpoint reported
+  updateLag() {
+    const heights = this.endpoints.map(endpoint => endpoint.height).filter(height => height !== null);
+    const top = heights.length > 0 ? Math.max(...heights) : null;
+    for (const endpoint of this.endpoints) {
+      endpoint.lag = top !== null && endpoint.height !== null ? top - endpoint.height : null;
+    }
+  }
+
+  isLagging(endpoint) {
+    return endpoint.lag !== null && endpoint.lag > this.maxLagBlocks;
+  }
+
+  // Endpoints in the order requests should try them: healthy and in sync first, by latency
+  ordered() {
+    const rank = (endpoint) => (!endpoint.healthy ? 2 : this.isLagging(endpoint) ? 1 : 0);
+    return this.endpoints
+      .map((endpoint, index) => ({ endpoint, index }))
+      .sort((a, b) => {
+        const byRank = rank(a.endpoint) - rank(b.endpoint);
+        if (byRank !== 0) return byRank;
+        const latencyA = a.endpoint.latencyMs === null ? Infinity : a.endpoint.latencyMs;
+        const latencyB = b.endpoint.latencyMs === null ? Infinity : b.endpoint.latencyMs;
+        return latencyA - latencyB || a.index - b.index;
+      })
+      .map(({ endpoint }) => endpoint);
+  }
+
+  best() {
+    this.start();
+    return this.ordered()[0].url;
+  }
+
+  markSuccess(url) {
+    const endpoint = this.endpoints.find(entry => entry.url === url);
+    if (!endpoint) return;
+    endpoint.healthy = true;
+    endpoint.lastError = null;
+  }
+
+  markFailure(url, error) {
+    const endpoint = this.endpoints.find(entry => entry.url === url);
+    if (!endpoint) return;
+    endpoint.healthy = false;
+    endpoint.failures++;
+    endpoint.lastError = error.message;
+  }
+
+  // Run fn(url) against the best endpoint. On a transport error the endpoint is marked
+  // unhealthy; idempotent requests are retried on the remaining endpoints, others are not
+  // (a request that may have reached the node must not be sent twice).
+  async withFailover(fn, { idempotent = true } = {}) {
+    this.start();
+    const candidates = idempotent ? this.ordered() : this.ordered().slice(0, 1);
+    let lastError;
+
+    for (const endpoint of candidates) {
+      endpoint.requests++;
+      const startedAt = Date.now();
+      try {
+        const result = await fn(endpoint.url);
+        this.markSuccess(endpoint.url);
+        this.observe(endpoint.url, startedAt, "success");
+        return result;
+      } catch (error) {
+        if (!isTransportError(error)) {
+          // The node answered, just not with a result
+          this.observe(endpoint.url, startedAt, "rpc_error");
+          throw error;
+        }
+        this.observe(endpoint.url, startedAt, "transport_error");
+        this.markFailure(endpoint.url, error);
+        lastError = error;
+        if (candidates.length > 1) {
+          console.error(`⚠️  ${this.name} endpoint ${endpoint.url} failed: ${error.reason || error.message}`);
+        }
+      }
+    }
+
+    if (candidates.length > 1) {
+      lastError.message = `All ${this.name} endpoints failed. Last error: ${lastError.message}`;
+    }
+    throw lastError;
+  }
+
+  observe(url, startedAt, outcome) {
+    if (this.onRequest) {
+      this.onRequest({ url, seconds: (Date.now() - startedAt) / 1000, outcome });
+    }
+  }
+
+  status() {
+    return {
+      name: this.name,
+      active: this.ordered()[0].url,
+      maxLagBlocks: this.maxLagBlocks,
+      probeIntervalMs: this.probeIntervalMs,
+      endpoints: this.endpoints.map(endpoint => ({ ...endpoint, lagging: this.isLagging(endpoint) }))
+    };
+  }
+}
+
+module.exports = EndpointPool;
+module.exports.isTransportError = isTransportError;
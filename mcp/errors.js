@@ -0,0 +1,154 @@
+const { isTransportError } = require("./endpoint-pool");
+
+// Errors Module - machine-readable error codes for failed tool calls.
+//
+// Code that knows what went wrong throws a ToolError with a code. Anything else (axios,
+// ethers, polkadot.js) is mapped to a code by classifyError. errorResult turns either into
+// an MCP result with isError: true and a JSON body agents can branch on:
+//   { "error": { "code", "message", "retryable", "hint"?, "details"? } }
+const ERROR_CODES = {
+  INVALID_ARGUMENT: "An argument is malformed or out of range",
+  NOT_FOUND: "The account, worker, contract, intent or other object does not exist",
+  CONFLICT: "The object is not in a state that allows this (e.g. already approved)",
+  CONFIG_MISSING: "A wallet, endpoint, password or API key this tool needs is not configured",
+  PERMISSION_DENIED: "The upstream service rejected our credentials",
+  INSUFFICIENT_BALANCE: "The account cannot cover the amount plus fees",
+  POLICY_VIOLATION: "The spending policy forbids this operation",
+  UNSUPPORTED: "The chain or service does not offer this feature",
+  UPSTREAM_UNAVAILABLE: "An RPC node or service could not be reached or is overloaded",
+  UPSTREAM_ERROR: "An RPC node or service answered with an error",
+  TIMEOUT: "The operation did not finish in time",
+  TX_FAILED: "The transaction was included but failed, or was dropped",
+  INTERNAL: "Unexpected error"
+};
+
+// Failures that may succeed when simply tried again later
+const RETRYABLE_CODES = ["UPSTREAM_UNAVAILABLE", "TIMEOUT"];
+
+class ToolError extends Error {
+  constructor(code, message, { retryable, hint, details } = {}) {
+    super(message);
+    if (!ERROR_CODES[code]) {
+      throw new Error(`Unknown error code ${code}`);
+    }
+    this.name = "ToolError";
+    this.code = code;
+    this.retryable = retryable === undefined ? RETRYABLE_CODES.includes(code) : retryable;
+    this.hint = hint || null;
+    this.details = details || null;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      retryable: this.retryable,
+      ...(this.hint && { hint: this.hint }),
+      ...(this.details && { details: this.details })
+    };
+  }
+}
+
+// Code for an HTTP status returned by an upstream service
+function codeForStatus(status) {
+  if (status === 404) return "NOT_FOUND";
+  if (status === 400 || status === 422) return "INVALID_ARGUMENT";
+  if (status === 401 || status === 403) return "PERMISSION_DENIED";
+  if (status === 408) return "TIMEOUT";
+  if (status === 409) return "CONFLICT";
+  if (status === 429 || status >= 500) return "UPSTREAM_UNAVAILABLE";
+  return "UPSTREAM_ERROR";
+}
+
+// ethers v5 error codes
+const ETHERS_CODES = {
+  INSUFFICIENT_FUNDS: "INSUFFICIENT_BALANCE",
+  INVALID_ARGUMENT: "INVALID_ARGUMENT",
+  MISSING_ARGUMENT: "INVALID_ARGUMENT",
+  UNEXPECTED_ARGUMENT: "INVALID_ARGUMENT",
+  NUMERIC_FAULT: "INVALID_ARGUMENT",
+  CALL_EXCEPTION: "TX_FAILED",
+  UNPREDICTABLE_GAS_LIMIT: "TX_FAILED",
+  TRANSACTION_REPLACED: "TX_FAILED",
+  NONCE_EXPIRED: "CONFLICT",
+  REPLACEMENT_UNDERPRICED: "CONFLICT",
+  UNSUPPORTED_OPERATION: "UNSUPPORTED",
+  TIMEOUT: "TIMEOUT",
+  NETWORK_ERROR: "UPSTREAM_UNAVAILABLE",
+  SERVER_ERROR: "UPSTREAM_UNAVAILABLE"
+};
+
+function codeForMessage(message) {
+  if (/timed? ?out|timeout/i.test(message)) return "TIMEOUT";
+  // Substrate pool rejections ("1010: Invalid Transaction: Inability to pay some fees")
+  // and balances module errors
+  if (/inability to pay|insufficient ?balance|insufficient funds|balances\.(InsufficientBalance|KeepAlive)/i.test(message)) return "INSUFFICIENT_BALANCE";
+  if (/^1010: |^1012: |^1014: /.test(message)) return "TX_FAILED";
+  return "INTERNAL";
+}
+
+// A ToolError for any error. `message` replaces the original message when given.
+function classifyError(error, message = null) {
+  if (error instanceof ToolError) {
+    if (!message) return error;
+    return new ToolError(error.code, message, { retryable: error.retryable, hint: error.hint, details: error.details });
+  }
+
+  const text = message || (error && error.message) || String(error);
+  const status = error && error.response ? error.response.status : null;
+  if (status) {
+    return new ToolError(codeForStatus(status), text, { details: { status } });
+  }
+  if (error && ETHERS_CODES[error.code]) {
+    // A reverted transaction (CALL_EXCEPTION from tx.wait()) carries its hash
+    const details = error.reason || error.transactionHash
+      ? { reason: error.reason || null, transactionHash: error.transactionHash || null }
+      : undefined;
+    return new ToolError(ETHERS_CODES[error.code], text, { details });
+  }
+  const code = codeForMessage(text);
+  if (code === "INTERNAL" && isTransportError(error)) {
+    return new ToolError("UPSTREAM_UNAVAILABLE", text);
+  }
+  return new ToolError(code, text);
+}
+
+// Tool result for a failure while `action` ("sending PHA", ...). `hint` and `details`
+// add to whatever the error carries.
+function errorResult(action, error, { hint, details } = {}) {
+  const failure = classifyError(error);
+  return {
+    isError: true,
+    content: [{
+      type: "text",
+      text: JSON.stringify({
+        error: {
+          ...failure.toJSON(),
+          message: `Error ${action}: ${failure.message}`,
+          ...((hint || failure.hint) && { hint: hint || failure.hint }),
+          ...((details || failure.details) && { details: { ...failure.details, ...details } })
+        }
+      }, null, 2)
+    }]
+  };
+}
+
+// Error code of a failed tool result, or null if it succeeded
+function resultErrorCode(result) {
+  if (!result || !result.isError) return null;
+  try {
+    return JSON.parse(result.content[0].text).error.code || "INTERNAL";
+  } catch (error) {
+    // Results the SDK builds itself carry plain text
+    return "INTERNAL";
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  RETRYABLE_CODES,
+  ToolError,
+  classifyError,
+  errorResult,
+  resultErrorCode
+};
@@ -0,0 +1,108 @@
+const { Keyring } = require("@polkadot/keyring");
+const { encodeAddress, ethereumEncode, keyExtractPath } = require("@polkadot/util-crypto");
+const { u8aToHex } = require("@polkadot/util");
+const { ToolError } = require("./errors");
+
+// Key Module - builds Substrate keypairs from seeds and private keys.
+//
+// sr25519 / ed25519  Substrate-native keys, no EVM address
+// ecdsa              secp256k1 key signing Substrate extrinsics; the AccountId is the
+//                    blake2 hash of the compressed public key, the EVM address is the
+//                    usual keccak address of the same key
+// ethereum           secp256k1 key with a 20-byte account, for EVM-account chains only
+const KEY_TYPES = ["sr25519", "ed25519", "ecdsa", "ethereum"];
+
+// MetaMask / ethers default account path, used when an ethereum mnemonic has no path
+const ETHEREUM_DEFAULT_PATH = "/m/44'/60'/0'/0/0";
+
+const RAW_KEY = /^(0x)?[0-9a-fA-F]{64}$/;
+
+function isRawKey(secret) {
+  return RAW_KEY.test(String(secret || "").trim());
+}
+
+// Hex private keys are accepted with or without 0x
+function normalizeSecret(secret) {
+  const value = String(secret || "").trim();
+  return isRawKey(value) && !value.startsWith("0x") ? `0x${value}` : value;
+}
+
+function normalizeKeyType(keyType, fallback = "sr25519") {
+  const type = (keyType || fallback).toLowerCase();
+  if (!KEY_TYPES.includes(type)) {
+    throw new ToolError("INVALID_ARGUMENT", `Unsupported key type "${keyType}". Use one of: ${KEY_TYPES.join(", ")}`);
+  }
+  return type;
+}
+
+// Check a derivation path against what the key type supports and return it unchanged
+function validateDerivationPath(derivationPath, keyType, rawKey = false) {
+  if (!derivationPath) return "";
+
+  if (keyType === "ethereum") {
+    if (rawKey) {
+      throw new ToolError("INVALID_ARGUMENT", "Derivation paths cannot be applied to a raw ethereum private key");
+    }
+    if (!/^\/m(\/\d+'?)+$/.test(derivationPath)) {
+      throw new ToolError("INVALID_ARGUMENT", `Invalid BIP44 path "${derivationPath}" for ethereum keys, expected e.g. ${ETHEREUM_DEFAULT_PATH}`);
+    }
+    return derivationPath;
+  }
+
+  // `///password` is not a junction; keyExtractPath rejects anything malformed
+  const [junctions] = derivationPath.split("///");
+  let path;
+  try {
+    ({ path } = keyExtractPath(junctions));
+  } catch (error) {
+    throw new ToolError("INVALID_ARGUMENT", `Invalid derivation path "${redactPath(derivationPath)}". Use //hard and /soft junctions`);
+  }
+  if (keyType !== "sr25519" && path.some(junction => !junction.isHard)) {
+    throw new ToolError("INVALID_ARGUMENT", `Soft derivation (/soft) is not supported for ${keyType} keys; use hard junctions (//hard)`);
+  }
+  return derivationPath;
+}
+
+// Hide the `///password` part of a path for display
+function redactPath(derivationPath) {
+  return derivationPath ? derivationPath.replace(/\/\/\/.*$/, "///***") : derivationPath;
+}
+
+// Create a keypair from a mnemonic, secret URI or hex private key
+function createPair(secret, { keyType = "sr25519", derivationPath = "", ss58Format = 30, meta = {} } = {}) {
+  const type = normalizeKeyType(keyType);
+  const rawKey = isRawKey(secret);
+  let path = validateDerivationPath(derivationPath, type, rawKey);
+  if (type === "ethereum" && !rawKey && !path) {
+    path = ETHEREUM_DEFAULT_PATH;
+  }
+  return new Keyring({ type, ss58Format }).addFromUri(`${normalizeSecret(secret)}${path}`, meta);
+}
+
+// Every address a keypair resolves to
+function describePair(pair, ss58Format = 30) {
+  const secp256k1 = pair.type === "ecdsa" || pair.type === "ethereum";
+  return {
+    keyType: pair.type,
+    publicKey: u8aToHex(pair.publicKey),
+    substrate: pair.type === "ethereum" ? null : {
+      address: encodeAddress(pair.addressRaw, ss58Format),
+      generic: encodeAddress(pair.addressRaw, 42),
+      accountId: u8aToHex(pair.addressRaw)
+    },
+    evm: secp256k1 ? ethereumEncode(pair.publicKey) : null,
+    canSignPhala: pair.type !== "ethereum"
+  };
+}
+
+module.exports = {
+  KEY_TYPES,
+  ETHEREUM_DEFAULT_PATH,
+  isRawKey,
+  normalizeSecret,
+  normalizeKeyType,
+  validateDerivationPath,
+  redactPath,
+  createPair,
+  describePair
+};
@@ -0,0 +1,245 @@
+const fs = require("fs");
+const path = require("path");
+const { Keyring } = require("@polkadot/keyring");
+const { cryptoWaitReady, mnemonicGenerate, mnemonicValidate } = require("@polkadot/util-crypto");
+const ethers = require("ethers");
+const { ETHEREUM_DEFAULT_PATH, isRawKey, normalizeKeyType, validateDerivationPath, redactPath, createPair } = require("./keys");
+const { ToolError } = require("./errors");
+
+const NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// Keystore Module - encrypted, named accounts on disk.
+//
+// Each account is one file `<name>.json` in the keystore directory holding the account
+// metadata and its key encrypted with the keystore password:
+//   substrate accounts -> polkadot JSON keystore (scrypt + xsalsa20-poly1305)
+//   ethereum accounts  -> ethers JSON wallet (scrypt + aes-128-ctr)
+class Keystore {
+  constructor(config = {}) {
+    this.dir = config.dir;
+    this.password = config.password || null;
+    this.ss58Format = config.ss58Format !== undefined ? config.ss58Format : 30;
+    this.defaultAccount = config.defaultAccount || null;
+    // Decrypted keys are kept in memory so scrypt runs once per account
+    this.unlocked = new Map();
+  }
+
+  requirePassword() {
+    if (!this.password) {
+      throw new ToolError("CONFIG_MISSING", "KEYSTORE_PASSWORD not configured; the keystore cannot encrypt or decrypt accounts");
+    }
+    return this.password;
+  }
+
+  validateName(name) {
+    if (!NAME_PATTERN.test(name || "")) {
+      throw new ToolError("INVALID_ARGUMENT", `Invalid account name "${name}". Use 1-64 letters, digits, "-" or "_"`);
+    }
+  }
+
+  fileFor(name) {
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  has(name) {
+    return NAME_PATTERN.test(name || "") && fs.existsSync(this.fileFor(name));
+  }
+
+  read(name) {
+    this.validateName(name);
+    const file = this.fileFor(name);
+    if (!fs.existsSync(file)) {
+      throw new ToolError("NOT_FOUND", `Account "${name}" not found in keystore`);
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  write(entry) {
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    const file = this.fileFor(entry.name);
+    if (fs.existsSync(file)) {
+      throw new ToolError("CONFLICT", `Account "${entry.name}" already exists`);
+    }
+    fs.writeFileSync(file, JSON.stringify(entry, null, 2), { mode: 0o600 });
+  }
+
+  // Public metadata for every stored account
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(file => file.endsWith(".json"))
+      .map(file => {
+        try {
+          const { name, type, keyType, address, derivationPath, createdAt } = JSON.parse(fs.readFileSync(path.join(this.dir, file), "utf8"));
+          return { name, type, keyType, address, derivationPath: derivationPath || null, createdAt, default: name === this.defaultAccount };
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  keyring() {
+    return new Keyring({ type: "sr25519", ss58Format: this.ss58Format });
+  }
+
+  // Key type for a substrate account; ethereum (20-byte) keys belong in ethereum accounts
+  substrateKeyType(keyType) {
+    const type = normalizeKeyType(keyType);
+    if (type === "ethereum") {
+      throw new ToolError("INVALID_ARGUMENT", 'Use type "ethereum" for Ethereum keys, or keyType "ecdsa" to sign Phala extrinsics with a secp256k1 key');
+    }
+    return type;
+  }
+
+  // BIP44 path (ethers form, no leading slash) for an ethereum mnemonic
+  ethereumPath(derivationPath) {
+    return (validateDerivationPath(derivationPath, "ethereum") || ETHEREUM_DEFAULT_PATH).slice(1);
+  }
+
+  async storeSubstratePair(name, pair, derivationPath = "") {
+    this.write({
+      name,
+      type: "substrate",
+      keyType: pair.type,
+      address: pair.address,
+      ...(derivationPath && { derivationPath: redactPath(derivationPath) }),
+      createdAt: new Date().toISOString(),
+      encoded: pair.toJson(this.requirePassword())
+    });
+    this.unlocked.set(name, pair);
+    return { name, type: "substrate", keyType: pair.type, address: pair.address };
+  }
+
+  async storeEthereumWallet(name, wallet, derivationPath = "") {
+    const encoded = await wallet.encrypt(this.requirePassword());
+    this.write({
+      name,
+      type: "ethereum",
+      keyType: "secp256k1",
+      address: wallet.address,
+      ...(derivationPath && { derivationPath }),
+      createdAt: new Date().toISOString(),
+      encoded: JSON.parse(encoded)
+    });
+    this.unlocked.set(name, wallet);
+    return { name, type: "ethereum", keyType: "secp256k1", address: wallet.address };
+  }
+
+  // Create a fresh account. Returns the mnemonic only when asked, for offline backup.
+  async create(name, type = "substrate", { returnMnemonic = false, keyType = "sr25519", derivationPath = "" } = {}) {
+    this.validateName(name);
+    this.requirePassword();
+    await cryptoWaitReady();
+
+    const mnemonic = mnemonicGenerate();
+    let account;
+    if (type === "ethereum") {
+      const path = this.ethereumPath(derivationPath);
+      account = await this.storeEthereumWallet(name, ethers.Wallet.fromMnemonic(mnemonic, path), `/${path}`);
+    } else {
+      const pair = createPair(mnemonic, {
+        keyType: this.substrateKeyType(keyType),
+        derivationPath,
+        ss58Format: this.ss58Format,
+        meta: { name }
+      });
+      account = await this.storeSubstratePair(name, pair, derivationPath);
+    }
+
+    return returnMnemonic ? { ...account, mnemonic } : account;
+  }
+
+  // Import from a mnemonic/secret URI, a raw private key, or an existing JSON keystore
+  async import(name, type, { secret = null, json = null, jsonPassword = null, keyType = null, derivationPath = "" } = {}) {
+    this.validateName(name);
+    this.requirePassword();
+    await cryptoWaitReady();
+
+    if (type === "ethereum") {
+      let wallet;
+      let walletPath = "";
+      if (json) {
+        wallet = await ethers.Wallet.fromEncryptedJson(typeof json === "string" ? json : JSON.stringify(json), jsonPassword || "");
+      } else if (secret && mnemonicValidate(secret)) {
+        walletPath = `/${this.ethereumPath(derivationPath)}`;
+        wallet = ethers.Wallet.fromMnemonic(secret, walletPath.slice(1));
+      } else if (secret) {
+        if (derivationPath) {
+          throw new ToolError("INVALID_ARGUMENT", "Derivation paths cannot be applied to a raw ethereum private key");
+        }
+        wallet = new ethers.Wallet(secret.startsWith("0x") ? secret : `0x${secret}`);
+      } else {
+        throw new ToolError("INVALID_ARGUMENT", "Provide a mnemonic, private key or JSON wallet to import");
+      }
+      return this.storeEthereumWallet(name, wallet, walletPath);
+    }
+
+    let pair;
+    if (json) {
+      pair = this.keyring().addFromJson(typeof json === "string" ? JSON.parse(json) : json);
+      pair.decodePkcs8(jsonPassword || "");
+    } else if (secret) {
+      // A raw hex key is most likely an EVM key, so it defaults to ecdsa rather than sr25519
+      pair = createPair(secret, {
+        keyType: this.substrateKeyType(keyType || (isRawKey(secret) ? "ecdsa" : "sr25519")),
+        derivationPath,
+        ss58Format: this.ss58Format,
+        meta: { name }
+      });
+    } else {
+      throw new ToolError("INVALID_ARGUMENT", "Provide a mnemonic, secret URI or JSON keystore to import");
+    }
+    return this.storeSubstratePair(name, pair, derivationPath);
+  }
+
+  // Unlocked signer for a stored account
+  unlock(name) {
+    if (this.unlocked.has(name)) {
+      return this.unlocked.get(name);
+    }
+
+    const entry = this.read(name);
+    const password = this.requirePassword();
+    let signer;
+    if (entry.type === "ethereum") {
+      signer = ethers.Wallet.fromEncryptedJsonSync(JSON.stringify(entry.encoded), password);
+    } else {
+      signer = this.keyring().addFromJson(entry.encoded);
+      signer.decodePkcs8(password);
+    }
+    this.unlocked.set(name, signer);
+    return signer;
+  }
+
+  getSubstratePair(name) {
+    const entry = this.read(name);
+    if (entry.type !== "substrate") {
+      throw new ToolError("INVALID_ARGUMENT", `Account "${name}" is an ${entry.type} account and cannot sign Phala extrinsics`);
+    }
+    return this.unlock(name);
+  }
+
+  getEthereumWallet(name) {
+    const entry = this.read(name);
+    if (entry.type !== "ethereum") {
+      throw new ToolError("INVALID_ARGUMENT", `Account "${name}" is a ${entry.type} account and cannot sign Ethereum transactions`);
+    }
+    return this.unlock(name);
+  }
+
+  // Encrypted JSON backup in the account's native format (polkadot.js / ethers)
+  async exportJson(name, exportPassword = null) {
+    const entry = this.read(name);
+    if (!exportPassword) {
+      return entry.encoded;
+    }
+
+    const signer = this.unlock(name);
+    return entry.type === "ethereum"
+      ? JSON.parse(await signer.encrypt(exportPassword))
+      : signer.toJson(exportPassword);
+  }
+}
+
+module.exports = Keystore;
@@ -0,0 +1,170 @@
+const { McpServer, ResourceTemplate } = require("@modelcontextprotocol/sdk/server/mcp.js");
+const { SubscribeRequestSchema, UnsubscribeRequestSchema } = require("@modelcontextprotocol/sdk/types.js");
+const { z } = require("zod");
+const { cryptoWaitReady } = require("@polkadot/util-crypto");
+const PHALA_CONFIG = require("./config");
+const { NEW_HEADS_URI, FINALIZED_HEADS_URI, WORKERS_URI } = require("./chain-subscriptions");
+const { ToolError, errorResult } = require("./errors");
+const schemas = require("./schemas");
+const services = require("./services");
+const { recordToolCall } = require("./telemetry");
+const ToolRegistry = require("./registry");
+const builtinTools = require("./tools");
+
+const { getChainSubscriptions, getKeystore, getRpcPools, getSpendingPolicy, getAttestationPolicy, hasWallet } = services;
+
+// MCP Server Module - builds the Phala McpServer. mcp/index.js connects one to stdio;
+// server.js creates one per Streamable HTTP session. They share this process's services
+// (API connections, approval queue, spending counters), so an intent queued in one
+// session can be approved from another.
+
+// Tools come from the domain modules in ./tools plus any packs in TOOL_PACKS_DIR, loaded
+// once. Calls are counted and timed for /metrics.
+const registry = new ToolRegistry({ ...PHALA_CONFIG.tools, onCall: recordToolCall });
+
+// Handed to every pack's register(tools, context)
+const context = {
+  config: PHALA_CONFIG,
+  registry,
+  services,
+  schemas,
+  z,
+  ToolError,
+  errorResult,
+  jsonResult: services.jsonResult
+};
+
+for (const pack of builtinTools) {
+  registry.load(pack, context);
+}
+if (PHALA_CONFIG.tools.packsDir) {
+  registry.loadDir(PHALA_CONFIG.tools.packsDir, context);
+}
+
+// Resources: live chain state. Subscribe (PHALA_RPC_MODE=ws) to get
+// notifications/resources/updated whenever the value changes.
+async function readChainResource(uri) {
+  const value = await getChainSubscriptions().read(uri);
+  return {
+    contents: [{
+      uri,
+      mimeType: "application/json",
+      text: JSON.stringify(value, null, 2)
+    }]
+  };
+}
+
+// Subscriptions are held per session; stdio has none and counts as "default"
+const subscriber = (sessionId) => sessionId || "default";
+
+function createServer() {
+  const server = new McpServer({
+    name: "Phala Network MCP",
+    version: "0.1.0",
+    description: "MCP server for Phala Network - Confidential AI Computing & TEE Infrastructure"
+  });
+  registry.apply(server);
+
+  server.resource(
+    "newHeads",
+    NEW_HEADS_URI,
+    { description: "Latest block header", mimeType: "application/json" },
+    async (uri) => readChainResource(uri.href)
+  );
+
+  server.resource(
+    "finalizedHeads",
+    FINALIZED_HEADS_URI,
+    { description: "Latest finalized block header", mimeType: "application/json" },
+    async (uri) => readChainResource(uri.href)
+  );
+
+  server.resource(
+    "accountBalance",
+    new ResourceTemplate("phala://accounts/{address}/balance", { list: undefined }),
+    { description: "Free, reserved and frozen balance of an account (SS58, AccountId or EVM address)", mimeType: "application/json" },
+    async (uri) => readChainResource(uri.href)
+  );
+
+  server.resource(
+    "registryWorkers",
+    WORKERS_URI,
+    { description: "Registered worker count and recent registry events", mimeType: "application/json" },
+    async (uri) => readChainResource(uri.href)
+  );
+
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+
+  // The session holding this server's subscriptions, dropped when it closes
+  let subscribedAs = null;
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request, extra) => {
+    subscribedAs = subscriber(extra.sessionId);
+    await getChainSubscriptions().subscribe(request.params.uri, subscribedAs);
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request, extra) => {
+    getChainSubscriptions().unsubscribe(request.params.uri, subscriber(extra.sessionId));
+    return {};
+  });
+
+  // Chain subscriptions report changed resources; notify this server's client of those
+  // it subscribed to
+  const removeListener = services.onResourceUpdated((uri, sessionIds) => {
+    const transport = server.server.transport;
+    if (!transport || !sessionIds.includes(subscriber(transport.sessionId))) return;
+    server.server.sendResourceUpdated({ uri }).catch((error) => {
+      console.error(`Failed to notify ${uri}:`, error.message);
+    });
+  });
+  server.server.onclose = () => {
+    removeListener();
+    if (subscribedAs) getChainSubscriptions().dropSession(subscribedAs);
+  };
+
+  return server;
+}
+
+let starting = null;
+
+// One-time setup before serving: crypto backend, banner, endpoint probes
+function start() {
+  if (!starting) starting = prepare();
+  return starting;
+}
+
+async function prepare() {
+  // sr25519/ed25519 keypairs need the WASM crypto backend
+  await cryptoWaitReady();
+  console.log("🚀 Starting Phala Network MCP Server v0.1.0");
+  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+  console.log(`⛓️  Chain: ${PHALA_CONFIG.name}`);
+  console.log(`🌐 RPC: ${PHALA_CONFIG.rpcMode === "ws" ? `ws (${PHALA_CONFIG.ws.endpoints.join(", ")})` : PHALA_CONFIG.rpcUrls.join(", ")}`);
+  console.log(`📝 Phat Contracts: ${PHALA_CONFIG.phatRpcUrls.join(", ")}`);
+  console.log(`🔗 Ethereum RPC: ${PHALA_CONFIG.ethereum.rpcUrls.join(", ")}`);
+  if (services.trafficFixtures.mode) {
+    const { mode, dir } = services.trafficFixtures;
+    console.log(`📼 Upstream fixtures: ${mode === "record" ? `recording to ${dir}` : `replaying from ${dir} (no network)`}`);
+  }
+  console.log(`🔑 API Key: ${PHALA_CONFIG.apiKey ? '✓ Configured' : '✗ Not configured'}`);
+  console.log(`💰 Wallet: ${hasWallet() ? '✓ Configured' : '✗ Not configured (read-only mode)'}`);
+  console.log(`🔑 Keystore: ${PHALA_CONFIG.keystore.dir} (${getKeystore().list().length} accounts${PHALA_CONFIG.keystore.password ? '' : ', locked'})`);
+  console.log(`🔒 TEE Support: ${PHALA_CONFIG.tee.supportedTypes.length} types`);
+  console.log(`🛠️  Tools Available: ${registry.toolNames().length}`);
+  console.log(`🧩 Tool Groups: ${registry.status().filter(group => group.enabled).map(group => group.name).join(", ")}`);
+  console.log(`📏 Spending Policy: ${getSpendingPolicy().enabled ? PHALA_CONFIG.spendingPolicy.file : 'none'}`);
+  console.log(`🛡️  Attestation Policy: ${getAttestationPolicy().enabled ? PHALA_CONFIG.attestation.policy.file : 'none'}`);
+  console.log(`✋ Approvals: ${PHALA_CONFIG.approvals.mode}${PHALA_CONFIG.approvals.autoApproveBelow !== "0" ? ` (auto below ${PHALA_CONFIG.approvals.autoApproveBelow} PHA)` : ''}`);
+  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+  for (const name of registry.unknownGroups()) {
+    console.error(`⚠️  Unknown tool group ${name} in TOOL_GROUPS/DISABLED_TOOL_GROUPS`);
+  }
+
+  // Probe endpoints in the background so routing and /health have data early
+  const pools = getRpcPools();
+  for (const name of PHALA_CONFIG.rpcMode === "ws" ? ["phat", "ethereum"] : ["phala", "phat", "ethereum"]) {
+    pools[name].start();
+  }
+}
+
+module.exports = { createServer, start, registry };
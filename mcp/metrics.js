@@ -0,0 +1,153 @@
+// Metrics Module - counters, gauges and histograms rendered in the Prometheus text format.
+//
+// The MCP process collects tool and upstream metrics in a registry and hands the rendered
+// text to server.js, which appends its own process-level metrics and serves /metrics.
+
+// Seconds; tool calls range from cached reads to multi-second chain scans
+const TOOL_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const UPSTREAM_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+function formatLabels(names, values, extra = "") {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Series for a label object, created on first use
+  get(labels = {}) {
+    const values = this.labelNames.map(name => (labels[name] === undefined ? "" : labels[name]));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, { values, ...this.initial() });
+    }
+    return this.series.get(key);
+  }
+
+  initial() {
+    return { value: 0 };
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  render() {
+    const lines = this.header();
+    for (const series of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, series.values)} ${formatValue(series.value)}`);
+    }
+    return lines;
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  inc(labels, amount = 1) {
+    this.get(labels).value += amount;
+  }
+
+  // For totals kept elsewhere (e.g. supervisor restarts)
+  set(labels, value) {
+    this.get(labels).value = value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super("gauge", name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.get(labels).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super("histogram", name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  initial() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, seconds) {
+    const series = this.get(labels);
+    this.buckets.forEach((bound, i) => {
+      if (seconds <= bound) series.counts[i]++;
+    });
+    series.sum += seconds;
+    series.count++;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, series.values, `le="${bound}"`)} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, series.values, "le=\"+Inf\"")} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, series.values)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, series.values)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor(config = {}) {
+    this.prefix = config.prefix || "";
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(this.prefix + name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(this.prefix + name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(this.prefix + name, help, labelNames, buckets));
+  }
+
+  render() {
+    return this.metrics.map(metric => metric.render().join("\n")).join("\n") + "\n";
+  }
+}
+
+module.exports = MetricsRegistry;
+module.exports.Counter = Counter;
+module.exports.Gauge = Gauge;
+module.exports.Histogram = Histogram;
+module.exports.TOOL_BUCKETS = TOOL_BUCKETS;
+module.exports.UPSTREAM_BUCKETS = UPSTREAM_BUCKETS;
@@ -1,6 +1,7 @@
 const axios = require("axios");
 const crypto = require("crypto");
 const { ethers } = require("ethers");
+const { ToolError, classifyError } = require("./errors");
 
 // Phala Cloud Advanced Features Module
 class PhalaCloudService {
@@ -14,6 +15,9 @@ class PhalaCloudService {
 
   // VRF (Verifiable Random Function) - generate verifiable random numbers
   async generateVRF(seed, range = null) {
+    if (!this.vrfEndpoint) {
+      throw new ToolError("CONFIG_MISSING", "VRF service not configured. Set VRF_ENDPOINT for verifiable randomness");
+    }
     try {
       const response = await axios.post(`${this.vrfEndpoint}/generate`, {
         seed: seed || crypto.randomBytes(32).toString('hex'),
@@ -29,7 +33,7 @@ class PhalaCloudService {
         range: range
       };
     } catch (error) {
-      throw new Error(`VRF service unavailable: ${error.message}. Configure PHALA_VRF_ENDPOINT for verifiable randomness`);
+      throw classifyError(error, `VRF service unavailable: ${error.message}`);
     }
   }
 
@@ -62,6 +66,9 @@ class PhalaCloudService {
       }
     };
 
+    if (!this.oracleEndpoint) {
+      throw new ToolError("CONFIG_MISSING", "Oracle service not configured. Set ORACLE_ENDPOINT for real data");
+    }
     try {
       const config = oracleTypes[dataType] || { endpoint: `/${dataType}`, params };
       const response = await axios.get(`${this.oracleEndpoint}${config.endpoint}`, {
@@ -77,7 +84,7 @@ class PhalaCloudService {
         attestation: response.data.attestation
       };
     } catch (error) {
-      throw new Error(`Oracle service unavailable for ${dataType}: ${error.message}. Configure PHALA_ORACLE_ENDPOINT for real data`);
+      throw classifyError(error, `Oracle service unavailable for ${dataType}: ${error.message}`);
     }
   }
 
@@ -268,6 +275,9 @@ class PhalaCloudService {
       }
     };
 
+    if (!this.baseUrl) {
+      throw new ToolError("CONFIG_MISSING", "Realtime data service not configured. Set DSTACK_API_URL");
+    }
     try {
       const config = sources[source] || { endpoint: `/${source}/realtime`, params };
       const response = await axios.get(`${this.baseUrl}${config.endpoint}`, {
@@ -282,7 +292,7 @@ class PhalaCloudService {
         latency: response.headers['x-response-time'] || 'N/A'
       };
     } catch (error) {
-      throw new Error(`Realtime data service unavailable for ${source}: ${error.message}. Configure appropriate data source endpoints`);
+      throw classifyError(error, `Realtime data service unavailable for ${source}: ${error.message}`);
     }
   }
 
@@ -0,0 +1,147 @@
+const fs = require("fs");
+const path = require("path");
+const { classifyError, resultErrorCode } = require("./errors");
+
+// Registry Module - tool groups from the built-in domain modules and third-party packs.
+//
+// A group (or pack) is a module exporting
+//   { name, description, capabilities: ["..."], register(tools, context) }
+// whose register() calls tools.registerTool(name, config, handler) with the same
+// arguments as McpServer.registerTool. Only tools of enabled groups reach the server.
+//
+// TOOL_GROUPS serves only the listed groups, DISABLED_TOOL_GROUPS removes groups, and
+// TOOL_PACKS_DIR holds extra packs: one .js file or directory (package) per pack.
+
+// Groups that stay enabled whatever the configuration says
+const REQUIRED_GROUPS = ["core"];
+
+class ToolRegistry {
+  constructor(config = {}) {
+    // null serves every group
+    this.enabledGroups = config.groups || null;
+    this.disabledGroups = config.disabledGroups || [];
+    // onCall(tool, seconds, errorCode) after every tool call; errorCode is null on success
+    this.onCall = config.onCall || null;
+    this.groups = new Map();
+    this.tools = new Map();
+  }
+
+  isEnabled(group) {
+    if (REQUIRED_GROUPS.includes(group)) return true;
+    if (this.disabledGroups.includes(group)) return false;
+    return !this.enabledGroups || this.enabledGroups.includes(group);
+  }
+
+  // Add a pack's tools. A pack that throws while registering adds nothing.
+  load(pack, context, source = "builtin") {
+    if (!pack || typeof pack.name !== "string" || typeof pack.register !== "function") {
+      throw new Error("A tool pack must export { name, register(tools, context) }");
+    }
+    if (this.groups.has(pack.name)) {
+      throw new Error(`Tool group ${pack.name} is already loaded`);
+    }
+
+    const tools = [];
+    pack.register({
+      registerTool: (name, config, handler) => {
+        if (this.tools.has(name) || tools.some(tool => tool.name === name)) {
+          throw new Error(`Tool ${name} is already registered`);
+        }
+        tools.push({ name, config, handler, group: pack.name });
+      }
+    }, context);
+
+    const group = {
+      name: pack.name,
+      description: pack.description || "",
+      capabilities: pack.capabilities || [],
+      source,
+      enabled: this.isEnabled(pack.name),
+      tools: tools.map(tool => tool.name)
+    };
+    this.groups.set(pack.name, group);
+    for (const tool of tools) {
+      this.tools.set(tool.name, tool);
+    }
+    return group;
+  }
+
+  // Load every pack in `dir`. Broken packs are logged and skipped.
+  loadDir(dir, context) {
+    if (!fs.existsSync(dir)) {
+      console.error(`⚠️  Tool packs directory ${dir} does not exist`);
+      return [];
+    }
+    const loaded = [];
+    for (const entry of fs.readdirSync(dir).sort()) {
+      const file = path.resolve(dir, entry);
+      if (!entry.endsWith(".js") && !fs.statSync(file).isDirectory()) continue;
+      try {
+        loaded.push(this.load(require(file), context, file));
+      } catch (error) {
+        console.error(`⚠️  Skipping tool pack ${file}: ${error.message}`);
+      }
+    }
+    return loaded;
+  }
+
+  // Configured group names that no loaded pack provides
+  unknownGroups() {
+    return [...(this.enabledGroups || []), ...this.disabledGroups].filter(name => !this.groups.has(name));
+  }
+
+  enabledTools() {
+    return Array.from(this.tools.values()).filter(tool => this.groups.get(tool.group).enabled);
+  }
+
+  toolNames() {
+    return this.enabledTools().map(tool => tool.name);
+  }
+
+  capabilities() {
+    const capabilities = Array.from(this.groups.values())
+      .filter(group => group.enabled)
+      .flatMap(group => group.capabilities);
+    return [...new Set(capabilities)];
+  }
+
+  status() {
+    return Array.from(this.groups.values()).map(({ name, description, source, enabled, tools }) => ({
+      name,
+      description,
+      source,
+      enabled,
+      tools
+    }));
+  }
+
+  // Register the enabled tools on an McpServer
+  apply(server) {
+    for (const tool of this.enabledTools()) {
+      server.registerTool(tool.name, tool.config, this.instrument(tool.name, tool.handler));
+    }
+  }
+
+  // Time every call. Tools report failures as isError results instead of throwing, so
+  // the outcome is read from the result.
+  instrument(name, handler) {
+    if (!this.onCall) return handler;
+    return async (...args) => {
+      const startedAt = Date.now();
+      let errorCode = null;
+      try {
+        const result = await handler(...args);
+        errorCode = resultErrorCode(result);
+        return result;
+      } catch (error) {
+        errorCode = classifyError(error).code;
+        throw error;
+      } finally {
+        this.onCall(name, (Date.now() - startedAt) / 1000, errorCode);
+      }
+    };
+  }
+}
+
+module.exports = ToolRegistry;
+module.exports.REQUIRED_GROUPS = REQUIRED_GROUPS;
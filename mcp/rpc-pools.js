@@ -0,0 +1,107 @@
+const axios = require("axios");
+const ethers = require("ethers");
+const { HttpProvider } = require("@polkadot/rpc-provider");
+const EndpointPool = require("./endpoint-pool");
+
+// RPC Pools Module - health probes and pooled providers for Phala, Phat RPC and Ethereum.
+
+// Requests that may change chain state; never replayed on another endpoint
+const PHALA_UNSAFE_METHODS = ["author_submitExtrinsic", "author_submitAndWatchExtrinsic"];
+const ETHEREUM_UNSAFE_METHODS = ["eth_sendRawTransaction", "eth_sendTransaction"];
+
+// Probes are left out of recorded upstream fixtures (see traffic-fixtures.js)
+async function jsonRpc(url, method, params, timeout) {
+  const response = await axios.post(url, { jsonrpc: "2.0", id: 1, method, params }, { timeout, fixtures: false });
+  if (response.data.error) {
+    throw new Error(response.data.error.message);
+  }
+  return response.data.result;
+}
+
+// Phala: best header number
+async function probePhala(url, timeout) {
+  const header = await jsonRpc(url, "chain_getHeader", [], timeout);
+  return { height: parseInt(header.number, 16) };
+}
+
+// Ethereum: latest block number
+async function probeEthereum(url, timeout) {
+  const blockNumber = await jsonRpc(url, "eth_blockNumber", [], timeout);
+  return { height: parseInt(blockNumber, 16) };
+}
+
+// Phat RPC has no height to compare; any non-5xx answer means the endpoint is up
+async function probePhat(url, timeout) {
+  await axios.post(url, { jsonrpc: "2.0", id: 1, method: "system_health", params: [] }, {
+    timeout,
+    validateStatus: (status) => status < 500,
+    fixtures: false
+  });
+  return { height: null };
+}
+
+// Polkadot HTTP provider that sends each request through the pool. One HttpProvider per
+// endpoint keeps their response caches separate. With `fixtures` (a TrafficFixtures),
+// requests are recorded or replayed on its "phala" channel.
+class PooledHttpProvider extends HttpProvider {
+  constructor(pool, fixtures = null) {
+    super(pool.urls[0]);
+    this.pool = pool;
+    this.fixtures = fixtures;
+    this.providers = new Map(pool.urls.map(url => [url, new HttpProvider(url)]));
+  }
+
+  clone() {
+    return new PooledHttpProvider(this.pool, this.fixtures);
+  }
+
+  async send(method, params, isCacheable) {
+    const send = () => this.pool.withFailover(
+      url => this.providers.get(url).send(method, params, isCacheable),
+      { idempotent: !PHALA_UNSAFE_METHODS.includes(method) }
+    );
+    return this.fixtures ? this.fixtures.rpc("phala", method, params, send) : send();
+  }
+}
+
+// ethers provider that sends each request through the pool, and through `fixtures` on
+// its "ethereum" channel when given
+class PooledJsonRpcProvider extends ethers.providers.StaticJsonRpcProvider {
+  constructor(pool, chainId, fixtures = null) {
+    super(pool.urls[0], chainId);
+    this.pool = pool;
+    this.fixtures = fixtures;
+    this.providers = new Map(pool.urls.map(url => [url, new ethers.providers.StaticJsonRpcProvider(url, chainId)]));
+  }
+
+  send(method, params) {
+    const send = () => this.pool.withFailover(
+      url => this.providers.get(url).send(method, params),
+      { idempotent: !ETHEREUM_UNSAFE_METHODS.includes(method) }
+    );
+    return this.fixtures ? this.fixtures.rpc("ethereum", method, params, send) : send();
+  }
+}
+
+// Pools for each RPC service from PHALA_CONFIG-style settings. onRequest receives
+// { service, url, seconds, outcome } for every request attempt. With probes set to false
+// endpoints are never probed (replaying fixtures, where nothing may reach the network).
+function createRpcPools({ phala, phat, ethereum, probeIntervalMs, probeTimeoutMs, maxLagBlocks, onRequest, probes = true }) {
+  const options = { probeIntervalMs, probeTimeoutMs, maxLagBlocks };
+  const observe = service => onRequest && (event => onRequest({ service, ...event }));
+  const probe = fn => (probes ? fn : null);
+  return {
+    phala: new EndpointPool({ name: "Phala RPC", urls: phala, probe: probe(probePhala), onRequest: observe("phala_rpc"), ...options }),
+    phat: new EndpointPool({ name: "Phat RPC", urls: phat, probe: probe(probePhat), onRequest: observe("phat_rpc"), ...options }),
+    ethereum: new EndpointPool({ name: "Ethereum RPC", urls: ethereum, probe: probe(probeEthereum), onRequest: observe("ethereum_rpc"), ...options })
+  };
+}
+
+module.exports = {
+  createRpcPools,
+  probePhala,
+  probePhat,
+  probeEthereum,
+  PooledHttpProvider,
+  PooledJsonRpcProvider
+};
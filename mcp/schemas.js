@@ -0,0 +1,388 @@
+const { z } = require("zod");
+
+// Schemas Module - zod output schemas for tool results.
+//
+// Every tool declares an outputSchema and returns its JSON result as structuredContent, so
+// typed clients can generate bindings from tools/list. Shapes several tools share
+// (amounts, balances, workers, receipts, clusters, containers) live here. Values passed
+// through from chain storage or remote services are typed loosely.
+
+// Chain integers: numbers, or hex strings once beyond 2^53 (polkadot.js toJSON)
+const chainInt = z.union([z.number(), z.string()]);
+
+// Exact base-unit amount next to its formatted value ("1.5 PHA")
+const amount = z.object({
+  raw: z.string(),
+  formatted: z.string()
+});
+
+const check = z.object({
+  check: z.string(),
+  passed: z.boolean(),
+  message: z.string()
+});
+
+// Preview returned by signing tools with dryRun: true (see tx-preview)
+const dryRunShape = {
+  dryRun: z.literal(true),
+  network: z.string(),
+  call: z.object({}).passthrough().describe("Decoded extrinsic or contract call").optional(),
+  request: z.object({
+    method: z.string(),
+    url: z.string(),
+    body: z.any()
+  }).describe("HTTP request that would be sent (off-chain services)").optional(),
+  signer: z.string().nullable(),
+  fee: z.object({}).passthrough().optional(),
+  existentialDeposit: amount.optional(),
+  balances: z.object({}).passthrough().describe("Balances before and after").optional(),
+  checks: z.array(check),
+  wouldSucceed: z.boolean(),
+  note: z.string().optional()
+};
+
+// Public view of an approval queue intent
+const intent = z.object({
+  id: z.string(),
+  tool: z.string(),
+  params: z.record(z.any()),
+  amount: z.string(),
+  summary: z.record(z.any()),
+  status: z.enum(["pending", "approved", "submitted", "failed", "rejected", "expired"]),
+  createdAt: z.string(),
+  expiresAt: z.string(),
+  decidedAt: z.string().optional(),
+  reason: z.string().optional()
+});
+
+const pendingApprovalShape = {
+  status: z.literal("pending_approval"),
+  message: z.string(),
+  intent
+};
+
+// Decoded module error ({ section, name, docs }) or { type?, message } for other failures
+const dispatchError = z.object({}).passthrough();
+
+// Transaction tracker record
+const transaction = z.object({
+  hash: z.string(),
+  tool: z.string().nullable(),
+  signer: z.string(),
+  nonce: z.number(),
+  call: z.string().describe("pallet.method"),
+  status: z.string().describe("submitted, broadcast, ready, inBlock, finalized, failed, retracted, dropped, ..."),
+  history: z.array(z.object({ status: z.string(), at: z.string() }).passthrough()),
+  blockHash: z.string().nullable(),
+  blockNumber: z.number().nullable(),
+  extrinsicIndex: z.number().nullable(),
+  finalizedBlockHash: z.string().nullable(),
+  success: z.boolean().nullable(),
+  error: dispatchError.nullable(),
+  events: z.array(z.object({ section: z.string(), method: z.string(), data: z.any() })),
+  meta: z.record(z.any()),
+  submittedAt: z.string()
+}).passthrough();
+
+// Receipt fields of a signed Phala extrinsic. success is null while still pending.
+const substrateReceiptShape = {
+  success: z.boolean().nullable(),
+  status: z.string(),
+  transactionHash: z.string(),
+  nonce: z.number(),
+  blockHash: z.string().nullable(),
+  blockNumber: z.number().nullable(),
+  extrinsicIndex: z.number().nullable(),
+  explorer: z.string()
+};
+
+// Receipt of an Ethereum transaction. success is null while still pending.
+const ethereumReceiptShape = {
+  success: z.boolean().nullable(),
+  status: z.enum(["confirmed", "pending"]),
+  network: z.string(),
+  from: z.string(),
+  to: z.string(),
+  amount,
+  transactionHash: z.string(),
+  blockNumber: z.number().nullable(),
+  gasUsed: z.string().nullable(),
+  gasPrice: z.string(),
+  explorer: z.string()
+};
+
+// Phala account balance (getPHABalance). Strings are formatted; raw holds planck.
+const balanceShape = {
+  address: z.string(),
+  evmAddress: z.string().nullable().optional().describe("Set when queried by EVM address"),
+  evmMapping: z.string().nullable().optional(),
+  free: z.string(),
+  reserved: z.string(),
+  frozen: z.string(),
+  locked: z.string(),
+  total: z.string(),
+  raw: z.object({
+    free: z.string(),
+    reserved: z.string(),
+    frozen: z.string(),
+    locked: z.string(),
+    total: z.string()
+  }),
+  decimals: z.number(),
+  nonce: z.number(),
+  explorer: z.string()
+};
+
+// Registered TEE worker. getWorkerInfo adds the raw registry fields.
+const worker = z.object({
+  publicKey: z.string(),
+  confidenceLevel: z.number().optional(),
+  runtimeVersion: z.number().optional(),
+  attestationMethod: z.any().optional(),
+  attestationProvider: z.any().optional(),
+  features: z.array(z.number()).optional(),
+  teeType: z.string().optional(),
+  state: z.string().optional(),
+  initialScore: chainInt.nullable().optional(),
+  lastUpdated: chainInt.nullable().optional(),
+  pubkey: z.string().optional(),
+  ecdhPubkey: z.string().optional(),
+  operator: z.string().nullable().optional(),
+  binding: z.any().optional(),
+  endpoint: z.string().nullable().optional()
+}).passthrough();
+
+// Status of the worker index behind getWorkerList, queryWorkers and getWorkerStats
+const workerIndex = z.object({
+  status: z.enum(["building", "ready", "failed"]),
+  source: z.enum(["chain", "file"]).nullable().describe("chain: built by a registry scan in this process; file: loaded from disk"),
+  workers: z.number().nullable(),
+  builtAt: z.string().nullable(),
+  buildMs: z.number().nullable(),
+  syncedBlock: z.number().nullable().describe("Last finalized block whose registry events are applied"),
+  syncedAt: z.string().nullable(),
+  ageSeconds: z.number().nullable().describe("Time since the last sync"),
+  updating: z.boolean(),
+  file: z.string().nullable(),
+  error: z.string().nullable()
+});
+
+// SGX enclave or TDX TD measurements of a quote
+const attestationMeasurements = z.object({
+  mrEnclave: z.string().optional(),
+  mrSigner: z.string().optional(),
+  isvProdId: z.number().optional(),
+  isvSvn: z.number().optional(),
+  attributes: z.string().optional(),
+  miscSelect: z.number().optional(),
+  cpuSvn: z.string().optional(),
+  mrTd: z.string().optional(),
+  rtmrs: z.array(z.string()).optional(),
+  mrSeam: z.string().optional(),
+  mrSignerSeam: z.string().optional(),
+  mrConfigId: z.string().optional(),
+  mrOwner: z.string().optional(),
+  mrOwnerConfig: z.string().optional(),
+  tdAttributes: z.string().optional(),
+  xfam: z.string().optional(),
+  teeTcbSvn: z.string().optional()
+}).describe("SGX enclave or TDX TD measurements");
+
+// Verdict of the attestation policy (see attestation-policy.js); an enforced failing
+// verdict fails the tool call instead
+const attestationPolicyVerdict = z.object({
+  verdict: z.enum(["pass", "fail"]),
+  enforced: z.boolean().describe("Whether a failing verdict fails the tool call"),
+  rules: z.array(z.object({
+    rule: z.string(),
+    passed: z.boolean(),
+    message: z.string()
+  })),
+  reasons: z.array(z.string()).describe("Failed rules")
+});
+
+// Attestation a service returned with its response, verified locally; measurements and
+// policy verdict without the individual checks
+const attestationVerification = z.object({
+  status: z.enum(["verified", "tcbUnevaluated", "failed", "missing"])
+    .describe("tcbUnevaluated: no check failed, but the service sent no TCB info to evaluate; missing: the service returned no quote or IAS report"),
+  verified: z.boolean(),
+  evidence: z.enum(["dcap", "ias"]).nullable(),
+  teeType: z.string().nullable(),
+  measurements: attestationMeasurements.nullable(),
+  reportData: z.string().nullable(),
+  composeHash: z.string().nullable(),
+  tcbStatus: z.string().nullable(),
+  reasons: z.array(z.string()),
+  warnings: z.array(z.string()),
+  policy: attestationPolicyVerdict.nullable().describe("null without an attestation policy")
+});
+
+// Attestation evidence verified locally (see attestation.js). Checks that did not run
+// (no collateral, no expected report data) have passed: null.
+const attestationShape = {
+  status: z.enum(["verified", "tcbUnevaluated", "onChainOnly", "failed"])
+    .describe("verified: evidence checked locally; tcbUnevaluated: no check failed, but without collateral the TCB status was not evaluated; onChainOnly: no evidence, the worker is only registered on chain; failed: a check failed"),
+  verified: z.boolean(),
+  evidence: z.enum(["dcap", "ias"]).nullable(),
+  source: z.enum(["input", "attestationService"]).nullable().describe("Where the evidence came from"),
+  teeType: z.string().nullable(),
+  quote: z.object({
+    format: z.string().describe("e.g. 'DCAP v4' or 'EPID v2' (IAS)"),
+    version: z.number(),
+    teeType: z.string(),
+    debug: z.boolean(),
+    reportData: z.string(),
+    measurements: attestationMeasurements
+  }).nullable(),
+  tcb: z.object({
+    evaluated: z.boolean(),
+    status: z.string().nullable().describe("UpToDate, SWHardeningNeeded, ConfigurationNeeded, OutOfDate, Revoked, ..."),
+    date: z.string().nullable(),
+    advisoryIds: z.array(z.string()),
+    fmspc: z.string().nullable()
+  }),
+  reportTimestamp: z.string().nullable().describe("When IAS produced the report"),
+  composeHash: z.string().nullable().describe("dstack app compose hash measured in the replayed RTMR3 event log"),
+  checks: z.array(z.object({
+    check: z.string(),
+    passed: z.boolean().nullable(),
+    message: z.string()
+  })),
+  reasons: z.array(z.string()).describe("Failed checks"),
+  warnings: z.array(z.string())
+};
+
+// A single cluster (getClusterInfo with clusterId)
+const clusterShape = {
+  clusterId: z.string(),
+  owner: z.string().optional(),
+  workers: z.array(z.any()),
+  totalWorkers: z.number(),
+  resources: z.object({
+    totalCPU: z.number().optional(),
+    totalMemory: z.number().optional(),
+    totalGPU: z.number().optional(),
+    availableCPU: z.number().optional(),
+    availableMemory: z.number().optional(),
+    availableGPU: z.number().optional()
+  }),
+  permission: z.string().optional(),
+  status: z.string().optional(),
+  contracts: z.array(z.any()).optional(),
+  containers: z.array(z.any()).optional()
+};
+
+const clusterSummary = z.object({
+  id: z.string().optional(),
+  owner: z.string().optional(),
+  workers: z.number().optional(),
+  status: z.string().optional(),
+  permission: z.string().optional(),
+  utilization: z.string()
+});
+
+// DStack container, as deployed (deployContainer) or reported (getContainerStatus)
+const containerShape = {
+  containerId: z.string(),
+  name: z.string().optional(),
+  image: z.string().optional(),
+  cluster: z.string().optional(),
+  endpoint: z.string().optional(),
+  status: z.string().optional(),
+  teeType: z.string().optional(),
+  attestation: z.any().optional(),
+  verification: attestationVerification.optional(),
+  resources: z.any().optional(),
+  ports: z.array(z.number()).optional(),
+  environment: z.string().optional(),
+  uptime: z.any().optional(),
+  metrics: z.any().optional(),
+  logs: z.array(z.any()).optional()
+};
+
+// Same balance on each chain of getPHABalanceCrossChain
+const chainBalance = z.object({
+  address: z.string(),
+  balance: z.string(),
+  balanceRaw: z.string(),
+  balanceNumeric: z.number(),
+  decimals: z.number(),
+  explorer: z.string()
+});
+
+// One account in every address representation (convertAddress)
+const encodedAddress = z.object({
+  accountId: z.string(),
+  ss58: z.string(),
+  phala: z.string(),
+  generic: z.string()
+});
+
+const account = z.object({
+  name: z.string(),
+  type: z.enum(["substrate", "ethereum"]),
+  keyType: z.string(),
+  address: z.string(),
+  derivationPath: z.string().nullable().optional(),
+  createdAt: z.string().optional(),
+  default: z.boolean().optional(),
+  mnemonic: z.string().optional()
+});
+
+const agentTemplate = z.object({
+  name: z.string(),
+  description: z.string(),
+  model: z.string(),
+  systemPrompt: z.string(),
+  features: z.array(z.string()),
+  memory: z.number()
+});
+
+// One object shape accepting any of several result variants (e.g. dry-run preview,
+// pending approval, receipt). Every field is optional; a field present in more than one
+// variant accepts any of their types.
+function variants(...shapes) {
+  const fields = {};
+  for (const shape of shapes) {
+    for (const [key, type] of Object.entries(shape)) {
+      (fields[key] = fields[key] || []).push(type instanceof z.ZodOptional ? type.unwrap() : type);
+    }
+  }
+  return Object.fromEntries(Object.entries(fields).map(([key, types]) => {
+    const unique = [...new Set(types)];
+    return [key, (unique.length === 1 ? unique[0] : z.union(unique)).optional()];
+  }));
+}
+
+// Output of a tool that signs: a dry-run preview, a pending approval, or `receipt`
+function signingOutput(receipt) {
+  return variants(dryRunShape, pendingApprovalShape, receipt);
+}
+
+module.exports = {
+  chainInt,
+  amount,
+  check,
+  dryRunShape,
+  intent,
+  pendingApprovalShape,
+  transaction,
+  substrateReceiptShape,
+  ethereumReceiptShape,
+  balanceShape,
+  worker,
+  workerIndex,
+  attestationShape,
+  attestationPolicyVerdict,
+  attestationVerification,
+  clusterShape,
+  clusterSummary,
+  containerShape,
+  chainBalance,
+  encodedAddress,
+  account,
+  agentTemplate,
+  variants,
+  signingOutput
+};
@@ -0,0 +1,596 @@
+const crypto = require("crypto");
+const { ApiPromise } = require("@polkadot/api");
+const { WsProvider } = require("@polkadot/rpc-provider");
+const { formatBalance } = require("@polkadot/util");
+const axios = require("axios");
+const ethers = require("ethers");
+const PHALA_CONFIG = require("./config");
+const PhalaCloudService = require("./phala-cloud");
+const { getAccountBalance } = require("./tx-preview");
+const ApprovalQueue = require("./approvals");
+const { parseAmount } = require("./amount");
+const SpendingPolicy = require("./spending-policy");
+const TransactionTracker = require("./tx-tracker");
+const Keystore = require("./keystore");
+const ChainSubscriptions = require("./chain-subscriptions");
+const ChainStats = require("./chain-stats");
+const WorkerIndex = require("./worker-index");
+const AttestationVerifier = require("./attestation");
+const AttestationPolicy = require("./attestation-policy");
+const TrafficFixtures = require("./traffic-fixtures");
+const { createRpcPools, PooledHttpProvider, PooledJsonRpcProvider } = require("./rpc-pools");
+const { toSubstrateAddress } = require("./address");
+const { ETHEREUM_DEFAULT_PATH, normalizeKeyType, validateDerivationPath, createPair } = require("./keys");
+const { ToolError } = require("./errors");
+const { observeUpstream } = require("./telemetry");
+const { describeError } = TransactionTracker;
+
+// Services Module - connections, signers and shared helpers for tool modules.
+//
+// Clients (Phala API, RPC pools, Ethereum provider, keystore, approval queue, ...) are
+// created on first use and shared by every tool.
+
+// ERC20 ABI for PHA token on Ethereum
+const ERC20_ABI = [
+  "function balanceOf(address account) external view returns (uint256)",
+  "function transfer(address recipient, uint256 amount) external returns (bool)",
+  "function approve(address spender, uint256 amount) external returns (bool)",
+  "function allowance(address owner, address spender) external view returns (uint256)",
+  "function decimals() external view returns (uint8)",
+  "function symbol() external view returns (string)",
+  "function name() external view returns (string)",
+  "function totalSupply() external view returns (uint256)"
+];
+
+// Upstream traffic recording and replay; the axios adapter is swapped right away so
+// every HTTP service request goes through it
+const trafficFixtures = new TrafficFixtures(PHALA_CONFIG.upstreamFixtures);
+trafficFixtures.installAxios(axios);
+
+// Global API instance
+let api = null;
+let chainSubscriptions = null;
+let chainStats = null;
+let workerIndex = null;
+let attestationVerifier = null;
+let attestationPolicy = null;
+// Live state of the RPC connection, reported by getServiceInfo
+const connection = {
+  mode: PHALA_CONFIG.rpcMode,
+  endpoint: null,
+  connected: false,
+  disconnects: 0,
+  lastError: null
+};
+let rpcPools = null;
+let envPair = null;
+let phalaCloud = null;
+let ethereumProvider = null;
+let approvalQueue = null;
+let spendingPolicy = null;
+let txTracker = null;
+let keystore = null;
+const resourceListeners = new Set();
+
+// Endpoint pools for Phala, Phat RPC and Ethereum; probing starts on first use
+function getRpcPools() {
+  if (!rpcPools) {
+    rpcPools = createRpcPools({
+      phala: PHALA_CONFIG.rpcUrls,
+      phat: PHALA_CONFIG.phatRpcUrls,
+      ethereum: PHALA_CONFIG.ethereum.rpcUrls,
+      ...PHALA_CONFIG.rpcPool,
+      onRequest: observeUpstream,
+      probes: !trafficFixtures.replaying
+    });
+  }
+  return rpcPools;
+}
+
+// Health of every endpoint in each pool
+function rpcPoolStatus() {
+  const pools = getRpcPools();
+  return {
+    // WebSocket mode uses its own endpoint rotation instead of the Phala pool
+    phala: PHALA_CONFIG.rpcMode === "ws" ? null : pools.phala.status(),
+    phat: pools.phat.status(),
+    ethereum: pools.ethereum.status()
+  };
+}
+
+// POST a JSON-RPC request to the healthiest Phat RPC endpoint. Only idempotent
+// requests (queries) are retried on another endpoint.
+async function phatRpc(request, { idempotent = true } = {}) {
+  return getRpcPools().phat.withFailover(url => axios.post(url, request), { idempotent });
+}
+
+// Initialize Phala Cloud Service
+function getPhalaCloud() {
+  if (!phalaCloud) {
+    phalaCloud = new PhalaCloudService(PHALA_CONFIG);
+  }
+  return phalaCloud;
+}
+
+// Get the approval queue for signed transactions
+function getApprovalQueue() {
+  if (!approvalQueue) {
+    approvalQueue = new ApprovalQueue(PHALA_CONFIG.approvals);
+  }
+  return approvalQueue;
+}
+
+// Get the spending policy engine
+function getSpendingPolicy() {
+  if (!spendingPolicy) {
+    spendingPolicy = new SpendingPolicy({ ...PHALA_CONFIG.spendingPolicy, evmAddressMapping: PHALA_CONFIG.evmAddressMapping });
+  }
+  return spendingPolicy;
+}
+
+// Get the transaction tracker for submitted extrinsics
+function getTxTracker() {
+  if (!txTracker) {
+    txTracker = new TransactionTracker();
+  }
+  return txTracker;
+}
+
+// Get the local keystore of named accounts
+function getKeystore() {
+  if (!keystore) {
+    keystore = new Keystore(PHALA_CONFIG.keystore);
+  }
+  return keystore;
+}
+
+// Tool result with `value` as JSON text and as structuredContent for the tool's
+// outputSchema. Parsing the text back keeps both identical (undefined fields dropped).
+function jsonResult(value) {
+  const text = JSON.stringify(value, null, 2);
+  return {
+    content: [{ type: "text", text }],
+    structuredContent: JSON.parse(text)
+  };
+}
+
+// Sign, submit and track an extrinsic until it is in a block. Throws with the decoded
+// module error when it fails; returns the record (possibly still pending) otherwise.
+async function submitAndTrack(api, tx, wallet, tool) {
+  const tracker = getTxTracker();
+  const submitted = await tracker.submit(api, tx, wallet, { tool });
+  const record = await tracker.waitFor(submitted.hash, { timeout: 60000 });
+  
+  if (record.success === false) {
+    const where = record.blockNumber ? ` in block #${record.blockNumber}` : "";
+    throw new ToolError("TX_FAILED", `Transaction ${record.hash} ${record.status}${where}: ${describeError(record.error)}`, {
+      details: {
+        hash: record.hash,
+        status: record.status,
+        blockNumber: record.blockNumber || null,
+        // Decoded module error: { section, name, docs }, or { message } for other failures
+        dispatchError: record.error || null
+      }
+    });
+  }
+  
+  return tracker.describe(record);
+}
+
+// Route a signed operation through the spending policy and approval queue. Returns the
+// tool result directly when auto-approved, otherwise a pending intent the operator must approve.
+// `policy` describes the operation for limit checks: { recipient, contract, method }.
+// `execute({ submitting })` must call submitting() right before it broadcasts: the amount
+// stays counted from then on, even if the call fails afterwards (a timeout, a revert).
+async function submitForApproval({ tool, params, amount, summary, policy = {}, execute }) {
+  const limits = getSpendingPolicy();
+  const context = { amount, ...policy };
+  
+  // Violations throw a POLICY_VIOLATION ToolError for the tool's errorResult
+  limits.enforce(tool, context);
+  const outcome = await getApprovalQueue().submit({
+    tool,
+    params,
+    amount,
+    contract: policy.contract || null,
+    summary,
+    execute: async () => {
+      // Budgets may have been used up while the intent waited for approval; the amount
+      // is reserved before anything is awaited
+      const reservation = limits.reserve(tool, context);
+      let submitted = false;
+      try {
+        return await execute({ submitting: () => { submitted = true; } });
+      } catch (error) {
+        if (!submitted) limits.release(reservation);
+        throw error;
+      }
+    }
+  });
+  
+  if (outcome.autoApproved) {
+    return outcome.result;
+  }
+  
+  return jsonResult({
+    status: "pending_approval",
+    message: `Transaction queued. Approve with approveTransaction (id: ${outcome.intent.id}) before ${outcome.intent.expiresAt}`,
+    intent: outcome.intent
+  });
+}
+
+// Get Ethereum provider
+function getEthereumProvider() {
+  if (!ethereumProvider) {
+    ethereumProvider = new PooledJsonRpcProvider(getRpcPools().ethereum, PHALA_CONFIG.ethereum.chainId, trafficFixtures);
+  }
+  return ethereumProvider;
+}
+
+// Get Ethereum wallet. `from` selects a keystore account; otherwise the env key is used,
+// falling back to the keystore default account.
+function getEthereumWallet(from = null) {
+  const provider = getEthereumProvider();
+  const privateKey = process.env.WALLET_PRIVATE_KEY;
+  
+  if (from) {
+    return getKeystore().getEthereumWallet(from).connect(provider);
+  } else if (privateKey) {
+    return new ethers.Wallet(privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`, provider);
+  } else if (process.env.WALLET_SEED_PHRASE && envKeyType() === "ethereum") {
+    // Same BIP44 derivation the Substrate ethereum keypair uses
+    const derivationPath = validateDerivationPath(PHALA_CONFIG.wallet.derivationPath, "ethereum") || ETHEREUM_DEFAULT_PATH;
+    return ethers.Wallet.fromMnemonic(process.env.WALLET_SEED_PHRASE, derivationPath.slice(1)).connect(provider);
+  } else if (PHALA_CONFIG.keystore.defaultAccount) {
+    return getKeystore().getEthereumWallet(PHALA_CONFIG.keystore.defaultAccount).connect(provider);
+  }
+  throw new ToolError("CONFIG_MISSING", "No Ethereum wallet configured (WALLET_PRIVATE_KEY, WALLET_SEED_PHRASE with WALLET_KEY_TYPE=ethereum, or a keystore account via `from`)");
+}
+
+// RPC provider for the configured mode. WsProvider reconnects by itself, rotating
+// through the configured endpoints, and restores subscriptions once reconnected.
+function createProvider() {
+  if (PHALA_CONFIG.rpcMode !== "ws") {
+    // Each request picks the healthiest endpoint; reads fail over to the others
+    const pool = getRpcPools().phala;
+    connection.endpoint = pool.best();
+    return new PooledHttpProvider(pool, trafficFixtures);
+  }
+  
+  const provider = new WsProvider(PHALA_CONFIG.ws.endpoints, PHALA_CONFIG.ws.reconnectMs);
+  provider.on("connected", () => {
+    connection.connected = true;
+    connection.endpoint = provider.endpoint;
+    console.error(`🔌 Connected to ${provider.endpoint}`);
+  });
+  provider.on("disconnected", () => {
+    if (connection.connected) {
+      connection.disconnects++;
+      console.error(`⚠️  Disconnected from ${connection.endpoint}, reconnecting`);
+    }
+    connection.connected = false;
+  });
+  provider.on("error", (error) => {
+    connection.lastError = error && error.message ? error.message : String(error);
+  });
+  // Time requests the way the HTTP pool does
+  const send = provider.send.bind(provider);
+  const timedSend = async (...args) => {
+    const url = provider.endpoint;
+    const startedAt = Date.now();
+    try {
+      const result = await send(...args);
+      observeUpstream({ service: "phala_rpc", url, seconds: (Date.now() - startedAt) / 1000, outcome: "success" });
+      return result;
+    } catch (error) {
+      observeUpstream({ service: "phala_rpc", url, seconds: (Date.now() - startedAt) / 1000, outcome: "rpc_error" });
+      throw error;
+    }
+  };
+  // Plain requests are recorded like the HTTP pool's; subscriptions are not
+  provider.send = (method, params, isCacheable, subscription) => (
+    subscription
+      ? timedSend(method, params, isCacheable, subscription)
+      : trafficFixtures.rpc("phala", method, params, () => timedSend(method, params, isCacheable))
+  );
+  return provider;
+}
+
+// A WebSocket with no reachable endpoint retries forever, so bound the first connect
+async function withConnectTimeout(created, provider) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      provider.disconnect().catch(() => {});
+      reject(new Error(`Could not connect to ${PHALA_CONFIG.ws.endpoints.join(", ")} within ${PHALA_CONFIG.ws.connectTimeoutMs}ms`));
+    }, PHALA_CONFIG.ws.connectTimeoutMs);
+  });
+  try {
+    return await Promise.race([created, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Initialize Phala API connection
+async function initPhalaAPI() {
+  if (!api) {
+    const provider = createProvider();
+    const created = ApiPromise.create({ 
+      provider,
+      noInitWarn: true, // Suppress warnings for HTTP provider
+      throwOnConnect: false,
+      throwOnUnknown: false,
+      types: {
+        // Custom types for Phala Network
+        WorkerInfo: {
+          pubkey: 'Vec<u8>',
+          ecdhPubkey: 'Vec<u8>',
+          runtimeVersion: 'u32',
+          lastUpdated: 'u64',
+          confidenceLevel: 'u8',
+          initialScore: 'Option<u32>',
+          features: 'Vec<u32>'
+        },
+        AttestationReport: {
+          version: 'u16',
+          provider: 'Text',
+          payload: 'Vec<u8>',
+          timestamp: 'u64',
+          signature: 'Vec<u8>'
+        },
+        ClusterInfo: {
+          id: 'H256',
+          owner: 'AccountId',
+          workers: 'Vec<WorkerPublicKey>',
+          permission: 'ClusterPermission',
+          systemContract: 'Option<H256>'
+        },
+        ContractInfo: {
+          deployer: 'AccountId',
+          cluster: 'H256',
+          codeHash: 'H256',
+          instantiatedAt: 'BlockNumber'
+        },
+        WorkerState: {
+          _enum: ['Ready', 'WorkerIdle', 'WorkerUnresponsive', 'WorkerCoolingDown']
+        },
+        ClusterPermission: {
+          _enum: ['Public', 'OnlyOwner', 'Whitelist']
+        }
+      }
+    });
+    
+    api = PHALA_CONFIG.rpcMode === "ws" ? await withConnectTimeout(created, provider) : await created;
+    
+    // Setup balance formatting
+    formatBalance.setDefaults({
+      decimals: PHALA_CONFIG.nativeToken.decimals,
+      unit: PHALA_CONFIG.nativeToken.symbol
+    });
+  }
+  return api;
+}
+
+// Get the resource subscription manager
+function getChainSubscriptions() {
+  if (!chainSubscriptions) {
+    chainSubscriptions = new ChainSubscriptions({
+      getApi: initPhalaAPI,
+      resolveAddress: toPhalaAddress,
+      notify: (uri, sessionIds) => {
+        for (const listener of resourceListeners) listener(uri, sessionIds);
+      }
+    });
+  }
+  return chainSubscriptions;
+}
+
+// Get the background chain statistics; timers start on first use
+function getChainStats() {
+  if (!chainStats) {
+    chainStats = new ChainStats({ ...PHALA_CONFIG.chainStats, getApi: initPhalaAPI });
+  }
+  return chainStats;
+}
+
+// Get the local worker index; syncing starts on first use
+function getWorkerIndex() {
+  if (!workerIndex) {
+    workerIndex = new WorkerIndex({ ...PHALA_CONFIG.workerIndex, getApi: initPhalaAPI });
+  }
+  return workerIndex;
+}
+
+// Get the attestation verifier with its trust anchors
+function getAttestationVerifier() {
+  if (!attestationVerifier) {
+    attestationVerifier = new AttestationVerifier(PHALA_CONFIG.attestation);
+  }
+  return attestationVerifier;
+}
+
+// Get the attestation policy (measurement allowlists, TCB level, report age and binding)
+function getAttestationPolicy() {
+  if (!attestationPolicy) {
+    attestationPolicy = new AttestationPolicy(PHALA_CONFIG.attestation.policy);
+  }
+  return attestationPolicy;
+}
+
+// Nonce for a service to bind into the report data of its attestation, when the tool's
+// policy requires report data; null otherwise
+function attestationNonce(tool) {
+  const policy = getAttestationPolicy();
+  return policy.enabled && policy.rulesFor(tool).requireReportData ? "0x" + crypto.randomBytes(32).toString("hex") : null;
+}
+
+// Verify the attestation a service returned with its response ({ quote, collateral,
+// eventLog, timestamp } or { iasReport }) and evaluate the tool's policy on it. Anything
+// else counts as no evidence (status "missing").
+function verifyServiceAttestation(tool, attestation, { reportData = null } = {}) {
+  const evidence = attestation && (attestation.quote || attestation.iasReport) ? attestation : null;
+  const verifier = getAttestationVerifier();
+  let result = null;
+  if (evidence && evidence.quote) {
+    result = verifier.verifyQuote(evidence.quote, { collateral: evidence.collateral, eventLog: evidence.eventLog, reportData });
+  } else if (evidence) {
+    result = verifier.verifyIasReport(evidence.iasReport, { reportData });
+  }
+  const policy = getAttestationPolicy().evaluate(tool, result, { reportedAt: evidence && evidence.timestamp });
+  if (!result) {
+    return {
+      status: "missing",
+      verified: false,
+      evidence: null,
+      teeType: null,
+      measurements: null,
+      reportData: null,
+      composeHash: null,
+      tcbStatus: null,
+      reasons: [],
+      warnings: ["The service returned no quote or IAS report"],
+      policy
+    };
+  }
+  return {
+    status: result.status,
+    verified: result.status === "verified",
+    evidence: result.evidence,
+    teeType: result.teeType,
+    measurements: result.quote && result.quote.measurements,
+    reportData: result.quote && result.quote.reportData,
+    composeHash: result.composeHash,
+    tcbStatus: result.tcb.status,
+    reasons: result.reasons,
+    warnings: result.warnings,
+    policy
+  };
+}
+
+// Status of live subscriptions, without starting any
+function subscriptionStatus() {
+  return chainSubscriptions ? chainSubscriptions.status() : [];
+}
+
+// Receives the URI of every resource whose value changed and the sessions subscribed to
+// it (each MCP server notifies its own client). Returns a function that removes it.
+function onResourceUpdated(listener) {
+  resourceListeners.add(listener);
+  return () => resourceListeners.delete(listener);
+}
+
+// Whether any signer is available: env credentials or a default keystore account
+function hasWallet() {
+  return !!(process.env.WALLET_SEED_PHRASE || process.env.WALLET_PRIVATE_KEY || PHALA_CONFIG.keystore.defaultAccount);
+}
+
+// Whether getEthereumWallet() has a wallet without `from`: WALLET_PRIVATE_KEY, a seed
+// phrase with WALLET_KEY_TYPE=ethereum, or an ethereum keystore default account
+function hasEthereumWallet() {
+  const defaultAccount = PHALA_CONFIG.keystore.defaultAccount;
+  return !!(process.env.WALLET_PRIVATE_KEY ||
+    (process.env.WALLET_SEED_PHRASE && envKeyType() === "ethereum") ||
+    (defaultAccount && getKeystore().list().some(account => account.name === defaultAccount && account.type === "ethereum")));
+}
+
+// Key type of the env wallet: explicit WALLET_KEY_TYPE, else sr25519 for a seed phrase
+// and ecdsa for a private key (the same secp256k1 key as its EVM address)
+function envKeyType() {
+  return normalizeKeyType(PHALA_CONFIG.wallet.keyType, process.env.WALLET_SEED_PHRASE ? "sr25519" : "ecdsa");
+}
+
+// Keypair built from WALLET_SEED_PHRASE or WALLET_PRIVATE_KEY, or null when neither is set
+function getEnvPair() {
+  const secret = process.env.WALLET_SEED_PHRASE || process.env.WALLET_PRIVATE_KEY;
+  if (!secret) return null;
+  if (!envPair) {
+    envPair = createPair(secret, {
+      keyType: envKeyType(),
+      derivationPath: PHALA_CONFIG.wallet.derivationPath
+    });
+  }
+  return envPair;
+}
+
+// Get wallet account. `from` selects a keystore account; otherwise the env seed/key is
+// used, falling back to the keystore default account.
+function getWallet(from = null) {
+  const pair = from ? null : getEnvPair();
+  
+  if (from) {
+    return getKeystore().getSubstratePair(from);
+  } else if (pair) {
+    if (pair.type === "ethereum") {
+      throw new ToolError("UNSUPPORTED", "WALLET_KEY_TYPE=ethereum yields a 20-byte account that cannot sign Phala extrinsics; use ecdsa for the same key on Phala");
+    }
+    return pair;
+  } else if (PHALA_CONFIG.keystore.defaultAccount) {
+    return getKeystore().getSubstratePair(PHALA_CONFIG.keystore.defaultAccount);
+  } else {
+    throw new ToolError("CONFIG_MISSING", "No wallet configured (WALLET_SEED_PHRASE, WALLET_PRIVATE_KEY or a keystore account)");
+  }
+}
+
+// Parse a PHA amount on Phala ("1.5", "250 mPHA", "max", ...) into planck
+function parsePHA(amount, max = null) {
+  return parseAmount(amount, {
+    decimals: PHALA_CONFIG.nativeToken.decimals,
+    symbol: PHALA_CONFIG.nativeToken.symbol,
+    baseUnit: "planck",
+    max
+  });
+}
+
+// Largest amount a Substrate call can move after paying its own fee, for "max" amounts.
+// `buildTx` builds the call for a given amount so the fee is estimated on the real call.
+async function maxSendable(api, address, buildTx) {
+  const { transferable } = await getAccountBalance(api, address);
+  const info = await buildTx(transferable).paymentInfo(address);
+  const fee = BigInt(info.partialFee.toString());
+  return transferable > fee ? transferable - fee : BigInt(0);
+}
+
+// Any accepted address (SS58 with any prefix, 0x AccountId, or EVM via the configured
+// mapping) as a Phala SS58 address
+function toPhalaAddress(address) {
+  return toSubstrateAddress(address, { mapping: PHALA_CONFIG.evmAddressMapping });
+}
+
+module.exports = {
+  PHALA_CONFIG,
+  ERC20_ABI,
+  connection,
+  trafficFixtures,
+  getRpcPools,
+  rpcPoolStatus,
+  phatRpc,
+  getPhalaCloud,
+  getApprovalQueue,
+  getSpendingPolicy,
+  getTxTracker,
+  getKeystore,
+  jsonResult,
+  submitAndTrack,
+  submitForApproval,
+  getEthereumProvider,
+  getEthereumWallet,
+  initPhalaAPI,
+  getChainSubscriptions,
+  getChainStats,
+  getWorkerIndex,
+  getAttestationVerifier,
+  getAttestationPolicy,
+  attestationNonce,
+  verifyServiceAttestation,
+  subscriptionStatus,
+  onResourceUpdated,
+  hasWallet,
+  hasEthereumWallet,
+  envKeyType,
+  getEnvPair,
+  getWallet,
+  parsePHA,
+  maxSendable,
+  toPhalaAddress
+};
@@ -0,0 +1,276 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { parseAmount, formatUnits } = require("./amount");
+const { u8aToHex } = require("@polkadot/util");
+const { addressKey, detectFormat, parseAddress } = require("./address");
+const { ToolError } = require("./errors");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// PHA amounts are compared at 18 decimals so both Phala (12) and Ethereum (18) amounts fit exactly
+const COMPARE_DECIMALS = 18;
+const toUnits = (amount) => parseAmount(String(amount), { decimals: COMPARE_DECIMALS, symbol: "PHA" });
+const fromUnits = (units) => formatUnits(units, COMPARE_DECIMALS);
+
+// Raised when a signed operation breaks the spending policy
+class SpendingPolicyError extends ToolError {
+  constructor(violations) {
+    super("POLICY_VIOLATION", violations.map(v => v.message).join("; "), {
+      details: { rule: violations[0].rule, violations }
+    });
+    this.name = "SpendingPolicyError";
+    this.rule = violations[0].rule;
+    this.violations = violations;
+  }
+}
+
+// Comparable keys of a recipient, so SS58 prefixes and EVM checksum casing do not matter.
+// An EVM address also yields the AccountId it maps to on Phala (`mapping`), so an EVM entry
+// matches Phala transfers to that address, which the tools pass on as SS58.
+function recipientKeys(recipient, mapping) {
+  const value = String(recipient).trim();
+  try {
+    const key = addressKey(value);
+    if (detectFormat(value) !== "evm") return [key];
+    return [key, u8aToHex(parseAddress(value, { mapping }).accountId)];
+  } catch (e) {
+    // Pool IDs and other non-address identifiers are compared as-is
+    return [value];
+  }
+}
+
+// Comparable key of a contract address: hex addresses in lower case, so checksum or
+// upper-case hex in the policy file matches what callers pass
+function contractKey(contract) {
+  const value = String(contract).trim();
+  return /^0x[0-9a-f]+$/i.test(value) ? value.toLowerCase() : value;
+}
+
+// allowedMethods with its contract keys normalized; "*" stays as it is
+function normalizeRules(rules = {}) {
+  if (!rules.allowedMethods) return rules;
+  const allowedMethods = {};
+  for (const [contract, methods] of Object.entries(rules.allowedMethods)) {
+    const key = contractKey(contract);
+    allowedMethods[key] = [...(allowedMethods[key] || []), ...methods];
+  }
+  return { ...rules, allowedMethods };
+}
+
+// Spending Policy Module - declarative limits for state-changing tools.
+//
+// Policy file (JSON or YAML):
+//   defaults:            applied to every tool, overridden per tool
+//     maxPerTransaction: "1000"
+//     dailyLimit: "5000"
+//   global:
+//     dailyLimit: "10000"   rolling 24h budget across all tools
+//   tools:
+//     sendPHA:
+//       allowRecipients: ["5Grw..."]
+//       denyRecipients: ["0xdead..."]
+//     executePhatContract:
+//       allowedMethods: { "0xcontract": ["transfer"], "*": ["get"] }
+class SpendingPolicy {
+  constructor(config = {}) {
+    this.file = config.file || null;
+    this.stateFile = config.stateFile;
+    this.evmAddressMapping = config.evmAddressMapping || "hashed";
+    this.policy = this.file ? SpendingPolicy.load(this.file) : null;
+    this.state = this.loadState();
+  }
+
+  static load(file) {
+    const raw = fs.readFileSync(file, "utf8");
+    const ext = path.extname(file).toLowerCase();
+    const policy = ext === ".yaml" || ext === ".yml" ? YAML.parse(raw) : JSON.parse(raw);
+    const tools = {};
+    for (const [tool, rules] of Object.entries(policy.tools || {})) {
+      tools[tool] = normalizeRules(rules);
+    }
+    return {
+      defaults: normalizeRules(policy.defaults || {}),
+      global: policy.global || {},
+      tools
+    };
+  }
+
+  get enabled() {
+    return !!this.policy;
+  }
+
+  // Rules for a tool after merging defaults with tool-specific overrides
+  rulesFor(tool) {
+    return { ...this.policy.defaults, ...(this.policy.tools[tool] || {}) };
+  }
+
+  loadState() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.stateFile, "utf8"));
+      return { spends: Array.isArray(data.spends) ? data.spends : [] };
+    } catch (e) {
+      return { spends: [] };
+    }
+  }
+
+  saveState() {
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    // Write then rename so a crash mid-write never corrupts the counters
+    const tmp = `${this.stateFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmp, this.stateFile);
+  }
+
+  // Spend entries inside the rolling 24h window
+  recentSpends(now = Date.now()) {
+    this.state.spends = this.state.spends.filter(s => now - s.at < DAY_MS);
+    return this.state.spends;
+  }
+
+  // Total spent in the window, in comparison units
+  spentToday(tool = null) {
+    return this.recentSpends()
+      .filter(s => !tool || s.tool === tool)
+      .reduce((total, s) => total + toUnits(s.amount), BigInt(0));
+  }
+
+  // Evaluate an operation against the policy and return every violation found
+  evaluate(tool, { amount = "0", recipient = null, contract = null, method = null } = {}) {
+    if (!this.enabled) return [];
+
+    const rules = this.rulesFor(tool);
+    const value = toUnits(amount || "0");
+    const violations = [];
+
+    if (rules.maxPerTransaction !== undefined && value > toUnits(rules.maxPerTransaction)) {
+      violations.push({
+        rule: "maxPerTransaction",
+        tool,
+        limit: String(rules.maxPerTransaction),
+        actual: String(amount),
+        message: `${tool}: amount ${amount} PHA exceeds per-transaction limit of ${rules.maxPerTransaction} PHA`
+      });
+    }
+
+    if (rules.dailyLimit !== undefined) {
+      const spent = this.spentToday(tool);
+      if (spent + value > toUnits(rules.dailyLimit)) {
+        violations.push({
+          rule: "dailyLimit",
+          tool,
+          limit: String(rules.dailyLimit),
+          spent: fromUnits(spent),
+          actual: String(amount),
+          message: `${tool}: 24h budget of ${rules.dailyLimit} PHA would be exceeded (${fromUnits(spent)} PHA already spent)`
+        });
+      }
+    }
+
+    if (this.policy.global.dailyLimit !== undefined) {
+      const spent = this.spentToday();
+      if (spent + value > toUnits(this.policy.global.dailyLimit)) {
+        violations.push({
+          rule: "globalDailyLimit",
+          tool,
+          limit: String(this.policy.global.dailyLimit),
+          spent: fromUnits(spent),
+          actual: String(amount),
+          message: `Global 24h budget of ${this.policy.global.dailyLimit} PHA would be exceeded (${fromUnits(spent)} PHA already spent)`
+        });
+      }
+    }
+
+    if (recipient) {
+      const target = recipientKeys(recipient, this.evmAddressMapping);
+      const listed = (entries) => entries.some(entry => recipientKeys(entry, this.evmAddressMapping).some(key => target.includes(key)));
+      if (listed([...(this.policy.global.denyRecipients || []), ...(rules.denyRecipients || [])])) {
+        violations.push({
+          rule: "denyRecipients",
+          tool,
+          recipient,
+          message: `${tool}: recipient ${recipient} is on the denylist`
+        });
+      }
+
+      if (Array.isArray(rules.allowRecipients) && !listed(rules.allowRecipients)) {
+        violations.push({
+          rule: "allowRecipients",
+          tool,
+          recipient,
+          message: `${tool}: recipient ${recipient} is not on the allowlist`
+        });
+      }
+    }
+
+    if (method && rules.allowedMethods) {
+      const allowed = [
+        ...((contract && rules.allowedMethods[contractKey(contract)]) || []),
+        ...(rules.allowedMethods["*"] || [])
+      ];
+      if (!allowed.includes(method)) {
+        violations.push({
+          rule: "allowedMethods",
+          tool,
+          contract,
+          method,
+          message: `${tool}: method ${method} is not allowed on contract ${contract}`
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  // Throw a SpendingPolicyError when the operation is not permitted
+  enforce(tool, context) {
+    const violations = this.evaluate(tool, context);
+    if (violations.length > 0) {
+      throw new SpendingPolicyError(violations);
+    }
+  }
+
+  // Count an operation against the rolling budgets; returns its spend entry
+  record(tool, amount) {
+    if (!this.enabled) return null;
+    this.recentSpends();
+    const spend = { tool, amount: String(amount), at: Date.now() };
+    this.state.spends.push(spend);
+    this.saveState();
+    return spend;
+  }
+
+  // Check an operation and count it in the same step, so operations running side by side
+  // cannot all pass the check before any is counted. Returns the entry for release().
+  reserve(tool, context) {
+    this.enforce(tool, context);
+    return this.record(tool, context.amount);
+  }
+
+  // Give back a reservation whose operation never reached the network
+  release(spend) {
+    if (!spend) return;
+    this.state.spends = this.state.spends.filter(s => s !== spend);
+    this.saveState();
+  }
+
+  // Budget overview for status tools
+  summary() {
+    if (!this.enabled) {
+      return { enabled: false };
+    }
+    const perTool = {};
+    for (const tool of new Set(this.recentSpends().map(s => s.tool))) {
+      perTool[tool] = fromUnits(this.spentToday(tool));
+    }
+    return {
+      enabled: true,
+      file: this.file,
+      spentLast24h: perTool,
+      globalDailyLimit: this.policy.global.dailyLimit !== undefined ? String(this.policy.global.dailyLimit) : null
+    };
+  }
+}
+
+module.exports = SpendingPolicy;
+module.exports.SpendingPolicyError = SpendingPolicyError;
@@ -0,0 +1,96 @@
+const axios = require("axios");
+const MetricsRegistry = require("./metrics");
+const PHALA_CONFIG = require("./config");
+const { TOOL_BUCKETS, UPSTREAM_BUCKETS } = MetricsRegistry;
+
+// Telemetry Module - tool call, upstream request and worker cache metrics of the MCP
+// process; server.js serves them on /metrics. Loading it installs the axios
+// interceptors that time HTTP services.
+
+const metrics = new MetricsRegistry({ prefix: "phala_mcp_" });
+const toolCalls = metrics.counter("tool_calls_total", "Tool calls by outcome", ["tool", "outcome"]);
+const toolDuration = metrics.histogram("tool_duration_seconds", "Tool call duration", ["tool"], TOOL_BUCKETS);
+const toolErrors = metrics.counter("tool_errors_total", "Failed tool calls by error code", ["tool", "code"]);
+const upstreamDuration = metrics.histogram(
+  "upstream_request_duration_seconds",
+  "Requests to RPC nodes and HTTP services (DStack, attestation, VRF, oracle)",
+  ["service", "endpoint", "outcome"],
+  UPSTREAM_BUCKETS
+);
+const workerCacheLookups = metrics.counter("worker_cache_lookups_total", "Worker list calls by whether the worker index was built (hit) or not yet (miss)", ["result"]);
+const workerCacheHitRatio = metrics.gauge("worker_cache_hit_ratio", "Share of worker list calls with the worker index built", []);
+
+function recordToolCall(tool, seconds, errorCode) {
+  toolDuration.observe({ tool }, seconds);
+  toolCalls.inc({ tool, outcome: errorCode ? "error" : "success" });
+  if (errorCode) {
+    toolErrors.inc({ tool, code: errorCode });
+  }
+}
+
+// Host only: RPC URLs often carry an API key in the path
+function endpointLabel(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return "unknown";
+  }
+}
+
+function observeUpstream({ service, url, seconds, outcome }) {
+  upstreamDuration.observe({ service, endpoint: endpointLabel(url), outcome }, seconds);
+}
+
+// HTTP services timed by the axios interceptors below. RPC pools time their own requests.
+function httpService(url) {
+  const services = [
+    ["dstack", PHALA_CONFIG.dstack.apiUrl],
+    ["dstack", PHALA_CONFIG.confidentialAIUrl],
+    ["attestation", PHALA_CONFIG.tee.attestationService],
+    ["vrf", PHALA_CONFIG.vrf.endpoint],
+    ["oracle", PHALA_CONFIG.oracle.endpoint]
+  ];
+  const match = services.find(([, base]) => base && String(url).startsWith(base));
+  return match ? match[0] : null;
+}
+
+function observeHttp(config, outcome) {
+  if (config && config.upstream && config.upstream.service) {
+    observeUpstream({
+      service: config.upstream.service,
+      url: config.url,
+      seconds: (Date.now() - config.upstream.startedAt) / 1000,
+      outcome
+    });
+  }
+}
+
+axios.interceptors.request.use((config) => {
+  config.upstream = { service: httpService(config.url), startedAt: Date.now() };
+  return config;
+});
+axios.interceptors.response.use(
+  (response) => {
+    observeHttp(response.config, "success");
+    return response;
+  },
+  (error) => {
+    observeHttp(error.config, error.response ? "http_error" : "transport_error");
+    return Promise.reject(error);
+  }
+);
+
+const workerCacheStats = { hits: 0, misses: 0 };
+
+function recordWorkerCacheLookup(hit) {
+  workerCacheStats[hit ? "hits" : "misses"]++;
+  workerCacheLookups.inc({ result: hit ? "hit" : "miss" });
+  workerCacheHitRatio.set({}, workerCacheStats.hits / (workerCacheStats.hits + workerCacheStats.misses));
+}
+
+module.exports = {
+  metrics,
+  recordToolCall,
+  observeUpstream,
+  recordWorkerCacheLookup
+};
@@ -0,0 +1,322 @@
+const { z } = require("zod");
+const { cryptoWaitReady } = require("@polkadot/util-crypto");
+const PHALA_CONFIG = require("../config");
+const schemas = require("../schemas");
+const { MAPPINGS, PHALA_SS58_PREFIX, validateAddress, convertAddress } = require("../address");
+const { redactPath, describePair } = require("../keys");
+const { errorResult } = require("../errors");
+const { getKeystore, jsonResult, getEthereumWallet, envKeyType, getEnvPair, getWallet } = require("../services");
+
+// Accounts Tools - Keystore accounts, wallet addresses and address conversion.
+
+function register(tools) {
+  // Tool: List Accounts
+  tools.registerTool(
+    "listAccounts",
+    {
+      description: "List keystore accounts and the wallet configured through the environment",
+      outputSchema: {
+        keystore: z.object({
+          dir: z.string(),
+          unlockable: z.boolean(),
+          defaultAccount: z.string().nullable(),
+          accounts: z.array(schemas.account)
+        }),
+        environment: z.array(z.object({
+          type: z.enum(["substrate", "ethereum"]),
+          keyType: z.string().optional(),
+          address: z.string()
+        }))
+      }
+    },
+    async () => {
+      try {
+        const store = getKeystore();
+        const environment = [];
+        
+        const pair = getEnvPair();
+        if (pair && pair.type !== "ethereum") {
+          environment.push({ type: "substrate", keyType: pair.type, address: pair.address });
+        }
+        if (process.env.WALLET_PRIVATE_KEY || (pair && pair.type === "ethereum")) {
+          environment.push({ type: "ethereum", address: getEthereumWallet().address });
+        }
+        
+        return jsonResult({
+          keystore: {
+            dir: store.dir,
+            unlockable: !!store.password,
+            defaultAccount: store.defaultAccount,
+            accounts: store.list()
+          },
+          environment
+        });
+      } catch (error) {
+        return errorResult("listing accounts", error);
+      }
+    }
+  );
+
+  // Tool: Create Account
+  tools.registerTool(
+    "createAccount",
+    {
+      description: "Create a new encrypted keystore account",
+      inputSchema: {
+        name: z.string().describe("Account name (letters, digits, - and _)"),
+        type: z.enum(["substrate", "ethereum"]).describe("Account type").optional().default("substrate"),
+        keyType: z.enum(["sr25519", "ed25519", "ecdsa"]).describe("Key type for substrate accounts").optional().default("sr25519"),
+        derivationPath: z.string().describe("Derivation path, e.g. //hard/soft (substrate) or /m/44'/60'/0'/0/1 (ethereum)").optional(),
+        returnMnemonic: z.boolean().describe("Include the generated mnemonic in the response for offline backup").optional().default(false)
+      },
+      outputSchema: {
+        success: z.boolean(),
+        account: schemas.account,
+        warning: z.string().optional()
+      }
+    },
+    async ({ name, type, keyType, derivationPath, returnMnemonic }) => {
+      try {
+        const account = await getKeystore().create(name, type, { returnMnemonic, keyType, derivationPath });
+        
+        return jsonResult({
+          success: true,
+          account,
+          ...(returnMnemonic && { warning: "Store the mnemonic offline. It is not saved unencrypted anywhere." })
+        });
+      } catch (error) {
+        return errorResult("creating account", error);
+      }
+    }
+  );
+
+  // Tool: Import Account
+  tools.registerTool(
+    "importAccount",
+    {
+      description: "Import an account into the encrypted keystore from a mnemonic, private key or JSON keystore",
+      inputSchema: {
+        name: z.string().describe("Account name (letters, digits, - and _)"),
+        type: z.enum(["substrate", "ethereum"]).describe("Account type"),
+        secret: z.string().describe("Mnemonic, secret URI or hex private key").optional(),
+        json: z.string().describe("polkadot.js JSON keystore or ethers JSON wallet").optional(),
+        jsonPassword: z.string().describe("Password of the JSON keystore").optional(),
+        keyType: z.enum(["sr25519", "ed25519", "ecdsa"]).describe("Key type for substrate accounts (default: ecdsa for hex private keys, sr25519 otherwise)").optional(),
+        derivationPath: z.string().describe("Derivation path, e.g. //hard/soft (substrate) or /m/44'/60'/0'/0/1 (ethereum)").optional()
+      },
+      outputSchema: {
+        success: z.boolean(),
+        account: schemas.account
+      }
+    },
+    async ({ name, type, secret, json, jsonPassword, keyType, derivationPath }) => {
+      try {
+        const account = await getKeystore().import(name, type, { secret, json, jsonPassword, keyType, derivationPath });
+        
+        return jsonResult({
+          success: true,
+          account
+        });
+      } catch (error) {
+        return errorResult("importing account", error);
+      }
+    }
+  );
+
+  // Tool: Export Account JSON
+  tools.registerTool(
+    "exportAccountJson",
+    {
+      description: "Export a keystore account as an encrypted JSON backup (polkadot.js or ethers format)",
+      inputSchema: {
+        name: z.string().describe("Account name"),
+        exportPassword: z.string().describe("Re-encrypt the backup with this password (defaults to the keystore password)").optional()
+      },
+      outputSchema: {
+        name: z.string(),
+        json: z.record(z.any()).describe("polkadot.js or ethers encrypted JSON")
+      }
+    },
+    async ({ name, exportPassword }) => {
+      try {
+        const json = await getKeystore().exportJson(name, exportPassword);
+        
+        return jsonResult({
+          name,
+          json
+        });
+      } catch (error) {
+        return errorResult("exporting account", error);
+      }
+    }
+  );
+
+  // Tool: Convert Address
+  tools.registerTool(
+    "convertAddress",
+    {
+      description: "Convert an address between SS58 prefixes, raw AccountId and EVM formats",
+      inputSchema: {
+        address: z.string().describe("SS58 address, 0x AccountId (32 bytes) or EVM address (20 bytes)"),
+        ss58Prefix: z.number().int().min(0).max(16383).describe("SS58 prefix to encode with (30 = Phala, 42 = generic Substrate)").optional().default(PHALA_SS58_PREFIX),
+        mapping: z.enum(MAPPINGS).describe("EVM to AccountId mapping (defaults to EVM_ADDRESS_MAPPING)").optional()
+      },
+      outputSchema: {
+        input: z.string(),
+        format: z.enum(["ss58", "accountId", "evm"]),
+        inputPrefix: z.number().nullable().optional(),
+        mapping: z.string().optional(),
+        prefix: z.number(),
+        ...schemas.encodedAddress.shape,
+        // The input itself for EVM addresses; otherwise the truncated EVM form of the AccountId
+        evm: z.union([
+          z.string(),
+          z.object({ truncated: z.string(), reversible: z.boolean(), note: z.string() })
+        ]),
+        mappings: z.record(schemas.encodedAddress.extend({ reversible: z.boolean() })).optional()
+      }
+    },
+    async ({ address, ss58Prefix, mapping }) => {
+      try {
+        const result = convertAddress(address, {
+          mapping: mapping || PHALA_CONFIG.evmAddressMapping,
+          prefix: ss58Prefix
+        });
+        
+        return jsonResult(result);
+      } catch (error) {
+        return errorResult("converting address", error);
+      }
+    }
+  );
+
+  // Tool: Validate Address
+  tools.registerTool(
+    "validateAddress",
+    {
+      description: "Check an address's format and checksum (SS58 or EIP-55)",
+      inputSchema: {
+        address: z.string().describe("Address to validate"),
+        expectedPrefix: z.number().int().describe("Require this SS58 prefix (e.g. 30 for Phala)").optional(),
+        expectedFormat: z.enum(["substrate", "evm"]).describe("Require a Substrate or EVM address").optional()
+      },
+      outputSchema: {
+        address: z.string(),
+        valid: z.boolean(),
+        format: z.enum(["ss58", "accountId", "evm"]),
+        errors: z.array(z.string()),
+        accountId: z.string().nullable().optional(),
+        checksum: z.object({
+          present: z.boolean(),
+          valid: z.boolean(),
+          checksummed: z.string().optional()
+        }).optional(),
+        prefix: z.number().optional()
+      }
+    },
+    async ({ address, expectedPrefix, expectedFormat }) => {
+      try {
+        const result = validateAddress(address, {
+          expectedPrefix: expectedPrefix !== undefined ? expectedPrefix : null,
+          expectedFormat: expectedFormat || null
+        });
+        
+        return jsonResult(result);
+      } catch (error) {
+        return errorResult("validating address", error);
+      }
+    }
+  );
+
+  // Tool: Get Wallet Addresses
+  tools.registerTool(
+    "getWalletAddresses",
+    {
+      description: "Show exactly which Substrate and EVM addresses the configured keys resolve to",
+      inputSchema: {
+        from: z.string().describe("Keystore account name (defaults to the configured wallet)").optional()
+      },
+      outputSchema: {
+        // Each signer either resolves or carries the reason it does not
+        phala: z.object({
+          source: z.string().optional(),
+          keyType: z.string().optional(),
+          publicKey: z.string().optional(),
+          substrate: z.object({ address: z.string(), generic: z.string(), accountId: z.string() }).nullable().optional(),
+          evm: z.string().nullable().optional(),
+          canSignPhala: z.boolean().optional(),
+          error: z.string().optional()
+        }),
+        ethereum: z.object({
+          source: z.string().optional(),
+          address: z.string().optional(),
+          error: z.string().optional()
+        }),
+        wallet: z.object({ keyType: z.any(), derivationPath: z.string().nullable() }).nullable(),
+        notes: z.array(z.string())
+      }
+    },
+    async ({ from }) => {
+      try {
+        await cryptoWaitReady();
+        const defaultAccount = PHALA_CONFIG.keystore.defaultAccount;
+        const seedPhrase = process.env.WALLET_SEED_PHRASE;
+        const privateKey = process.env.WALLET_PRIVATE_KEY;
+        
+        // Report each signer the way the tools resolve it, keeping failures as messages
+        const resolve = (fn) => {
+          try {
+            return fn();
+          } catch (error) {
+            return { error: error.message };
+          }
+        };
+        
+        const phala = resolve(() => ({
+          source: from ? `keystore:${from}` : (seedPhrase ? "WALLET_SEED_PHRASE" : privateKey ? "WALLET_PRIVATE_KEY" : `keystore:${defaultAccount}`),
+          ...describePair(getWallet(from))
+        }));
+        
+        const ethereum = resolve(() => ({
+          source: from ? `keystore:${from}`
+            : privateKey ? "WALLET_PRIVATE_KEY"
+            : seedPhrase && envKeyType() === "ethereum" ? "WALLET_SEED_PHRASE"
+            : `keystore:${defaultAccount}`,
+          address: getEthereumWallet(from).address
+        }));
+        
+        const notes = [];
+        if (!from && (seedPhrase || privateKey)) {
+          const keyType = resolve(envKeyType);
+          if (seedPhrase && privateKey) {
+            notes.push("Phala tools sign with WALLET_SEED_PHRASE and Ethereum tools with WALLET_PRIVATE_KEY; these are different keys");
+          } else if (privateKey && (keyType === "sr25519" || keyType === "ed25519")) {
+            notes.push(`WALLET_KEY_TYPE=${keyType} uses the private key as a ${keyType} seed, so the Phala account is unrelated to the EVM address`);
+          }
+        }
+        if (phala.evm && ethereum.address && phala.evm === ethereum.address) {
+          notes.push("Phala and Ethereum tools use the same secp256k1 key");
+        }
+        
+        return jsonResult({
+          phala,
+          ethereum,
+          wallet: from || !(seedPhrase || privateKey) ? null : {
+            keyType: resolve(envKeyType),
+            derivationPath: redactPath(PHALA_CONFIG.wallet.derivationPath) || null
+          },
+          notes
+        });
+      } catch (error) {
+        return errorResult("resolving wallet addresses", error);
+      }
+    }
+  );
+}
+
+module.exports = {
+  name: "accounts",
+  description: "Keystore accounts, wallet addresses and address conversion",
+  capabilities: ["Multi-account Keystore"],
+  register
+};
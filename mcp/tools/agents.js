@@ -0,0 +1,252 @@
+const { z } = require("zod");
+const axios = require("axios");
+const PHALA_CONFIG = require("../config");
+const schemas = require("../schemas");
+const { previewServiceRequest } = require("../tx-preview");
+const { ToolError, errorResult } = require("../errors");
+const { getPhalaCloud, jsonResult, getAttestationPolicy, attestationNonce, verifyServiceAttestation } = require("../services");
+
+// Agents Tools - AI agents running in TEEs, from scratch or from templates.
+
+function register(tools) {
+  // Tool: Deploy AI Agent
+  tools.registerTool(
+    "deployAIAgent",
+    {
+      description: "Deploy an AI Agent contract with TEE protection",
+      inputSchema: {
+        name: z.string().describe("Agent name"),
+        model: z.string().describe("AI model to use (e.g., 'gpt-4', 'llama-2')"),
+        systemPrompt: z.string().describe("System prompt for the agent"),
+        apiKeys: z.object({}).describe("API keys (will be encrypted)").optional(),
+        clusterId: z.string().describe("Target cluster ID"),
+        memorySize: z.number().describe("Memory size in MB").optional().default(512),
+        dryRun: z.boolean().describe("Preview the request without sending it").optional().default(false)
+      },
+      outputSchema: schemas.variants(schemas.dryRunShape, {
+        success: z.boolean(),
+        agentId: z.string(),
+        contractAddress: z.string(),
+        cluster: z.string(),
+        endpoint: z.string(),
+        status: z.string(),
+        resources: z.object({ memory: z.string(), teeType: z.string() })
+      })
+    },
+    async ({ name, model, systemPrompt, apiKeys, clusterId, memorySize, dryRun }) => {
+      try {
+        // Deploy AI Agent via DStack API
+        const headers = PHALA_CONFIG.apiKey ? { 
+          'Authorization': `Bearer ${PHALA_CONFIG.apiKey}`,
+          'Content-Type': 'application/json'
+        } : { 'Content-Type': 'application/json' };
+        
+        const url = `${PHALA_CONFIG.dstack.apiUrl || PHALA_CONFIG.confidentialAIUrl}/agents/deploy`;
+        const body = {
+          name,
+          model,
+          systemPrompt,
+          apiKeys,
+          cluster: clusterId,
+          resources: {
+            memory: memorySize,
+            teeType: "Intel SGX"
+          }
+        };
+        
+        if (dryRun) {
+          return jsonResult(previewServiceRequest({
+            service: "DStack",
+            url,
+            // Never echo secrets back in a preview
+            body: { ...body, apiKeys: apiKeys ? Object.keys(apiKeys) : undefined }
+          }));
+        }
+        
+        const response = await axios.post(url, body, { headers });
+        
+        return jsonResult({
+          success: true,
+          agentId: response.data.agentId,
+          contractAddress: response.data.contractAddress,
+          cluster: clusterId,
+          endpoint: response.data.endpoint,
+          status: "deployed",
+          resources: {
+            memory: `${memorySize}MB`,
+            teeType: "Intel SGX"
+          }
+        });
+      } catch (error) {
+        return errorResult("deploying AI Agent", error);
+      }
+    }
+  );
+
+  // Tool: Query AI Agent
+  tools.registerTool(
+    "queryAIAgent",
+    {
+      description: "Send a query to an AI Agent running in TEE. The attestation returned with the answer is verified locally; with an attestation policy configured, an answer from an agent that fails it is withheld.",
+      inputSchema: {
+        agentId: z.string().describe("Agent ID or contract address"),
+        query: z.string().describe("Query to send to the agent"),
+        context: z.object({}).describe("Additional context").optional()
+      },
+      outputSchema: {
+        agentId: z.string(),
+        query: z.string(),
+        response: z.any(),
+        tokensUsed: z.any(),
+        executionTime: z.any(),
+        attestation: z.any(),
+        verification: schemas.attestationVerification
+      }
+    },
+    async ({ agentId, query, context }) => {
+      try {
+        // Query AI Agent
+        const headers = PHALA_CONFIG.apiKey ? { 
+          'Authorization': `Bearer ${PHALA_CONFIG.apiKey}`,
+          'Content-Type': 'application/json'
+        } : { 'Content-Type': 'application/json' };
+        
+        const nonce = attestationNonce("queryAIAgent");
+        const response = await axios.post(`${PHALA_CONFIG.dstack.apiUrl || PHALA_CONFIG.confidentialAIUrl}/agents/query`, {
+          agentId,
+          query,
+          context,
+          ...(nonce && { reportData: nonce })
+        }, { headers });
+        
+        // An agent that fails the policy may not be the one asked; its answer is not returned
+        const verification = verifyServiceAttestation("queryAIAgent", response.data.attestation, { reportData: nonce });
+        getAttestationPolicy().enforce("queryAIAgent", verification.policy,
+          `Agent ${agentId} failed the attestation policy; its response was withheld`,
+          { agentId, verification });
+        
+        return jsonResult({
+          agentId,
+          query,
+          response: response.data.response,
+          tokensUsed: response.data.tokensUsed,
+          executionTime: response.data.executionTime,
+          attestation: response.data.attestation,
+          verification
+        });
+      } catch (error) {
+        return errorResult("querying AI Agent", error);
+      }
+    }
+  );
+
+  // Templates built into PhalaCloudService
+  const AGENT_TEMPLATES = ["oracle", "trader", "nftManager", "dataAnalyst", "governance", "security"];
+
+  // Tool: Get AI Agent Templates
+  tools.registerTool(
+    "getAIAgentTemplates",
+    {
+      description: "Get pre-configured AI agent templates",
+      outputSchema: Object.fromEntries(AGENT_TEMPLATES.map(name => [name, schemas.agentTemplate]))
+    },
+    async () => {
+      try {
+        const cloud = getPhalaCloud();
+        const templates = cloud.getAIAgentTemplates();
+        
+        return jsonResult(templates);
+      } catch (error) {
+        return errorResult("getting AI agent templates", error);
+      }
+    }
+  );
+
+  // Tool: Deploy AI Agent from Template
+  tools.registerTool(
+    "deployAIAgentTemplate",
+    {
+      description: "Deploy an AI agent using a pre-configured template",
+      inputSchema: {
+        template: z.enum(AGENT_TEMPLATES).describe("Template to use"),
+        clusterId: z.string().describe("Target cluster ID"),
+        customizations: z.object({}).passthrough().describe("Custom settings").optional(),
+        dryRun: z.boolean().describe("Preview the request without sending it").optional().default(false)
+      },
+      outputSchema: schemas.variants(schemas.dryRunShape, {
+        success: z.boolean(),
+        template: z.string(),
+        agentId: z.string(),
+        contractAddress: z.string(),
+        cluster: z.string(),
+        features: z.array(z.string()),
+        status: z.string()
+      })
+    },
+    async ({ template, clusterId, customizations, dryRun }) => {
+      try {
+        const cloud = getPhalaCloud();
+        const templates = cloud.getAIAgentTemplates();
+        const agentTemplate = templates[template];
+        
+        if (!agentTemplate) {
+          throw new ToolError("NOT_FOUND", `Template ${template} not found`, { hint: "List templates with getAIAgentTemplates" });
+        }
+        
+        // Merge template with customizations
+        const agentConfig = {
+          ...agentTemplate,
+          ...customizations,
+          clusterId
+        };
+        
+        // Deploy using existing deployAIAgent logic
+        const headers = PHALA_CONFIG.apiKey ? { 
+          'Authorization': `Bearer ${PHALA_CONFIG.apiKey}`,
+          'Content-Type': 'application/json'
+        } : { 'Content-Type': 'application/json' };
+        
+        const url = `${PHALA_CONFIG.dstack.apiUrl || PHALA_CONFIG.confidentialAIUrl}/agents/deploy`;
+        const body = {
+          name: agentConfig.name,
+          model: agentConfig.model,
+          systemPrompt: agentConfig.systemPrompt,
+          cluster: clusterId,
+          resources: {
+            memory: agentConfig.memory,
+            teeType: "Intel SGX"
+          },
+          features: agentConfig.features
+        };
+        
+        if (dryRun) {
+          return jsonResult({
+            ...previewServiceRequest({ service: "DStack", url, body }),
+            template
+          });
+        }
+        
+        const response = await axios.post(url, body, { headers });
+        
+        return jsonResult({
+          success: true,
+          template: template,
+          agentId: response.data.agentId || `${template}-${Date.now()}`,
+          contractAddress: response.data.contractAddress || "0xtemplate",
+          cluster: clusterId,
+          features: agentConfig.features,
+          status: "deployed"
+        });
+      } catch (error) {
+        return errorResult("deploying AI agent template", error);
+      }
+    }
+  );
+}
+
+module.exports = {
+  name: "agents",
+  description: "AI agents running in TEEs, from scratch or from templates",
+  capabilities: ["AI Agent Contracts"],
+  register
+};
@@ -0,0 +1,198 @@
+const { z } = require("zod");
+const PHALA_CONFIG = require("../config");
+const schemas = require("../schemas");
+const { decodeCall, previewExtrinsic } = require("../tx-preview");
+const { isMaxAmount, formatUnits, formatAmount, amountFields } = require("../amount");
+const { parseAddress } = require("../address");
+const { ToolError, errorResult } = require("../errors");
+const {
+  jsonResult,
+  submitAndTrack,
+  submitForApproval,
+  initPhalaAPI,
+  hasWallet,
+  getWallet,
+  parsePHA,
+  maxSendable,
+  toPhalaAddress
+} = require("../services");
+
+// Balances Tools - PHA balances and transfers on Phala.
+
+function register(tools) {
+  // Tool: Get PHA Balance
+  tools.registerTool(
+    "getPHABalance",
+    {
+      description: "Get PHA token balance for an address",
+      inputSchema: {
+        address: z.string().describe("Phala account address (SS58 with any prefix, 0x AccountId, or EVM)").optional()
+      },
+      outputSchema: schemas.balanceShape
+    },
+    async ({ address }) => {
+      try {
+        const api = await initPhalaAPI();
+        
+        // Use provided address or get from wallet
+        let accountAddress = address;
+        if (!accountAddress && hasWallet()) {
+          const wallet = getWallet();
+          accountAddress = wallet.address;
+        }
+        
+        if (!accountAddress) {
+          throw new ToolError("CONFIG_MISSING", "No address provided and no wallet configured", { hint: "Pass an address" });
+        }
+        
+        // Resolve SS58 (any prefix), AccountId hex or EVM addresses to the Phala account
+        const parsed = parseAddress(accountAddress, { mapping: PHALA_CONFIG.evmAddressMapping });
+        accountAddress = toPhalaAddress(accountAddress);
+        
+        // Get account info
+        const accountInfo = await api.query.system.account(accountAddress);
+        
+        // Get locked balances if staking module exists
+        let lockedBalance = null;
+        if (api.query.balances && api.query.balances.locks) {
+          const locks = await api.query.balances.locks(accountAddress);
+          if (locks.length > 0) {
+            lockedBalance = locks.reduce((total, lock) => {
+              return total + BigInt(lock.amount.toString());
+            }, BigInt(0));
+          }
+        }
+        
+        const decimals = PHALA_CONFIG.nativeToken.decimals;
+        const free = BigInt(accountInfo.data.free.toString());
+        const reserved = BigInt(accountInfo.data.reserved.toString());
+        const frozen = BigInt((accountInfo.data.frozen || accountInfo.data.miscFrozen || 0).toString());
+        const locked = lockedBalance || BigInt(0);
+        
+        return jsonResult({
+          address: accountAddress,
+          // Set only when queried by EVM address, with the mapping used to find the account
+          evmAddress: parsed.evm,
+          evmMapping: parsed.mapping,
+          free: formatAmount(free, decimals),
+          reserved: formatAmount(reserved, decimals),
+          frozen: formatAmount(frozen, decimals),
+          locked: formatAmount(locked, decimals),
+          total: formatAmount(free + reserved, decimals),
+          // Planck strings for exact downstream accounting
+          raw: {
+            free: free.toString(),
+            reserved: reserved.toString(),
+            frozen: frozen.toString(),
+            locked: locked.toString(),
+            total: (free + reserved).toString()
+          },
+          decimals,
+          nonce: accountInfo.nonce.toNumber(),
+          explorer: `${PHALA_CONFIG.explorer}/account/${accountAddress}`
+        });
+      } catch (error) {
+        return errorResult("getting PHA balance", error);
+      }
+    }
+  );
+
+  // Tool: Send PHA
+  tools.registerTool(
+    "sendPHA",
+    {
+      description: "Send PHA tokens to another address",
+      inputSchema: {
+        to: z.string().describe("Recipient address (SS58 with any prefix, 0x AccountId, or EVM)"),
+        amount: z.string().describe("Amount of PHA to send"),
+        from: z.string().describe("Keystore account name to sign with (defaults to the configured wallet)").optional(),
+        dryRun: z.boolean().describe("Preview the transaction without signing or submitting").optional().default(false)
+      },
+      outputSchema: schemas.signingOutput({
+        ...schemas.substrateReceiptShape,
+        from: z.string(),
+        to: z.string(),
+        amount: schemas.amount,
+        fee: schemas.amount
+      })
+    },
+    async ({ to, amount, from, dryRun }) => {
+      try {
+        if (!from && !hasWallet()) {
+          throw new ToolError("CONFIG_MISSING", "Wallet not configured");
+        }
+        
+        const api = await initPhalaAPI();
+        const wallet = getWallet(from);
+        
+        // Validates checksums and maps EVM recipients with the configured scheme
+        const recipientAddress = toPhalaAddress(to);
+        
+        // Convert amount to smallest unit
+        const decimals = PHALA_CONFIG.nativeToken.decimals;
+        const max = isMaxAmount(amount)
+          ? await maxSendable(api, wallet.address, (value) => api.tx.balances.transfer(recipientAddress, value))
+          : null;
+        const amountToSend = parsePHA(amount, max);
+        const amountPHA = formatUnits(amountToSend, decimals);
+        
+        // Create transfer
+        const transfer = api.tx.balances.transfer(recipientAddress, amountToSend);
+        
+        if (dryRun) {
+          const preview = await previewExtrinsic(api, transfer, {
+            signer: wallet.address,
+            debit: amountToSend,
+            recipient: recipientAddress,
+            credit: amountToSend
+          });
+          
+          return jsonResult({ ...preview, amount: amountFields(amountToSend, decimals) });
+        }
+        
+        // Estimate fees
+        const info = await transfer.paymentInfo(wallet);
+        
+        return await submitForApproval({
+          tool: "sendPHA",
+          params: { from: from || null, to: recipientAddress, amount: amountPHA },
+          amount: amountPHA,
+          summary: {
+            call: decodeCall(transfer),
+            signer: wallet.address,
+            fee: amountFields(info.partialFee, decimals)
+          },
+          policy: { recipient: recipientAddress },
+          execute: async ({ submitting }) => {
+            submitting();
+            const record = await submitAndTrack(api, transfer, wallet, "sendPHA");
+            
+            return jsonResult({
+              success: record.success,
+              status: record.status,
+              from: wallet.address,
+              to: recipientAddress,
+              amount: amountFields(amountToSend, decimals),
+              fee: amountFields(info.partialFee, decimals),
+              transactionHash: record.hash,
+              nonce: record.nonce,
+              blockHash: record.blockHash,
+              blockNumber: record.blockNumber,
+              extrinsicIndex: record.extrinsicIndex,
+              explorer: `${PHALA_CONFIG.explorer}/extrinsic/${record.hash}`
+            });
+          }
+        });
+      } catch (error) {
+        return errorResult("sending PHA", error);
+      }
+    }
+  );
+}
+
+module.exports = {
+  name: "balances",
+  description: "PHA balances and transfers on Phala",
+  capabilities: ["PHA Token Management"],
+  register
+};
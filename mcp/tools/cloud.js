@@ -0,0 +1,224 @@
+const { z } = require("zod");
+const { errorResult } = require("../errors");
+const { getPhalaCloud, jsonResult } = require("../services");
+
+// Cloud Tools - Phala Cloud services: VRF, oracles, workflows and data feeds.
+
+function register(tools) {
+  // Tool: Generate VRF (Verifiable Random Function)
+  tools.registerTool(
+    "generateVRF",
+    {
+      description: "Generate verifiable random number with proof",
+      inputSchema: {
+        seed: z.string().describe("Seed for randomness").optional(),
+        min: z.number().describe("Minimum value (for range)").optional(),
+        max: z.number().describe("Maximum value (for range)").optional()
+      },
+      outputSchema: {
+        randomValue: z.any(),
+        proof: z.any(),
+        publicKey: z.any(),
+        verified: z.any(),
+        range: z.object({ min: z.number(), max: z.number() }).nullable()
+      }
+    },
+    async ({ seed, min, max }) => {
+      try {
+        const cloud = getPhalaCloud();
+        const range = (min !== undefined && max !== undefined) ? { min, max } : null;
+        const result = await cloud.generateVRF(seed, range);
+        
+        return jsonResult(result);
+      } catch (error) {
+        return errorResult("generating VRF", error);
+      }
+    }
+  );
+
+  // Tool: Fetch Oracle Data
+  tools.registerTool(
+    "fetchOracleData",
+    {
+      description: "Fetch external data through blockchain oracle",
+      inputSchema: {
+        dataType: z.enum(["price", "weather", "random", "sports", "stocks", "gas"]).describe("Type of data to fetch"),
+        params: z.object({}).passthrough().describe("Parameters specific to data type").optional()
+      },
+      outputSchema: {
+        dataType: z.string(),
+        value: z.any(),
+        timestamp: z.any(),
+        source: z.any(),
+        signature: z.any(),
+        attestation: z.any()
+      }
+    },
+    async ({ dataType, params }) => {
+      try {
+        const cloud = getPhalaCloud();
+        const result = await cloud.fetchOracleData(dataType, params || {});
+        
+        return jsonResult(result);
+      } catch (error) {
+        return errorResult("fetching oracle data", error);
+      }
+    }
+  );
+
+  // Tool: Create Workflow
+  tools.registerTool(
+    "createWorkflow",
+    {
+      description: "Create automated workflow with triggers and actions",
+      inputSchema: {
+        name: z.string().describe("Workflow name"),
+        description: z.string().describe("Workflow description"),
+        triggers: z.array(z.string()).describe("Trigger types: onchain, time, event"),
+        actions: z.array(z.string()).describe("Actions to execute"),
+        conditions: z.array(z.string()).describe("Conditions for execution").optional(),
+        schedule: z.string().describe("Cron schedule for time triggers").optional(),
+        network: z.string().describe("Network for onchain triggers").optional(),
+        contract: z.string().describe("Contract for onchain triggers").optional()
+      },
+      outputSchema: {
+        id: z.string(),
+        name: z.string(),
+        description: z.string(),
+        triggers: z.array(z.string()),
+        actions: z.array(z.string()),
+        conditions: z.array(z.string()),
+        schedule: z.string().optional(),
+        status: z.string(),
+        createdAt: z.string(),
+        chainConfig: z.object({
+          network: z.string(),
+          contract: z.string().optional(),
+          event: z.string().optional()
+        }).optional(),
+        timeConfig: z.object({ cron: z.string().optional(), timezone: z.string() }).optional()
+      }
+    },
+    async ({ name, description, triggers, actions, conditions, schedule, network, contract }) => {
+      try {
+        const cloud = getPhalaCloud();
+        const workflow = {
+          name,
+          description,
+          triggers,
+          actions,
+          conditions: conditions || [],
+          schedule,
+          network,
+          contract
+        };
+        
+        const result = await cloud.createWorkflow(workflow);
+        
+        return jsonResult(result);
+      } catch (error) {
+        return errorResult("creating workflow", error);
+      }
+    }
+  );
+
+  // Tool: Sequential Thinking
+  tools.registerTool(
+    "sequentialThinking",
+    {
+      description: "Break complex tasks into sequential steps",
+      inputSchema: {
+        task: z.string().describe("Complex task to break down"),
+        requiresAuth: z.boolean().describe("Task requires authentication").optional(),
+        requiresValidation: z.boolean().describe("Task requires validation").optional()
+      },
+      outputSchema: {
+        task: z.string(),
+        steps: z.array(z.object({
+          step: z.number(),
+          action: z.string(),
+          dependencies: z.array(z.number()),
+          status: z.string()
+        })),
+        estimatedTime: z.number().describe("Seconds"),
+        complexity: z.enum(["simple", "complex"])
+      }
+    },
+    async ({ task, requiresAuth, requiresValidation }) => {
+      try {
+        const cloud = getPhalaCloud();
+        const result = await cloud.sequentialThinking(task, {
+          requiresAuth: requiresAuth || false,
+          requiresValidation: requiresValidation || false
+        });
+        
+        return jsonResult(result);
+      } catch (error) {
+        return errorResult("in sequential thinking", error);
+      }
+    }
+  );
+
+  // Tool: Fetch Realtime Data
+  tools.registerTool(
+    "fetchRealtimeData",
+    {
+      description: "Fetch real-time data from various sources",
+      inputSchema: {
+        source: z.enum(["blockchain", "market", "social", "iot"]).describe("Data source"),
+        params: z.object({}).passthrough().describe("Source-specific parameters").optional()
+      },
+      outputSchema: {
+        source: z.string(),
+        data: z.any(),
+        timestamp: z.number(),
+        latency: z.any()
+      }
+    },
+    async ({ source, params }) => {
+      try {
+        const cloud = getPhalaCloud();
+        const result = await cloud.fetchRealtimeData(source, params || {});
+        
+        return jsonResult(result);
+      } catch (error) {
+        return errorResult("fetching realtime data", error);
+      }
+    }
+  );
+
+  // Tool: Personal Finance Management
+  tools.registerTool(
+    "personalFinance",
+    {
+      description: "Manage personal finance operations",
+      inputSchema: {
+        operation: z.enum(["portfolio", "budget", "dca", "yield"]).describe("Finance operation"),
+        params: z.object({}).passthrough().describe("Operation parameters").optional()
+      },
+      outputSchema: {
+        operation: z.string(),
+        description: z.string(),
+        result: z.record(z.any()),
+        timestamp: z.number()
+      }
+    },
+    async ({ operation, params }) => {
+      try {
+        const cloud = getPhalaCloud();
+        const result = await cloud.personalFinance(operation, params || {});
+        
+        return jsonResult(result);
+      } catch (error) {
+        return errorResult("in finance operation", error);
+      }
+    }
+  );
+}
+
+module.exports = {
+  name: "cloud",
+  description: "Phala Cloud services: VRF, oracles, workflows and data feeds",
+  capabilities: ["Verifiable Randomness", "Oracle Data", "Workflow Automation"],
+  register
+};
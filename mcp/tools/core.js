@@ -0,0 +1,186 @@
+const { z } = require("zod");
+const { formatBalance } = require("@polkadot/util");
+const PHALA_CONFIG = require("../config");
+const { NEW_HEADS_URI, FINALIZED_HEADS_URI, WORKERS_URI } = require("../chain-subscriptions");
+const { errorResult } = require("../errors");
+const { connection, getRpcPools, rpcPoolStatus, trafficFixtures, jsonResult, subscriptionStatus, initPhalaAPI, getChainStats, hasWallet } = require("../services");
+
+// Core Tools - Service information and chain status.
+
+function register(tools, { registry }) {
+  // Tool: Get Service Info
+  tools.registerTool(
+    "getServiceInfo",
+    {
+      description: "Get information about the Phala MCP service and capabilities",
+      outputSchema: {
+        name: z.string(),
+        version: z.string(),
+        chain: z.string(),
+        rpcUrl: z.string(),
+        connection: z.object({}).passthrough(),
+        rpcPools: z.record(z.any()),
+        upstreamFixtures: z.object({
+          mode: z.enum(["record", "replay"]).nullable(),
+          dir: z.string().nullable(),
+          recorded: z.number(),
+          replayed: z.number(),
+          missing: z.number().describe("Replayed requests with no recording")
+        }),
+        resources: z.array(z.string()),
+        phatRpcUrl: z.string(),
+        dstackApiUrl: z.string().nullable(),
+        explorer: z.string(),
+        walletConfigured: z.boolean(),
+        approvalMode: z.string(),
+        teeTypes: z.array(z.string()),
+        capabilities: z.array(z.string()),
+        tools: z.array(z.string()),
+        toolGroups: z.array(z.object({
+          name: z.string(),
+          description: z.string(),
+          source: z.string().describe("builtin, or the file a third-party pack was loaded from"),
+          enabled: z.boolean(),
+          tools: z.array(z.string())
+        }))
+      }
+    },
+    async () => {
+      return jsonResult({
+        name: "Phala Network MCP",
+        version: "0.1.0",
+        chain: PHALA_CONFIG.name,
+        rpcUrl: PHALA_CONFIG.rpcUrl,
+        connection: {
+          ...connection,
+          // HTTP requests each go to the pool's current best endpoint
+          ...(PHALA_CONFIG.rpcMode === "ws" ? {} : { endpoint: getRpcPools().phala.best() }),
+          endpoints: PHALA_CONFIG.rpcMode === "ws" ? PHALA_CONFIG.ws.endpoints : PHALA_CONFIG.rpcUrls,
+          subscriptions: subscriptionStatus()
+        },
+        rpcPools: rpcPoolStatus(),
+        upstreamFixtures: trafficFixtures.status(),
+        resources: [NEW_HEADS_URI, FINALIZED_HEADS_URI, "phala://accounts/{address}/balance", WORKERS_URI],
+        phatRpcUrl: PHALA_CONFIG.phatRpcUrl,
+        dstackApiUrl: PHALA_CONFIG.dstack.apiUrl,
+        explorer: PHALA_CONFIG.explorer,
+        walletConfigured: hasWallet(),
+        approvalMode: PHALA_CONFIG.approvals.mode,
+        teeTypes: PHALA_CONFIG.tee.supportedTypes,
+        capabilities: registry.capabilities(),
+        tools: registry.toolNames(),
+        toolGroups: registry.status()
+      });
+    }
+  );
+
+  // Tool: Get Chain Info
+  tools.registerTool(
+    "getChainInfo",
+    {
+      description: "Get current Phala Network chain information and statistics. Statistics are refreshed in the background and returned from cache with their age; the account count comes from a slower paged scan.",
+      inputSchema: {
+        refresh: z.boolean().optional().default(false).describe("Refresh head, runtime and issuance statistics before answering (never waits for the account scan)")
+      },
+      outputSchema: {
+        chain: z.string(),
+        nodeName: z.string(),
+        nodeVersion: z.string(),
+        blockNumber: z.number(),
+        blockHash: z.string(),
+        health: z.object({ isSyncing: z.string(), peers: z.number() }),
+        existentialDeposit: z.string(),
+        existentialDepositRaw: z.string(),
+        ss58Prefix: z.number().optional(),
+        tokenDecimals: z.array(z.number()),
+        tokenSymbol: z.array(z.string()),
+        totalSupply: z.string().optional(),
+        totalSupplyRaw: z.string().optional(),
+        totalAccounts: z.number().optional().describe("From the last account scan; see accounts"),
+        updatedAt: z.string(),
+        ageSeconds: z.number().describe("Age of the cached statistics"),
+        refreshError: z.string().nullable().describe("Why the last refresh failed; the statistics are from the refresh before"),
+        finality: z.object({
+          finalizedNumber: z.number(),
+          finalizedHash: z.string(),
+          lagBlocks: z.number().describe("Best head minus finalized head")
+        }),
+        blockTime: z.object({
+          averageMs: z.number().nullable(),
+          blocks: z.number().describe("Blocks the average is taken over")
+        }),
+        runtime: z.object({ specName: z.string(), specVersion: z.number(), transactionVersion: z.number() }),
+        issuanceHistory: z.array(z.object({
+          blockNumber: z.number(),
+          timestamp: z.string(),
+          totalSupply: z.string(),
+          totalSupplyRaw: z.string()
+        })).describe("Total issuance at each refresh, oldest first"),
+        accounts: z.object({
+          count: z.number().nullable(),
+          scannedAt: z.string().nullable(),
+          ageSeconds: z.number().nullable(),
+          durationMs: z.number().nullable(),
+          scanning: z.boolean(),
+          scanned: z.number().describe("Accounts counted so far by the current or last scan"),
+          error: z.string().nullable()
+        })
+      }
+    },
+    async ({ refresh }) => {
+      try {
+        const api = await initPhalaAPI();
+        const chainStats = getChainStats();
+        if (refresh) {
+          await chainStats.start();
+        }
+        const stats = await chainStats.get();
+        const existentialDeposit = api.consts.balances.existentialDeposit.toString();
+        const isoTime = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+
+        return jsonResult({
+          chain: stats.chain,
+          nodeName: stats.nodeName,
+          nodeVersion: stats.nodeVersion,
+          blockNumber: stats.blockNumber,
+          blockHash: stats.blockHash,
+          health: stats.health,
+          existentialDeposit: formatBalance(existentialDeposit),
+          existentialDepositRaw: existentialDeposit,
+          ss58Prefix: api.registry.chainSS58,
+          tokenDecimals: api.registry.chainDecimals,
+          tokenSymbol: api.registry.chainTokens,
+          totalSupply: formatBalance(stats.totalIssuance),
+          totalSupplyRaw: stats.totalIssuance,
+          ...(stats.accounts.count === null ? {} : { totalAccounts: stats.accounts.count }),
+          updatedAt: isoTime(stats.updatedAt),
+          ageSeconds: stats.ageSeconds,
+          refreshError: stats.refreshError,
+          finality: {
+            finalizedNumber: stats.finalizedNumber,
+            finalizedHash: stats.finalizedHash,
+            lagBlocks: stats.blockNumber - stats.finalizedNumber
+          },
+          blockTime: stats.blockTime,
+          runtime: stats.runtime,
+          issuanceHistory: stats.issuance.map(sample => ({
+            blockNumber: sample.blockNumber,
+            timestamp: isoTime(sample.timestamp),
+            totalSupply: formatBalance(sample.totalIssuance),
+            totalSupplyRaw: sample.totalIssuance
+          })),
+          accounts: { ...stats.accounts, scannedAt: isoTime(stats.accounts.scannedAt) }
+        });
+      } catch (error) {
+        return errorResult("getting chain info", error);
+      }
+    }
+  );
+}
+
+module.exports = {
+  name: "core",
+  description: "Service information and chain status",
+  capabilities: ["Chain Operations"],
+  register
+};
@@ -0,0 +1,391 @@
+const { z } = require("zod");
+const axios = require("axios");
+const PHALA_CONFIG = require("../config");
+const schemas = require("../schemas");
+const { previewServiceRequest } = require("../tx-preview");
+const { ToolError, errorResult } = require("../errors");
+const { jsonResult, initPhalaAPI, hasWallet, getWallet, getAttestationPolicy, attestationNonce, verifyServiceAttestation } = require("../services");
+
+// DStack Tools - Containers and compute clusters on DStack.
+
+// Remove a deployed container; { removed: false, error } when DStack would not
+async function removeContainer(containerId) {
+  try {
+    await axios.delete(`${PHALA_CONFIG.dstack.apiUrl}/containers/${containerId}`, {
+      headers: {
+        ...(PHALA_CONFIG.apiKey && { 'Authorization': `Bearer ${PHALA_CONFIG.apiKey}` })
+      },
+      timeout: 10000
+    });
+    return { removed: true };
+  } catch (error) {
+    return { removed: false, error: error.response?.data?.error || error.message };
+  }
+}
+
+function register(tools) {
+  // Tool: Deploy Container
+  tools.registerTool(
+    "deployContainer",
+    {
+      description: "Deploy a Docker container in TEE using DStack. The attestation it returns is verified locally; with an attestation policy configured, a container that fails it fails the call.",
+      inputSchema: {
+        image: z.string().describe("Docker image name"),
+        name: z.string().describe("Container name"),
+        clusterId: z.string().describe("Target cluster ID"),
+        env: z.object({}).describe("Environment variables").optional(),
+        ports: z.array(z.number()).describe("Ports to expose").optional(),
+        resources: z.object({
+          cpu: z.number().optional(),
+          memory: z.number().optional(),
+          gpu: z.boolean().optional()
+        }).describe("Resource requirements").optional(),
+        dryRun: z.boolean().describe("Preview the request without sending it").optional().default(false)
+      },
+      outputSchema: schemas.variants(schemas.dryRunShape, { success: z.boolean(), ...schemas.containerShape })
+    },
+    async ({ image, name, clusterId, env, ports, resources, dryRun }) => {
+      try {
+        // Check if DStack API is configured
+        if (!PHALA_CONFIG.dstack.apiUrl && !dryRun) {
+          throw new ToolError("CONFIG_MISSING",
+            "DStack API endpoint not configured. " +
+            "Please set DSTACK_API_URL environment variable to deploy containers in TEE. " +
+            "Contact Phala Network for DStack access credentials."
+          );
+        }
+        
+        // Validate and prepare deployment configuration
+        const nonce = attestationNonce("deployContainer");
+        const deploymentConfig = {
+          image,
+          name,
+          cluster: clusterId,
+          env: env || {},
+          ports: ports || [],
+          resources: {
+            cpu: resources?.cpu || 1,
+            memory: resources?.memory || 512, // MB
+            gpu: resources?.gpu || false,
+            teeType: resources?.gpu ? "NVIDIA H100" : "Intel SGX"
+          },
+          attestation: {
+            required: true,
+            level: "strict",
+            // Bound into the report data so the attestation cannot be a replayed one
+            ...(nonce && { reportData: nonce })
+          }
+        };
+        
+        if (dryRun) {
+          const checks = [{
+            check: "dstackConfigured",
+            passed: !!PHALA_CONFIG.dstack.apiUrl,
+            message: PHALA_CONFIG.dstack.apiUrl
+              ? "DStack API endpoint configured"
+              : "DSTACK_API_URL is not set; deployment would fail"
+          }];
+          const policy = getAttestationPolicy();
+          if (policy.enforces("deployContainer")) {
+            // The attestation only exists once deployed; only a policy nothing can pass is known now
+            const unsatisfiable = policy.unsatisfiable("deployContainer");
+            checks.push({
+              check: "attestationPolicy",
+              passed: unsatisfiable.length === 0,
+              message: unsatisfiable.length === 0
+                ? `Not known until deployed: the container's attestation is checked against ${PHALA_CONFIG.attestation.policy.file}, and a container that fails it is removed`
+                : `No attestation can pass ${PHALA_CONFIG.attestation.policy.file} (${unsatisfiable.join("; ")}); the container would be deployed and removed again`
+            });
+          }
+          return jsonResult(previewServiceRequest({
+            service: "DStack",
+            url: `${PHALA_CONFIG.dstack.apiUrl}/containers/deploy`,
+            // Only variable names are shown, values may be secrets
+            body: { ...deploymentConfig, env: Object.keys(deploymentConfig.env) },
+            checks
+          }));
+        }
+        
+        // Deploy container via DStack API
+        const response = await axios.post(
+          `${PHALA_CONFIG.dstack.apiUrl}/containers/deploy`,
+          deploymentConfig,
+          {
+            headers: {
+              'Content-Type': 'application/json',
+              ...(PHALA_CONFIG.apiKey && { 'Authorization': `Bearer ${PHALA_CONFIG.apiKey}` })
+            },
+            timeout: 30000 // 30 second timeout for deployment
+          }
+        );
+        
+        if (!response.data || !response.data.containerId) {
+          throw new ToolError("UPSTREAM_ERROR", "Invalid response from DStack API");
+        }
+        
+        // The container already runs; one that fails the policy is removed before the call fails
+        const { containerId } = response.data;
+        const verification = verifyServiceAttestation("deployContainer", response.data.attestation, { reportData: nonce });
+        const policy = getAttestationPolicy();
+        if (verification.policy && verification.policy.verdict === "fail" && policy.enforces("deployContainer")) {
+          const removal = await removeContainer(containerId);
+          policy.enforce("deployContainer", verification.policy,
+            removal.removed
+              ? `Container ${containerId} was removed because its attestation fails the policy`
+              : `Container ${containerId} could not be removed (${removal.error}) and its attestation fails the policy`,
+            { containerId, removed: removal.removed, verification });
+        }
+        
+        return jsonResult({
+          success: true,
+          containerId,
+          name,
+          image,
+          cluster: clusterId,
+          endpoint: response.data.endpoint || `tee-${containerId}.phala.network`,
+          status: response.data.status || "deploying",
+          teeType: deploymentConfig.resources.teeType,
+          attestation: response.data.attestation || "pending",
+          verification,
+          resources: {
+            cpu: `${deploymentConfig.resources.cpu} vCPU`,
+            memory: `${deploymentConfig.resources.memory} MB`,
+            gpu: deploymentConfig.resources.gpu
+          },
+          ports: ports || [],
+          environment: Object.keys(env || {}).length > 0 ? "Configured" : "None"
+        });
+      } catch (error) {
+        let hint = "";
+        
+        if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+          hint = "DStack service is currently unavailable. Please check your network connection and API endpoint configuration.";
+        } else if (error.response?.status === 401) {
+          hint = "Authentication failed. Please verify your PHALA_API_KEY.";
+        } else if (error.response?.status === 403) {
+          hint = "Access denied. Your account may not have permissions for container deployment.";
+        } else if (error.response?.status === 400) {
+          hint = "Invalid deployment configuration. Please check your parameters.";
+        } else if (error.code === "POLICY_VIOLATION" && error.details.removed) {
+          hint = "Allow the container's measurements in ATTESTATION_POLICY_FILE if they are expected, then deploy again.";
+        } else if (error.code === "POLICY_VIOLATION") {
+          hint = "The container is still running untrusted; stop it in DStack, or allow its measurements in ATTESTATION_POLICY_FILE if they are expected.";
+        }
+        
+        return errorResult("deploying container", error, {
+          hint: hint || "Please verify your DStack configuration and try again",
+          details: {
+            requestedResources: {
+              image,
+              name,
+              memory: resources?.memory || 512,
+              cpu: resources?.cpu || 1
+            }
+          }
+        });
+      }
+    }
+  );
+
+  // Tool: Get Container Status
+  tools.registerTool(
+    "getContainerStatus",
+    {
+      description: "Get status of a deployed container, with its attestation verified locally and, when configured, the attestation policy's verdict",
+      inputSchema: {
+        containerId: z.string().describe("Container ID")
+      },
+      outputSchema: schemas.containerShape
+    },
+    async ({ containerId }) => {
+      try {
+        // Check if DStack API is configured
+        if (!PHALA_CONFIG.dstack.apiUrl) {
+          throw new ToolError("CONFIG_MISSING",
+            "DStack API endpoint not configured. " +
+            "Please set DSTACK_API_URL environment variable to access container status."
+          );
+        }
+        
+        // Get container status
+        const nonce = attestationNonce("getContainerStatus");
+        const response = await axios.get(
+          `${PHALA_CONFIG.dstack.apiUrl}/containers/${containerId}`,
+          {
+            ...(nonce && { params: { reportData: nonce } }),
+            headers: {
+              ...(PHALA_CONFIG.apiKey && { 'Authorization': `Bearer ${PHALA_CONFIG.apiKey}` })
+            },
+            timeout: 10000 // 10 second timeout
+          }
+        );
+        
+        if (!response.data) {
+          throw new ToolError("UPSTREAM_ERROR", "Invalid response from DStack API");
+        }
+        
+        return jsonResult({
+          containerId,
+          name: response.data.name,
+          image: response.data.image,
+          status: response.data.status,
+          uptime: response.data.uptime,
+          resources: response.data.resources,
+          metrics: response.data.metrics,
+          attestation: response.data.attestation,
+          // Reported only; the container keeps running either way
+          verification: verifyServiceAttestation("getContainerStatus", response.data.attestation, { reportData: nonce }),
+          logs: response.data.logs?.slice(-10) // Last 10 log lines
+        });
+      } catch (error) {
+        let hint = "";
+        
+        if (error.response?.status === 404) {
+          hint = "Container not found. Please verify the container ID.";
+        } else if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+          hint = "DStack service is currently unavailable.";
+        }
+        
+        return errorResult("getting container status", error, {
+          hint: hint || "Please verify the container ID and DStack configuration",
+          details: { containerId }
+        });
+      }
+    }
+  );
+
+  // Tool: Get Cluster Info
+  tools.registerTool(
+    "getClusterInfo",
+    {
+      description: "Get information about compute clusters",
+      inputSchema: {
+        clusterId: z.string().describe("Cluster ID").optional()
+      },
+      outputSchema: schemas.variants(schemas.clusterShape, {
+        totalClusters: z.number(),
+        clusters: z.array(schemas.clusterSummary)
+      })
+    },
+    async ({ clusterId }) => {
+      try {
+        const api = await initPhalaAPI();
+        
+        if (clusterId) {
+          // Get specific cluster via API
+          const response = await axios.get(`${PHALA_CONFIG.dstack.apiUrl}/clusters/${clusterId}`);
+          
+          return jsonResult({
+            clusterId,
+            owner: response.data.owner,
+            workers: response.data.workers,
+            totalWorkers: response.data.workers.length,
+            resources: {
+              totalCPU: response.data.totalCPU,
+              totalMemory: response.data.totalMemory,
+              totalGPU: response.data.totalGPU,
+              availableCPU: response.data.availableCPU,
+              availableMemory: response.data.availableMemory,
+              availableGPU: response.data.availableGPU
+            },
+            permission: response.data.permission,
+            status: response.data.status,
+            contracts: response.data.contracts,
+            containers: response.data.containers
+          });
+        } else {
+          // List all clusters
+          const response = await axios.get(`${PHALA_CONFIG.dstack.apiUrl}/clusters`);
+          
+          return jsonResult({
+            totalClusters: response.data.length,
+            clusters: response.data.map(cluster => ({
+              id: cluster.id,
+              owner: cluster.owner,
+              workers: cluster.workerCount,
+              status: cluster.status,
+              permission: cluster.permission,
+              utilization: `${cluster.utilization}%`
+            }))
+          });
+        }
+      } catch (error) {
+        return errorResult("getting cluster info", error);
+      }
+    }
+  );
+
+  // Tool: Create Cluster
+  tools.registerTool(
+    "createCluster",
+    {
+      description: "Create a new compute cluster",
+      inputSchema: {
+        name: z.string().describe("Cluster name"),
+        permission: z.enum(["Public", "OnlyOwner", "Whitelist"]).describe("Access permission"),
+        workers: z.array(z.string()).describe("Initial worker public keys").optional(),
+        from: z.string().describe("Keystore account name to sign with (defaults to the configured wallet)").optional(),
+        dryRun: z.boolean().describe("Preview the request without sending it").optional().default(false)
+      },
+      outputSchema: schemas.variants(schemas.dryRunShape, {
+        success: z.boolean(),
+        clusterId: z.string(),
+        name: z.string(),
+        owner: z.string(),
+        permission: z.string(),
+        workers: z.array(z.string()),
+        status: z.string(),
+        endpoint: z.string()
+      })
+    },
+    async ({ name, permission, workers, from, dryRun }) => {
+      try {
+        if (!from && !hasWallet()) {
+          throw new ToolError("CONFIG_MISSING", "Wallet not configured for cluster creation");
+        }
+        
+        const api = await initPhalaAPI();
+        const wallet = getWallet(from);
+        
+        const body = {
+          name,
+          permission,
+          workers: workers || [],
+          owner: wallet.address
+        };
+        
+        if (dryRun) {
+          return jsonResult(previewServiceRequest({
+            service: "DStack",
+            url: `${PHALA_CONFIG.dstack.apiUrl}/clusters/create`,
+            body,
+            signer: wallet.address
+          }));
+        }
+        
+        // Create cluster via API
+        const response = await axios.post(`${PHALA_CONFIG.dstack.apiUrl}/clusters/create`, body);
+        
+        return jsonResult({
+          success: true,
+          clusterId: response.data.clusterId,
+          name,
+          owner: wallet.address,
+          permission,
+          workers: workers || [],
+          status: "active",
+          endpoint: response.data.endpoint
+        });
+      } catch (error) {
+        return errorResult("creating cluster", error);
+      }
+    }
+  );
+}
+
+module.exports = {
+  name: "dstack",
+  description: "Containers and compute clusters on DStack",
+  capabilities: ["DStack Container Deployment", "Cluster Management"],
+  register
+};
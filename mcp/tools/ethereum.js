@@ -0,0 +1,426 @@
+const { z } = require("zod");
+const ethers = require("ethers");
+const PHALA_CONFIG = require("../config");
+const schemas = require("../schemas");
+const { previewERC20Transfer } = require("../tx-preview");
+const { isMaxAmount, parseAmount, formatUnits, formatAmount, amountFields, rescale } = require("../amount");
+const { parseEvmAddress } = require("../address");
+const { ToolError, errorResult } = require("../errors");
+const {
+  ERC20_ABI,
+  jsonResult,
+  submitForApproval,
+  getEthereumProvider,
+  getEthereumWallet,
+  hasEthereumWallet,
+  initPhalaAPI,
+  hasWallet,
+  getWallet,
+  toPhalaAddress
+} = require("../services");
+
+// Ethereum Tools - PHA on Ethereum and cross-chain balances.
+
+function register(tools) {
+  // Tool: Get PHA Balance on Ethereum
+  tools.registerTool(
+    "getPHABalanceEthereum",
+    {
+      description: "Get PHA token balance on Ethereum mainnet",
+      inputSchema: {
+        address: z.string().describe("Ethereum address (0x...)").optional()
+      },
+      outputSchema: {
+        network: z.string(),
+        address: z.string(),
+        token: z.object({
+          symbol: z.string(),
+          name: z.string(),
+          address: z.string(),
+          decimals: z.number(),
+          balance: z.string(),
+          balanceRaw: z.string(),
+          totalSupply: z.string(),
+          totalSupplyRaw: z.string()
+        }),
+        eth: z.object({ balance: z.string(), balanceRaw: z.string(), symbol: z.string() }),
+        explorer: z.string()
+      }
+    },
+    async ({ address }) => {
+      try {
+        const provider = getEthereumProvider();
+        
+        // Use provided address or get from wallet
+        let accountAddress = address;
+        if (!accountAddress && hasEthereumWallet()) {
+          const wallet = getEthereumWallet();
+          accountAddress = wallet.address;
+        }
+        
+        if (!accountAddress) {
+          throw new ToolError("CONFIG_MISSING", "No address provided and no wallet configured", { hint: "Pass an address" });
+        }
+        accountAddress = parseEvmAddress(accountAddress);
+        
+        // Get PHA token contract
+        const phaContract = new ethers.Contract(
+          PHALA_CONFIG.ethereum.phaToken,
+          ERC20_ABI,
+          provider
+        );
+        
+        // Get token info and balance
+        const [balance, decimals, symbol, name, totalSupply] = await Promise.all([
+          phaContract.balanceOf(accountAddress),
+          phaContract.decimals(),
+          phaContract.symbol(),
+          phaContract.name(),
+          phaContract.totalSupply()
+        ]);
+        
+        // Also get ETH balance for gas
+        const ethBalance = await provider.getBalance(accountAddress);
+        
+        return jsonResult({
+          network: "Ethereum",
+          address: accountAddress,
+          token: {
+            symbol,
+            name,
+            address: PHALA_CONFIG.ethereum.phaToken,
+            decimals,
+            balance: ethers.utils.formatUnits(balance, decimals),
+            balanceRaw: balance.toString(),
+            totalSupply: ethers.utils.formatUnits(totalSupply, decimals),
+            totalSupplyRaw: totalSupply.toString()
+          },
+          eth: {
+            balance: ethers.utils.formatEther(ethBalance),
+            balanceRaw: ethBalance.toString(),
+            symbol: "ETH"
+          },
+          explorer: `${PHALA_CONFIG.ethereum.explorer}/address/${accountAddress}`
+        });
+      } catch (error) {
+        return errorResult("getting PHA balance on Ethereum", error);
+      }
+    }
+  );
+
+  // Tool: Send PHA on Ethereum
+  tools.registerTool(
+    "sendPHAEthereum",
+    {
+      description: "Send PHA tokens on Ethereum mainnet",
+      inputSchema: {
+        to: z.string().describe("Recipient Ethereum address (0x...)"),
+        amount: z.string().describe("Amount of PHA to send"),
+        from: z.string().describe("Keystore account name to sign with (defaults to the configured wallet)").optional(),
+        dryRun: z.boolean().describe("Preview the transaction without signing or submitting").optional().default(false)
+      },
+      outputSchema: schemas.signingOutput(schemas.ethereumReceiptShape)
+    },
+    async ({ to, amount, from, dryRun }) => {
+      try {
+        // Rejects malformed addresses and bad EIP-55 checksums before anything is signed
+        to = parseEvmAddress(to);
+        
+        if (!from && !hasEthereumWallet()) {
+          throw new ToolError("CONFIG_MISSING", "Wallet not configured for Ethereum transactions");
+        }
+        
+        const wallet = getEthereumWallet(from);
+        
+        // Get PHA token contract
+        const phaContract = new ethers.Contract(
+          PHALA_CONFIG.ethereum.phaToken,
+          ERC20_ABI,
+          wallet
+        );
+        
+        // Get decimals and format amount
+        const decimals = await phaContract.decimals();
+        const max = isMaxAmount(amount) ? (await phaContract.balanceOf(wallet.address)).toString() : null;
+        const amountWei = ethers.BigNumber.from(
+          parseAmount(amount, { decimals, symbol: "PHA", baseUnit: "wei", max }).toString()
+        );
+        const amountPHA = formatUnits(amountWei, decimals);
+        
+        if (dryRun) {
+          const preview = await previewERC20Transfer(phaContract, {
+            from: wallet.address,
+            to,
+            amountWei,
+            decimals,
+            symbol: "PHA"
+          });
+          
+          return jsonResult({ ...preview, amount: amountFields(amountWei, decimals) });
+        }
+        
+        // Check balance
+        const balance = await phaContract.balanceOf(wallet.address);
+        if (balance.lt(amountWei)) {
+          throw new ToolError("INSUFFICIENT_BALANCE", `Insufficient PHA balance. Have ${formatAmount(balance, decimals)}, need ${formatAmount(amountWei, decimals)}`, {
+            details: { balance: formatAmount(balance, decimals), required: formatAmount(amountWei, decimals) }
+          });
+        }
+        
+        // Estimate gas
+        const gasEstimate = await phaContract.estimateGas.transfer(to, amountWei);
+        const quotedGasPrice = await wallet.provider.getGasPrice();
+        
+        return await submitForApproval({
+          tool: "sendPHAEthereum",
+          params: { from: from || null, to, amount: amountPHA },
+          amount: amountPHA,
+          summary: {
+            call: {
+              contract: PHALA_CONFIG.ethereum.phaToken,
+              function: "transfer(address,uint256)",
+              args: { recipient: to, amount: amountWei.toString() }
+            },
+            signer: wallet.address,
+            gasLimit: gasEstimate.mul(110).div(100).toString(),
+            gasPrice: ethers.utils.formatUnits(quotedGasPrice, "gwei") + " gwei"
+          },
+          policy: { recipient: to },
+          execute: async ({ submitting }) => {
+            // Gas price is re-read because approval may happen well after the quote
+            const gasPrice = await wallet.provider.getGasPrice();
+            
+            // Send transaction
+            submitting();
+            const tx = await phaContract.transfer(to, amountWei, {
+              gasLimit: gasEstimate.mul(110).div(100), // Add 10% buffer
+              gasPrice: gasPrice
+            });
+            
+            // Wait for confirmation, but not forever: approval callers have timeouts of their own
+            let receipt;
+            try {
+              receipt = await wallet.provider.waitForTransaction(tx.hash, 1, PHALA_CONFIG.ethereum.confirmationTimeoutMs);
+            } catch (error) {
+              if (error.code !== ethers.errors.TIMEOUT) throw error;
+              return jsonResult({
+                success: null,
+                status: "pending",
+                network: "Ethereum",
+                from: wallet.address,
+                to,
+                amount: amountFields(amountWei, decimals),
+                transactionHash: tx.hash,
+                blockNumber: null,
+                gasUsed: null,
+                gasPrice: ethers.utils.formatUnits(gasPrice, "gwei") + " gwei",
+                explorer: `${PHALA_CONFIG.ethereum.explorer}/tx/${tx.hash}`
+              });
+            }
+            // Mined but reverted: tx.wait() raises the usual CALL_EXCEPTION with the receipt
+            if (receipt.status === 0) await tx.wait();
+
+            return jsonResult({
+              success: true,
+              status: "confirmed",
+              network: "Ethereum",
+              from: wallet.address,
+              to,
+              amount: amountFields(amountWei, decimals),
+              transactionHash: receipt.transactionHash,
+              blockNumber: receipt.blockNumber,
+              gasUsed: receipt.gasUsed.toString(),
+              gasPrice: ethers.utils.formatUnits(gasPrice, "gwei") + " gwei",
+              explorer: `${PHALA_CONFIG.ethereum.explorer}/tx/${receipt.transactionHash}`
+            });
+          }
+        });
+      } catch (error) {
+        return errorResult("sending PHA on Ethereum", error);
+      }
+    }
+  );
+
+  // Tool: Get PHA Balance Cross-chain
+  tools.registerTool(
+    "getPHABalanceCrossChain",
+    {
+      description: "Get PHA token balance across both Phala Network and Ethereum",
+      inputSchema: {
+        phalaAddress: z.string().describe("Phala Network address (SS58, 0x AccountId, or EVM)").optional(),
+        ethereumAddress: z.string().describe("Ethereum address").optional()
+      },
+      outputSchema: {
+        totalPHA: z.string(),
+        chains: z.object({
+          phala: schemas.chainBalance.optional(),
+          ethereum: schemas.chainBalance.extend({ tokenAddress: z.string() }).optional()
+        }),
+        totalRaw: z.string(),
+        totalDecimals: z.number()
+      }
+    },
+    async ({ phalaAddress, ethereumAddress }) => {
+      try {
+        // Totals are summed exactly at Ethereum's 18-decimal precision
+        const TOTAL_DECIMALS = PHALA_CONFIG.ethereum.decimals;
+        let totalRaw = BigInt(0);
+        // Validate up front so a bad address is an error rather than a missing chain
+        const phalaTarget = phalaAddress ? toPhalaAddress(phalaAddress) : null;
+        const ethereumTarget = ethereumAddress ? parseEvmAddress(ethereumAddress) : null;
+        const results = {
+          totalPHA: null,
+          chains: {}
+        };
+        
+        // Get Phala Network balance
+        if (phalaAddress || hasWallet()) {
+          try {
+            const api = await initPhalaAPI();
+            
+            let address = phalaTarget;
+            if (!address && hasWallet()) {
+              const wallet = getWallet();
+              address = wallet.address;
+            }
+            
+            if (address) {
+              const accountInfo = await api.query.system.account(address);
+              const decimals = PHALA_CONFIG.nativeToken.decimals;
+              const free = BigInt(accountInfo.data.free.toString());
+              
+              results.chains.phala = {
+                address,
+                balance: formatAmount(free, decimals),
+                balanceRaw: free.toString(),
+                balanceNumeric: Number(formatUnits(free, decimals)),
+                decimals,
+                explorer: `${PHALA_CONFIG.explorer}/account/${address}`
+              };
+              
+              totalRaw += rescale(free, decimals, TOTAL_DECIMALS);
+            }
+          } catch (e) {
+            console.log("Could not fetch Phala balance:", e.message);
+          }
+        }
+        
+        // Get Ethereum balance
+        if (ethereumAddress || hasEthereumWallet()) {
+          try {
+            const provider = getEthereumProvider();
+            
+            let address = ethereumTarget;
+            if (!address && hasEthereumWallet()) {
+              const wallet = getEthereumWallet();
+              address = wallet.address;
+            }
+            
+            if (address) {
+              const phaContract = new ethers.Contract(
+                PHALA_CONFIG.ethereum.phaToken,
+                ERC20_ABI,
+                provider
+              );
+              
+              const balance = BigInt((await phaContract.balanceOf(address)).toString());
+              const decimals = PHALA_CONFIG.ethereum.decimals;
+              
+              results.chains.ethereum = {
+                address,
+                balance: formatAmount(balance, decimals),
+                balanceRaw: balance.toString(),
+                balanceNumeric: Number(formatUnits(balance, decimals)),
+                decimals,
+                tokenAddress: PHALA_CONFIG.ethereum.phaToken,
+                explorer: `${PHALA_CONFIG.ethereum.explorer}/token/${PHALA_CONFIG.ethereum.phaToken}?a=${address}`
+              };
+              
+              totalRaw += rescale(balance, decimals, TOTAL_DECIMALS);
+            }
+          } catch (e) {
+            console.log("Could not fetch Ethereum balance:", e.message);
+          }
+        }
+        
+        results.totalPHA = formatAmount(totalRaw, TOTAL_DECIMALS);
+        results.totalRaw = totalRaw.toString();
+        results.totalDecimals = TOTAL_DECIMALS;
+        
+        return jsonResult(results);
+      } catch (error) {
+        return errorResult("getting cross-chain PHA balance", error);
+      }
+    }
+  );
+
+  // Tool: Get PHA Token Info on Ethereum
+  tools.registerTool(
+    "getPHATokenInfo",
+    {
+      description: "Get PHA token information on Ethereum",
+      outputSchema: {
+        network: z.string(),
+        token: z.object({
+          address: z.string(),
+          name: z.string(),
+          symbol: z.string(),
+          decimals: z.number(),
+          totalSupply: z.string(),
+          explorer: z.string()
+        }),
+        blockchain: z.object({ blockNumber: z.number(), gasPrice: z.string(), chainId: z.number() })
+      }
+    },
+    async () => {
+      try {
+        const provider = getEthereumProvider();
+        
+        const phaContract = new ethers.Contract(
+          PHALA_CONFIG.ethereum.phaToken,
+          ERC20_ABI,
+          provider
+        );
+        
+        const [name, symbol, decimals, totalSupply] = await Promise.all([
+          phaContract.name(),
+          phaContract.symbol(),
+          phaContract.decimals(),
+          phaContract.totalSupply()
+        ]);
+        
+        // Get current block number
+        const blockNumber = await provider.getBlockNumber();
+        
+        // Get gas price
+        const gasPrice = await provider.getGasPrice();
+        
+        return jsonResult({
+          network: "Ethereum Mainnet",
+          token: {
+            address: PHALA_CONFIG.ethereum.phaToken,
+            name,
+            symbol,
+            decimals,
+            totalSupply: ethers.utils.formatUnits(totalSupply, decimals),
+            explorer: `${PHALA_CONFIG.ethereum.explorer}/token/${PHALA_CONFIG.ethereum.phaToken}`
+          },
+          blockchain: {
+            blockNumber,
+            gasPrice: ethers.utils.formatUnits(gasPrice, "gwei") + " gwei",
+            chainId: PHALA_CONFIG.ethereum.chainId
+          }
+        });
+      } catch (error) {
+        return errorResult("getting PHA token info", error);
+      }
+    }
+  );
+}
+
+module.exports = {
+  name: "ethereum",
+  description: "PHA on Ethereum and cross-chain balances",
+  capabilities: ["Cross-chain Bridge"],
+  register
+};
@@ -0,0 +1,14 @@
+// Built-in tool groups, in the order their tools are listed
+module.exports = [
+  require("./core"),
+  require("./balances"),
+  require("./workers"),
+  require("./phat"),
+  require("./agents"),
+  require("./dstack"),
+  require("./staking"),
+  require("./ethereum"),
+  require("./transactions"),
+  require("./accounts"),
+  require("./cloud")
+];
@@ -0,0 +1,289 @@
+const { z } = require("zod");
+const PHALA_CONFIG = require("../config");
+const schemas = require("../schemas");
+const { getAccountBalance, previewServiceRequest } = require("../tx-preview");
+const { formatUnits, formatAmount, amountFields } = require("../amount");
+const { ToolError, errorResult } = require("../errors");
+const { phatRpc, jsonResult, submitForApproval, initPhalaAPI, hasWallet, getWallet, parsePHA } = require("../services");
+
+// Phat Tools - Phat Contract deployment, queries and execution.
+
+function register(tools) {
+  // Tool: Get Phat Contract List
+  tools.registerTool(
+    "getPhatContractList",
+    {
+      description: "Get list of deployed Phat Contracts with their metadata",
+      inputSchema: {
+        clusterId: z.string().describe("Filter by cluster ID").optional(),
+        limit: z.number().describe("Number of contracts to return").optional().default(10)
+      },
+      outputSchema: {
+        contracts: z.array(z.any()),
+        total: z.number()
+      }
+    },
+    async ({ clusterId, limit }) => {
+      try {
+        // Query Phat RPC for contract list
+        const response = await phatRpc({
+          jsonrpc: "2.0",
+          method: "phat_getContracts",
+          params: {
+            cluster: clusterId,
+            limit: limit
+          },
+          id: 1
+        });
+        
+        if (response.data.error) {
+          throw new ToolError("UPSTREAM_ERROR", response.data.error.message, { details: { rpcError: response.data.error } });
+        }
+        
+        return jsonResult({
+          contracts: response.data.result,
+          total: response.data.result.length
+        });
+      } catch (error) {
+        return errorResult("retrieving Phat Contracts", error, {
+          hint: "Ensure the Phat Contract registry is accessible and PHALA_PHAT_RPC_URL is correctly configured"
+        });
+      }
+    }
+  );
+
+  // Tool: Deploy Phat Contract
+  tools.registerTool(
+    "deployPhatContract",
+    {
+      description: "Deploy a new Phat Contract to a cluster",
+      inputSchema: {
+        codeHash: z.string().describe("Contract code hash"),
+        clusterId: z.string().describe("Target cluster ID"),
+        // An omitted "constructor" reads as Object.prototype.constructor while parsing arguments
+        constructor: z.preprocess(
+          value => (typeof value === "function" ? undefined : value),
+          z.string().optional().default("default")
+        ).describe("Constructor method name"),
+        args: z.array(z.any()).describe("Constructor arguments").optional().default([]),
+        salt: z.string().describe("Salt for deterministic address").optional(),
+        from: z.string().describe("Keystore account name to sign with (defaults to the configured wallet)").optional(),
+        dryRun: z.boolean().describe("Preview the request without sending it").optional().default(false)
+      },
+      outputSchema: schemas.variants(schemas.dryRunShape, {
+        success: z.boolean(),
+        contractAddress: z.string(),
+        cluster: z.string(),
+        codeHash: z.string(),
+        transactionHash: z.string(),
+        explorer: z.string()
+      })
+    },
+    async ({ codeHash, clusterId, constructor, args, salt, from, dryRun }) => {
+      try {
+        if (!from && !hasWallet()) {
+          throw new ToolError("CONFIG_MISSING", "Wallet not configured for deployment");
+        }
+        
+        const wallet = getWallet(from);
+        const request = {
+          jsonrpc: "2.0",
+          method: "phat_deployContract",
+          params: {
+            origin: wallet.address,
+            codeHash,
+            cluster: clusterId,
+            constructor,
+            args,
+            salt: salt || null
+          },
+          id: 1
+        };
+        
+        if (dryRun) {
+          return jsonResult(previewServiceRequest({
+            service: "Phat RPC",
+            url: PHALA_CONFIG.phatRpcUrl,
+            body: request,
+            signer: wallet.address
+          }));
+        }
+        
+        // Deploy via Phat RPC
+        const response = await phatRpc(request, { idempotent: false });
+        
+        if (response.data.error) {
+          throw new ToolError("UPSTREAM_ERROR", response.data.error.message, { details: { rpcError: response.data.error } });
+        }
+        
+        return jsonResult({
+          success: true,
+          contractAddress: response.data.result.address,
+          cluster: clusterId,
+          codeHash,
+          transactionHash: response.data.result.txHash,
+          explorer: `${PHALA_CONFIG.explorer}/contract/${response.data.result.address}`
+        });
+      } catch (error) {
+        return errorResult("deploying Phat Contract", error);
+      }
+    }
+  );
+
+  // Tool: Query Phat Contract
+  tools.registerTool(
+    "queryPhatContract",
+    {
+      description: "Query a Phat Contract (read-only, no gas required)",
+      inputSchema: {
+        contractAddress: z.string().describe("Phat Contract address"),
+        method: z.string().describe("Method to call"),
+        args: z.array(z.any()).describe("Method arguments").optional().default([])
+      },
+      outputSchema: {
+        contract: z.string(),
+        method: z.string(),
+        result: z.any(),
+        timestamp: z.string()
+      }
+    },
+    async ({ contractAddress, method, args }) => {
+      try {
+        // Query via Phat RPC
+        const response = await phatRpc({
+          jsonrpc: "2.0",
+          method: "phat_query",
+          params: {
+            contract: contractAddress,
+            method: method,
+            args: args
+          },
+          id: 1
+        });
+        
+        if (response.data.error) {
+          throw new ToolError("UPSTREAM_ERROR", response.data.error.message, { details: { rpcError: response.data.error } });
+        }
+        
+        return jsonResult({
+          contract: contractAddress,
+          method,
+          result: response.data.result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        return errorResult("querying Phat Contract", error);
+      }
+    }
+  );
+
+  // Tool: Execute Phat Contract
+  tools.registerTool(
+    "executePhatContract",
+    {
+      description: "Execute a Phat Contract method (state-changing, requires gas)",
+      inputSchema: {
+        contractAddress: z.string().describe("Phat Contract address"),
+        method: z.string().describe("Method to execute"),
+        args: z.array(z.any()).describe("Method arguments").optional().default([]),
+        value: z.string().describe("PHA to send with transaction").optional().default("0"),
+        from: z.string().describe("Keystore account name to sign with (defaults to the configured wallet)").optional(),
+        dryRun: z.boolean().describe("Preview the request without sending it").optional().default(false)
+      },
+      outputSchema: schemas.signingOutput({
+        success: z.boolean(),
+        contract: z.string(),
+        method: z.string(),
+        transactionHash: z.string(),
+        gasUsed: z.any(),
+        result: z.any(),
+        explorer: z.string()
+      })
+    },
+    async ({ contractAddress, method, args, value, from, dryRun }) => {
+      try {
+        if (!from && !hasWallet()) {
+          throw new ToolError("CONFIG_MISSING", "Wallet not configured for execution");
+        }
+        
+        const wallet = getWallet(from);
+        const decimals = PHALA_CONFIG.nativeToken.decimals;
+        const valuePlanck = parsePHA(value);
+        const valuePHA = formatUnits(valuePlanck, decimals);
+        
+        const request = {
+          jsonrpc: "2.0",
+          method: "phat_execute",
+          params: {
+            origin: wallet.address,
+            contract: contractAddress,
+            method: method,
+            args: args,
+            value: valuePHA
+          },
+          id: 1
+        };
+        
+        if (dryRun) {
+          const api = await initPhalaAPI();
+          const { transferable } = await getAccountBalance(api, wallet.address);
+          
+          return jsonResult(previewServiceRequest({
+            service: "Phat RPC",
+            url: PHALA_CONFIG.phatRpcUrl,
+            body: request,
+            signer: wallet.address,
+            checks: [{
+              check: "sufficientBalance",
+              passed: transferable >= valuePlanck,
+              message: transferable >= valuePlanck
+                ? `Signer can cover the attached value (${formatAmount(valuePlanck, decimals)})`
+                : `Insufficient transferable balance. Have ${formatAmount(transferable, decimals)}, need ${formatAmount(valuePlanck, decimals)}`
+            }]
+          }));
+        }
+        
+        return await submitForApproval({
+          tool: "executePhatContract",
+          params: { from: from || null, contractAddress, method, args, value: valuePHA },
+          amount: valuePHA,
+          summary: {
+            call: { contract: contractAddress, method, args },
+            signer: wallet.address,
+            value: amountFields(valuePlanck, decimals),
+            endpoint: PHALA_CONFIG.phatRpcUrl
+          },
+          policy: { contract: contractAddress, method },
+          execute: async ({ submitting }) => {
+            // Execute via Phat RPC
+            submitting();
+            const response = await phatRpc(request, { idempotent: false });
+            
+            if (response.data.error) {
+              throw new ToolError("UPSTREAM_ERROR", response.data.error.message, { details: { rpcError: response.data.error } });
+            }
+            
+            return jsonResult({
+              success: true,
+              contract: contractAddress,
+              method,
+              transactionHash: response.data.result.txHash,
+              gasUsed: response.data.result.gasUsed,
+              result: response.data.result.output,
+              explorer: `${PHALA_CONFIG.explorer}/tx/${response.data.result.txHash}`
+            });
+          }
+        });
+      } catch (error) {
+        return errorResult("executing Phat Contract", error);
+      }
+    }
+  );
+}
+
+module.exports = {
+  name: "phat",
+  description: "Phat Contract deployment, queries and execution",
+  capabilities: ["Phat Contract Operations"],
+  register
+};
@@ -0,0 +1,223 @@
+const { z } = require("zod");
+const PHALA_CONFIG = require("../config");
+const schemas = require("../schemas");
+const { decodeCall, previewExtrinsic } = require("../tx-preview");
+const { isMaxAmount, formatUnits, amountFields } = require("../amount");
+const { addressKey } = require("../address");
+const { ToolError, errorResult } = require("../errors");
+const {
+  jsonResult,
+  submitAndTrack,
+  submitForApproval,
+  initPhalaAPI,
+  hasWallet,
+  getWallet,
+  parsePHA,
+  maxSendable,
+  toPhalaAddress
+} = require("../services");
+
+// Staking Tools - Stake pools and delegation.
+
+function register(tools) {
+  // Tool: Get Staking Info
+  tools.registerTool(
+    "getStakingInfo",
+    {
+      description: "Get staking pool information and delegation details",
+      inputSchema: {
+        poolId: z.string().describe("Staking pool ID").optional(),
+        address: z.string().describe("Delegator address (Substrate or EVM format)").optional()
+      },
+      outputSchema: schemas.variants(
+        // One pool, with the delegation of `address` when given
+        { poolId: z.string(), info: z.any(), delegation: z.any() },
+        // Every delegation of `address`
+        {
+          address: z.string(),
+          delegations: z.array(z.object({ poolId: z.string(), amount: z.any() })),
+          totalPools: z.number()
+        },
+        // First pools on the network
+        {
+          totalPools: z.number(),
+          pools: z.array(z.object({ id: z.string(), info: z.any() }))
+        }
+      )
+    },
+    async ({ poolId, address }) => {
+      try {
+        const api = await initPhalaAPI();
+        if (address) {
+          address = toPhalaAddress(address);
+        }
+        
+        if (poolId) {
+          // Get specific pool info
+          if (!api.query.phalaStakePool || !api.query.phalaStakePool.stakePools) {
+            throw new ToolError("UNSUPPORTED", "Staking module not available");
+          }
+          
+          const poolInfo = await api.query.phalaStakePool.stakePools(poolId);
+          
+          if (poolInfo.isEmpty) {
+            throw new ToolError("NOT_FOUND", "Pool not found");
+          }
+          
+          const info = poolInfo.toJSON();
+          
+          // Get delegations if address provided
+          let delegationInfo = null;
+          if (address && api.query.phalaStakePool.poolContributions) {
+            const delegation = await api.query.phalaStakePool.poolContributions(poolId, address);
+            if (!delegation.isEmpty) {
+              delegationInfo = delegation.toJSON();
+            }
+          }
+          
+          return jsonResult({
+            poolId,
+            info,
+            delegation: delegationInfo
+          });
+        } else if (address) {
+          // Get all delegations for address
+          if (!api.query.phalaStakePool || !api.query.phalaStakePool.poolContributions) {
+            throw new ToolError("UNSUPPORTED", "Staking module not available");
+          }
+          
+          const delegations = await api.query.phalaStakePool.poolContributions.entries();
+          const userDelegations = [];
+          
+          for (const [key, value] of delegations) {
+            const [poolId, delegator] = key.args;
+            if (addressKey(delegator.toString()) === addressKey(address)) {
+              userDelegations.push({
+                poolId: poolId.toString(),
+                amount: value.toJSON()
+              });
+            }
+          }
+          
+          return jsonResult({
+            address,
+            delegations: userDelegations,
+            totalPools: userDelegations.length
+          });
+        } else {
+          // Get general staking info
+          if (!api.query.phalaStakePool || !api.query.phalaStakePool.stakePools) {
+            throw new ToolError("UNSUPPORTED", "Staking module not available on this network");
+          }
+          
+          const pools = await api.query.phalaStakePool.stakePools.entries();
+          
+          return jsonResult({
+            totalPools: pools.length,
+            pools: pools.slice(0, 10).map(([key, value]) => ({
+              id: key.args[0].toString(),
+              info: value.toJSON()
+            }))
+          });
+        }
+      } catch (error) {
+        return errorResult("getting staking info", error);
+      }
+    }
+  );
+
+  // Tool: Delegate Stake
+  tools.registerTool(
+    "delegateStake",
+    {
+      description: "Delegate PHA tokens to a staking pool",
+      inputSchema: {
+        poolId: z.string().describe("Staking pool ID"),
+        amount: z.string().describe("Amount of PHA to delegate"),
+        from: z.string().describe("Keystore account name to sign with (defaults to the configured wallet)").optional(),
+        dryRun: z.boolean().describe("Preview the transaction without signing or submitting").optional().default(false)
+      },
+      outputSchema: schemas.signingOutput({
+        ...schemas.substrateReceiptShape,
+        poolId: z.string(),
+        delegator: z.string(),
+        amount: schemas.amount
+      })
+    },
+    async ({ poolId, amount, from, dryRun }) => {
+      try {
+        if (!from && !hasWallet()) {
+          throw new ToolError("CONFIG_MISSING", "Wallet not configured for staking");
+        }
+        
+        const api = await initPhalaAPI();
+        const wallet = getWallet(from);
+        
+        if (!api.tx.phalaStakePool || !api.tx.phalaStakePool.contribute) {
+          throw new ToolError("UNSUPPORTED", "Staking module not available");
+        }
+        
+        // Convert amount to smallest unit
+        const decimals = PHALA_CONFIG.nativeToken.decimals;
+        const max = isMaxAmount(amount)
+          ? await maxSendable(api, wallet.address, (value) => api.tx.phalaStakePool.contribute(poolId, value))
+          : null;
+        const amountToStake = parsePHA(amount, max);
+        const amountPHA = formatUnits(amountToStake, decimals);
+        
+        // Create delegation transaction
+        const tx = api.tx.phalaStakePool.contribute(poolId, amountToStake);
+        
+        if (dryRun) {
+          const preview = await previewExtrinsic(api, tx, {
+            signer: wallet.address,
+            debit: amountToStake
+          });
+          
+          return jsonResult({ ...preview, poolId, amount: amountFields(amountToStake, decimals) });
+        }
+        
+        const info = await tx.paymentInfo(wallet);
+        
+        return await submitForApproval({
+          tool: "delegateStake",
+          params: { from: from || null, poolId, amount: amountPHA },
+          amount: amountPHA,
+          summary: {
+            call: decodeCall(tx),
+            signer: wallet.address,
+            fee: amountFields(info.partialFee, decimals)
+          },
+          policy: { recipient: poolId },
+          execute: async ({ submitting }) => {
+            submitting();
+            const record = await submitAndTrack(api, tx, wallet, "delegateStake");
+            
+            return jsonResult({
+              success: record.success,
+              status: record.status,
+              poolId,
+              delegator: wallet.address,
+              amount: amountFields(amountToStake, decimals),
+              transactionHash: record.hash,
+              nonce: record.nonce,
+              blockHash: record.blockHash,
+              blockNumber: record.blockNumber,
+              extrinsicIndex: record.extrinsicIndex,
+              explorer: `${PHALA_CONFIG.explorer}/extrinsic/${record.hash}`
+            });
+          }
+        });
+      } catch (error) {
+        return errorResult("delegating stake", error);
+      }
+    }
+  );
+}
+
+module.exports = {
+  name: "staking",
+  description: "Stake pools and delegation",
+  capabilities: ["Staking Operations"],
+  register
+};
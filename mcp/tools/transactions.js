@@ -0,0 +1,162 @@
+const { z } = require("zod");
+const PHALA_CONFIG = require("../config");
+const schemas = require("../schemas");
+const { ToolError, errorResult } = require("../errors");
+const { describeError } = require("../tx-tracker");
+const { getApprovalQueue, getSpendingPolicy, getTxTracker, jsonResult } = require("../services");
+
+// Transactions Tools - Transaction tracking and the approval queue.
+
+function register(tools) {
+  // Tool: Get Transaction Status
+  tools.registerTool(
+    "getTransactionStatus",
+    {
+      description: "Get the lifecycle status of a submitted Phala transaction (status transitions, block, events, decoded errors)",
+      inputSchema: {
+        hash: z.string().describe("Extrinsic hash returned by a signing tool. Omit to list recent transactions").optional(),
+        waitForFinality: z.boolean().describe("Wait until the transaction is finalized (or fails) before returning").optional().default(false),
+        timeoutSeconds: z.number().describe("Maximum time to wait when waitForFinality is set").optional().default(60)
+      },
+      outputSchema: schemas.variants(
+        { transactions: z.array(schemas.transaction) },
+        {
+          ...schemas.transaction.shape,
+          finalized: z.boolean(),
+          errorDescription: z.string().nullable(),
+          explorer: z.string()
+        }
+      )
+    },
+    async ({ hash, waitForFinality, timeoutSeconds }) => {
+      try {
+        const tracker = getTxTracker();
+        
+        if (!hash) {
+          return jsonResult({
+            transactions: tracker.list().map(record => tracker.describe(record))
+          });
+        }
+        
+        let record = tracker.get(hash);
+        if (!record) {
+          throw new ToolError("NOT_FOUND", `Transaction ${hash} is not tracked by this server`);
+        }
+        
+        if (waitForFinality) {
+          record = await tracker.waitFor(hash, { finalized: true, timeout: timeoutSeconds * 1000 });
+        }
+        
+        return jsonResult({
+          ...tracker.describe(record),
+          finalized: record.status === "finalized",
+          errorDescription: record.error ? describeError(record.error) : null,
+          explorer: `${PHALA_CONFIG.explorer}/extrinsic/${record.hash}`
+        });
+      } catch (error) {
+        return errorResult("getting transaction status", error);
+      }
+    }
+  );
+
+  // Tool: List Pending Transactions
+  tools.registerTool(
+    "listPendingTransactions",
+    {
+      description: "List signed transactions waiting for human approval",
+      outputSchema: {
+        mode: z.string(),
+        autoApproveBelow: z.string(),
+        autoApproveContracts: z.array(z.string()),
+        spendingPolicy: z.object({ enabled: z.boolean() }).passthrough(),
+        total: z.number(),
+        pending: z.array(schemas.intent)
+      }
+    },
+    async () => {
+      try {
+        const pending = getApprovalQueue().list();
+        
+        return jsonResult({
+          mode: PHALA_CONFIG.approvals.mode,
+          autoApproveBelow: PHALA_CONFIG.approvals.autoApproveBelow + " PHA",
+          autoApproveContracts: PHALA_CONFIG.approvals.autoApproveContracts,
+          spendingPolicy: getSpendingPolicy().summary(),
+          total: pending.length,
+          pending
+        });
+      } catch (error) {
+        return errorResult("listing pending transactions", error);
+      }
+    }
+  );
+
+  // Tool: Approve Transaction
+  tools.registerTool(
+    "approveTransaction",
+    {
+      description: "Approve a pending transaction intent and submit it",
+      inputSchema: {
+        id: z.string().describe("Transaction intent ID")
+      },
+      outputSchema: {
+        intent: schemas.intent,
+        result: z.record(z.any()).describe("Structured output of the approved tool (its receipt)")
+      }
+    },
+    async ({ id }) => {
+      try {
+        const { intent, result } = await getApprovalQueue().approve(id);
+        
+        // The executed tool's text stays first; structured output nests it under result
+        return {
+          content: [
+            ...result.content,
+            {
+              type: "text",
+              text: JSON.stringify({ intent }, null, 2)
+            }
+          ],
+          structuredContent: { intent, result: result.structuredContent }
+        };
+      } catch (error) {
+        return errorResult("approving transaction", error);
+      }
+    }
+  );
+
+  // Tool: Reject Transaction
+  tools.registerTool(
+    "rejectTransaction",
+    {
+      description: "Reject a pending transaction intent so it is never submitted",
+      inputSchema: {
+        id: z.string().describe("Transaction intent ID"),
+        reason: z.string().describe("Reason for rejection").optional()
+      },
+      outputSchema: {
+        success: z.boolean(),
+        intent: schemas.intent
+      }
+    },
+    async ({ id, reason }) => {
+      try {
+        const intent = getApprovalQueue().reject(id, reason);
+        
+        return jsonResult({
+          success: true,
+          intent
+        });
+      } catch (error) {
+        return errorResult("rejecting transaction", error);
+      }
+    }
+  );
+}
+
+module.exports = {
+  name: "transactions",
+  description: "Transaction tracking and the approval queue",
+  capabilities: ["Transaction Approval Queue"],
+  register
+};
@@ -0,0 +1,392 @@
+const { z } = require("zod");
+const axios = require("axios");
+const { u8aToHex } = require("@polkadot/util");
+const PHALA_CONFIG = require("../config");
+const schemas = require("../schemas");
+const { parseAddress } = require("../address");
+const { ToolError, errorResult } = require("../errors");
+const { recordWorkerCacheLookup } = require("../telemetry");
+const { scanWorkers, WORKER_SORTS } = require("../worker-index");
+const { getWorkerIndex, getAttestationVerifier, getAttestationPolicy, jsonResult, initPhalaAPI } = require("../services");
+
+// Workers Tools - TEE workers and attestation.
+
+function isoTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+function indexStatus(workerIndex) {
+  const status = workerIndex.status();
+  return {
+    ...status,
+    builtAt: isoTime(status.builtAt),
+    syncedAt: isoTime(status.syncedAt),
+    ageSeconds: status.syncedAt ? Math.round((Date.now() - status.syncedAt) / 1000) : null
+  };
+}
+
+// Filters of queryWorkers and getWorkerStats; every given field must match
+const workerQuery = {
+  teeTypes: z.array(z.string()).optional().describe("Any of these TEE types, e.g. ['Intel SGX', 'Intel TDX']"),
+  states: z.array(z.string()).optional().describe("Any of these worker states"),
+  onlineOnly: z.boolean().optional().describe("Only workers in state Ready or WorkerIdle"),
+  confidenceLevels: z.array(z.number().int()).optional().describe("Any of these confidence levels (1 is the most trusted)"),
+  minRuntimeVersion: z.number().int().optional(),
+  maxRuntimeVersion: z.number().int().optional(),
+  operator: z.string().optional().describe("Operator account"),
+  features: z.array(z.number().int()).optional().describe("Workers having all of these features"),
+  hasEndpoint: z.boolean().optional(),
+  bound: z.boolean().optional().describe("Whether the worker is bound to a session"),
+  updatedSince: z.number().int().optional().describe("lastUpdated at or after this Unix time (seconds)")
+};
+
+function queryFilters(args) {
+  const filters = Object.fromEntries(Object.keys(workerQuery).filter(name => args[name] !== undefined).map(name => [name, args[name]]));
+  if (filters.operator) {
+    filters.operator = u8aToHex(parseAddress(filters.operator, { mapping: PHALA_CONFIG.evmAddressMapping }).accountId);
+  }
+  return filters;
+}
+
+// Attestation evidence of a worker from the attestation service: { quote, collateral,
+// eventLog, timestamp } or { iasReport }. Any verdict of the service itself is ignored.
+async function fetchEvidence(workerPublicKey, warnings) {
+  if (!PHALA_CONFIG.tee.attestationService) return null;
+  try {
+    const { data } = await axios.post(`${PHALA_CONFIG.tee.attestationService}/verify`, { workerKey: workerPublicKey });
+    if (data.quote || data.iasReport) {
+      return {
+        quote: data.quote,
+        collateral: data.collateral,
+        eventLog: data.eventLog,
+        iasReport: data.iasReport,
+        reportedAt: data.timestamp || null,
+        source: "attestationService"
+      };
+    }
+    warnings.push("The attestation service returned no quote or IAS report");
+  } catch (error) {
+    warnings.push(`No evidence from the attestation service: ${error.message}`);
+  }
+  return null;
+}
+
+async function registryEntry(workerPublicKey) {
+  const api = await initPhalaAPI();
+  const entry = await api.query.phalaRegistry.workers(workerPublicKey);
+  if (entry.isEmpty) {
+    return { registered: false, confidenceLevel: null, attestationProvider: null };
+  }
+  const info = entry.toJSON();
+  const provider = info.attestationProvider;
+  return {
+    registered: true,
+    confidenceLevel: typeof info.confidenceLevel === "number" ? info.confidenceLevel : null,
+    attestationProvider: provider && typeof provider === "object" ? Object.keys(provider)[0] : provider || null
+  };
+}
+
+function register(tools) {
+  // Tool: Get Worker List
+  tools.registerTool(
+    "getWorkerList",
+    {
+      description: "Get a page of TEE workers on Phala Network with their status. Pass nextCursor back as startKey for the next page.",
+      inputSchema: {
+        limit: z.number().int().min(1).max(200).describe("Number of workers to return").optional().default(10),
+        startKey: z.string().describe("nextCursor of the previous page").optional(),
+        onlineOnly: z.boolean().describe("Show only online workers").optional().default(false),
+        teeType: z.string().describe("Filter by TEE type (e.g., 'Intel SGX', 'AMD SEV')").optional(),
+        sortBy: z.enum(Object.keys(WORKER_SORTS)).optional().default("registry")
+          .describe("registry pages the chain directly in storage order; other orders come from the background worker index"),
+        order: z.enum(["asc", "desc"]).optional().default("desc").describe("Direction of sortBy; registry order is always ascending")
+      },
+      outputSchema: {
+        totalWorkers: z.number().nullable().describe("Registered workers per the worker index; null while it is first built"),
+        totalMatching: z.number().nullable().describe("Workers matching the filters per the worker index"),
+        showing: z.number(),
+        scanned: z.number().describe("Workers read from the chain for this page; 0 when served from the index"),
+        nextCursor: z.string().nullable().describe("startKey of the next page; null on the last page"),
+        sortBy: z.string(),
+        order: z.string(),
+        filters: z.object({ onlineOnly: z.boolean(), teeType: z.string() }),
+        workers: z.array(schemas.worker),
+        index: schemas.workerIndex,
+        message: z.string().optional()
+      }
+    },
+    async ({ limit, startKey, onlineOnly, teeType, sortBy, order }) => {
+      try {
+        const api = await initPhalaAPI();
+        const workerIndex = getWorkerIndex();
+        const filters = { onlineOnly, teeType: teeType || null };
+
+        // Registry order pages the chain itself; other orders need the whole registry
+        const building = workerIndex.start();
+        recordWorkerCacheLookup(workerIndex.ready);
+        let page;
+        if (sortBy === "registry") {
+          building.catch(() => {});
+          page = await scanWorkers(api, { startKey, limit, filters });
+        } else {
+          await building;
+          page = { ...workerIndex.page({ filters, sortBy, order, startKey, limit }), scanned: 0 };
+        }
+
+        const totalWorkers = workerIndex.status().workers;
+        return jsonResult({
+          totalWorkers,
+          totalMatching: workerIndex.count(filters),
+          showing: page.workers.length,
+          scanned: page.scanned,
+          nextCursor: page.nextCursor,
+          sortBy,
+          order: sortBy === "registry" ? "asc" : order,
+          filters: {
+            onlineOnly,
+            teeType: teeType || "all"
+          },
+          workers: page.workers.map(({ key, ...worker }) => worker),
+          index: indexStatus(workerIndex),
+          ...(totalWorkers === 0 ? { message: "No workers registered on the network" } : {})
+        });
+      } catch (error) {
+        return errorResult("getting worker list", error);
+      }
+    }
+  );
+
+  // Tool: Query Workers
+  tools.registerTool(
+    "queryWorkers",
+    {
+      description: "Find TEE workers matching any combination of filters, from the local worker index kept in sync with the chain",
+      inputSchema: {
+        ...workerQuery,
+        sortBy: z.enum(Object.keys(WORKER_SORTS)).optional().default("registry"),
+        order: z.enum(["asc", "desc"]).optional().default("asc"),
+        limit: z.number().int().min(1).max(500).optional().default(50),
+        startKey: z.string().describe("nextCursor of the previous page").optional()
+      },
+      outputSchema: {
+        totalMatching: z.number(),
+        showing: z.number(),
+        nextCursor: z.string().nullable(),
+        filters: z.record(z.any()),
+        workers: z.array(schemas.worker),
+        index: schemas.workerIndex
+      }
+    },
+    async (args) => {
+      try {
+        const workerIndex = await getWorkerIndex().start();
+        const filters = queryFilters(args);
+        const { sortBy, order, limit, startKey } = args;
+        const page = workerIndex.page({ filters, sortBy, order, startKey, limit });
+
+        return jsonResult({
+          totalMatching: workerIndex.count(filters),
+          showing: page.workers.length,
+          nextCursor: page.nextCursor,
+          filters,
+          workers: page.workers.map(({ key, ...worker }) => worker),
+          index: indexStatus(workerIndex)
+        });
+      } catch (error) {
+        return errorResult("querying workers", error);
+      }
+    }
+  );
+
+  // Tool: Get Worker Stats
+  tools.registerTool(
+    "getWorkerStats",
+    {
+      description: "Count TEE workers per TEE type, runtime version, confidence level and state, optionally over the workers matching filters",
+      inputSchema: workerQuery,
+      outputSchema: {
+        total: z.number(),
+        online: z.number(),
+        byTeeType: z.record(z.number()),
+        byRuntimeVersion: z.record(z.number()),
+        byConfidenceLevel: z.record(z.number()),
+        byState: z.record(z.number()),
+        filters: z.record(z.any()),
+        index: schemas.workerIndex
+      }
+    },
+    async (args) => {
+      try {
+        const workerIndex = await getWorkerIndex().start();
+        const filters = queryFilters(args);
+        return jsonResult({
+          ...workerIndex.aggregate(filters),
+          filters,
+          index: indexStatus(workerIndex)
+        });
+      } catch (error) {
+        return errorResult("getting worker stats", error);
+      }
+    }
+  );
+
+  // Tool: Get Worker Info
+  tools.registerTool(
+    "getWorkerInfo",
+    {
+      description: "Get detailed information about a specific TEE worker",
+      inputSchema: {
+        workerPublicKey: z.string().describe("Worker public key (hex)")
+      },
+      outputSchema: schemas.worker.shape
+    },
+    async ({ workerPublicKey }) => {
+      try {
+        const api = await initPhalaAPI();
+        
+        // Get worker info
+        const workerInfo = await api.query.phalaRegistry.workers(workerPublicKey);
+        
+        if (workerInfo.isEmpty) {
+          throw new ToolError("NOT_FOUND", "Worker not found");
+        }
+        
+        const info = workerInfo.toJSON();
+        
+        // Get additional worker data
+        const result = {
+          publicKey: workerPublicKey,
+          ...info
+        };
+        
+        // Get worker state
+        if (api.query.phalaRegistry.workerState) {
+          const state = await api.query.phalaRegistry.workerState(workerPublicKey);
+          if (!state.isEmpty) {
+            result.state = state.toString();
+          }
+        }
+        
+        // Get worker binding (if exists)
+        if (api.query.phalaRegistry.workerBindings) {
+          const binding = await api.query.phalaRegistry.workerBindings(workerPublicKey);
+          if (!binding.isEmpty) {
+            result.binding = binding.toJSON();
+          }
+        }
+        
+        // Get endpoints if available
+        if (api.query.phalaRegistry.endpoints) {
+          const endpoint = await api.query.phalaRegistry.endpoints(workerPublicKey);
+          if (!endpoint.isEmpty) {
+            result.endpoint = endpoint.toString();
+          }
+        }
+        
+        return jsonResult(result);
+      } catch (error) {
+        return errorResult("getting worker info", error);
+      }
+    }
+  );
+
+  // Tool: Verify Attestation
+  tools.registerTool(
+    "verifyAttestation",
+    {
+      description: "Verify TEE attestation evidence locally: SGX/TDX DCAP quotes with their PCK certificate chain and TCB info collateral, or SGX IAS reports, against the Intel roots. Without evidence, the attestation service is asked for the worker's; a worker with none is reported as registered on chain only. With an attestation policy configured, the result carries its pass/fail verdict.",
+      inputSchema: {
+        workerPublicKey: z.string().describe("Worker public key").optional(),
+        quote: z.string().describe("DCAP quote (hex or base64)").optional(),
+        collateral: z.object({
+          tcbInfo: z.union([z.string(), z.record(z.any())]).describe("PCS TCB info response body, unchanged"),
+          tcbInfoIssuerChain: z.string().describe("TCB-Info-Issuer-Chain header of that response (PEM)")
+        }).describe("TCB info collateral for the quote's FMSPC").optional(),
+        eventLog: z.union([z.string(), z.array(z.record(z.any()))])
+          .describe("dstack event log of a TDX quote (JSON); its RTMR3 events are replayed and the compose hash read").optional(),
+        iasReport: z.object({
+          body: z.string().describe("Raw JSON report body"),
+          signature: z.string().describe("X-IASReport-Signature header (base64)"),
+          certificates: z.string().describe("X-IASReport-Signing-Certificate header, URL-decoded (PEM)")
+        }).describe("Intel Attestation Service report (SGX EPID)").optional(),
+        reportData: z.string().regex(/^(0x)?([0-9a-fA-F]{2}){1,64}$/)
+          .describe("Hex the quote's 64-byte report data must start with, binding it to a key or nonce").optional()
+      },
+      outputSchema: {
+        worker: z.string().nullable(),
+        ...schemas.attestationShape,
+        registry: z.object({
+          registered: z.boolean(),
+          confidenceLevel: z.number().nullable(),
+          attestationProvider: z.string().nullable()
+        }).nullable(),
+        policy: schemas.attestationPolicyVerdict.nullable().describe("null without an attestation policy")
+      }
+    },
+    async ({ workerPublicKey, quote, collateral, eventLog, iasReport, reportData }) => {
+      try {
+        if (!workerPublicKey && !quote && !iasReport) {
+          throw new ToolError("INVALID_ARGUMENT", "Pass a workerPublicKey, a quote or an iasReport");
+        }
+        const warnings = [];
+        let evidence = quote || iasReport ? { quote, collateral, eventLog, iasReport, reportedAt: null, source: "input" } : null;
+        if (!evidence && workerPublicKey) {
+          evidence = await fetchEvidence(workerPublicKey, warnings);
+        }
+        const registry = workerPublicKey ? await registryEntry(workerPublicKey) : null;
+
+        if (!evidence) {
+          if (!registry.registered) {
+            throw new ToolError("NOT_FOUND", "Worker not found", { details: { warnings } });
+          }
+          return jsonResult({
+            worker: workerPublicKey,
+            status: "onChainOnly",
+            verified: false,
+            evidence: null,
+            source: null,
+            teeType: null,
+            quote: null,
+            tcb: { evaluated: false, status: null, date: null, advisoryIds: [], fmspc: null },
+            reportTimestamp: null,
+            composeHash: null,
+            checks: [],
+            reasons: [],
+            warnings: [...warnings, "No attestation evidence was checked; the worker is only known to be registered on chain"],
+            registry,
+            policy: getAttestationPolicy().evaluate("verifyAttestation", null)
+          });
+        }
+
+        const verifier = getAttestationVerifier();
+        const result = evidence.quote
+          ? verifier.verifyQuote(evidence.quote, { collateral: evidence.collateral, eventLog: evidence.eventLog, reportData })
+          : verifier.verifyIasReport(evidence.iasReport, { reportData });
+        if (registry && !registry.registered) {
+          warnings.push("The worker is not registered on chain");
+        }
+        if (workerPublicKey && !reportData) {
+          warnings.push("The evidence is not checked against the worker; pass reportData to bind it");
+        }
+        return jsonResult({
+          worker: workerPublicKey || null,
+          ...result,
+          verified: result.status === "verified",
+          source: evidence.source,
+          warnings: [...warnings, ...result.warnings],
+          registry,
+          policy: getAttestationPolicy().evaluate("verifyAttestation", result, { reportedAt: evidence.reportedAt })
+        });
+      } catch (error) {
+        return errorResult("verifying attestation", error);
+      }
+    }
+  );
+}
+
+module.exports = {
+  name: "workers",
+  description: "TEE workers and attestation",
+  capabilities: ["TEE Worker Management", "Attestation Verification"],
+  register
+};
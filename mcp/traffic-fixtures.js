@@ -0,0 +1,268 @@
+const fs = require("fs");
+const path = require("path");
+const { AxiosError, getAdapter } = require("axios");
+const { blake2AsHex } = require("@polkadot/util-crypto");
+const { isTransportError } = require("./endpoint-pool");
+const { ToolError } = require("./errors");
+
+// Properties of upstream errors worth keeping: polkadot.js RpcError (code, data) and
+// ethers errors (code, reason, body, and the node's answer under error)
+const ERROR_FIELDS = ["code", "data", "reason", "body", "status"];
+// Response headers never written to fixture files
+const SKIPPED_HEADERS = ["set-cookie"];
+// Request body and query fields that change on every call; ignored when matching
+const VOLATILE_FIELDS = ["id", "timestamp", "createdAt"];
+// Signed submissions differ on every run (sr25519 and ECDSA signatures are randomized);
+// they are matched by method alone
+const SIGNED_METHODS = ["author_submitExtrinsic", "author_submitAndWatchExtrinsic", "eth_sendRawTransaction"];
+
+function serializeError(error) {
+  const serialized = { message: error.message };
+  for (const field of ERROR_FIELDS) {
+    if (error[field] !== undefined) serialized[field] = error[field];
+  }
+  if (error.error && typeof error.error === "object") {
+    serialized.error = serializeError(error.error);
+  }
+  return serialized;
+}
+
+function reviveError(serialized) {
+  const error = new Error(serialized.message);
+  for (const field of ERROR_FIELDS) {
+    if (serialized[field] !== undefined) error[field] = serialized[field];
+  }
+  if (serialized.error) {
+    error.error = reviveError(serialized.error);
+  }
+  return error;
+}
+
+function withoutVolatile(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return value;
+  return Object.fromEntries(Object.entries(value).filter(([field]) => !VOLATILE_FIELDS.includes(field)));
+}
+
+function substitute(value, substitutions) {
+  if (substitutions.size === 0 || value === undefined || value === null) return value;
+  let json = JSON.stringify(value);
+  for (const [recorded, replayed] of substitutions) {
+    json = json.split(recorded).join(replayed);
+  }
+  return JSON.parse(json);
+}
+
+function parseBody(data) {
+  if (typeof data !== "string") return data === undefined ? null : data;
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+}
+
+// Traffic Fixtures Module - records upstream traffic to fixture files and replays it.
+//
+// Three channels are covered: "http" (every axios request: DStack, Phat RPC, attestation,
+// VRF, oracle), "phala" (Polkadot RPC) and "ethereum" (ethers JSON-RPC). In record mode
+// each answered request is appended to <dir>/<channel>.jsonl as
+//   { "request": { ... }, "response": { ... } }
+// Transport failures are not recorded. HTTP requests keep the method, path with query
+// string and body; hosts and headers are left out, so fixtures replay against any
+// endpoint and carry no API keys sent in headers.
+//
+// In replay mode nothing reaches the network. A request is answered by the next unused
+// recording of the same request, ignoring ids and timestamps in HTTP bodies and queries
+// and the signed payload of submissions. Once used up, the last recording answers again
+// (pollers such as the transaction tracker); a request never recorded is an error.
+// A replayed Phala submission carries a fresh signature, so later responses (blocks
+// holding the recorded extrinsic) have the recorded extrinsic and its hash swapped for
+// the submitted ones; the tracker then finds the transaction it is waiting for.
+class TrafficFixtures {
+  constructor(config = {}) {
+    // "record", "replay" or null (off)
+    this.mode = config.mode || null;
+    this.dir = config.dir;
+    if (this.mode && !["record", "replay"].includes(this.mode)) {
+      throw new Error(`UPSTREAM_FIXTURES must be "record" or "replay", got "${this.mode}"`);
+    }
+
+    // Request key -> recorded entries, in recorded order
+    this.recordings = new Map();
+    // Recorded extrinsic hex and hash -> the ones submitted during this replay
+    this.substitutions = new Map();
+    this.stats = { recorded: 0, replayed: 0, missing: 0 };
+    if (this.mode === "record") {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+    if (this.mode === "replay") {
+      this.load();
+    }
+  }
+
+  get recording() {
+    return this.mode === "record";
+  }
+
+  get replaying() {
+    return this.mode === "replay";
+  }
+
+  file(channel) {
+    return path.join(this.dir, `${channel}.jsonl`);
+  }
+
+  load() {
+    if (!fs.existsSync(this.dir)) {
+      throw new Error(`Fixture directory ${this.dir} does not exist; record it first with UPSTREAM_FIXTURES=record`);
+    }
+    for (const file of fs.readdirSync(this.dir).filter(name => name.endsWith(".jsonl")).sort()) {
+      const channel = path.basename(file, ".jsonl");
+      const lines = fs.readFileSync(path.join(this.dir, file), "utf8").split("\n").filter(line => line.trim());
+      for (const line of lines) {
+        const entry = JSON.parse(line);
+        const key = TrafficFixtures.key(channel, entry.request);
+        if (!this.recordings.has(key)) this.recordings.set(key, []);
+        this.recordings.get(key).push({ ...entry, used: false });
+      }
+    }
+  }
+
+  static key(channel, request) {
+    if (channel === "http") {
+      const [pathname, search = ""] = request.url.split("?");
+      const query = withoutVolatile(Object.fromEntries(new URLSearchParams(search)));
+      return JSON.stringify([channel, request.method, pathname, query, withoutVolatile(request.body)]);
+    }
+    return JSON.stringify([channel, request.method, SIGNED_METHODS.includes(request.method) ? null : request.params]);
+  }
+
+  describe(channel, request) {
+    return channel === "http" ? `${request.method} ${request.url}` : `${channel} ${request.method}`;
+  }
+
+  append(channel, request, response) {
+    fs.appendFileSync(this.file(channel), JSON.stringify({ request, response }) + "\n");
+    this.stats.recorded++;
+  }
+
+  // The recorded entry for a request, or a ToolError when there is none
+  lookup(channel, request) {
+    const entries = this.recordings.get(TrafficFixtures.key(channel, request));
+    if (entries) {
+      const entry = entries.find(candidate => !candidate.used) || entries[entries.length - 1];
+      entry.used = true;
+      this.stats.replayed++;
+      return entry;
+    }
+
+    this.stats.missing++;
+    throw new ToolError("UPSTREAM_UNAVAILABLE", `No recorded response for ${this.describe(channel, request)} in ${this.dir}`, {
+      retryable: false,
+      hint: "Record the scenario again with UPSTREAM_FIXTURES=record"
+    });
+  }
+
+  substituteExtrinsic(recorded, submitted) {
+    if (typeof recorded !== "string" || typeof submitted !== "string" || recorded === submitted) return;
+    this.substitutions.set(recorded, submitted);
+    this.substitutions.set(blake2AsHex(recorded, 256), blake2AsHex(submitted, 256));
+  }
+
+  // Run an RPC request through the fixtures. `send` performs the real request.
+  async rpc(channel, method, params, send) {
+    const request = { method, params: params === undefined ? [] : params };
+    if (this.replaying) {
+      const entry = this.lookup(channel, request);
+      if (channel === "phala" && method.startsWith("author_submit")) {
+        this.substituteExtrinsic(entry.request.params[0], request.params[0]);
+      }
+      const response = substitute(entry.response, this.substitutions);
+      if (response.error) throw reviveError(response.error);
+      return response.result;
+    }
+    if (!this.recording) {
+      return send();
+    }
+
+    try {
+      const result = await send();
+      this.append(channel, request, { result: result === undefined ? null : result });
+      return result;
+    } catch (error) {
+      // The node answered with an error; unreachable endpoints say nothing about the request
+      if (!isTransportError(error)) {
+        this.append(channel, request, { error: serializeError(error) });
+      }
+      throw error;
+    }
+  }
+
+  // Route every request of an axios instance through the fixtures. Requests made with
+  // `fixtures: false` in their config (endpoint health probes) are neither recorded nor
+  // replayed.
+  installAxios(axios) {
+    if (!this.mode) return;
+    const send = getAdapter(axios.defaults.adapter);
+    const describeRequest = (config) => {
+      const url = new URL(axios.getUri(config));
+      return {
+        method: config.method.toUpperCase(),
+        url: url.pathname + url.search,
+        body: parseBody(config.data)
+      };
+    };
+
+    axios.defaults.adapter = async (config) => {
+      if (config.fixtures === false) {
+        return send(config);
+      }
+      const request = describeRequest(config);
+
+      if (this.replaying) {
+        const recorded = this.lookup("http", request).response;
+        const response = { ...recorded, config, request: null };
+        const validateStatus = config.validateStatus;
+        if (!validateStatus || validateStatus(response.status)) {
+          return response;
+        }
+        const code = response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+        throw new AxiosError(`Request failed with status code ${response.status}`, code, config, null, response);
+      }
+
+      try {
+        const response = await send(config);
+        this.append("http", request, this.httpResponse(response));
+        return response;
+      } catch (error) {
+        if (error.response) {
+          this.append("http", request, this.httpResponse(error.response));
+        }
+        throw error;
+      }
+    };
+  }
+
+  httpResponse(response) {
+    const headers = {};
+    for (const [name, value] of Object.entries(response.headers || {})) {
+      if (!SKIPPED_HEADERS.includes(name.toLowerCase())) headers[name] = value;
+    }
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      data: parseBody(response.data)
+    };
+  }
+
+  status() {
+    return {
+      mode: this.mode,
+      dir: this.mode ? this.dir : null,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = TrafficFixtures;
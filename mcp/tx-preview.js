@@ -0,0 +1,207 @@
+const ethers = require("ethers");
+const { formatAmount, amountFields } = require("./amount");
+
+// Transaction Preview Module - builds a dry-run report for state-changing tools
+// without signing or submitting anything
+
+// Read the spendable part of a Substrate account
+async function getAccountBalance(api, address) {
+  const { data } = await api.query.system.account(address);
+  const free = BigInt(data.free.toString());
+  const frozenField = data.frozen || data.miscFrozen;
+  const frozen = frozenField ? BigInt(frozenField.toString()) : BigInt(0);
+  return {
+    free,
+    reserved: BigInt(data.reserved.toString()),
+    frozen,
+    transferable: free > frozen ? free - frozen : BigInt(0)
+  };
+}
+
+// Decode a Substrate call into a plain, human-readable shape
+function decodeCall(tx) {
+  const { method } = tx;
+  return {
+    section: method.section,
+    method: method.method,
+    callIndex: method.callIndex ? Buffer.from(method.callIndex).toString('hex') : null,
+    args: method.toHuman().args,
+    callData: method.toHex()
+  };
+}
+
+// Preview a Substrate extrinsic: decoded call, fee and balances before/after.
+// `debit` is the amount leaving the signer (excluding fee), `credit` the amount
+// arriving at `recipient` when the call is a transfer.
+async function previewExtrinsic(api, tx, { signer, debit = BigInt(0), recipient = null, credit = BigInt(0) }) {
+  const decimals = api.registry.chainDecimals[0];
+  const symbol = api.registry.chainTokens[0];
+  const fmt = (raw) => formatAmount(raw, decimals, symbol);
+  const info = await tx.paymentInfo(signer);
+  const fee = BigInt(info.partialFee.toString());
+  const existentialDeposit = BigInt(api.consts.balances.existentialDeposit.toString());
+
+  const sender = await getAccountBalance(api, signer);
+  const totalDebit = debit + fee;
+  const senderAfter = sender.free - totalDebit;
+
+  const checks = [];
+
+  checks.push({
+    check: "sufficientBalance",
+    passed: sender.transferable >= totalDebit,
+    message: sender.transferable >= totalDebit
+      ? "Sender can cover amount and fee"
+      : `Insufficient transferable balance. Have ${fmt(sender.transferable)}, need ${fmt(totalDebit)}`
+  });
+
+  checks.push({
+    check: "senderExistentialDeposit",
+    passed: senderAfter <= BigInt(0) || senderAfter >= existentialDeposit,
+    message: senderAfter > BigInt(0) && senderAfter < existentialDeposit
+      ? `Sender would drop below the existential deposit (${fmt(existentialDeposit)}) and be reaped`
+      : "Sender stays above the existential deposit"
+  });
+
+  const balances = {
+    sender: {
+      address: signer,
+      before: amountFields(sender.free, decimals, symbol),
+      after: amountFields(senderAfter > BigInt(0) ? senderAfter : BigInt(0), decimals, symbol)
+    }
+  };
+
+  if (recipient) {
+    const target = await getAccountBalance(api, recipient);
+    const recipientAfter = target.free + credit;
+
+    checks.push({
+      check: "recipientExistentialDeposit",
+      passed: recipientAfter >= existentialDeposit,
+      message: recipientAfter >= existentialDeposit
+        ? "Recipient ends at or above the existential deposit"
+        : `Recipient balance would be below the existential deposit (${fmt(existentialDeposit)}); the transfer will fail`
+    });
+
+    balances.recipient = {
+      address: recipient,
+      before: amountFields(target.free, decimals, symbol),
+      after: amountFields(recipientAfter, decimals, symbol)
+    };
+  }
+
+  return {
+    dryRun: true,
+    network: "Phala",
+    call: decodeCall(tx),
+    signer,
+    fee: {
+      partialFee: amountFields(fee, decimals, symbol),
+      weight: info.weight.toHuman ? info.weight.toHuman() : info.weight.toString(),
+      class: info.class.toString()
+    },
+    existentialDeposit: amountFields(existentialDeposit, decimals, symbol),
+    balances,
+    checks,
+    wouldSucceed: checks.every(c => c.passed)
+  };
+}
+
+// Preview an ERC20 transfer on Ethereum: populated tx, gas estimate and balances
+async function previewERC20Transfer(contract, { from, to, amountWei, decimals, symbol }) {
+  const provider = contract.provider;
+  const populated = await contract.populateTransaction.transfer(to, amountWei, { from });
+
+  const [tokenBalance, ethBalance, gasPrice] = await Promise.all([
+    contract.balanceOf(from),
+    provider.getBalance(from),
+    provider.getGasPrice()
+  ]);
+
+  const checks = [];
+  checks.push({
+    check: "sufficientTokenBalance",
+    passed: tokenBalance.gte(amountWei),
+    message: tokenBalance.gte(amountWei)
+      ? `Sender holds enough ${symbol}`
+      : `Insufficient ${symbol} balance. Have ${formatAmount(tokenBalance, decimals, symbol)}, need ${formatAmount(amountWei, decimals, symbol)}`
+  });
+
+  // Gas estimation reverts when the transfer would fail, so record it as a check
+  let gasLimit = null;
+  try {
+    const estimate = await contract.estimateGas.transfer(to, amountWei, { from });
+    gasLimit = estimate.mul(110).div(100); // Same 10% buffer used when sending
+    checks.push({ check: "gasEstimate", passed: true, message: "Transfer simulates successfully" });
+  } catch (error) {
+    checks.push({ check: "gasEstimate", passed: false, message: `Gas estimation failed: ${error.reason || error.message}` });
+  }
+
+  const maxFee = gasLimit ? gasLimit.mul(gasPrice) : null;
+  if (maxFee) {
+    checks.push({
+      check: "sufficientGasBalance",
+      passed: ethBalance.gte(maxFee),
+      message: ethBalance.gte(maxFee)
+        ? "Sender holds enough ETH for gas"
+        : `Insufficient ETH for gas. Have ${ethers.utils.formatEther(ethBalance)}, need ${ethers.utils.formatEther(maxFee)}`
+    });
+  }
+
+  return {
+    dryRun: true,
+    network: "Ethereum",
+    call: {
+      contract: contract.address,
+      function: "transfer(address,uint256)",
+      args: { recipient: to, amount: amountWei.toString() },
+      data: populated.data
+    },
+    signer: from,
+    fee: {
+      gasLimit: gasLimit ? gasLimit.toString() : null,
+      gasPrice: ethers.utils.formatUnits(gasPrice, "gwei") + " gwei",
+      maxFee: maxFee ? amountFields(maxFee, 18, "ETH") : null
+    },
+    balances: {
+      sender: {
+        address: from,
+        token: {
+          before: amountFields(tokenBalance, decimals, symbol),
+          after: amountFields(tokenBalance.gte(amountWei) ? tokenBalance.sub(amountWei) : 0, decimals, symbol)
+        },
+        eth: {
+          before: amountFields(ethBalance, 18, "ETH"),
+          after: maxFee && ethBalance.gte(maxFee) ? amountFields(ethBalance.sub(maxFee), 18, "ETH") : null
+        }
+      }
+    },
+    checks,
+    wouldSucceed: checks.every(c => c.passed)
+  };
+}
+
+// Preview a request to an off-chain service (Phat RPC, DStack) that would change state
+function previewServiceRequest({ service, method = "POST", url, body, signer = null, checks = [] }) {
+  return {
+    dryRun: true,
+    network: service,
+    request: {
+      method,
+      url,
+      body
+    },
+    signer,
+    checks,
+    wouldSucceed: checks.every(c => c.passed),
+    note: "Request was not sent. Fees, if any, are charged by the remote service"
+  };
+}
+
+module.exports = {
+  getAccountBalance,
+  decodeCall,
+  previewExtrinsic,
+  previewERC20Transfer,
+  previewServiceRequest
+};
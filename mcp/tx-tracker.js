@@ -0,0 +1,280 @@
+// Transaction Tracker Module - follows submitted extrinsics from submission to finality
+//
+// With a subscription-capable provider the node pushes status updates. Over HTTP there are
+// no subscriptions, so the extrinsic is submitted once and new blocks are polled for it.
+
+const TERMINAL = ["finalized", "failed", "invalid", "dropped", "usurped", "finalityTimeout"];
+
+// Decode a DispatchError into { type, section, name, docs }
+function decodeDispatchError(api, dispatchError) {
+  if (dispatchError.isModule) {
+    try {
+      const { section, name, docs } = api.registry.findMetaError(dispatchError.asModule);
+      return { type: "Module", section, name, docs: docs.join(" ") };
+    } catch (e) {
+      return { type: "Module", message: dispatchError.toString() };
+    }
+  }
+  return { type: dispatchError.type, message: dispatchError.toString() };
+}
+
+// Decode a failed submission. The node answers a transaction it will not pool with a
+// JSON-RPC error (1010 invalid, 1014 priority too low, ...), which polkadot.js raises as
+// "<code>: <message>" with the code attached; anything else never got an answer.
+function decodeSubmitError(error) {
+  if (Number.isInteger(error.code) && error.code > 0) {
+    return { type: "Rejected", code: error.code, message: error.message };
+  }
+  return { type: "Transport", message: error.message };
+}
+
+function describeError(error) {
+  if (!error) return "unknown error";
+  return error.section ? `${error.section}.${error.name}${error.docs ? `: ${error.docs}` : ""}` : error.message;
+}
+
+class TransactionTracker {
+  constructor(config = {}) {
+    this.maxRecords = config.maxRecords || 500;
+    this.pollInterval = config.pollInterval || 3000;
+    // Mortal extrinsics expire after their era (64 blocks by default in polkadot.js)
+    this.maxWaitBlocks = config.maxWaitBlocks || 64;
+    this.records = new Map();
+    this.waiters = new Map();
+  }
+
+  get(hash) {
+    return this.records.get(hash) || null;
+  }
+
+  list(limit = 20) {
+    return Array.from(this.records.values()).slice(-limit).reverse();
+  }
+
+  isTerminal(record) {
+    return TERMINAL.includes(record.status);
+  }
+
+  // Sign and submit an extrinsic, then track it. Resolves with the record once submitted,
+  // or once it is "invalid" (the node refused it) or "failed" (it could not be sent).
+  async submit(api, tx, signer, { tool = null, meta = {} } = {}) {
+    await tx.signAsync(signer);
+
+    const record = {
+      hash: tx.hash.toHex(),
+      tool,
+      signer: signer.address || String(signer),
+      nonce: tx.nonce.toNumber(),
+      call: `${tx.method.section}.${tx.method.method}`,
+      status: "submitted",
+      history: [],
+      blockHash: null,
+      blockNumber: null,
+      extrinsicIndex: null,
+      finalizedBlockHash: null,
+      success: null,
+      error: null,
+      events: [],
+      meta,
+      submittedAt: new Date().toISOString()
+    };
+    this.store(record);
+    this.transition(record, "submitted");
+
+    try {
+      if (api.hasSubscriptions) {
+        record.unsubscribe = await tx.send((result) => {
+          this.handleResult(api, record, result).catch((error) => {
+            console.error(`Tracker failed to process ${record.hash}:`, error.message);
+          });
+        });
+      } else {
+        const startHeader = await api.rpc.chain.getHeader();
+        await tx.send();
+        this.transition(record, "broadcast");
+        this.poll(api, record, startHeader.number.toNumber());
+      }
+    } catch (error) {
+      // Never reached the pool; a record left "submitted" would never be evicted
+      record.success = false;
+      record.error = decodeSubmitError(error);
+      this.transition(record, record.error.type === "Rejected" ? "invalid" : "failed");
+    }
+
+    return record;
+  }
+
+  // Keep the map bounded, dropping the oldest finished records first
+  store(record) {
+    this.records.set(record.hash, record);
+    if (this.records.size <= this.maxRecords) return;
+    for (const [hash, old] of this.records) {
+      if (this.isTerminal(old)) {
+        this.records.delete(hash);
+        return;
+      }
+    }
+  }
+
+  transition(record, status, extra = {}) {
+    record.status = status;
+    record.history.push({ status, at: new Date().toISOString(), ...extra });
+
+    for (const waiter of this.waiters.get(record.hash) || []) {
+      waiter.check();
+    }
+  }
+
+  // Subscription path: map SubmittableResult status updates onto the record
+  async handleResult(api, record, result) {
+    const { status } = result;
+
+    if (status.isReady) {
+      this.transition(record, "ready");
+    } else if (status.isBroadcast) {
+      this.transition(record, "broadcast");
+    } else if (status.isInBlock) {
+      const blockHash = status.asInBlock.toHex();
+      await this.applyInclusion(api, record, blockHash, result.txIndex, result.events, result.dispatchError);
+      this.transition(record, record.success ? "inBlock" : "failed", { blockHash });
+    } else if (status.isRetracted) {
+      this.transition(record, "retracted", { blockHash: status.asRetracted.toHex() });
+    } else if (status.isFinalized) {
+      const blockHash = status.asFinalized.toHex();
+      if (record.blockHash !== blockHash) {
+        await this.applyInclusion(api, record, blockHash, result.txIndex, result.events, result.dispatchError);
+      }
+      record.finalizedBlockHash = blockHash;
+      this.transition(record, record.success ? "finalized" : "failed", { blockHash, finalized: true });
+    } else if (status.isInvalid || status.isDropped || status.isUsurped || status.isFinalityTimeout) {
+      const terminal = status.isInvalid ? "invalid" : status.isDropped ? "dropped" : status.isUsurped ? "usurped" : "finalityTimeout";
+      record.success = false;
+      record.error = record.error || { type: status.type, message: `Extrinsic ${terminal}` };
+      this.transition(record, terminal);
+    }
+
+    if (this.isTerminal(record) && record.unsubscribe) {
+      record.unsubscribe();
+      record.unsubscribe = null;
+    }
+  }
+
+  // Fill block number, index, events and dispatch error once the extrinsic is in a block
+  async applyInclusion(api, record, blockHash, index, events, dispatchError) {
+    const header = await api.rpc.chain.getHeader(blockHash);
+    record.blockHash = blockHash;
+    record.blockNumber = header.number.toNumber();
+    record.extrinsicIndex = index !== undefined && index !== null ? Number(index) : null;
+    record.events = (events || []).map(({ event }) => ({
+      section: event.section,
+      method: event.method,
+      data: event.data.toHuman()
+    }));
+
+    if (!dispatchError) {
+      const failed = (events || []).find(({ event }) => api.events.system.ExtrinsicFailed.is(event));
+      dispatchError = failed ? failed.event.data[0] : null;
+    }
+    record.success = !dispatchError;
+    record.error = dispatchError ? decodeDispatchError(api, dispatchError) : null;
+  }
+
+  // Polling path: scan new blocks for the extrinsic, then wait for its block to finalize
+  poll(api, record, fromBlock) {
+    let nextBlock = fromBlock;
+
+    const tick = async () => {
+      if (this.isTerminal(record)) return;
+
+      try {
+        if (!record.blockHash) {
+          const head = (await api.rpc.chain.getHeader()).number.toNumber();
+          for (; nextBlock <= head && !record.blockHash; nextBlock++) {
+            const blockHash = await api.rpc.chain.getBlockHash(nextBlock);
+            const block = await api.rpc.chain.getBlock(blockHash);
+            const index = block.block.extrinsics.findIndex(ex => ex.hash.toHex() === record.hash);
+            if (index === -1) continue;
+
+            const allEvents = await api.query.system.events.at(blockHash);
+            const events = allEvents.filter(({ phase }) =>
+              phase.isApplyExtrinsic && phase.asApplyExtrinsic.eq(index)
+            );
+            await this.applyInclusion(api, record, blockHash.toHex(), index, events, null);
+            this.transition(record, record.success ? "inBlock" : "failed", { blockHash: record.blockHash });
+          }
+
+          if (!record.blockHash && head - fromBlock > this.maxWaitBlocks) {
+            record.success = false;
+            record.error = { type: "Dropped", message: `Not included within ${this.maxWaitBlocks} blocks` };
+            this.transition(record, "dropped");
+          }
+        } else {
+          const finalizedHash = await api.rpc.chain.getFinalizedHead();
+          const finalized = (await api.rpc.chain.getHeader(finalizedHash)).number.toNumber();
+          if (finalized >= record.blockNumber) {
+            const canonical = (await api.rpc.chain.getBlockHash(record.blockNumber)).toHex();
+            if (canonical === record.blockHash) {
+              record.finalizedBlockHash = record.blockHash;
+              this.transition(record, record.success ? "finalized" : "failed", { blockHash: record.blockHash, finalized: true });
+            } else {
+              // Our block lost the fork; look for the extrinsic again from that height
+              this.transition(record, "retracted", { blockHash: record.blockHash });
+              nextBlock = record.blockNumber;
+              record.blockHash = null;
+              record.blockNumber = null;
+            }
+          }
+        }
+      } catch (error) {
+        console.error(`Polling ${record.hash} failed:`, error.message);
+      }
+
+      if (!this.isTerminal(record)) {
+        setTimeout(tick, this.pollInterval).unref();
+      }
+    };
+
+    setTimeout(tick, this.pollInterval).unref();
+  }
+
+  // Wait until the record is in a block (or finalized), fails, or the timeout passes.
+  // Never rejects on timeout: the caller gets the current record and can keep polling.
+  waitFor(hash, { finalized = false, timeout = 60000 } = {}) {
+    const record = this.get(hash);
+    if (!record) {
+      return Promise.reject(new Error(`Transaction ${hash} is not tracked`));
+    }
+
+    return new Promise((resolve) => {
+      const waiters = this.waiters.get(hash) || [];
+      const done = () => {
+        clearTimeout(timer);
+        this.waiters.set(hash, (this.waiters.get(hash) || []).filter(w => w !== waiter));
+        resolve(record);
+      };
+      const waiter = {
+        check: () => {
+          const reached = finalized
+            ? record.status === "finalized"
+            : ["inBlock", "finalized"].includes(record.status);
+          if (reached || (this.isTerminal(record) && record.status !== "finalized")) {
+            done();
+          }
+        }
+      };
+      const timer = setTimeout(done, timeout);
+      waiters.push(waiter);
+      this.waiters.set(hash, waiters);
+      waiter.check();
+    });
+  }
+
+  // Public view of a record (drops the subscription handle)
+  describe(record) {
+    const { unsubscribe, ...view } = record;
+    return view;
+  }
+}
+
+module.exports = TransactionTracker;
+module.exports.describeError = describeError;
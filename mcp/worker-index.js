@@ -0,0 +1,476 @@
+const fs = require("fs");
+const path = require("path");
+const { addressKey } = require("./address");
+const { ToolError } = require("./errors");
+
+// Orders of worker pages: the registry's own (storage key) order, or a worker field
+const WORKER_SORTS = {
+  registry: worker => worker.key,
+  confidenceLevel: worker => worker.confidenceLevel,
+  runtimeVersion: worker => worker.runtimeVersion,
+  lastUpdated: worker => Number(worker.lastUpdated || 0)
+};
+
+// Keys read per live page when filters may drop workers, and pages read per call
+const FILTERED_PAGE_SIZE = 100;
+const MAX_LIVE_PAGES = 5;
+
+// Pallets whose events name the workers they change, by public key or by the session
+// (miner, before the computation pallet) account bound to the worker
+const WORKER_EVENT_SECTIONS = ["phalaRegistry", "phalaComputation", "phalaMining"];
+// Storage mapping such an account to its worker, the first the runtime has
+const ACCOUNT_BINDINGS = [["phalaComputation", "sessionBindings"], ["phalaMining", "minerBindings"]];
+// Bump when the index file layout changes; older files are rebuilt
+const INDEX_FORMAT = 1;
+// Syncs that changed no worker still save the synced block this often
+const SAVE_INTERVAL_MS = 5 * 60 * 1000;
+
+// TEE type from the registry features and attestation method
+function detectTeeType(info) {
+  const features = info.features || [];
+  if (info.attestationMethod === "Ias" || features.includes(1)) return "Intel SGX";
+  if (info.attestationMethod === "Dcap" || features.includes(2)) return "Intel TDX";
+  if (features.includes(3)) return "AMD SEV";
+  if (features.includes(4)) return "NVIDIA Confidential Computing";
+  return "Unknown";
+}
+
+function describeWorker(publicKey, info, state) {
+  return {
+    publicKey,
+    confidenceLevel: info.confidenceLevel || 0,
+    runtimeVersion: info.runtimeVersion || 0,
+    attestationMethod: info.attestationMethod || "Unknown",
+    features: info.features || [],
+    teeType: detectTeeType(info),
+    state,
+    initialScore: info.initialScore || null,
+    lastUpdated: info.lastUpdated || null,
+    operator: info.operator || null
+  };
+}
+
+function isOnline(worker) {
+  return worker.state === "Ready" || worker.state === "WorkerIdle";
+}
+
+// Whether a worker matches a query. getWorkerList passes { onlineOnly, teeType };
+// queryWorkers any of the other fields, each an exact match.
+function matchesFilters(worker, filters = {}) {
+  const {
+    onlineOnly = false,
+    teeType = null,
+    teeTypes,
+    states,
+    confidenceLevels,
+    minRuntimeVersion,
+    maxRuntimeVersion,
+    operator,
+    features,
+    hasEndpoint,
+    bound,
+    updatedSince
+  } = filters;
+  if (onlineOnly && !isOnline(worker)) return false;
+  // Workers whose type cannot be told apart match every teeType filter
+  if (teeType && worker.teeType !== teeType && worker.teeType !== "Unknown") return false;
+  if (teeTypes && !teeTypes.includes(worker.teeType)) return false;
+  if (states && !states.includes(worker.state)) return false;
+  if (confidenceLevels && !confidenceLevels.includes(worker.confidenceLevel)) return false;
+  if (minRuntimeVersion !== undefined && worker.runtimeVersion < minRuntimeVersion) return false;
+  if (maxRuntimeVersion !== undefined && worker.runtimeVersion > maxRuntimeVersion) return false;
+  // Operators compare as account bytes, whatever SS58 prefix they are written with
+  if (operator !== undefined && (!worker.operator || addressKey(worker.operator) !== addressKey(operator))) return false;
+  if (features && !features.every(feature => worker.features.includes(feature))) return false;
+  if (hasEndpoint !== undefined && !!worker.endpoint !== hasEndpoint) return false;
+  if (bound !== undefined && !!worker.binding !== bound) return false;
+  if (updatedSince !== undefined && Number(worker.lastUpdated || 0) < updatedSince) return false;
+  return true;
+}
+
+// Info, state, binding and endpoints of the given workers, one multi query per storage
+// map. Workers no longer registered come back as null.
+async function readWorkers(api, publicKeys) {
+  const registry = api.query.phalaRegistry;
+  const read = (entry) => (entry && publicKeys.length ? entry.multi(publicKeys) : Promise.resolve([]));
+  const [infos, states, bindings, endpoints] = await Promise.all([
+    read(registry.workers),
+    read(registry.workerState),
+    read(registry.workerBindings),
+    read(registry.endpoints)
+  ]);
+  const present = value => value && !value.isEmpty;
+
+  return publicKeys.map((publicKey, i) => {
+    if (!present(infos[i])) return null;
+    return {
+      ...describeWorker(publicKey, infos[i].toJSON(), present(states[i]) ? states[i].toString() : "Unknown"),
+      binding: present(bindings[i]) ? bindings[i].toJSON() : null,
+      endpoint: present(endpoints[i]) ? endpoints[i].toString() : null
+    };
+  });
+}
+
+// One page of registry workers from startKey on: keysPaged, then readWorkers for the
+// whole page. Each worker carries its storage key for cursors.
+async function readWorkerPage(api, { startKey, pageSize }) {
+  const keys = await api.query.phalaRegistry.workers.keysPaged({ args: [], pageSize, startKey });
+  if (keys.length === 0) {
+    return { workers: [], lastKey: startKey || null, done: true };
+  }
+
+  const details = await readWorkers(api, keys.map(key => key.args[0].toHex()));
+  const workers = [];
+  keys.forEach((key, i) => {
+    // Unregistered between keysPaged and multi
+    if (details[i]) workers.push({ key: key.toHex(), ...details[i] });
+  });
+  return { workers, lastKey: keys[keys.length - 1].toHex(), done: keys.length < pageSize };
+}
+
+// Up to `limit` matching workers straight from the chain, in registry order, continuing
+// after the storage key `startKey`. Reads at most MAX_LIVE_PAGES pages, so a selective
+// filter may return a short page with a nextCursor to continue from.
+async function scanWorkers(api, { startKey = null, limit, filters = {} }) {
+  const filtered = filters.onlineOnly || filters.teeType;
+  const pageSize = filtered ? Math.max(limit, FILTERED_PAGE_SIZE) : limit;
+  const workers = [];
+  let cursor = startKey || undefined;
+  let scanned = 0;
+  let done = false;
+
+  for (let pages = 0; pages < MAX_LIVE_PAGES && workers.length < limit && !done; pages++) {
+    const page = await readWorkerPage(api, { startKey: cursor, pageSize });
+    let consumed = true;
+    for (const [i, worker] of page.workers.entries()) {
+      scanned++;
+      if (matchesFilters(worker, filters)) workers.push(worker);
+      if (workers.length === limit) {
+        consumed = i === page.workers.length - 1;
+        cursor = worker.key;
+        break;
+      }
+    }
+    // The whole page was read: continue after its last key
+    if (consumed) {
+      cursor = page.lastKey;
+      done = page.done;
+    }
+  }
+
+  return { workers, nextCursor: done ? null : cursor, scanned };
+}
+
+// Workers an event refers to, told by field type rather than field name: sr25519 public
+// keys (WorkerAdded.pubkey, SessionBound.worker) and accounts (WorkerStarted.session),
+// which boundWorkers resolves. ECDH keys share the key type but name no worker.
+function eventWorkers(event) {
+  const publicKeys = [];
+  const accounts = [];
+  event.meta.fields.forEach((field, i) => {
+    const typeName = field.typeName.isSome ? field.typeName.unwrap().toString() : "";
+    const typePath = event.registry.lookup.getSiType(field.type).path.join("::");
+    if (typeName === "WorkerPublicKey" || (typePath === "sp_core::sr25519::Public" && typeName !== "EcdhPublicKey")) {
+      publicKeys.push(event.data[i].toHex());
+    } else if (typePath === "sp_core::crypto::AccountId32") {
+      accounts.push(event.data[i].toHex());
+    }
+  });
+  return { publicKeys, accounts };
+}
+
+// Public keys of the workers bound to session (or miner) accounts at the head
+async function boundWorkers(api, accounts) {
+  const [section, item] = ACCOUNT_BINDINGS.find(([section, item]) => api.query[section] && api.query[section][item]) || [];
+  if (!section || accounts.length === 0) return [];
+  const workers = await api.query[section][item].multi(accounts);
+  return workers.filter(worker => worker.isSome).map(worker => worker.unwrap().toHex());
+}
+
+function compareValues(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function encodeCursor(sortBy, order, worker) {
+  return Buffer.from(JSON.stringify([sortBy, order, WORKER_SORTS[sortBy](worker), worker.publicKey])).toString("base64url");
+}
+
+function decodeCursor(cursor, sortBy, order) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    decoded = null;
+  }
+  if (!Array.isArray(decoded) || decoded[0] !== sortBy || decoded[1] !== order) {
+    throw new ToolError("INVALID_ARGUMENT", `startKey is not a cursor of a worker page sorted by ${sortBy} ${order}`, {
+      hint: "Pass the nextCursor of the previous page with the same sortBy and order"
+    });
+  }
+  return { value: decoded[2], publicKey: decoded[3] };
+}
+
+// Worker Index Module - every registered worker, kept on disk and in sync with the chain.
+//
+// The first build walks the whole registry with readWorkerPage and notes the finalized
+// block it started from. Every syncIntervalMs the index then reads the events of each
+// newly finalized block and re-reads only the workers named by registry and computation
+// events (added, updated, bound, ...), by public key or by the session account bound to
+// them. Endpoint changes emit no event, so a full rebuild
+// still runs every refreshIntervalMs, and whenever the index is more than maxSyncBlocks
+// behind. The index is saved to `file` (JSON) and loaded on startup, so a restart
+// resumes from the saved block instead of scanning the registry again.
+//
+// The index answers what a live page cannot: filters over every worker, totals and
+// aggregates, and pages sorted by worker fields. Sorted pages use cursors holding the
+// last worker's sort value and key, so they stay valid while the index changes.
+class WorkerIndex {
+  constructor(config = {}) {
+    // getApi: async () => ApiPromise
+    this.getApi = config.getApi;
+    this.file = config.file || null;
+    this.refreshIntervalMs = config.refreshIntervalMs || 6 * 60 * 60 * 1000;
+    this.syncIntervalMs = config.syncIntervalMs || 30000;
+    this.maxSyncBlocks = config.maxSyncBlocks || 1200;
+    this.pageSize = config.pageSize || 500;
+
+    // Public key -> worker; null until built or loaded
+    this.workers = null;
+    this.genesisHash = null;
+    this.builtAt = null;
+    this.buildMs = null;
+    this.syncedBlock = null;
+    this.syncedAt = null;
+    this.savedAt = null;
+    // "chain" once built here, "file" while serving what was loaded from disk
+    this.source = null;
+    this.error = null;
+    this.updating = null;
+    this.timers = [];
+    this.load();
+  }
+
+  get ready() {
+    return this.workers !== null;
+  }
+
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      if (data.format !== INDEX_FORMAT) return;
+      this.workers = new Map(data.workers.map(worker => [worker.publicKey, worker]));
+      this.genesisHash = data.genesisHash;
+      this.builtAt = data.builtAt;
+      this.syncedBlock = data.syncedBlock;
+      this.syncedAt = data.syncedAt;
+      this.savedAt = Date.now();
+      this.source = "file";
+    } catch (error) {
+      console.error(`Ignoring unreadable worker index ${this.file}:`, error.message);
+    }
+  }
+
+  save() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    // Write then rename so a crash mid-write never leaves a truncated index
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({
+      format: INDEX_FORMAT,
+      genesisHash: this.genesisHash,
+      builtAt: this.builtAt,
+      syncedBlock: this.syncedBlock,
+      syncedAt: this.syncedAt,
+      workers: Array.from(this.workers.values())
+    }));
+    fs.renameSync(tmp, this.file);
+    this.savedAt = Date.now();
+  }
+
+  // Start syncing and periodic rebuilds; resolves once the index is ready
+  start() {
+    if (this.timers.length === 0) {
+      const every = (ms, task) => {
+        const timer = setInterval(() => task().catch(() => {}), ms);
+        timer.unref();
+        this.timers.push(timer);
+      };
+      every(this.syncIntervalMs, () => this.sync());
+      every(this.refreshIntervalMs, () => this.refresh());
+      this.sync().catch(() => {});
+    }
+    return this.ready ? Promise.resolve(this) : this.sync().then(() => this);
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  // One build or sync at a time; a caller arriving meanwhile shares the running one
+  run(task) {
+    if (!this.updating) {
+      this.updating = task()
+        .then(() => { this.error = null; })
+        .catch((error) => {
+          this.error = error.message;
+          console.error("Worker index update failed:", error.message);
+          throw error;
+        })
+        .finally(() => { this.updating = null; });
+    }
+    return this.updating;
+  }
+
+  // Rebuild from a full registry scan
+  refresh() {
+    return this.run(() => this.build());
+  }
+
+  // Catch up with the finalized head from events, or rebuild when that is not possible
+  sync() {
+    return this.run(async () => {
+      const api = await this.getApi();
+      if (!this.ready || this.genesisHash !== api.genesisHash.toHex()) {
+        return this.build();
+      }
+
+      const finalized = await this.finalizedNumber(api);
+      if (finalized <= this.syncedBlock) return;
+      if (finalized - this.syncedBlock > this.maxSyncBlocks) {
+        return this.build();
+      }
+
+      const touched = new Set();
+      const accounts = new Set();
+      for (let number = this.syncedBlock + 1; number <= finalized; number++) {
+        const hash = await api.rpc.chain.getBlockHash(number);
+        const records = await api.query.system.events.at(hash);
+        for (const { event } of records) {
+          if (WORKER_EVENT_SECTIONS.includes(event.section)) {
+            const named = eventWorkers(event);
+            named.publicKeys.forEach(publicKey => touched.add(publicKey));
+            named.accounts.forEach(account => accounts.add(account));
+          }
+        }
+      }
+      // Events naming a worker by account: its binding now, or, for a session unbound
+      // since, the binding the index last read
+      if (accounts.size > 0) {
+        (await boundWorkers(api, Array.from(accounts))).forEach(publicKey => touched.add(publicKey));
+        for (const worker of this.workers.values()) {
+          if (worker.binding && accounts.has(addressKey(worker.binding))) touched.add(worker.publicKey);
+        }
+      }
+
+      if (touched.size > 0) {
+        const publicKeys = Array.from(touched);
+        const details = await readWorkers(api, publicKeys);
+        const keys = publicKeys.map(publicKey => api.query.phalaRegistry.workers.key(publicKey));
+        publicKeys.forEach((publicKey, i) => {
+          if (details[i]) {
+            this.workers.set(publicKey, { key: keys[i], ...details[i] });
+          } else {
+            this.workers.delete(publicKey);
+          }
+        });
+      }
+      this.syncedBlock = finalized;
+      this.syncedAt = Date.now();
+      if (touched.size > 0 || Date.now() - this.savedAt > SAVE_INTERVAL_MS) {
+        this.save();
+      }
+    });
+  }
+
+  async finalizedNumber(api) {
+    const header = await api.rpc.chain.getHeader(await api.rpc.chain.getFinalizedHead());
+    return header.number.toNumber();
+  }
+
+  async build() {
+    const started = Date.now();
+    const api = await this.getApi();
+    // Events from this block on are applied by later syncs
+    const finalized = await this.finalizedNumber(api);
+    const workers = new Map();
+    let startKey;
+    for (;;) {
+      const page = await readWorkerPage(api, { startKey, pageSize: this.pageSize });
+      page.workers.forEach(worker => workers.set(worker.publicKey, worker));
+      if (page.done) break;
+      startKey = page.lastKey;
+    }
+    this.workers = workers;
+    this.genesisHash = api.genesisHash.toHex();
+    this.builtAt = Date.now();
+    this.buildMs = this.builtAt - started;
+    this.syncedBlock = finalized;
+    this.syncedAt = this.builtAt;
+    this.source = "chain";
+    this.save();
+  }
+
+  matching(filters) {
+    return Array.from(this.workers.values()).filter(worker => matchesFilters(worker, filters));
+  }
+
+  count(filters) {
+    return this.ready ? this.matching(filters).length : null;
+  }
+
+  // A page of matching workers sorted by sortBy, after the worker in `startKey`
+  page({ filters, sortBy, order = "desc", startKey = null, limit }) {
+    const sortValue = WORKER_SORTS[sortBy];
+    const direction = order === "asc" ? 1 : -1;
+    const compare = (a, b) => compareValues(a.value, b.value) * direction || compareValues(a.publicKey, b.publicKey);
+    const position = worker => ({ value: sortValue(worker), publicKey: worker.publicKey });
+
+    let matching = this.matching(filters).sort((a, b) => compare(position(a), position(b)));
+    if (startKey) {
+      const after = decodeCursor(startKey, sortBy, order);
+      matching = matching.filter(worker => compare(position(worker), after) > 0);
+    }
+
+    const workers = matching.slice(0, limit);
+    const more = matching.length > limit;
+    return { workers, nextCursor: more ? encodeCursor(sortBy, order, workers[workers.length - 1]) : null };
+  }
+
+  // Counts of matching workers per TEE type, runtime version, confidence level and state
+  aggregate(filters) {
+    const stats = { total: 0, online: 0, byTeeType: {}, byRuntimeVersion: {}, byConfidenceLevel: {}, byState: {} };
+    const bump = (counts, value) => { counts[value] = (counts[value] || 0) + 1; };
+    for (const worker of this.matching(filters)) {
+      stats.total++;
+      if (isOnline(worker)) stats.online++;
+      bump(stats.byTeeType, worker.teeType);
+      bump(stats.byRuntimeVersion, worker.runtimeVersion);
+      bump(stats.byConfidenceLevel, worker.confidenceLevel);
+      bump(stats.byState, worker.state);
+    }
+    return stats;
+  }
+
+  status() {
+    return {
+      status: this.ready ? "ready" : this.error ? "failed" : "building",
+      source: this.source,
+      workers: this.ready ? this.workers.size : null,
+      builtAt: this.builtAt,
+      buildMs: this.buildMs,
+      syncedBlock: this.syncedBlock,
+      syncedAt: this.syncedAt,
+      updating: !!this.updating && this.ready,
+      file: this.file,
+      error: this.error
+    };
+  }
+}
+
+module.exports = WorkerIndex;
+module.exports.WORKER_SORTS = WORKER_SORTS;
+module.exports.describeWorker = describeWorker;
+module.exports.matchesFilters = matchesFilters;
+module.exports.scanWorkers = scanWorkers;
@@ -4,8 +4,14 @@ require('dotenv').config();
 
 const express = require('express');
 const cors = require('cors');
-const { spawn } = require('child_process');
-const { randomUUID } = require('crypto');
+const { ErrorCode, LATEST_PROTOCOL_VERSION, McpError } = require('@modelcontextprotocol/sdk/types.js');
+const McpSessions = require('./http/mcp-sessions');
+const { createServer, start } = require('./mcp/mcp-server');
+const { metrics } = require('./mcp/telemetry');
+const Authenticator = require('./http/auth');
+const AuditLog = require('./http/audit');
+const RateLimiter = require('./http/rate-limit');
+const MetricsRegistry = require('./mcp/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -14,139 +20,175 @@ console.log('🚀 Starting Phala Network MCP Server...');
 console.log(`📍 Port: ${PORT}`);
 console.log(`🔑 WALLET_SEED_PHRASE configured: ${process.env.WALLET_SEED_PHRASE ? 'Yes' : 'No'}`);
 console.log(`🌐 PHALA_RPC_URL: ${process.env.PHALA_RPC_URL || 'https://api.phala.network/rpc'}`);
+if (process.env.UPSTREAM_FIXTURES) {
+  console.log(`📼 UPSTREAM_FIXTURES: ${process.env.UPSTREAM_FIXTURES} (${process.env.UPSTREAM_FIXTURES_DIR || './data/fixtures'})`);
+}
+
+// CORS_ORIGINS: comma-separated allowed origins, or * (default) for any
+const corsOrigins = (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
 
-app.use(cors());
+// Browsers may only read Mcp-Session-Id if it is exposed
+app.use(cors({
+  origin: corsOrigins.includes('*') ? '*' : corsOrigins,
+  exposedHeaders: ['Mcp-Session-Id', 'WWW-Authenticate']
+}));
 app.use(express.json({ limit: '10mb' }));
 
-let mcpProcess = null;
-let mcpInitialized = false;
-const pendingRequests = new Map();
+// API keys and/or JWT bearer tokens; enforced once either is configured
+const auth = new Authenticator({
+  keysFile: process.env.API_KEYS_FILE || null,
+  jwt: {
+    secret: process.env.JWT_SECRET || null,
+    jwksUrl: process.env.JWT_JWKS_URL || null,
+    issuer: process.env.JWT_ISSUER || null,
+    audience: process.env.JWT_AUDIENCE || null,
+    scopesClaim: process.env.JWT_SCOPES_CLAIM || 'scope',
+    defaultScopes: (process.env.JWT_DEFAULT_SCOPES || '').split(',').map(scope => scope.trim()).filter(Boolean)
+  }
+});
+const requireAuth = auth.middleware();
+const requireAdmin = auth.middleware('admin');
+const audit = new AuditLog({ file: process.env.AUDIT_LOG_FILE || null });
 
-async function initializeMCP() {
-  return new Promise((resolve, reject) => {
-    console.log('Initializing MCP...');
-    console.log('Environment for MCP:', {
-      WALLET_SEED_PHRASE: process.env.WALLET_SEED_PHRASE ? 'Set' : 'Not set',
-      PHALA_RPC_URL: process.env.PHALA_RPC_URL ? 'Set' : 'Using default'
-    });
-    
-    mcpProcess = spawn('node', ['./mcp/index.js'], {
-      env: {
-        ...process.env,
-        WALLET_SEED_PHRASE: process.env.WALLET_SEED_PHRASE || '',
-        PHALA_RPC_URL: process.env.PHALA_RPC_URL || 'https://api.phala.network/rpc'
-      },
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
+if (!auth.enabled) {
+  console.log('⚠️  No API_KEYS_FILE or JWT_* settings: /mcp is open to anyone who can reach this port');
+}
 
-    let buffer = '';
-    let initTimeout = setTimeout(() => {
-      reject(new Error('MCP initialization timeout'));
-    }, 30000);
-    
-    mcpProcess.stdout.on('data', (data) => {
-      buffer += data.toString();
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-      
-      for (const line of lines) {
-        if (line.trim()) {
-          try {
-            const response = JSON.parse(line);
-            
-            if (response.id === 'init' && response.result) {
-              clearTimeout(initTimeout);
-              console.log('✅ MCP initialized');
-              
-              // Send initialized notification
-              mcpProcess.stdin.write(JSON.stringify({
-                jsonrpc: '2.0',
-                method: 'notifications/initialized',
-                params: {}
-              }) + '\n');
-              
-              // Mark as initialized after notification
-              setTimeout(() => {
-                mcpInitialized = true;
-                console.log('✅ MCP ready for requests');
-              }, 500);
-              
-              resolve(response.result);
-            }
-            
-            if (response.id && pendingRequests.has(response.id)) {
-              const { resolve } = pendingRequests.get(response.id);
-              pendingRequests.delete(response.id);
-              resolve(response);
-            }
-          } catch (e) {
-            // Ignore parse errors for non-JSON lines
-          }
-        }
-      }
-    });
+// Set once the crypto backend is loaded and the endpoint pools are started
+let ready = false;
 
-    mcpProcess.stderr.on('data', (data) => {
-      console.error('MCP stderr:', data.toString());
-    });
+// Legacy and REST tool calls currently running
+let directCalls = 0;
 
-    mcpProcess.on('error', (err) => {
-      clearTimeout(initTimeout);
-      console.error('MCP error:', err);
-      reject(err);
-    });
+// approveTransaction runs the approved tool, which waits up to 60 s for its transaction
+// (ETHEREUM_CONFIRMATION_TIMEOUT_MS on Ethereum); the request must outlast that wait, or
+// the caller sees a failure for an intent that was submitted
+const approveTimeoutMs = parseInt(process.env.APPROVE_TIMEOUT_MS || '120000', 10);
 
-    mcpProcess.on('exit', (code) => {
-      console.log(`MCP exited: ${code}`);
-      mcpInitialized = false;
+// Streamable HTTP sessions, each served by an McpServer of its own in this process
+const sessions = new McpSessions({
+  createServer,
+  authorize: (caller, message) => Authenticator.authorize(caller, message),
+  admit: (req, tools) => admitToolCalls(req, tools, 'streamable-http'),
+  onCall: (entry) => audit.record(entry),
+  idleTimeoutMs: parseInt(process.env.MCP_SESSION_IDLE_TIMEOUT_MS || '1800000', 10),
+  maxSessions: parseInt(process.env.MCP_MAX_SESSIONS || '100', 10)
+});
+
+// An integer setting, or undefined when unset or empty (docker-compose passes unset
+// variables as empty strings)
+function optionalInt(name) {
+  const value = process.env[name];
+  return value === undefined || value === '' ? undefined : parseInt(value, 10);
+}
+
+// Per-caller and per-tool token buckets, and a cap on tool calls running at once. The
+// env settings override RATE_LIMITS_FILE when set; left empty, the file's apply.
+const limiter = new RateLimiter({
+  file: process.env.RATE_LIMITS_FILE || null,
+  defaults: {
+    perMinute: optionalInt('RATE_LIMIT_PER_MINUTE'),
+    burst: optionalInt('RATE_LIMIT_BURST')
+  },
+  maxConcurrent: optionalInt('MCP_MAX_CONCURRENT'),
+  getInFlight: () => sessions.inFlightCalls + directCalls
+});
+
+// Rate limit check for the tool calls of one request, all or none; calls the caller may
+// not make at all are left to authorization so they do not use up quota
+function admitToolCalls(req, tools, transport) {
+  const permitted = tools.filter(tool => !Authenticator.authorize(req.auth, { method: 'tools/call', params: { name: tool } }));
+  if (permitted.length === 0) return null;
+  const decision = limiter.check({ auth: req.auth, ip: req.ip, tools: permitted });
+  if (decision.allowed) return null;
+  for (const tool of permitted) {
+    audit.record({
+      auth: req.auth,
+      ip: req.ip,
+      transport,
+      tool,
+      outcome: 'rate_limited',
+      error: decision.reason
     });
+  }
+  return decision;
+}
 
-    // Send initialize request
-    setTimeout(() => {
-      mcpProcess.stdin.write(JSON.stringify({
-        jsonrpc: '2.0',
-        method: 'initialize',
-        params: {
-          protocolVersion: '2024-11-05',
-          capabilities: {},
-          clientInfo: {
-            name: 'phala-mcp-http-server',
-            version: '0.1.0'
-          }
-        },
-        id: 'init'
-      }) + '\n');
-    }, 1000);
-  });
+// HTTP-side metrics for /metrics, next to the tool and upstream metrics of mcp/telemetry
+const serverMetrics = new MetricsRegistry({ prefix: 'phala_mcp_' });
+const pendingRequests = serverMetrics.gauge('pending_requests', 'Tool calls running', ['source']);
+const sessionCount = serverMetrics.gauge('sessions', 'Open Streamable HTTP sessions', []);
+const rateLimited = serverMetrics.counter('rate_limited_total', 'Tool calls rejected by rate limits', []);
+
+function renderServerMetrics() {
+  const mcpStatus = sessions.status();
+  // session: Streamable HTTP requests; direct: legacy and REST calls
+  pendingRequests.set({ source: 'session' }, mcpStatus.inFlight);
+  pendingRequests.set({ source: 'direct' }, directCalls);
+  sessionCount.set({}, mcpStatus.sessions);
+  rateLimited.set({}, limiter.rejected);
+  return serverMetrics.render();
 }
 
-async function sendMCPRequest(method, params = {}) {
-  if (!mcpInitialized) {
-    throw new Error('MCP not initialized');
+// Run a tool call for the legacy shim or a REST route and reply in the legacy
+// {result, error} shape
+async function forwardToolCall(req, res, name, args = {}, transport = 'legacy', timeoutMs = 30000) {
+  const startedAt = Date.now();
+  const record = (outcome, error = null) => audit.record({
+    auth: req.auth,
+    ip: req.ip,
+    transport,
+    tool: name,
+    outcome,
+    durationMs: Date.now() - startedAt,
+    error
+  });
+
+  const denied = Authenticator.authorize(req.auth, { method: 'tools/call', params: { name } });
+  if (denied) {
+    record('denied', denied);
+    return res.status(403).json({ error: denied });
+  }
+
+  const rejection = admitToolCalls(req, [name], transport);
+  if (rejection) {
+    res.set('Retry-After', String(rejection.retryAfterSeconds));
+    return res.status(429).json({ error: rejection.reason, retryAfter: rejection.retryAfterSeconds });
   }
 
-  return new Promise((resolve, reject) => {
-    const id = randomUUID();
-    const timeout = setTimeout(() => {
-      pendingRequests.delete(id);
-      reject(new Error('Request timeout'));
-    }, 30000);
-    
-    pendingRequests.set(id, {
-      resolve: (response) => {
-        clearTimeout(timeout);
-        resolve(response);
-      },
-      reject
+  if (!ready) {
+    record('failed', 'MCP not ready');
+    res.set('Retry-After', '2');
+    return res.status(503).json({
+      error: 'MCP not ready',
+      message: 'Please wait for initialization',
+      retryable: true
     });
-    
-    mcpProcess.stdin.write(JSON.stringify({
-      jsonrpc: '2.0',
-      method,
-      params,
-      id
-    }) + '\n');
-  });
+  }
+
+  directCalls++;
+  try {
+    const result = await sessions.callTool(name, args, timeoutMs);
+    record(result.isError ? 'error' : 'ok');
+    return res.json({ result, error: null });
+  } catch (error) {
+    // JSON-RPC errors from the server (unknown tool, invalid arguments) keep the legacy shape
+    if (error instanceof McpError && error.code !== ErrorCode.RequestTimeout) {
+      // The client prefixes the server's message with "MCP error <code>: "
+      const message = error.message.replace(/^MCP error -?\d+: /, '');
+      record('error', message);
+      return res.json({
+        result: null,
+        error: { code: error.code, message, ...(error.data !== undefined ? { data: error.data } : {}) }
+      });
+    }
+    record('failed', error.message);
+    return res.status(500).json({
+      error: error.message
+    });
+  } finally {
+    directCalls--;
+  }
 }
 
 // Root endpoint
@@ -154,27 +196,63 @@ app.get('/', (req, res) => {
   res.json({
     name: 'Phala Network MCP Server',
     version: '0.1.0',
-    status: mcpInitialized ? 'operational' : 'offline',
+    status: ready ? 'operational' : 'offline',
     chain: 'Phala',
     ss58Prefix: 30,
     protocol: 'MCP',
-    endpoints: ['/health', '/info', '/mcp']
+    endpoints: ['/health', '/health/details', '/metrics', '/info', '/mcp', '/transactions/pending']
   });
 });
 
-// Health check endpoint
+// RPC connection, endpoint pool and upstream fixture status from getServiceInfo
+async function getRpcStatus() {
+  if (!ready) return null;
+  try {
+    const result = await sessions.callTool('getServiceInfo', {}, 2000);
+    const info = JSON.parse(result.content[0].text);
+    return { connection: info.connection, pools: info.rpcPools, fixtures: info.upstreamFixtures };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Liveness for load balancers and container health checks: public, so it reports nothing
+// beyond up and never calls a tool
 app.get('/health', (req, res) => {
-  const healthy = mcpInitialized || mcpProcess !== null;
-  res.status(healthy ? 200 : 503).json({ 
-    status: healthy ? 'healthy' : 'unhealthy',
+  res.json({
+    status: 'healthy',
+    service: 'Phala Network MCP',
+    version: '0.1.0',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Detailed status for operators: RPC pools, sessions, auth and rate limits
+app.get('/health/details', requireAdmin, async (req, res) => {
+  const rpc = await getRpcStatus();
+  // Healthy with degraded RPC when a pool has no healthy endpoint left
+  const degraded = !!(rpc && rpc.pools && Object.values(rpc.pools)
+    .some(pool => pool && pool.endpoints.every(endpoint => !endpoint.healthy)));
+  res.json({
+    status: degraded ? 'degraded' : 'healthy',
     service: 'Phala Network MCP',
     version: '0.1.0',
     chain: 'Phala',
     ss58Prefix: 30,
+    rpc,
+    mcp: sessions.status(),
+    auth: auth.status(),
+    rateLimit: limiter.status(),
     timestamp: new Date().toISOString()
   });
 });
 
+// Prometheus metrics: the server's own, followed by the tool and upstream metrics.
+// Admin scope.
+app.get('/metrics', requireAdmin, (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderServerMetrics() + metrics.render());
+});
+
 // Info endpoint
 app.get('/info', (req, res) => {
   res.json({
@@ -196,107 +274,74 @@ app.get('/info', (req, res) => {
   });
 });
 
-// MCP Protocol endpoint (JSON-RPC)
-app.post('/mcp', async (req, res) => {
-  try {
-    const { jsonrpc, method, params, id, tool } = req.body;
-
-    // Handle legacy format (tool + params)
-    if (tool && !method) {
-      if (!mcpInitialized) {
-        return res.status(503).json({
-          error: 'MCP not ready',
-          message: 'Please wait for initialization'
-        });
-      }
-
-      try {
-        const response = await sendMCPRequest('tools/call', {
-          name: tool,
-          arguments: params || {}
-        });
-
-        return res.json({
-          result: response.result,
-          error: response.error || null
-        });
-      } catch (error) {
-        return res.status(500).json({
-          error: error.message
-        });
-      }
-    }
+// MCP Streamable HTTP endpoint. POST carries client messages, GET opens the session's
+// SSE stream for server notifications and DELETE ends the session.
+async function handleMCP(req, res) {
+  if (!ready) {
+    res.set('Retry-After', '2');
+    return res.status(503).json({
+      jsonrpc: '2.0',
+      error: { code: -32000, message: 'MCP not ready', data: { retryable: true } },
+      id: null
+    });
+  }
 
-    // Handle standard JSON-RPC format
-    if (jsonrpc !== '2.0') {
-      return res.status(400).json({
+  try {
+    await sessions.handleRequest(req, res);
+  } catch (error) {
+    console.error('MCP error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
         jsonrpc: '2.0',
-        error: { code: -32600, message: 'Invalid Request' },
-        id: id || null
+        error: { code: -32603, message: error.message },
+        id: null
       });
     }
+  }
+}
 
-    switch (method) {
-      case 'initialize':
-        res.json({
-          jsonrpc: '2.0',
-          result: {
-            protocolVersion: '2024-11-05',
-            serverInfo: {
-              name: 'Phala Network MCP',
-              version: '0.1.0'
-            },
-            capabilities: { tools: {} }
-          },
-          id
-        });
-        break;
-
-      case 'tools/list':
-        if (!mcpInitialized) throw new Error('MCP not ready');
-        const listResponse = await sendMCPRequest('tools/list');
-        res.json({
-          jsonrpc: '2.0',
-          result: listResponse.result,
-          id
-        });
-        break;
-
-      case 'tools/call':
-        if (!mcpInitialized) throw new Error('MCP not ready');
-        const callResponse = await sendMCPRequest('tools/call', params);
-        res.json({
-          jsonrpc: '2.0',
-          result: callResponse.result,
-          id
-        });
-        break;
-
-      default:
-        res.status(404).json({
-          jsonrpc: '2.0',
-          error: { code: -32601, message: `Method not found: ${method}` },
-          id
-        });
-    }
-  } catch (error) {
-    console.error('MCP error:', error);
-    res.status(500).json({
-      jsonrpc: '2.0',
-      error: { code: -32603, message: error.message },
-      id: req.body.id || null
-    });
+app.post('/mcp', requireAuth, (req, res) => {
+  const { method, tool, params } = req.body || {};
+
+  // Handle legacy format (tool + params)
+  if (tool && !method) {
+    return forwardToolCall(req, res, tool, params || {});
   }
+
+  return handleMCP(req, res);
+});
+
+app.delete('/mcp', requireAuth, handleMCP);
+
+// Transaction approval endpoints
+app.get('/transactions/pending', requireAuth, (req, res) => {
+  forwardToolCall(req, res, 'listPendingTransactions', {}, 'rest');
 });
 
-// MCP Discovery endpoint (GET)
+app.post('/transactions/:id/approve', requireAuth, (req, res) => {
+  forwardToolCall(req, res, 'approveTransaction', { id: req.params.id }, 'rest', approveTimeoutMs);
+});
+
+app.post('/transactions/:id/reject', requireAuth, (req, res) => {
+  forwardToolCall(req, res, 'rejectTransaction', {
+    id: req.params.id,
+    reason: req.body && req.body.reason
+  }, 'rest');
+});
+
+// SSE stream for MCP clients, discovery document for everyone else
 app.get('/mcp', (req, res) => {
+  if ((req.headers.accept || '').includes('text/event-stream')) {
+    return requireAuth(req, res, () => handleMCP(req, res));
+  }
+
   res.json({
     name: 'Phala Network MCP',
     version: '0.1.0',
-    protocol_version: '2024-11-05',
+    protocol_version: LATEST_PROTOCOL_VERSION,
     endpoint: '/mcp',
-    status: mcpInitialized ? 'ready' : 'offline',
+    transport: 'streamable-http',
+    status: ready ? 'ready' : 'offline',
     description: 'Full-featured MCP server for Phala Network with TEE support',
     features: [
       'Substrate wallet management',
@@ -309,17 +354,21 @@ app.get('/mcp', (req, res) => {
 });
 
 // Initialize MCP
-initializeMCP()
-  .then(() => console.log('✅ MCP ready'))
-  .catch((error) => {
-    console.error('⚠️ MCP init failed:', error.message);
-    console.log('Server will run with limited functionality');
-  });
+console.log('Environment for MCP:', {
+  WALLET_SEED_PHRASE: process.env.WALLET_SEED_PHRASE ? 'Set' : 'Not set',
+  PHALA_RPC_URL: process.env.PHALA_RPC_URL ? 'Set' : 'Using default'
+});
+start().then(() => {
+  ready = true;
+}).catch((error) => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
 
 // Start server
 const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`\n🚀 Phala Network MCP Server running on port ${PORT}`);
-  console.log('📍 Health check: http://localhost:' + PORT + '/health');
+  console.log('📍 Health check: http://localhost:' + PORT + '/health (details: /health/details)');
   console.log('📍 Info: http://localhost:' + PORT + '/info');
   console.log('📍 MCP endpoint: http://localhost:' + PORT + '/mcp');
   console.log('\n✨ Ready for MCP connections!\n');
@@ -329,13 +378,13 @@ const server = app.listen(PORT, '0.0.0.0', () => {
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down...');
   server.close(() => console.log('HTTP server closed'));
-  if (mcpProcess) mcpProcess.kill('SIGTERM');
+  sessions.closeAll().catch((error) => console.error('Error closing MCP sessions:', error.message));
   setTimeout(() => process.exit(0), 5000);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down...');
   server.close(() => console.log('HTTP server closed'));
-  if (mcpProcess) mcpProcess.kill('SIGTERM');
+  sessions.closeAll().catch((error) => console.error('Error closing MCP sessions:', error.message));
   setTimeout(() => process.exit(0), 5000);
 });
\ No newline at end of file
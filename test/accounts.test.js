@@ -0,0 +1,59 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, fixtures } = require("./harness");
+const { FEE } = require("./mocks/substrate-node");
+
+const { pha, WALLET, BOB, ETHEREUM_ADDRESS } = fixtures;
+
+describe("accounts tools", () => {
+  let h;
+  before(async () => { h = await startHarness(); });
+  after(() => h.stop());
+
+  it("listAccounts shows the environment wallets and an empty keystore", async () => {
+    const { keystore, environment } = await h.call("listAccounts");
+    assert.deepEqual(keystore.accounts, []);
+    assert.deepEqual(environment.map(account => account.address), [WALLET, ETHEREUM_ADDRESS]);
+  });
+
+  it("getWalletAddresses reports both signing keys", async () => {
+    const addresses = await h.call("getWalletAddresses");
+    assert.equal(addresses.phala.substrate.address, WALLET);
+    assert.equal(addresses.phala.canSignPhala, true);
+    assert.equal(addresses.ethereum.address, ETHEREUM_ADDRESS);
+  });
+
+  it("convertAddress and validateAddress handle Phala addresses", async () => {
+    const converted = await h.call("convertAddress", { address: "5FHneW46xGXgs5mUiveU4sbTyGBzmstUspZC92UhjJM694ty", ss58Prefix: 30 });
+    assert.equal(converted.ss58, BOB);
+
+    const valid = await h.call("validateAddress", { address: BOB, expectedPrefix: 30 });
+    assert.equal(valid.valid, true);
+    const wrongPrefix = await h.call("validateAddress", { address: converted.generic, expectedPrefix: 30 });
+    assert.equal(wrongPrefix.valid, false);
+  });
+
+  it("createAccount stores an encrypted account that can sign", async () => {
+    const { account } = await h.call("createAccount", { name: "ops" });
+    assert.equal(account.type, "substrate");
+    h.node.setAccount(account.address, { free: pha(5) });
+
+    const result = await h.callApproved("sendPHA", { to: BOB, amount: "1", from: "ops" });
+    assert.equal(result.from, account.address);
+    assert.equal(h.node.account(account.address).free, pha(4) - FEE);
+
+    const { keystore } = await h.call("listAccounts");
+    assert.deepEqual(keystore.accounts.map(entry => entry.name), ["ops"]);
+  });
+
+  it("exportAccountJson and importAccount round-trip a keystore backup", async () => {
+    const { json } = await h.call("exportAccountJson", { name: "ops", exportPassword: "backup" });
+    const imported = await h.call("importAccount", { name: "ops-copy", type: "substrate", json: JSON.stringify(json), jsonPassword: "backup" });
+    assert.equal(imported.account.address, json.address);
+  });
+
+  it("importAccount rejects duplicate names", async () => {
+    const error = await h.callError("importAccount", { name: "ops", type: "ethereum", secret: fixtures.PRIVATE_KEY });
+    assert.equal(error.code, "CONFLICT");
+  });
+});
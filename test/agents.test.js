@@ -0,0 +1,70 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, fixtures } = require("./harness");
+
+const { CLUSTER, AGENT, MEASUREMENTS } = fixtures;
+
+describe("agents tools", () => {
+  let h;
+  before(async () => { h = await startHarness(); });
+  after(() => h.stop());
+
+  it("deployAIAgent deploys an agent", async () => {
+    const deployed = await h.call("deployAIAgent", { name: "helper", model: "llama-2", systemPrompt: "Be brief", clusterId: CLUSTER });
+    assert.equal(deployed.success, true);
+    assert.ok(h.dstack.agents.has(deployed.agentId));
+  });
+
+  it("deployAIAgent fails for unknown clusters", async () => {
+    const error = await h.callError("deployAIAgent", { name: "helper", model: "llama-2", systemPrompt: "Be brief", clusterId: "cluster-none" });
+    assert.equal(error.code, "NOT_FOUND");
+  });
+
+  it("queryAIAgent returns the agent response", async () => {
+    const answer = await h.call("queryAIAgent", { agentId: AGENT, query: "status?" });
+    assert.equal(answer.response, "Fixture Agent received: status?");
+    assert.equal(answer.tokensUsed, 42);
+    assert.equal(answer.verification.status, "verified");
+    assert.equal(answer.verification.policy, null);
+  });
+
+  it("getAIAgentTemplates and deployAIAgentTemplate use the built-in templates", async () => {
+    const templates = await h.call("getAIAgentTemplates");
+    assert.ok(templates.oracle);
+
+    const deployed = await h.call("deployAIAgentTemplate", { template: "oracle", clusterId: CLUSTER });
+    assert.equal(deployed.success, true);
+    assert.equal(deployed.template, "oracle");
+    assert.deepEqual(deployed.features, templates.oracle.features);
+  });
+});
+
+describe("agents tools with an attestation policy", () => {
+  let h;
+  before(async () => {
+    h = await startHarness({ attestationPolicy: { defaults: { allowedMrTds: [MEASUREMENTS.mrTd], requireReportData: true } } });
+  });
+  after(() => h.stop());
+
+  it("queryAIAgent returns answers from agents that pass", async () => {
+    const answer = await h.call("queryAIAgent", { agentId: AGENT, query: "status?" });
+    const nonce = h.dstack.requests.at(-1).body.reportData;
+    assert.match(nonce, /^0x[0-9a-f]{64}$/);
+    assert.ok(answer.verification.reportData.startsWith(nonce));
+    assert.equal(answer.verification.policy.verdict, "pass");
+  });
+
+  it("queryAIAgent withholds answers from agents that fail", async () => {
+    h.dstack.cvm.mrTd = "0x" + "55".repeat(48);
+    try {
+      const error = await h.callError("queryAIAgent", { agentId: AGENT, query: "status?" });
+      assert.equal(error.code, "POLICY_VIOLATION");
+      assert.match(error.message, /Agent agent-fixture failed the attestation policy; its response was withheld: allowedMrTds: MRTD 0x(55){48} is not allowed/);
+      assert.equal(error.details.agentId, AGENT);
+      assert.equal(error.details.verification.policy.verdict, "fail");
+      assert.ok(!JSON.stringify(error).includes("received: status?"));
+    } finally {
+      h.dstack.cvm.mrTd = MEASUREMENTS.mrTd;
+    }
+  });
+});
@@ -0,0 +1,286 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const express = require("express");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const Authenticator = require("../http/auth");
+const { hashKey, scopeForTool, requiredScope } = Authenticator;
+
+const ISSUER_PATH = "/issuer";
+const AUDIENCE = "phala-mcp";
+const SECRET = "test-secret";
+
+const base64url = (value) => Buffer.from(typeof value === "string" ? value : JSON.stringify(value)).toString("base64url");
+
+// A compact JWS signed the way each algorithm family expects
+function signJwt(header, payload, key) {
+  const data = `${base64url(header)}.${base64url(payload)}`;
+  const bits = (header.alg.match(/\d+$/) || [])[0];
+  let signature;
+  if (header.alg.startsWith("HS")) {
+    signature = crypto.createHmac(`sha${bits}`, key).update(data).digest();
+  } else if (header.alg.startsWith("ES")) {
+    signature = crypto.sign(`sha${bits}`, Buffer.from(data), { key, dsaEncoding: "ieee-p1363" });
+  } else if (header.alg.startsWith("PS")) {
+    signature = crypto.sign(`sha${bits}`, Buffer.from(data), {
+      key,
+      padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+    });
+  } else {
+    signature = crypto.sign(header.alg === "EdDSA" ? null : `sha${bits}`, Buffer.from(data), key);
+  }
+  return `${data}.${signature.toString("base64url")}`;
+}
+
+function keyFile(content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "phala-mcp-auth-"));
+  const file = path.join(dir, "api-keys.yaml");
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+function request(headers = {}) {
+  return { headers, path: "/metrics" };
+}
+
+// The parts of an Express response the middleware touches
+function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+async function runMiddleware(middleware, req) {
+  const res = response();
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+describe("api keys", () => {
+  const file = keyFile([
+    "keys:",
+    "  - id: dashboard",
+    // Hex digests are compared case-insensitively
+    `    keyHash: "sha256:${hashKey("dashboard-key").slice(7).toUpperCase()}"`,
+    "    scopes: [read]",
+    "  - id: ops",
+    "    key: ops-key",
+    "    scopes: [admin]",
+    "    rateLimit: { perMinute: 30 }"
+  ].join("\n"));
+  const auth = new Authenticator({ keysFile: file });
+
+  it("hashKey gives sha256:<hex>", () => {
+    assert.equal(hashKey("abc"), "sha256:" + crypto.createHash("sha256").update("abc").digest("hex"));
+  });
+
+  it("accepts keys by hash or plain value from either header", async () => {
+    const byHash = await auth.authenticate(request({ "x-api-key": "dashboard-key" }));
+    assert.equal(byHash.clientId, "dashboard");
+    assert.deepEqual(byHash.scopes, ["read"]);
+
+    const byBearer = await auth.authenticate(request({ authorization: "Bearer ops-key" }));
+    assert.equal(byBearer.clientId, "ops");
+    assert.deepEqual(byBearer.extra, { method: "api-key", rateLimit: { perMinute: 30 } });
+  });
+
+  it("rejects unknown keys and missing credentials", async () => {
+    await assert.rejects(auth.authenticate(request({ "x-api-key": "nope" })), { name: "AuthError", message: "Invalid API key" });
+    await assert.rejects(auth.authenticate(request()), /Authentication required/);
+    // A JWT-shaped bearer is not taken for an API key, and tokens are not configured
+    await assert.rejects(auth.authenticate(request({ authorization: "Bearer a.b.c" })), /Bearer tokens are not accepted/);
+  });
+
+  it("refuses key files with unknown scopes or no secret", () => {
+    assert.throws(() => new Authenticator({ keysFile: keyFile("keys:\n  - id: x\n    key: k\n    scopes: [root]\n") }), /unknown scopes: root/);
+    assert.throws(() => new Authenticator({ keysFile: keyFile("keys:\n  - id: x\n    scopes: [read]\n") }), /needs key or keyHash/);
+  });
+
+  it("is disabled without keys or JWT settings", async () => {
+    const open = new Authenticator();
+    assert.equal(open.enabled, false);
+    assert.equal(await open.authenticate(request()), null);
+  });
+});
+
+describe("jwt bearer tokens", () => {
+  const now = () => Math.floor(Date.now() / 1000);
+  const claims = (extra = {}) => ({ sub: "user-1", client_id: "agent", iss: "https://issuer.test", aud: AUDIENCE, exp: now() + 300, scope: "read transfer", ...extra });
+  const auth = new Authenticator({ jwt: { secret: SECRET, issuer: "https://issuer.test", audience: AUDIENCE } });
+  const hs256 = (payload, header = {}) => signJwt({ alg: "HS256", typ: "JWT", ...header }, payload, SECRET);
+
+  it("accepts a valid HS256 token with its scopes", async () => {
+    const caller = await auth.authenticate(request({ authorization: `Bearer ${hs256(claims())}` }));
+    assert.equal(caller.clientId, "agent");
+    assert.deepEqual(caller.scopes, ["read", "transfer"]);
+    assert.deepEqual(caller.extra, { method: "jwt", subject: "user-1" });
+  });
+
+  it("rejects expired tokens once past the clock skew allowance", async () => {
+    // 30 s past exp is within the 60 s skew
+    await auth.authenticate(request({ authorization: `Bearer ${hs256(claims({ exp: now() - 30 }))}` }));
+    await assert.rejects(auth.authenticate(request({ authorization: `Bearer ${hs256(claims({ exp: now() - 120 }))}` })), /Token expired/);
+    await assert.rejects(auth.authenticate(request({ authorization: `Bearer ${hs256(claims({ nbf: now() + 600 }))}` })), /Token not yet valid/);
+  });
+
+  it("checks the signature, issuer, audience and algorithm", async () => {
+    const forged = signJwt({ alg: "HS256" }, claims(), "other-secret");
+    await assert.rejects(auth.authenticate(request({ authorization: `Bearer ${forged}` })), /Invalid token signature/);
+    await assert.rejects(auth.authenticate(request({ authorization: `Bearer ${hs256(claims({ iss: "https://evil.test" }))}` })), /issuer https:\/\/evil.test is not trusted/);
+    await assert.rejects(auth.authenticate(request({ authorization: `Bearer ${hs256(claims({ aud: ["other"] }))}` })), /audience does not include phala-mcp/);
+    const unsigned = `${base64url({ alg: "none" })}.${base64url(claims())}.`;
+    await assert.rejects(auth.authenticate(request({ authorization: `Bearer ${unsigned}` })), /Unsigned tokens are not accepted/);
+  });
+
+  it("reads scopes from a configured claim, falling back to default scopes", async () => {
+    const custom = new Authenticator({ jwt: { secret: SECRET, scopesClaim: "permissions", defaultScopes: ["read"] } });
+    const listed = await custom.authenticate(request({ authorization: `Bearer ${hs256(claims({ permissions: ["deploy"] }))}` }));
+    assert.deepEqual(listed.scopes, ["deploy"]);
+    const none = await custom.authenticate(request({ authorization: `Bearer ${hs256(claims({ scope: undefined }))}` }));
+    assert.deepEqual(none.scopes, ["read"]);
+  });
+
+  it("refuses HMAC tokens when no secret is configured", async () => {
+    const jwksOnly = new Authenticator({ jwt: { jwksUrl: "http://127.0.0.1:1/jwks" } });
+    await assert.rejects(jwksOnly.authenticate(request({ authorization: `Bearer ${hs256(claims())}` })), /HMAC-signed tokens are not accepted/);
+  });
+});
+
+describe("jwt signing keys from a JWKS", () => {
+  const keys = {
+    rsa: crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }),
+    ec: crypto.generateKeyPairSync("ec", { namedCurve: "P-256" }),
+    ed: crypto.generateKeyPairSync("ed25519")
+  };
+  let server;
+  let issuer;
+  let jwksRequests = 0;
+
+  before(async () => {
+    const app = express();
+    app.get(`${ISSUER_PATH}/.well-known/openid-configuration`, (req, res) => {
+      res.json({ issuer, jwks_uri: `${issuer}/jwks` });
+    });
+    app.get(`${ISSUER_PATH}/jwks`, (req, res) => {
+      jwksRequests++;
+      res.json({
+        keys: [
+          { ...keys.rsa.publicKey.export({ format: "jwk" }), kid: "rsa", use: "sig" },
+          { ...keys.ec.publicKey.export({ format: "jwk" }), kid: "ec" },
+          { ...keys.ed.publicKey.export({ format: "jwk" }), kid: "ed" },
+          // Encryption keys are not signing keys
+          { ...crypto.generateKeyPairSync("ec", { namedCurve: "P-256" }).publicKey.export({ format: "jwk" }), kid: "enc", use: "enc" }
+        ]
+      });
+    });
+    await new Promise(resolve => { server = app.listen(0, "127.0.0.1", resolve); });
+    issuer = `http://127.0.0.1:${server.address().port}${ISSUER_PATH}`;
+  });
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const token = (alg, kid, key) => signJwt({ alg, kid }, { iss: issuer, aud: AUDIENCE, sub: `${kid}-user`, exp: Math.floor(Date.now() / 1000) + 300 }, key);
+
+  it("finds the JWKS through OIDC discovery and verifies RS, PS, ES and EdDSA tokens", async () => {
+    const auth = new Authenticator({ jwt: { issuer, audience: AUDIENCE } });
+    for (const [alg, kid, key] of [
+      ["RS256", "rsa", keys.rsa.privateKey],
+      ["PS256", "rsa", keys.rsa.privateKey],
+      ["ES256", "ec", keys.ec.privateKey],
+      ["EdDSA", "ed", keys.ed.privateKey]
+    ]) {
+      const caller = await auth.authenticate(request({ authorization: `Bearer ${token(alg, kid, key)}` }));
+      assert.equal(caller.clientId, `${kid}-user`, alg);
+    }
+    // Fetched once and cached for the rest
+    assert.equal(jwksRequests, 1);
+  });
+
+  it("rejects unknown kids, encryption keys and signatures from other keys", async () => {
+    const auth = new Authenticator({ jwt: { issuer, audience: AUDIENCE } });
+    const stranger = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+    await assert.rejects(auth.authenticate(request({ authorization: `Bearer ${token("ES256", "ec", stranger.privateKey)}` })), /Invalid token signature/);
+    await assert.rejects(auth.authenticate(request({ authorization: `Bearer ${token("ES256", "missing", keys.ec.privateKey)}` })), /Unknown token signing key missing/);
+    await assert.rejects(auth.authenticate(request({ authorization: `Bearer ${token("ES256", "enc", keys.ec.privateKey)}` })), /Unknown token signing key enc/);
+  });
+});
+
+describe("scopes", () => {
+  it("maps tools and methods to the scope they need", () => {
+    assert.equal(scopeForTool("getPHABalance"), "read");
+    assert.equal(scopeForTool("sendPHA"), "transfer");
+    assert.equal(scopeForTool("deployContainer"), "deploy");
+    assert.equal(scopeForTool("approveTransaction"), "approve");
+    assert.equal(scopeForTool("importAccount"), "accounts");
+    // Anything unlisted, including tools added later, is admin
+    assert.equal(scopeForTool("someFutureTool"), "admin");
+
+    assert.equal(requiredScope({ method: "resources/read" }), "read");
+    assert.equal(requiredScope({ method: "phala/metrics" }), "admin");
+    assert.equal(requiredScope({ method: "tools/list" }), null);
+  });
+
+  it("allows a call through its scope, a tool grant or *", () => {
+    const call = (name) => ({ method: "tools/call", params: { name } });
+    const caller = (scopes) => ({ clientId: "bot", scopes });
+    assert.equal(Authenticator.authorize(caller(["transfer"]), call("sendPHA")), null);
+    assert.equal(Authenticator.authorize(caller(["tool:approveTransaction"]), call("approveTransaction")), null);
+    assert.equal(Authenticator.authorize(caller(["*"]), call("someFutureTool")), null);
+    assert.equal(
+      Authenticator.authorize(caller(["read", "transfer"]), call("approveTransaction")),
+      'Forbidden: bot lacks the "approve" scope required for tool approveTransaction'
+    );
+    assert.match(Authenticator.authorize(caller(["read"]), { method: "phala/metrics" }), /lacks the "admin" scope required for phala\/metrics/);
+    // Without auth configured there is no caller and nothing is denied
+    assert.equal(Authenticator.authorize(null, call("sendPHA")), null);
+  });
+});
+
+describe("auth middleware", () => {
+  const file = keyFile("keys:\n  - id: reader\n    key: reader-key\n    scopes: [read]\n  - id: ops\n    key: ops-key\n    scopes: [admin]\n");
+  const auth = new Authenticator({ keysFile: file, jwt: { secret: SECRET } });
+
+  it("sets req.auth for a valid caller", async () => {
+    const req = request({ "x-api-key": "reader-key" });
+    const { nextCalled } = await runMiddleware(auth.middleware(), req);
+    assert.equal(nextCalled, true);
+    assert.equal(req.auth.clientId, "reader");
+  });
+
+  it("answers 401 with WWW-Authenticate for missing, bad or expired credentials", async () => {
+    const expired = signJwt({ alg: "HS256" }, { sub: "x", exp: Math.floor(Date.now() / 1000) - 3600 }, SECRET);
+    for (const headers of [{}, { "x-api-key": "wrong" }, { authorization: `Bearer ${expired}` }]) {
+      const { res, nextCalled } = await runMiddleware(auth.middleware(), request(headers));
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 401);
+      assert.equal(res.headers["WWW-Authenticate"], "Bearer");
+      assert.equal(res.body.error.code, -32001);
+    }
+  });
+
+  it("answers 403 when a scoped route's caller lacks the scope", async () => {
+    const admin = auth.middleware("admin");
+    const denied = await runMiddleware(admin, request({ "x-api-key": "reader-key" }));
+    assert.equal(denied.nextCalled, false);
+    assert.equal(denied.res.statusCode, 403);
+    assert.equal(denied.res.body.error.code, -32003);
+    assert.equal(denied.res.body.error.message, 'Forbidden: reader lacks the "admin" scope required for /metrics');
+    assert.equal(denied.res.headers["WWW-Authenticate"], undefined);
+
+    const allowed = await runMiddleware(admin, request({ "x-api-key": "ops-key" }));
+    assert.equal(allowed.nextCalled, true);
+  });
+
+  it("lets everyone through while auth is disabled", async () => {
+    const { nextCalled } = await runMiddleware(new Authenticator().middleware("admin"), request());
+    assert.equal(nextCalled, true);
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, fixtures } = require("./harness");
+const { FEE } = require("./mocks/substrate-node");
+
+const { pha, WALLET, BOB } = fixtures;
+
+describe("balances tools", () => {
+  let h;
+  before(async () => { h = await startHarness(); });
+  after(() => h.stop());
+
+  it("getPHABalance reads the configured wallet", async () => {
+    const balance = await h.call("getPHABalance");
+    assert.equal(balance.address, WALLET);
+    assert.equal(balance.raw.free, pha(1000).toString());
+    assert.equal(balance.raw.frozen, pha(40).toString());
+    assert.equal(balance.nonce, 0);
+  });
+
+  it("getPHABalance accepts a generic Substrate address", async () => {
+    const balance = await h.call("getPHABalance", { address: "5FHneW46xGXgs5mUiveU4sbTyGBzmstUspZC92UhjJM694ty" });
+    assert.equal(balance.address, BOB);
+    assert.equal(balance.raw.free, pha(10).toString());
+  });
+
+  it("sendPHA dryRun previews without submitting", async () => {
+    const preview = await h.call("sendPHA", { to: BOB, amount: "5", dryRun: true });
+    assert.equal(preview.dryRun, true);
+    assert.equal(preview.call.method, "transfer");
+    assert.equal(preview.fee.partialFee.raw, FEE.toString());
+    assert.equal(h.node.submitted.length, 0);
+  });
+
+  it("sendPHA waits for approval, then transfers", async () => {
+    const queued = await h.call("sendPHA", { to: BOB, amount: "5" });
+    assert.equal(queued.status, "pending_approval");
+    assert.equal(queued.intent.params.to, BOB);
+    assert.equal(h.node.submitted.length, 0);
+
+    const { result } = await h.call("approveTransaction", { id: queued.intent.id });
+    assert.equal(result.success, true);
+    assert.equal(result.status, "inBlock");
+    assert.equal(result.amount.raw, pha(5).toString());
+
+    const [submitted] = h.node.submitted;
+    assert.equal(submitted.hash, result.transactionHash);
+    assert.equal(submitted.call, "balances.transfer");
+    assert.equal(submitted.error, null);
+    assert.equal(h.node.account(BOB).free, pha(15));
+    assert.equal(h.node.account(WALLET).free, pha(995) - FEE);
+  });
+
+  it("sendPHA reports a dispatch failure with the decoded module error", async () => {
+    const queued = await h.call("sendPHA", { to: BOB, amount: "5000" });
+    const error = await h.callError("approveTransaction", { id: queued.intent.id });
+    assert.equal(error.code, "TX_FAILED");
+    assert.match(error.message, /InsufficientBalance/);
+    assert.equal(error.details.dispatchError.section, "balances");
+    assert.deepEqual(h.node.submitted.at(-1).error, h.node.moduleError("balances", "InsufficientBalance"));
+  });
+
+  it("sendPHA rejects amounts it cannot parse", async () => {
+    const error = await h.callError("sendPHA", { to: BOB, amount: "five" });
+    assert.equal(error.code, "INVALID_ARGUMENT");
+  });
+
+  it("sendPHA rejects a malformed recipient", async () => {
+    const error = await h.callError("sendPHA", { to: "not-an-address", amount: "1" });
+    assert.equal(error.code, "INVALID_ARGUMENT");
+  });
+});
+
+describe("balances tools without approvals", () => {
+  let h;
+  before(async () => { h = await startHarness({ env: { APPROVAL_MODE: "disabled" } }); });
+  after(() => h.stop());
+
+  it("sendPHA max leaves the fee and existential deposit behind", async () => {
+    const result = await h.call("sendPHA", { to: BOB, amount: "max" });
+    assert.equal(result.success, true);
+    const left = h.node.account(WALLET);
+    assert.ok(left.free > 0n, "sender account is kept alive");
+    assert.equal(h.node.account(BOB).free, pha(10) + BigInt(result.amount.raw));
+  });
+
+  it("sendPHA marks a transfer the node refuses as invalid instead of leaving it submitted", async () => {
+    h.node.rejectNext = [1014, "Priority is too low", "(1000 vs 1000)"];
+    const error = await h.callError("sendPHA", { to: BOB, amount: "1" });
+    assert.equal(error.code, "TX_FAILED");
+    assert.equal(error.details.status, "invalid");
+    assert.equal(error.details.dispatchError.type, "Rejected");
+    assert.equal(error.details.dispatchError.code, 1014);
+    assert.match(error.details.dispatchError.message, /^1014: Priority is too low/);
+
+    const status = await h.call("getTransactionStatus", { hash: error.details.hash });
+    assert.equal(status.status, "invalid");
+    assert.equal(status.success, false);
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./harness");
+
+describe("cloud tools", () => {
+  let h;
+  before(async () => { h = await startHarness(); });
+  after(() => h.stop());
+
+  it("generateVRF returns a value within the range, stable per seed", async () => {
+    const first = await h.call("generateVRF", { seed: "dice", min: 1, max: 6 });
+    const second = await h.call("generateVRF", { seed: "dice", min: 1, max: 6 });
+    assert.ok(first.randomValue >= 1 && first.randomValue <= 6);
+    assert.equal(second.randomValue, first.randomValue);
+    assert.deepEqual(first.range, { min: 1, max: 6 });
+    assert.equal(first.verified, true);
+  });
+
+  it("fetchOracleData forwards the query to the oracle", async () => {
+    const data = await h.call("fetchOracleData", { dataType: "price", params: { symbol: "PHA", currency: "USD" } });
+    assert.equal(data.value.price, 0.12);
+    assert.equal(data.source, "mock-oracle");
+
+    const request = h.cloud.requests.at(-1);
+    assert.equal(request.path, "/oracle/price");
+    assert.equal(request.query.symbol, "PHA");
+  });
+
+  it("fetchRealtimeData reads a DStack source", async () => {
+    const data = await h.call("fetchRealtimeData", { source: "market" });
+    assert.equal(data.source, "market");
+    assert.equal(h.dstack.requests.at(-1).path, "/market/realtime");
+  });
+
+  it("createWorkflow, sequentialThinking and personalFinance answer locally", async () => {
+    const workflow = await h.call("createWorkflow", {
+      name: "rebalance",
+      description: "Rebalance weekly",
+      triggers: ["time"],
+      actions: ["swap"],
+      schedule: "0 0 * * 0"
+    });
+    assert.equal(workflow.name, "rebalance");
+
+    const plan = await h.call("sequentialThinking", { task: "Stake 100 PHA", requiresValidation: true });
+    assert.ok(plan.steps.length > 0);
+
+    const finance = await h.call("personalFinance", { operation: "budget" });
+    assert.equal(finance.operation, "budget");
+  });
+});
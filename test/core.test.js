@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./harness");
+const { EXISTENTIAL_DEPOSIT, RUNTIME_VERSION } = require("./mocks/phala-metadata");
+const { BLOCK_TIME_MS } = require("./mocks/substrate-node");
+
+describe("core tools", () => {
+  let h;
+  // Small pages so the account scan takes several requests
+  before(async () => { h = await startHarness({ env: { CHAIN_STATS_PAGE_SIZE: "2" } }); });
+  after(() => h.stop());
+
+  it("lists every built-in tool with input and output schemas", () => {
+    const names = h.tools.map(tool => tool.name);
+    assert.equal(new Set(names).size, names.length);
+    for (const name of ["getServiceInfo", "getChainInfo", "sendPHA", "delegateStake", "approveTransaction", "sendPHAEthereum", "createAccount"]) {
+      assert.ok(names.includes(name), `${name} is listed`);
+    }
+    for (const tool of h.tools) {
+      assert.equal(tool.inputSchema.type, "object", `${tool.name} inputSchema`);
+      assert.equal(tool.outputSchema && tool.outputSchema.type, "object", `${tool.name} outputSchema`);
+    }
+  });
+
+  it("getServiceInfo reports the configured endpoints", async () => {
+    const info = await h.call("getServiceInfo");
+    assert.equal(info.rpcUrl, h.node.url);
+    assert.equal(info.rpcPools.phala.active, h.node.url);
+    assert.equal(info.rpcPools.phat.active, h.phat.url);
+  });
+
+  it("getChainInfo reads the chain, head and token from the node", async () => {
+    const info = await h.call("getChainInfo");
+    assert.equal(info.chain, "Phala");
+    assert.equal(info.blockNumber, h.node.blocks.length - 1);
+    assert.deepEqual(info.tokenSymbol, ["PHA"]);
+    assert.deepEqual(info.tokenDecimals, [12]);
+    assert.equal(info.existentialDepositRaw, EXISTENTIAL_DEPOSIT.toString());
+  });
+
+  it("getChainInfo serves cached statistics until asked to refresh", async () => {
+    const first = await h.call("getChainInfo");
+    assert.equal(first.runtime.specVersion, RUNTIME_VERSION.specVersion);
+    assert.equal(first.runtime.transactionVersion, RUNTIME_VERSION.transactionVersion);
+    assert.equal(first.issuanceHistory.length, 1);
+
+    h.node.finalityLag = 2;
+    for (let i = 0; i < 4; i++) h.node.sealBlock([]);
+    const cached = await h.call("getChainInfo");
+    assert.equal(cached.blockNumber, first.blockNumber);
+    assert.equal(typeof cached.ageSeconds, "number");
+
+    const fresh = await h.call("getChainInfo", { refresh: true });
+    assert.equal(fresh.blockNumber, first.blockNumber + 4);
+    assert.deepEqual(fresh.finality, {
+      finalizedNumber: fresh.blockNumber - 2,
+      finalizedHash: h.node.blocks[fresh.blockNumber - 2].hash,
+      lagBlocks: 2
+    });
+    assert.deepEqual(fresh.blockTime, { averageMs: BLOCK_TIME_MS, blocks: fresh.blockNumber });
+    assert.deepEqual(fresh.issuanceHistory.map(sample => sample.blockNumber), [first.blockNumber, fresh.blockNumber]);
+    h.node.finalityLag = 0;
+  });
+
+  it("getChainInfo counts accounts with a paged background scan", async () => {
+    let info = await h.call("getChainInfo");
+    for (let i = 0; i < 50 && info.accounts.count === null; i++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      info = await h.call("getChainInfo");
+    }
+    assert.equal(info.accounts.count, h.node.accounts.size);
+    assert.equal(info.totalAccounts, h.node.accounts.size);
+    assert.equal(info.accounts.scanning, false);
+    assert.ok(info.accounts.scannedAt);
+  });
+});
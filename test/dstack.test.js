@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, fixtures } = require("./harness");
+
+const { WALLET, CLUSTER, MEASUREMENTS } = fixtures;
+
+// What the fixture CVMs measure, enforced on deployContainer
+const POLICY = {
+  defaults: {
+    allowedMrTds: [MEASUREMENTS.mrTd],
+    allowedComposeHashes: [MEASUREMENTS.composeHash],
+    minTcbStatus: "SWHardeningNeeded",
+    maxReportAgeSeconds: 300,
+    requireReportData: true
+  }
+};
+
+describe("dstack tools", () => {
+  let h;
+  let containerId;
+  before(async () => { h = await startHarness(); });
+  after(() => h.stop());
+
+  it("deployContainer deploys to a cluster", async () => {
+    const deployed = await h.call("deployContainer", { image: "nginx:latest", name: "web", clusterId: CLUSTER, ports: [80] });
+    assert.equal(deployed.success, true);
+    assert.equal(deployed.status, "deploying");
+    assert.equal(deployed.verification.status, "verified");
+    assert.equal(deployed.verification.teeType, "Intel TDX");
+    assert.equal(deployed.verification.composeHash, MEASUREMENTS.composeHash);
+    assert.equal(deployed.verification.policy, null);
+    ({ containerId } = deployed);
+
+    const request = h.dstack.requests.at(-1);
+    assert.equal(request.path, "/containers/deploy");
+    assert.equal(request.body.cluster, CLUSTER);
+  });
+
+  it("deployContainer maps a missing cluster to NOT_FOUND", async () => {
+    const error = await h.callError("deployContainer", { image: "nginx:latest", name: "web", clusterId: "cluster-none" });
+    assert.equal(error.code, "NOT_FOUND");
+  });
+
+  it("deployContainer maps a rejected API key to PERMISSION_DENIED", async () => {
+    h.dstack.apiKey = "secret";
+    try {
+      const error = await h.callError("deployContainer", { image: "nginx:latest", name: "web", clusterId: CLUSTER });
+      assert.equal(error.code, "PERMISSION_DENIED");
+    } finally {
+      h.dstack.apiKey = null;
+    }
+  });
+
+  it("getContainerStatus reads a deployed container", async () => {
+    const status = await h.call("getContainerStatus", { containerId });
+    assert.equal(status.status, "running");
+    assert.equal(status.verification.verified, true);
+    assert.equal(status.verification.measurements.mrTd, MEASUREMENTS.mrTd);
+    // Without a policy no nonce is sent
+    assert.deepEqual(h.dstack.requests.at(-1).query, {});
+  });
+
+  it("getContainerStatus fails for unknown containers", async () => {
+    const error = await h.callError("getContainerStatus", { containerId: "ctr-missing" });
+    assert.equal(error.code, "NOT_FOUND");
+  });
+
+  it("getClusterInfo lists clusters and reads one", async () => {
+    const { totalClusters, clusters } = await h.call("getClusterInfo");
+    assert.equal(totalClusters, 2);
+    assert.deepEqual(clusters.map(cluster => cluster.id), [CLUSTER, "cluster-gpu"]);
+
+    const gpu = await h.call("getClusterInfo", { clusterId: "cluster-gpu" });
+    assert.equal(gpu.resources.availableGPU, 2);
+  });
+
+  it("createCluster creates a cluster owned by the wallet", async () => {
+    const created = await h.call("createCluster", { name: "fresh", permission: "OnlyOwner" });
+    assert.equal(created.success, true);
+    assert.equal(created.owner, WALLET);
+    assert.ok(h.dstack.clusters.has(created.clusterId));
+  });
+});
+
+describe("dstack tools with an attestation policy", () => {
+  let h;
+  let containerId;
+  before(async () => { h = await startHarness({ attestationPolicy: POLICY }); });
+  after(() => h.stop());
+
+  it("deployContainer binds the attestation to a nonce and checks it", async () => {
+    const deployed = await h.call("deployContainer", { image: "nginx:latest", name: "web", clusterId: CLUSTER });
+    const nonce = h.dstack.requests.at(-1).body.attestation.reportData;
+    assert.match(nonce, /^0x[0-9a-f]{64}$/);
+    assert.ok(deployed.verification.reportData.startsWith(nonce));
+    assert.equal(deployed.verification.policy.verdict, "pass", deployed.verification.policy.reasons.join("; "));
+    assert.equal(deployed.verification.policy.enforced, true);
+    ({ containerId } = deployed);
+  });
+
+  it("deployContainer fails when the container's attestation breaks the policy", async () => {
+    h.dstack.cvm.composeHash = "0x" + "ba".repeat(32);
+    try {
+      const error = await h.callError("deployContainer", { image: "nginx:latest", name: "web", clusterId: CLUSTER });
+      assert.equal(error.code, "POLICY_VIOLATION");
+      assert.match(error.message, /Container ctr-[0-9a-f]+ was removed because its attestation fails the policy: allowedComposeHashes: /);
+      assert.equal(error.details.removed, true);
+      assert.ok(!h.dstack.containers.has(error.details.containerId));
+      assert.equal(h.dstack.requests.at(-1).method, "DELETE");
+      assert.equal(error.details.verification.composeHash, "0x" + "ba".repeat(32));
+      assert.match(error.hint, /deploy again/);
+    } finally {
+      h.dstack.cvm.composeHash = MEASUREMENTS.composeHash;
+    }
+  });
+
+  it("deployContainer previews the policy check on a dry run", async () => {
+    const preview = await h.call("deployContainer", { image: "nginx:latest", name: "web", clusterId: CLUSTER, dryRun: true });
+    const check = preview.checks.find(entry => entry.check === "attestationPolicy");
+    assert.equal(check.passed, true);
+    assert.match(check.message, /^Not known until deployed: .* a container that fails it is removed$/);
+  });
+
+  it("getContainerStatus reports a failing verdict without failing", async () => {
+    h.dstack.cvm.status = "OutOfDate";
+    try {
+      const status = await h.call("getContainerStatus", { containerId });
+      assert.equal(status.status, "running");
+      assert.match(h.dstack.requests.at(-1).query.reportData, /^0x[0-9a-f]{64}$/);
+      assert.equal(status.verification.verified, true);
+      assert.equal(status.verification.tcbStatus, "OutOfDate");
+      assert.equal(status.verification.policy.verdict, "fail");
+      assert.equal(status.verification.policy.enforced, false);
+      assert.deepEqual(status.verification.policy.reasons, ["minTcbStatus: TCB status OutOfDate is below SWHardeningNeeded"]);
+    } finally {
+      h.dstack.cvm.status = "UpToDate";
+    }
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { Wallet } = require("ethers");
+const { parseUnits } = require("ethers").utils;
+const { startHarness, fixtures } = require("./harness");
+
+const { WALLET, ETHEREUM_ADDRESS, ETHEREUM_RECIPIENT, PHA_TOKEN, SEED_PHRASE } = fixtures;
+
+describe("ethereum tools", () => {
+  let h;
+  // Short enough for the unmined transfer below to come back as pending
+  before(async () => { h = await startHarness({ env: { ETHEREUM_CONFIRMATION_TIMEOUT_MS: "1500" } }); });
+  after(() => h.stop());
+
+  it("getPHABalanceEthereum reads token and ETH balances", async () => {
+    const balance = await h.call("getPHABalanceEthereum");
+    assert.equal(balance.address, ETHEREUM_ADDRESS);
+    assert.equal(balance.token.balanceRaw, parseUnits("500", 18).toString());
+    assert.equal(balance.eth.balance, "1.0");
+  });
+
+  it("getPHATokenInfo reads the token contract", async () => {
+    const info = await h.call("getPHATokenInfo");
+    assert.equal(info.token.address, PHA_TOKEN);
+    assert.equal(info.token.symbol, "PHA");
+    assert.equal(info.blockchain.chainId, 1);
+  });
+
+  it("getPHABalanceCrossChain adds up both chains at 18 decimals", async () => {
+    const total = await h.call("getPHABalanceCrossChain");
+    assert.equal(total.chains.phala.address, WALLET);
+    assert.equal(total.chains.ethereum.address, ETHEREUM_ADDRESS);
+    assert.equal(total.totalRaw, parseUnits("1500", 18).toString());
+  });
+
+  it("sendPHAEthereum dryRun previews the token transfer", async () => {
+    const preview = await h.call("sendPHAEthereum", { to: ETHEREUM_RECIPIENT, amount: "10", dryRun: true });
+    assert.equal(preview.dryRun, true);
+    assert.equal(preview.call.args.recipient, ETHEREUM_RECIPIENT);
+    assert.equal(h.ethereum.transactions.size, 0);
+  });
+
+  it("sendPHAEthereum transfers tokens once approved", async () => {
+    const result = await h.callApproved("sendPHAEthereum", { to: ETHEREUM_RECIPIENT, amount: "10" });
+    assert.equal(result.success, true);
+    assert.equal(h.ethereum.tokenBalance(ETHEREUM_RECIPIENT).toString(), parseUnits("10", 18).toString());
+    assert.equal(h.ethereum.tokenBalance(ETHEREUM_ADDRESS).toString(), parseUnits("490", 18).toString());
+
+    const { receipt } = h.ethereum.transactions.get(result.transactionHash);
+    assert.equal(receipt.status, "0x1");
+  });
+
+  it("sendPHAEthereum returns an unconfirmed transfer as pending instead of waiting on it", async () => {
+    h.ethereum.mining = false;
+    try {
+      const result = await h.callApproved("sendPHAEthereum", { to: ETHEREUM_RECIPIENT, amount: "5" });
+      assert.equal(result.status, "pending");
+      assert.equal(result.success, null);
+      assert.equal(result.blockNumber, null);
+      assert.ok(h.ethereum.transactions.has(result.transactionHash));
+    } finally {
+      h.ethereum.mining = true;
+    }
+  });
+
+  it("sendPHAEthereum refuses transfers above the token balance", async () => {
+    const error = await h.callError("sendPHAEthereum", { to: ETHEREUM_RECIPIENT, amount: "1000" });
+    assert.equal(error.code, "INSUFFICIENT_BALANCE");
+  });
+
+  it("sendPHAEthereum rejects bad checksums", async () => {
+    const error = await h.callError("sendPHAEthereum", { to: ETHEREUM_RECIPIENT.replace("C51812", "c51812"), amount: "1" });
+    assert.equal(error.code, "INVALID_ARGUMENT");
+  });
+});
+
+describe("ethereum tools with a seed phrase wallet", () => {
+  // WALLET_KEY_TYPE=ethereum derives the Ethereum wallet from WALLET_SEED_PHRASE
+  const seedAddress = Wallet.fromMnemonic(SEED_PHRASE).address;
+  let h;
+  before(async () => {
+    h = await startHarness({ env: { WALLET_PRIVATE_KEY: null, WALLET_KEY_TYPE: "ethereum" } });
+    h.ethereum.setEthBalance(seedAddress, parseUnits("1", 18));
+    h.ethereum.setTokenBalance(seedAddress, parseUnits("20", 18));
+  });
+  after(() => h.stop());
+
+  it("getPHABalanceEthereum and getPHABalanceCrossChain default to the derived wallet", async () => {
+    const balance = await h.call("getPHABalanceEthereum");
+    assert.equal(balance.address, seedAddress);
+    assert.equal(balance.token.balance, "20.0");
+
+    const total = await h.call("getPHABalanceCrossChain");
+    assert.equal(total.chains.ethereum.address, seedAddress);
+  });
+
+  it("sendPHAEthereum signs with the derived wallet", async () => {
+    const preview = await h.call("sendPHAEthereum", { to: ETHEREUM_RECIPIENT, amount: "5", dryRun: true });
+    assert.equal(preview.signer, seedAddress);
+  });
+});
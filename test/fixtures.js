@@ -0,0 +1,103 @@
+const { parseUnits } = require("ethers").utils;
+const tee = require("./mocks/tee");
+
+// Fixtures - the accounts, workers, pools, contracts and clusters every test starts with.
+
+// Planck (12 decimals) for a PHA amount on Phala
+const pha = (amount) => parseUnits(String(amount), 12).toBigInt();
+
+// Substrate development phrase; the server signs Phala extrinsics with it (sr25519)
+const SEED_PHRASE = "bottom drive obey lake curtain smoke basket hold race lonely fit walk";
+const WALLET = "42DnB4uneK6bURXJeXgMdWYyUah9tSaviM2ijedZXxsPTQWY";
+// First Hardhat account; the server signs Ethereum transactions with it
+const PRIVATE_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const ETHEREUM_ADDRESS = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const KEYSTORE_PASSWORD = "correct horse battery staple";
+
+// Bob (//Bob) on Phala, and a second Hardhat account
+const BOB = "43qsYbZGLn2xzNuurY6BY4QNDSUU7gLEcXuckpm6B3DEmEx9";
+const ETHEREUM_RECIPIENT = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+const WORKERS = {
+  sgx: "0x" + "a1".repeat(32),
+  tdx: "0x" + "b2".repeat(32),
+  unknown: "0x" + "c3".repeat(32)
+};
+
+const POOLS = {
+  // Open pool run by Bob
+  open: 1,
+  // Pool whose cap leaves room for 10 PHA more
+  capped: 2,
+  missing: 99
+};
+
+// Measurements in the attestation evidence of the SGX and TDX workers
+const MEASUREMENTS = {
+  mrEnclave: "0x" + "99".repeat(32),
+  mrSigner: "0x" + "77".repeat(32),
+  mrTd: "0x" + "44".repeat(48),
+  rtmrs: ["0x" + "10".repeat(48), "0x" + "11".repeat(48), "0x" + "12".repeat(48), "0x" + "13".repeat(48)],
+  // dstack app compose hash of the CVMs behind DStack containers and agents
+  composeHash: "0x" + "c0".repeat(32)
+};
+
+const CLUSTER = "cluster-main";
+const CONTRACT = "0x" + "e5".repeat(32);
+const AGENT = "agent-fixture";
+const PHA_TOKEN = "0x6c5bA91642F10282b576d91922Ae6448C9d52f4E";
+
+// Load the fixtures into the mock services
+function seed({ node, phat, dstack, attestation, ethereum }) {
+  node.setAccount(WALLET, { free: pha(1000) });
+  node.setAccount(BOB, { free: pha(10) });
+
+  node.addWorker(WORKERS.sgx, { features: [1], confidenceLevel: 1, initialScore: 2500, operator: BOB }, ["https://sgx.worker.test"]);
+  node.addWorker(WORKERS.tdx, { features: [2], confidenceLevel: 2, attestationProvider: "Dcap" });
+  node.addWorker(WORKERS.unknown, { confidenceLevel: 5, attestationProvider: null });
+
+  node.addPool(POOLS.open, { owner: BOB, totalStake: pha(500), totalShares: pha(500), freeStake: pha(500), workers: [WORKERS.sgx] });
+  node.addPool(POOLS.capped, { owner: BOB, cap: pha(100), totalStake: pha(90), totalShares: pha(90), freeStake: pha(90) });
+  node.setContribution(POOLS.capped, WALLET, { locked: pha(40), shares: pha(40) });
+  node.account(WALLET).frozen = pha(40);
+
+  phat.addContract(CONTRACT, { cluster: CLUSTER, deployer: BOB, state: { get_value: 7 } });
+  phat.addContract("0x" + "f6".repeat(32), { cluster: "cluster-other" });
+
+  dstack.addCluster(CLUSTER, { owner: BOB, workers: [WORKERS.sgx, WORKERS.tdx], contracts: [CONTRACT] });
+  dstack.addCluster("cluster-gpu", { owner: BOB, totalGPU: 8, availableGPU: 2, availableCPU: 16 });
+  dstack.addAgent(AGENT, { name: "Fixture Agent", cluster: CLUSTER });
+  dstack.cvm = { ...dstack.cvm, mrTd: MEASUREMENTS.mrTd, composeHash: MEASUREMENTS.composeHash };
+
+  // Report data carries the worker public key
+  attestation.addReport(WORKERS.sgx, {
+    iasReport: tee.iasReport({ mrEnclave: MEASUREMENTS.mrEnclave, mrSigner: MEASUREMENTS.mrSigner, reportData: WORKERS.sgx })
+  });
+  attestation.addReport(WORKERS.tdx, {
+    quote: tee.dcapQuote({ teeType: "Intel TDX", mrTd: MEASUREMENTS.mrTd, rtmrs: MEASUREMENTS.rtmrs, reportData: WORKERS.tdx }),
+    collateral: tee.collateral({ teeType: "Intel TDX" }),
+    timestamp: new Date().toISOString()
+  });
+
+  ethereum.setEthBalance(ETHEREUM_ADDRESS, parseUnits("1", 18));
+  ethereum.setTokenBalance(ETHEREUM_ADDRESS, parseUnits("500", 18));
+}
+
+module.exports = {
+  pha,
+  SEED_PHRASE,
+  WALLET,
+  PRIVATE_KEY,
+  ETHEREUM_ADDRESS,
+  KEYSTORE_PASSWORD,
+  BOB,
+  ETHEREUM_RECIPIENT,
+  WORKERS,
+  MEASUREMENTS,
+  POOLS,
+  CLUSTER,
+  CONTRACT,
+  AGENT,
+  PHA_TOKEN,
+  seed
+};
@@ -0,0 +1,141 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+const { StdioClientTransport } = require("@modelcontextprotocol/sdk/client/stdio.js");
+const MockSubstrateNode = require("./mocks/substrate-node");
+const MockPhatRpc = require("./mocks/phat-rpc");
+const MockDStack = require("./mocks/dstack");
+const MockAttestationService = require("./mocks/attestation");
+const MockCloudServices = require("./mocks/cloud");
+const MockEthereum = require("./mocks/ethereum");
+const fixtures = require("./fixtures");
+const tee = require("./mocks/tee");
+
+// Test Harness - the MCP server over stdio, wired to local mock services.
+//
+// Every harness gets fresh mocks loaded with the fixtures, its own keystore, spending
+// state and attestation roots in a temporary directory, and an MCP client that has listed
+// the tools, so each structuredContent is checked against the tool's outputSchema.
+
+const SERVER = path.join(__dirname, "..", "mcp", "index.js");
+
+// `env` adds to or overrides the server environment; a null value removes a variable.
+// `spendingPolicy` and `attestationPolicy` are written to the policy files the server loads.
+async function startHarness({ env = {}, spendingPolicy = null, attestationPolicy = null } = {}) {
+  const mocks = {
+    node: new MockSubstrateNode(),
+    phat: new MockPhatRpc(),
+    dstack: new MockDStack(),
+    attestation: new MockAttestationService(),
+    cloud: new MockCloudServices(),
+    ethereum: new MockEthereum({ token: fixtures.PHA_TOKEN })
+  };
+  for (const mock of Object.values(mocks)) {
+    await mock.start();
+  }
+  fixtures.seed(mocks);
+
+  // The server runs from here, so no .env of the checkout leaks in
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "phala-mcp-test-"));
+  if (spendingPolicy) {
+    fs.writeFileSync(path.join(dir, "spending-policy.json"), JSON.stringify(spendingPolicy));
+  }
+  if (attestationPolicy) {
+    fs.writeFileSync(path.join(dir, "attestation-policy.json"), JSON.stringify(attestationPolicy));
+  }
+  // Attestation evidence from ./mocks/tee verifies against its own roots
+  fs.writeFileSync(path.join(dir, "dcap-roots.pem"), tee.dcapRoots);
+  fs.writeFileSync(path.join(dir, "ias-roots.pem"), tee.iasRoots);
+  const serverEnv = {
+    PHALA_RPC_URL: mocks.node.url,
+    PHALA_PHAT_RPC_URL: mocks.phat.url,
+    ETHEREUM_RPC_URL: mocks.ethereum.url,
+    DSTACK_API_URL: mocks.dstack.url,
+    ATTESTATION_SERVICE_URL: mocks.attestation.url,
+    VRF_ENDPOINT: mocks.cloud.vrfEndpoint,
+    ORACLE_ENDPOINT: mocks.cloud.oracleEndpoint,
+    KEYSTORE_DIR: path.join(dir, "keystore"),
+    KEYSTORE_PASSWORD: fixtures.KEYSTORE_PASSWORD,
+    SPENDING_POLICY_FILE: spendingPolicy ? path.join(dir, "spending-policy.json") : null,
+    SPENDING_STATE_FILE: path.join(dir, "spending-state.json"),
+    WORKER_INDEX_FILE: path.join(dir, "worker-index.json"),
+    ATTESTATION_DCAP_ROOTS_FILE: path.join(dir, "dcap-roots.pem"),
+    ATTESTATION_IAS_ROOTS_FILE: path.join(dir, "ias-roots.pem"),
+    ATTESTATION_POLICY_FILE: attestationPolicy ? path.join(dir, "attestation-policy.json") : null,
+    WALLET_SEED_PHRASE: fixtures.SEED_PHRASE,
+    WALLET_PRIVATE_KEY: fixtures.PRIVATE_KEY,
+    ...env
+  };
+
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER],
+    cwd: dir,
+    env: Object.fromEntries(Object.entries(serverEnv).filter(([, value]) => value !== null && value !== undefined)),
+    stderr: "pipe"
+  });
+  let logs = "";
+  transport.stderr.on("data", (chunk) => { logs += chunk; });
+
+  const client = new Client({ name: "phala-mcp-tests", version: "0.1.0" });
+  // The server prints its startup banner on stdout; those lines are not JSON-RPC
+  client.onerror = () => {};
+  await client.connect(transport);
+  const { tools } = await client.listTools();
+
+  const harness = {
+    ...mocks,
+    client,
+    tools,
+    dir,
+    logs: () => logs,
+
+    // Raw CallToolResult
+    callRaw(name, args = {}) {
+      return client.callTool({ name, arguments: args });
+    },
+
+    // structuredContent of a successful call; throws on an isError result
+    async call(name, args = {}) {
+      const result = await harness.callRaw(name, args);
+      if (result.isError) {
+        throw new Error(`${name} failed: ${result.content[0].text}`);
+      }
+      return result.structuredContent;
+    },
+
+    // The { code, message, retryable, ... } error of a call that must fail
+    async callError(name, args = {}) {
+      const result = await harness.callRaw(name, args);
+      if (!result.isError) {
+        throw new Error(`${name} succeeded: ${JSON.stringify(result.structuredContent)}`);
+      }
+      return JSON.parse(result.content[0].text).error;
+    },
+
+    // Queue a signing call, approve it, and return the approved tool's receipt
+    async callApproved(name, args = {}) {
+      const queued = await harness.call(name, args);
+      if (queued.status !== "pending_approval") {
+        throw new Error(`${name} was not queued for approval: ${JSON.stringify(queued)}`);
+      }
+      const { result } = await harness.call("approveTransaction", { id: queued.intent.id });
+      return result;
+    },
+
+    async stop() {
+      await client.close();
+      for (const mock of Object.values(mocks)) {
+        await mock.stop();
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+  return harness;
+}
+
+module.exports = {
+  startHarness,
+  fixtures
+};
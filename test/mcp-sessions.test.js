@@ -0,0 +1,230 @@
+const express = require("express");
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { z } = require("zod");
+const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
+const { LATEST_PROTOCOL_VERSION, McpError } = require("@modelcontextprotocol/sdk/types.js");
+const McpSessions = require("../http/mcp-sessions");
+
+const CLIENT_CAPABILITIES = { roots: { listChanged: true }, sampling: {} };
+
+// McpSessions in an Express app the way server.js mounts it, serving small McpServers
+// that record what they are asked. X-Client stands in for the auth middleware.
+function startSessions(options = {}) {
+  const servers = [];
+  const calls = [];
+  const ran = [];
+  const createServer = () => {
+    const server = new McpServer({ name: "test", version: "0.0.0" });
+    server.registerTool("echo", { inputSchema: { text: z.string() } }, async ({ text }) => {
+      ran.push(text);
+      return { content: [{ type: "text", text }] };
+    });
+    servers.push(server);
+    return server;
+  };
+  const sessions = new McpSessions({
+    ...options,
+    createServer,
+    authorize: (auth, message) => message.params && message.params.name === "sendPHA" ? `Forbidden: ${auth.clientId} lacks the "transfer" scope required for tool sendPHA` : null,
+    onCall: (entry) => calls.push(entry)
+  });
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    if (req.get("x-client")) req.auth = { clientId: req.get("x-client"), scopes: ["read"], token: "t" };
+    next();
+  });
+  app.all("/mcp", (req, res) => sessions.handleRequest(req, res));
+  return new Promise(resolve => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      resolve({ sessions, servers, calls, ran, server, url: `http://127.0.0.1:${server.address().port}/mcp` });
+    });
+  });
+}
+
+// fetch keeps connections alive, which would hold server.close() open
+async function stopSessions(h) {
+  await h.sessions.closeAll();
+  h.server.closeAllConnections();
+  return new Promise(resolve => h.server.close(resolve));
+}
+
+// POST one message; SSE replies are reduced to the JSON-RPC messages they carry
+async function post(url, message, { client = "alice", session = null } = {}) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      accept: "application/json, text/event-stream",
+      "x-client": client,
+      ...(session && { "mcp-session-id": session, "mcp-protocol-version": LATEST_PROTOCOL_VERSION })
+    },
+    body: JSON.stringify(message)
+  });
+  const text = await response.text();
+  const messages = response.headers.get("content-type")?.includes("text/event-stream")
+    ? text.split("\n").filter(line => line.startsWith("data: ")).map(line => JSON.parse(line.slice(6)))
+    : (text ? [JSON.parse(text)] : []);
+  return { status: response.status, session: response.headers.get("mcp-session-id"), messages };
+}
+
+async function initialize(url, client = "alice") {
+  const { session, messages } = await post(url, {
+    jsonrpc: "2.0",
+    id: 0,
+    method: "initialize",
+    params: { protocolVersion: LATEST_PROTOCOL_VERSION, capabilities: CLIENT_CAPABILITIES, clientInfo: { name: "test-client", version: "1.2.3" } }
+  }, { client });
+  await post(url, { jsonrpc: "2.0", method: "notifications/initialized" }, { client, session });
+  return { session, result: messages[0].result };
+}
+
+function end(url, session, client = "alice") {
+  return fetch(url, { method: "DELETE", headers: { "x-client": client, "mcp-session-id": session, "mcp-protocol-version": LATEST_PROTOCOL_VERSION } });
+}
+
+const echo = (id, text = "hi") => ({ jsonrpc: "2.0", id, method: "tools/call", params: { name: "echo", arguments: { text } } });
+
+describe("mcp sessions", () => {
+  let h;
+  before(async () => { h = await startSessions(); });
+  after(() => stopSessions(h));
+
+  it("gives each session a server of its own that sees the client's initialize", async () => {
+    const { session, result } = await initialize(h.url);
+    assert.match(session, /^[0-9a-f-]{36}$/);
+    assert.equal(result.serverInfo.name, "test");
+    assert.ok(result.capabilities.tools);
+
+    const { server } = h.sessions.sessions.get(session);
+    assert.equal(h.servers.at(-1), server);
+    assert.deepEqual(server.server.getClientCapabilities(), CLIENT_CAPABILITIES);
+    assert.deepEqual(server.server.getClientVersion(), { name: "test-client", version: "1.2.3" });
+    assert.equal(h.sessions.sessions.get(session).clientId, "alice");
+  });
+
+  it("answers tool calls under the client's own request id and audits them", async () => {
+    const { session } = await initialize(h.url);
+    const { messages } = await post(h.url, echo(7, "hello"), { session });
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].id, 7);
+    assert.deepEqual(messages[0].result.content, [{ type: "text", text: "hello" }]);
+    assert.equal(h.calls.at(-1).tool, "echo");
+    assert.equal(h.calls.at(-1).outcome, "ok");
+    assert.equal(h.calls.at(-1).sessionId, session);
+    assert.equal(h.sessions.inFlightCalls, 0);
+  });
+
+  it("denies requests authorize refuses before the server sees them", async () => {
+    const { session } = await initialize(h.url);
+    const { messages } = await post(h.url, { jsonrpc: "2.0", id: 1, method: "tools/call", params: { name: "sendPHA", arguments: {} } }, { session });
+    assert.equal(messages[0].id, 1);
+    assert.equal(messages[0].error.code, -32003);
+    assert.equal(h.calls.at(-1).outcome, "denied");
+  });
+
+  it("requires initialize first and hides sessions from other callers", async () => {
+    const uninitialized = await post(h.url, { jsonrpc: "2.0", id: 1, method: "tools/list" });
+    assert.equal(uninitialized.status, 400);
+
+    const { session } = await initialize(h.url, "alice");
+    const stolen = await post(h.url, { jsonrpc: "2.0", id: 1, method: "tools/list" }, { client: "mallory", session });
+    assert.equal(stolen.status, 404);
+    assert.equal(stolen.messages[0].error.message, "Session not found");
+  });
+
+  it("ends a session and closes its server on DELETE", async () => {
+    const { session } = await initialize(h.url);
+    const { server } = h.sessions.sessions.get(session);
+    const response = await end(h.url, session);
+    assert.equal(response.status, 200);
+    assert.equal(h.sessions.sessions.has(session), false);
+    assert.equal(server.isConnected(), false);
+    const after = await post(h.url, { jsonrpc: "2.0", id: 1, method: "tools/list" }, { session });
+    assert.equal(after.status, 404);
+  });
+
+  it("calls tools for server.js itself through an in-memory client", async () => {
+    const result = await h.sessions.callTool("echo", { text: "direct" });
+    assert.deepEqual(result.content, [{ type: "text", text: "direct" }]);
+    await assert.rejects(h.sessions.callTool("missing"), (error) => error instanceof McpError && /missing not found/.test(error.message));
+  });
+});
+
+describe("mcp session admission", () => {
+  let h;
+  afterEach(() => stopSessions(h));
+
+  it("admits the tool calls of a batch together and runs none of a rejected batch", async () => {
+    const admitted = [];
+    h = await startSessions({
+      admit: (req, tools) => {
+        admitted.push(tools);
+        return tools.length > 1 ? { retryAfterSeconds: 2, reason: "Rate limit reached" } : null;
+      }
+    });
+    const { session } = await initialize(h.url);
+    const rejected = await post(h.url, [echo(1, "a"), { jsonrpc: "2.0", id: 2, method: "tools/list" }, echo(3, "b")], { session });
+    assert.equal(rejected.status, 429);
+    assert.equal(rejected.messages[0].error.code, -32029);
+    assert.deepEqual(admitted, [["echo", "echo"]]);
+    assert.deepEqual(h.ran, []);
+
+    const single = await post(h.url, echo(4, "c"), { session });
+    assert.equal(single.status, 200);
+    assert.deepEqual(h.ran, ["c"]);
+  });
+
+  // Pretend a session was last used `ms` earlier
+  const idle = (session, ms) => { h.sessions.sessions.get(session).lastSeenAt -= ms; };
+
+  it("closes sessions left unused past the idle timeout", async () => {
+    h = await startSessions({ idleTimeoutMs: 60000 });
+    const { session } = await initialize(h.url);
+    const { server } = h.sessions.sessions.get(session);
+
+    idle(session, 30000);
+    const recent = await post(h.url, { jsonrpc: "2.0", id: 2, method: "ping" }, { session });
+    assert.equal(recent.status, 200);
+    idle(session, 60000);
+    const expired = await post(h.url, { jsonrpc: "2.0", id: 3, method: "ping" }, { session });
+    assert.equal(expired.status, 404);
+    assert.equal(h.sessions.sessions.has(session), false);
+    assert.equal(server.isConnected(), false);
+  });
+
+  it("keeps a session with an open SSE stream however long it is quiet", async () => {
+    h = await startSessions({ idleTimeoutMs: 60000 });
+    const { session } = await initialize(h.url);
+    const controller = new AbortController();
+    const stream = await fetch(h.url, {
+      headers: { accept: "text/event-stream", "x-client": "alice", "mcp-session-id": session, "mcp-protocol-version": LATEST_PROTOCOL_VERSION },
+      signal: controller.signal
+    });
+    assert.equal(stream.status, 200);
+
+    idle(session, 120000);
+    h.sessions.closeIdleSessions();
+    assert.equal(h.sessions.sessions.has(session), true);
+    controller.abort();
+  });
+
+  it("refuses new sessions beyond the cap until one ends", async () => {
+    h = await startSessions({ maxSessions: 2 });
+    const first = await initialize(h.url, "alice");
+    await initialize(h.url, "bob");
+
+    const response = await fetch(h.url, {
+      method: "POST",
+      headers: { "content-type": "application/json", accept: "application/json, text/event-stream", "x-client": "carol" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 0, method: "initialize", params: { protocolVersion: LATEST_PROTOCOL_VERSION, capabilities: {}, clientInfo: { name: "test", version: "0" } } })
+    });
+    assert.equal(response.status, 503);
+    assert.equal(response.headers.get("retry-after"), "60");
+    assert.match((await response.json()).error.message, /Too many MCP sessions \(limit 2\)/);
+
+    await end(h.url, first.session);
+    assert.match((await initialize(h.url, "carol")).session, /^[0-9a-f-]{36}$/);
+  });
+});
@@ -0,0 +1,42 @@
+const express = require("express");
+const { MockService } = require("./http");
+
+// Mock Attestation Service - POST /verify answers with a worker's attestation evidence.
+//
+// Evidence is { quote, collateral } or { iasReport }, built with ./tee. Set `available` to
+// false to answer 503, which leaves verifyAttestation with the on-chain registry only.
+
+class MockAttestationService extends MockService {
+  constructor() {
+    super();
+    this.available = true;
+    // Worker public key -> evidence
+    this.reports = new Map();
+    this.requests = [];
+  }
+
+  addReport(workerKey, evidence) {
+    this.reports.set(workerKey, evidence);
+  }
+
+  app() {
+    const app = express();
+    app.use(express.json());
+
+    app.post("/verify", (req, res) => {
+      this.requests.push(req.body);
+      if (!this.available) {
+        return res.status(503).json({ error: "Attestation service unavailable" });
+      }
+      const report = this.reports.get(req.body.workerKey);
+      if (!report) {
+        return res.status(404).json({ error: "No attestation report for this worker" });
+      }
+      res.json(report);
+    });
+
+    return app;
+  }
+}
+
+module.exports = MockAttestationService;
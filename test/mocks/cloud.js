@@ -0,0 +1,71 @@
+const crypto = require("crypto");
+const express = require("express");
+const { MockService } = require("./http");
+
+// Mock Cloud Services - the VRF service under /vrf and the oracle under /oracle.
+//
+// VRF output is derived from the seed, so equal seeds give equal values.
+
+// Oracle answers by data type
+const ORACLE_VALUES = {
+  price: query => ({ symbol: query.symbol, currency: query.currency, price: 0.12 }),
+  weather: query => ({ location: query.location, units: query.units, temperature: 21 }),
+  random: query => Number(query.min),
+  sports: query => ({ league: query.league, team: query.team, score: "2-1" }),
+  stocks: query => ({ ticker: query.ticker, price: 100 }),
+  gas: query => ({ network: query.network, gwei: 12 })
+};
+
+class MockCloudServices extends MockService {
+  constructor() {
+    super();
+    this.requests = [];
+  }
+
+  get vrfEndpoint() {
+    return `${this.url}/vrf`;
+  }
+
+  get oracleEndpoint() {
+    return `${this.url}/oracle`;
+  }
+
+  app() {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      this.requests.push({ method: req.method, path: req.path, body: req.body, query: req.query });
+      next();
+    });
+
+    app.post("/vrf/generate", (req, res) => {
+      const { seed, range } = req.body;
+      const digest = crypto.createHash("sha256").update(String(seed)).digest();
+      const random = digest.readUInt32BE(0);
+      res.json({
+        value: range ? range.min + (random % (range.max - range.min + 1)) : "0x" + digest.toString("hex"),
+        proof: "0x" + crypto.createHash("sha256").update(digest).digest("hex"),
+        publicKey: "0x" + "02".repeat(33),
+        verified: true
+      });
+    });
+
+    app.get("/oracle/:type", (req, res) => {
+      const value = ORACLE_VALUES[req.params.type];
+      if (!value) {
+        return res.status(404).json({ error: `Unknown data type ${req.params.type}` });
+      }
+      res.json({
+        value: value(req.query),
+        timestamp: 1700000000000,
+        source: "mock-oracle",
+        signature: "0x" + "11".repeat(65),
+        attestation: { teeType: "Intel SGX" }
+      });
+    });
+
+    return app;
+  }
+}
+
+module.exports = MockCloudServices;
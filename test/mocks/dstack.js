@@ -0,0 +1,174 @@
+const crypto = require("crypto");
+const express = require("express");
+const { MockService } = require("./http");
+const tee = require("./tee");
+
+// Mock DStack - the container, cluster, agent and realtime data REST API.
+//
+// With an apiKey set, requests without `Authorization: Bearer <apiKey>` get a 401.
+// Container and agent responses carry a fresh dstack attestation of `cvm`, bound to the
+// reportData the request sent.
+
+class MockDStack extends MockService {
+  constructor({ apiKey = null } = {}) {
+    super();
+    this.apiKey = apiKey;
+    this.containers = new Map();
+    this.clusters = new Map();
+    this.agents = new Map();
+    // Measurements and TCB status of the CVMs containers and agents run in
+    this.cvm = { mrTd: null, composeHash: "0x" + "00".repeat(32), status: "UpToDate" };
+    // Every request, as { method, path, body, query }, for assertions
+    this.requests = [];
+  }
+
+  addCluster(id, info = {}) {
+    this.clusters.set(id, {
+      id,
+      owner: null,
+      workers: [],
+      permission: "Public",
+      status: "active",
+      totalCPU: 64,
+      totalMemory: 262144,
+      totalGPU: 0,
+      availableCPU: 48,
+      availableMemory: 196608,
+      availableGPU: 0,
+      contracts: [],
+      containers: [],
+      ...info
+    });
+  }
+
+  addAgent(agentId, info = {}) {
+    this.agents.set(agentId, { agentId, ...info });
+  }
+
+  attestation(reportData) {
+    return tee.dstackEvidence({ ...this.cvm, reportData });
+  }
+
+  app() {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      this.requests.push({ method: req.method, path: req.path, body: req.body, query: req.query });
+      if (this.apiKey && req.get("authorization") !== `Bearer ${this.apiKey}`) {
+        return res.status(401).json({ error: "Invalid API key" });
+      }
+      next();
+    });
+    const id = (prefix) => `${prefix}-${crypto.randomBytes(4).toString("hex")}`;
+
+    app.post("/containers/deploy", (req, res) => {
+      const { image, name, cluster, resources, attestation } = req.body;
+      if (!image || !name) {
+        return res.status(400).json({ error: "image and name are required" });
+      }
+      if (!this.clusters.has(cluster)) {
+        return res.status(404).json({ error: `Cluster ${cluster} not found` });
+      }
+      const containerId = id("ctr");
+      const container = {
+        containerId,
+        name,
+        image,
+        cluster,
+        status: "deploying",
+        resources
+      };
+      this.containers.set(containerId, container);
+      res.json({
+        containerId,
+        endpoint: `https://${containerId}.dstack.test`,
+        status: "deploying",
+        attestation: this.attestation(attestation && attestation.reportData)
+      });
+    });
+
+    app.get("/containers/:id", (req, res) => {
+      const container = this.containers.get(req.params.id);
+      if (!container) {
+        return res.status(404).json({ error: "Container not found" });
+      }
+      res.json({
+        ...container,
+        status: "running",
+        uptime: 120,
+        metrics: { cpu: 0.25, memory: 128 },
+        attestation: this.attestation(req.query.reportData),
+        logs: Array.from({ length: 15 }, (_, line) => `log line ${line + 1}`)
+      });
+    });
+
+    app.delete("/containers/:id", (req, res) => {
+      if (!this.containers.delete(req.params.id)) {
+        return res.status(404).json({ error: "Container not found" });
+      }
+      res.json({ containerId: req.params.id, status: "removed" });
+    });
+
+    app.get("/clusters", (req, res) => {
+      res.json(Array.from(this.clusters.values()).map(cluster => ({
+        id: cluster.id,
+        owner: cluster.owner,
+        workerCount: cluster.workers.length,
+        status: cluster.status,
+        permission: cluster.permission,
+        utilization: Math.round(100 * (1 - cluster.availableCPU / cluster.totalCPU))
+      })));
+    });
+
+    app.get("/clusters/:id", (req, res) => {
+      const cluster = this.clusters.get(req.params.id);
+      if (!cluster) {
+        return res.status(404).json({ error: "Cluster not found" });
+      }
+      res.json(cluster);
+    });
+
+    app.post("/clusters/create", (req, res) => {
+      const { name, permission, workers, owner } = req.body;
+      if (!name) {
+        return res.status(400).json({ error: "name is required" });
+      }
+      const clusterId = id("cluster");
+      this.addCluster(clusterId, { name, permission, workers, owner });
+      res.json({ clusterId, endpoint: `https://${clusterId}.dstack.test` });
+    });
+
+    app.post("/agents/deploy", (req, res) => {
+      const { name, model, cluster } = req.body;
+      if (!this.clusters.has(cluster)) {
+        return res.status(404).json({ error: `Cluster ${cluster} not found` });
+      }
+      const agentId = id("agent");
+      const contractAddress = "0x" + crypto.randomBytes(32).toString("hex");
+      this.addAgent(agentId, { name, model, cluster, contractAddress });
+      res.json({ agentId, contractAddress, endpoint: `https://${agentId}.dstack.test` });
+    });
+
+    app.post("/agents/query", (req, res) => {
+      const agent = this.agents.get(req.body.agentId);
+      if (!agent) {
+        return res.status(404).json({ error: "Agent not found" });
+      }
+      res.json({
+        response: `${agent.name || agent.agentId} received: ${req.body.query}`,
+        tokensUsed: 42,
+        executionTime: 15,
+        attestation: this.attestation(req.body.reportData)
+      });
+    });
+
+    app.get("/:source/realtime", (req, res) => {
+      res.set("x-response-time", "3ms");
+      res.json({ source: req.params.source, query: req.query, value: 1 });
+    });
+
+    return app;
+  }
+}
+
+module.exports = MockDStack;
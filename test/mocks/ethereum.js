@@ -0,0 +1,239 @@
+const ethers = require("ethers");
+const { RpcError, jsonRpcApp, MockService } = require("./http");
+
+// Mock Ethereum - an Ethereum JSON-RPC node holding ETH balances and one ERC20 token.
+//
+// Calls to the token are decoded and answered from an in-memory ledger. Raw transactions
+// are checked (chain ID, nonce, gas funds) and mined at once, one block each; a transfer
+// the sender cannot cover is mined as reverted, like the real token would.
+
+const { BigNumber } = ethers;
+const hex = (value) => BigNumber.from(value).toHexString();
+
+const ERC20 = new ethers.utils.Interface([
+  "function balanceOf(address account) view returns (uint256)",
+  "function transfer(address recipient, uint256 amount) returns (bool)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function name() view returns (string)",
+  "function totalSupply() view returns (uint256)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)"
+]);
+
+const TRANSFER_GAS = 51234;
+const GAS_PRICE = ethers.utils.parseUnits("10", "gwei");
+const TOTAL_SUPPLY = ethers.utils.parseUnits("1000000000", 18);
+const REVERT_REASON = "ERC20: transfer amount exceeds balance";
+
+class MockEthereum extends MockService {
+  constructor({ chainId = 1, token }) {
+    super();
+    this.chainId = chainId;
+    this.token = token.toLowerCase();
+    this.blockNumber = 18000000;
+    this.eth = new Map();
+    this.tokens = new Map();
+    this.nonces = new Map();
+    // Hash -> { transaction, receipt }
+    this.transactions = new Map();
+    // False to withhold receipts, as if transactions sat in the mempool
+    this.mining = true;
+  }
+
+  setEthBalance(address, wei) {
+    this.eth.set(address.toLowerCase(), BigNumber.from(wei));
+  }
+
+  setTokenBalance(address, wei) {
+    this.tokens.set(address.toLowerCase(), BigNumber.from(wei));
+  }
+
+  ethBalance(address) {
+    return this.eth.get(address.toLowerCase()) || BigNumber.from(0);
+  }
+
+  tokenBalance(address) {
+    return this.tokens.get(address.toLowerCase()) || BigNumber.from(0);
+  }
+
+  nonce(address) {
+    return this.nonces.get(address.toLowerCase()) || 0;
+  }
+
+  blockHash(number) {
+    return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(`block-${number}`));
+  }
+
+  block(number) {
+    return {
+      number: hex(number),
+      hash: this.blockHash(number),
+      parentHash: this.blockHash(number - 1),
+      timestamp: hex(1700000000 + number * 12),
+      nonce: "0x0000000000000000",
+      difficulty: "0x0",
+      gasLimit: hex(30000000),
+      gasUsed: "0x0",
+      miner: ethers.constants.AddressZero,
+      extraData: "0x",
+      baseFeePerGas: hex(GAS_PRICE.div(2)),
+      transactions: Array.from(this.transactions.values())
+        .filter(({ transaction }) => transaction.blockNumber === hex(number))
+        .map(({ transaction }) => transaction.hash)
+    };
+  }
+
+  // Why a token call from `from` would revert, or null
+  revertReason(from, data) {
+    const call = ERC20.parseTransaction({ data });
+    if (call.name === "transfer" && this.tokenBalance(from).lt(call.args.amount)) {
+      return REVERT_REASON;
+    }
+    return null;
+  }
+
+  revert(reason) {
+    return new RpcError(3, `execution reverted: ${reason}`, ERC20.encodeErrorResult("Error", [reason]));
+  }
+
+  // Answer an eth_call to the token
+  call({ from, to, data }) {
+    if (!to || to.toLowerCase() !== this.token) return "0x";
+    const call = ERC20.parseTransaction({ data });
+    const reason = this.revertReason(from || ethers.constants.AddressZero, data);
+    if (reason) throw this.revert(reason);
+
+    const results = {
+      balanceOf: () => [this.tokenBalance(call.args.account)],
+      decimals: () => [18],
+      symbol: () => ["PHA"],
+      name: () => ["Phala"],
+      totalSupply: () => [TOTAL_SUPPLY],
+      allowance: () => [0],
+      transfer: () => [true],
+      approve: () => [true]
+    };
+    return ERC20.encodeFunctionResult(call.name, results[call.name]());
+  }
+
+  sendRawTransaction(raw) {
+    const tx = ethers.utils.parseTransaction(raw);
+    if (tx.chainId !== this.chainId) {
+      throw new RpcError(-32000, `invalid chain id ${tx.chainId}`);
+    }
+    if (tx.nonce !== this.nonce(tx.from)) {
+      throw new RpcError(-32000, tx.nonce < this.nonce(tx.from) ? "nonce too low" : "nonce too high");
+    }
+    const gasPrice = tx.gasPrice || tx.maxFeePerGas;
+    if (this.ethBalance(tx.from).lt(tx.gasLimit.mul(gasPrice).add(tx.value))) {
+      throw new RpcError(-32000, "insufficient funds for gas * price + value");
+    }
+
+    this.nonces.set(tx.from.toLowerCase(), tx.nonce + 1);
+    this.blockNumber += 1;
+    const blockNumber = hex(this.blockNumber);
+    const blockHash = this.blockHash(this.blockNumber);
+    const gasUsed = BigNumber.from(TRANSFER_GAS);
+    this.setEthBalance(tx.from, this.ethBalance(tx.from).sub(gasUsed.mul(gasPrice)));
+
+    const logs = [];
+    const isToken = tx.to && tx.to.toLowerCase() === this.token;
+    const reverted = isToken && this.revertReason(tx.from, tx.data) !== null;
+    if (isToken && !reverted) {
+      const call = ERC20.parseTransaction({ data: tx.data });
+      if (call.name === "transfer") {
+        const { recipient, amount } = call.args;
+        this.setTokenBalance(tx.from, this.tokenBalance(tx.from).sub(amount));
+        this.setTokenBalance(recipient, this.tokenBalance(recipient).add(amount));
+        const event = ERC20.encodeEventLog(ERC20.getEvent("Transfer"), [tx.from, recipient, amount]);
+        logs.push({
+          address: tx.to,
+          ...event,
+          blockNumber,
+          blockHash,
+          transactionHash: tx.hash,
+          transactionIndex: "0x0",
+          logIndex: "0x0",
+          removed: false
+        });
+      }
+    }
+
+    const transaction = {
+      hash: tx.hash,
+      nonce: hex(tx.nonce),
+      blockHash,
+      blockNumber,
+      transactionIndex: "0x0",
+      from: tx.from,
+      to: tx.to,
+      value: hex(tx.value),
+      gas: hex(tx.gasLimit),
+      gasPrice: hex(gasPrice),
+      input: tx.data,
+      v: hex(tx.v),
+      r: tx.r,
+      s: tx.s,
+      type: hex(tx.type || 0),
+      chainId: hex(tx.chainId)
+    };
+    const receipt = {
+      transactionHash: tx.hash,
+      transactionIndex: "0x0",
+      blockHash,
+      blockNumber,
+      from: tx.from,
+      to: tx.to,
+      cumulativeGasUsed: hex(gasUsed),
+      gasUsed: hex(gasUsed),
+      effectiveGasPrice: hex(gasPrice),
+      contractAddress: null,
+      logs,
+      logsBloom: "0x" + "00".repeat(256),
+      status: reverted ? "0x0" : "0x1",
+      type: hex(tx.type || 0)
+    };
+    this.transactions.set(tx.hash, { transaction, receipt });
+    return tx.hash;
+  }
+
+  methods() {
+    return {
+      eth_chainId: () => hex(this.chainId),
+      net_version: () => String(this.chainId),
+      eth_blockNumber: () => hex(this.blockNumber),
+      eth_gasPrice: () => hex(GAS_PRICE),
+      eth_getBalance: ([address]) => hex(this.ethBalance(address)),
+      eth_getTransactionCount: ([address]) => hex(this.nonce(address)),
+      eth_getBlockByNumber: ([tag]) => this.block(tag === "latest" || tag === "pending" ? this.blockNumber : parseInt(tag, 16)),
+      eth_call: ([request]) => this.call(request),
+      eth_estimateGas: ([request]) => {
+        if (request.to && request.to.toLowerCase() === this.token) {
+          const reason = this.revertReason(request.from || ethers.constants.AddressZero, request.data);
+          if (reason) throw this.revert(reason);
+        }
+        return hex(TRANSFER_GAS);
+      },
+      eth_sendRawTransaction: ([raw]) => this.sendRawTransaction(raw),
+      eth_getTransactionByHash: ([hash]) => {
+        const entry = this.transactions.get(hash);
+        return entry ? entry.transaction : null;
+      },
+      eth_getTransactionReceipt: ([hash]) => {
+        const entry = this.transactions.get(hash);
+        return entry && this.mining ? entry.receipt : null;
+      }
+    };
+  }
+
+  app() {
+    return jsonRpcApp(this.methods());
+  }
+}
+
+module.exports = MockEthereum;
+module.exports.GAS_PRICE = GAS_PRICE;
+module.exports.TOTAL_SUPPLY = TOTAL_SUPPLY;
+module.exports.REVERT_REASON = REVERT_REASON;
@@ -0,0 +1,82 @@
+const express = require("express");
+
+// HTTP helpers shared by the mock services.
+
+// Error a JSON-RPC method handler throws to answer with { error }
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// Express app answering JSON-RPC 2.0 requests (single or batched) on POST /.
+// `methods` maps method names to (params, request) => result, sync or async.
+function jsonRpcApp(methods, { onCall } = {}) {
+  const app = express();
+  app.use(express.json({ limit: "10mb" }));
+
+  const handle = async (request) => {
+    const { id = null, method, params } = request;
+    if (onCall) onCall(method, params);
+    const handler = methods[method];
+    if (!handler) {
+      return { jsonrpc: "2.0", id, error: { code: -32601, message: `Method not found: ${method}` } };
+    }
+    try {
+      return { jsonrpc: "2.0", id, result: await handler(params === undefined ? [] : params, request) };
+    } catch (error) {
+      // Bugs in a mock surface as internal errors carrying their message
+      const code = error instanceof RpcError ? error.code : -32603;
+      return {
+        jsonrpc: "2.0",
+        id,
+        error: { code, message: error.message, ...(error.data !== undefined && { data: error.data }) }
+      };
+    }
+  };
+
+  app.post("/", async (req, res) => {
+    res.json(Array.isArray(req.body) ? await Promise.all(req.body.map(handle)) : await handle(req.body));
+  });
+  return app;
+}
+
+// Listen on a free local port. Resolves with { url, close }.
+function listen(app) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+    server.on("error", reject);
+  });
+}
+
+// Base class of the mock services: subclasses provide app(), an Express app
+class MockService {
+  async start() {
+    const { url, close } = await listen(this.app());
+    this.url = url;
+    this.close = close;
+    return url;
+  }
+
+  stop() {
+    return this.close ? this.close() : Promise.resolve();
+  }
+}
+
+module.exports = {
+  RpcError,
+  jsonRpcApp,
+  listen,
+  MockService
+};
@@ -0,0 +1,290 @@
+const { TypeRegistry, Metadata } = require("@polkadot/types");
+const staticSubstrate = require("@polkadot/types-support/metadata/static-substrate").default;
+const { bnToHex } = require("@polkadot/util");
+
+// Phala Metadata - runtime metadata for the mock Substrate node.
+//
+// Built from the Substrate metadata bundled with @polkadot/types-support: System, Balances
+// and TransactionPayment are kept, Balances.transfer_allow_death goes back to its pre-1.0
+// name `transfer`, the existential deposit becomes Phala's 0.01 PHA and fees are paid with
+// ChargeTransactionPayment. PhalaRegistry, PhalaComputation and PhalaStakePool are added
+// with the storage, calls, events and errors the tools use.
+
+const KEPT_PALLETS = ["System", "Timestamp", "Balances", "TransactionPayment"];
+const REGISTRY_INDEX = 85;
+const STAKE_POOL_INDEX = 86;
+const COMPUTATION_INDEX = 87;
+
+const RUNTIME_VERSION = {
+  specName: "phala",
+  implName: "phala",
+  authoringVersion: 1,
+  specVersion: 1260,
+  implVersion: 0,
+  // Only TransactionPaymentApi (v4), which polkadot.js needs for fee estimates
+  apis: [["0x37c8bb1350a9a2a8", 4]],
+  transactionVersion: 7,
+  stateVersion: 0
+};
+
+const PROPERTIES = { ss58Format: 30, tokenDecimals: 12, tokenSymbol: "PHA" };
+
+// 0.01 PHA
+const EXISTENTIAL_DEPOSIT = 10000000000n;
+
+function field(name, type, typeName = null) {
+  return { name, type, typeName, docs: [] };
+}
+
+function variant(name, index, fields = []) {
+  return { name, fields, index, docs: [] };
+}
+
+function buildMetadata() {
+  const source = new Metadata(new TypeRegistry(), staticSubstrate).toJSON();
+  const v14 = source.metadata.v14;
+  const types = v14.lookup.types;
+
+  const addType = (path, def, params = []) => {
+    const id = types.length;
+    types.push({ id, type: { path, params, def, docs: [] } });
+    return id;
+  };
+  const find = (predicate, description) => {
+    const entry = types.find(({ type }) => predicate(type));
+    if (!entry) throw new Error(`Type ${description} is missing from the base metadata`);
+    return entry.id;
+  };
+  const primitive = name => find(type => type.def.primitive === name, name);
+  const byPath = path => find(type => type.path.join("::") === path, path);
+  const option = inner => {
+    const existing = types.find(({ type }) => type.path[0] === "Option" && type.params[0].type === inner);
+    if (existing) return existing.id;
+    return addType(["Option"], {
+      variant: { variants: [variant("None", 0), variant("Some", 1, [field(null, inner)])] }
+    }, [{ name: "T", type: inner }]);
+  };
+  const sequence = inner => {
+    const existing = types.find(({ type }) => type.def.sequence && type.def.sequence.type === inner);
+    return existing ? existing.id : addType([], { sequence: { type: inner } });
+  };
+  const tuple = members => {
+    const existing = types.find(({ type }) => type.def.tuple && type.def.tuple.join() === members.join());
+    return existing ? existing.id : addType([], { tuple: members });
+  };
+
+  const u8 = primitive("U8");
+  const u32 = primitive("U32");
+  const u64 = primitive("U64");
+  const u128 = primitive("U128");
+  const str = primitive("Str");
+  const accountId = byPath("sp_core::crypto::AccountId32");
+  const bytes32 = find(type => type.def.array && type.def.array.len === 32 && type.def.array.type === u8, "[u8; 32]");
+  const permill = byPath("sp_arithmetic::per_things::Permill");
+
+  // PhalaRegistry
+  const publicKey = addType(["sp_core", "sr25519", "Public"], { composite: { fields: [field(null, bytes32, "[u8; 32]")] } });
+  const provider = addType(["phala_types", "AttestationProvider"], {
+    variant: { variants: [variant("Root", 0), variant("Ias", 1), variant("Dcap", 2)] }
+  });
+  const workerInfo = addType(["phala_pallets", "registry", "pallet", "WorkerInfoV2"], {
+    composite: {
+      fields: [
+        field("pubkey", publicKey, "WorkerPublicKey"),
+        field("ecdh_pubkey", publicKey, "EcdhPublicKey"),
+        field("runtime_version", u32, "u32"),
+        field("last_updated", u64, "u64"),
+        field("operator", option(accountId), "Option<AccountId>"),
+        field("attestation_provider", option(provider), "Option<AttestationProvider>"),
+        field("confidence_level", u8, "u8"),
+        field("initial_score", option(u32), "Option<u32>"),
+        field("features", sequence(u32), "Vec<u32>")
+      ]
+    }
+  }, [{ name: "AccountId", type: accountId }]);
+  const endpoints = addType(["phala_types", "VersionedWorkerEndpoints"], {
+    variant: { variants: [variant("V1", 0, [field(null, sequence(str), "Vec<String>")])] }
+  });
+  const registryEvent = addType(["phala_pallets", "registry", "pallet", "Event"], {
+    variant: {
+      variants: [
+        variant("WorkerAdded", 0, [
+          field("pubkey", publicKey, "WorkerPublicKey"),
+          field("attestation_provider", option(provider), "Option<AttestationProvider>"),
+          field("confidence_level", u8, "u8")
+        ]),
+        variant("WorkerUpdated", 1, [field("pubkey", publicKey, "WorkerPublicKey")])
+      ]
+    }
+  }, [{ name: "T", type: null }]);
+
+  // PhalaComputation: sessions are the accounts workers compute under, and its events
+  // name a worker by its session
+  const computationEvent = addType(["phala_pallets", "compute", "computation", "pallet", "Event"], {
+    variant: {
+      variants: [
+        variant("SessionBound", 2, [
+          field("session", accountId, "T::AccountId"),
+          field("worker", publicKey, "WorkerPublicKey")
+        ]),
+        variant("WorkerStarted", 4, [
+          field("session", accountId, "T::AccountId"),
+          field("init_v", u128, "u128"),
+          field("init_p", u32, "u32")
+        ])
+      ]
+    }
+  }, [{ name: "T", type: null }]);
+
+  // PhalaStakePool
+  const poolInfo = addType(["phala_pallets", "stake_pool", "pallet", "PoolInfo"], {
+    composite: {
+      fields: [
+        field("pid", u64, "u64"),
+        field("owner", accountId, "AccountId"),
+        field("payout_commission", option(permill), "Option<Permill>"),
+        field("owner_reward", u128, "Balance"),
+        field("cap", option(u128), "Option<Balance>"),
+        field("total_shares", u128, "Balance"),
+        field("total_stake", u128, "Balance"),
+        field("free_stake", u128, "Balance"),
+        field("releasing_stake", u128, "Balance"),
+        field("workers", sequence(publicKey), "Vec<WorkerPublicKey>")
+      ]
+    }
+  }, [{ name: "AccountId", type: accountId }, { name: "Balance", type: u128 }]);
+  const userStake = addType(["phala_pallets", "stake_pool", "pallet", "UserStakeInfo"], {
+    composite: {
+      fields: [
+        field("user", accountId, "AccountId"),
+        field("locked", u128, "Balance"),
+        field("shares", u128, "Balance"),
+        field("available_rewards", u128, "Balance"),
+        field("reward_debt", u128, "Balance")
+      ]
+    }
+  }, [{ name: "AccountId", type: accountId }, { name: "Balance", type: u128 }]);
+  const stakePoolCall = addType(["phala_pallets", "stake_pool", "pallet", "Call"], {
+    variant: {
+      variants: [variant("contribute", 6, [field("pid", u64, "u64"), field("amount", u128, "BalanceOf<T>")])]
+    }
+  }, [{ name: "T", type: null }]);
+  const stakePoolEvent = addType(["phala_pallets", "stake_pool", "pallet", "Event"], {
+    variant: {
+      variants: [
+        variant("Contribution", 4, [
+          field("pid", u64, "u64"),
+          field("user", accountId, "T::AccountId"),
+          field("amount", u128, "BalanceOf<T>"),
+          field("shares", u128, "BalanceOf<T>")
+        ])
+      ]
+    }
+  }, [{ name: "T", type: null }]);
+  const stakePoolError = addType(["phala_pallets", "stake_pool", "pallet", "Error"], {
+    variant: {
+      variants: [
+        variant("PoolDoesNotExist", 2),
+        variant("InsufficientContribution", 10),
+        variant("StakeExceedsCapacity", 11)
+      ]
+    }
+  }, [{ name: "T", type: null }]);
+
+  // The outer enums list every pallet's calls and events
+  const runtimeEvent = types.find(({ type }) => type.path[type.path.length - 1] === "RuntimeEvent").type;
+  runtimeEvent.def.variant.variants.push(
+    variant("PhalaRegistry", REGISTRY_INDEX, [field(null, registryEvent)]),
+    variant("PhalaStakePool", STAKE_POOL_INDEX, [field(null, stakePoolEvent)]),
+    variant("PhalaComputation", COMPUTATION_INDEX, [field(null, computationEvent)])
+  );
+  const runtimeCall = types.find(({ type }) => type.path[type.path.length - 1] === "RuntimeCall").type;
+  runtimeCall.def.variant.variants.push(variant("PhalaStakePool", STAKE_POOL_INDEX, [field(null, stakePoolCall)]));
+
+  // Phala's runtime predates the transfer -> transfer_allow_death rename
+  const balances = v14.pallets.find(pallet => pallet.name === "Balances");
+  const balancesCall = types[balances.calls.type].type;
+  balancesCall.def.variant.variants.find(v => v.name === "transfer_allow_death").name = "transfer";
+  balances.constants.find(constant => constant.name === "ExistentialDeposit").value =
+    bnToHex(EXISTENTIAL_DEPOSIT, { bitLength: 128, isLe: true });
+
+  // Fees are paid in PHA only
+  const extension = v14.extrinsic.signedExtensions.find(ext => ext.identifier === "ChargeAssetTxPayment");
+  extension.identifier = "ChargeTransactionPayment";
+  extension.type = find(type => type.def.compact && type.def.compact.type === u128, "Compact<u128>");
+
+  const storageMap = (name, hashers, key, value) => ({
+    name,
+    modifier: "Optional",
+    type: { map: { hashers, key, value } },
+    fallback: "0x00",
+    docs: []
+  });
+
+  v14.pallets = v14.pallets.filter(pallet => KEPT_PALLETS.includes(pallet.name)).concat([
+    {
+      name: "PhalaRegistry",
+      storage: {
+        prefix: "PhalaRegistry",
+        items: [
+          storageMap("Workers", ["Twox64Concat"], publicKey, workerInfo),
+          storageMap("Endpoints", ["Twox64Concat"], publicKey, endpoints)
+        ]
+      },
+      calls: null,
+      events: { type: registryEvent },
+      constants: [],
+      errors: null,
+      index: REGISTRY_INDEX
+    },
+    {
+      name: "PhalaStakePool",
+      storage: {
+        prefix: "PhalaStakePool",
+        items: [
+          storageMap("StakePools", ["Twox64Concat"], u64, poolInfo),
+          storageMap("PoolContributions", ["Twox64Concat", "Twox64Concat"], tuple([u64, accountId]), userStake)
+        ]
+      },
+      calls: { type: stakePoolCall },
+      events: { type: stakePoolEvent },
+      constants: [],
+      errors: { type: stakePoolError },
+      index: STAKE_POOL_INDEX
+    },
+    {
+      name: "PhalaComputation",
+      storage: {
+        prefix: "PhalaComputation",
+        items: [storageMap("SessionBindings", ["Twox64Concat"], accountId, publicKey)]
+      },
+      calls: null,
+      events: { type: computationEvent },
+      constants: [],
+      errors: null,
+      index: COMPUTATION_INDEX
+    }
+  ]);
+
+  return new Metadata(new TypeRegistry(), source).toHex();
+}
+
+let metadataHex = null;
+
+// Hex-encoded metadata, built once per process
+function phalaMetadata() {
+  if (!metadataHex) {
+    metadataHex = buildMetadata();
+  }
+  return metadataHex;
+}
+
+module.exports = {
+  phalaMetadata,
+  RUNTIME_VERSION,
+  PROPERTIES,
+  EXISTENTIAL_DEPOSIT,
+  REGISTRY_INDEX,
+  STAKE_POOL_INDEX,
+  COMPUTATION_INDEX
+};
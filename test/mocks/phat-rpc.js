@@ -0,0 +1,67 @@
+const crypto = require("crypto");
+const { RpcError, jsonRpcApp, MockService } = require("./http");
+
+// Mock Phat RPC - Phat Contract registry answering the phat_* JSON-RPC methods.
+//
+// Contracts hold a plain key/value state: phat_query returns state[method] and
+// phat_execute sets state[method] to its first argument.
+
+class MockPhatRpc extends MockService {
+  constructor() {
+    super();
+    // Address -> { address, cluster, codeHash, deployer, state }
+    this.contracts = new Map();
+    // Every call, as [method, params], for assertions
+    this.calls = [];
+  }
+
+  addContract(address, { cluster, codeHash = "0x" + "cd".repeat(32), deployer = null, state = {} } = {}) {
+    this.contracts.set(address, { address, cluster, codeHash, deployer, state: { ...state } });
+  }
+
+  contract(address) {
+    const contract = this.contracts.get(address);
+    if (!contract) {
+      throw new RpcError(-32000, `Contract ${address} not found`);
+    }
+    return contract;
+  }
+
+  methods() {
+    const txHash = () => "0x" + crypto.randomBytes(32).toString("hex");
+
+    return {
+      system_health: () => ({ peers: 3, isSyncing: false, shouldHavePeers: true }),
+      phat_getContracts: ({ cluster, limit = 10 }) => Array.from(this.contracts.values())
+        .filter(contract => !cluster || contract.cluster === cluster)
+        .slice(0, limit)
+        .map(({ state, ...contract }) => contract),
+      phat_deployContract: ({ origin, codeHash, cluster, salt }) => {
+        if (!/^0x[0-9a-f]{64}$/i.test(codeHash)) {
+          throw new RpcError(-32602, `Invalid code hash ${codeHash}`);
+        }
+        const address = "0x" + crypto.createHash("sha256").update(`${codeHash}:${cluster}:${origin}:${salt}`).digest("hex");
+        if (this.contracts.has(address)) {
+          throw new RpcError(-32000, "Contract already exists; use a different salt");
+        }
+        this.addContract(address, { cluster, codeHash, deployer: origin });
+        return { address, txHash: txHash() };
+      },
+      phat_query: ({ contract, method }) => {
+        const { state } = this.contract(contract);
+        return method in state ? state[method] : null;
+      },
+      phat_execute: ({ contract, method, args = [] }) => {
+        const { state } = this.contract(contract);
+        state[method] = args[0];
+        return { txHash: txHash(), gasUsed: "1250000", output: { ok: args[0] === undefined ? null : args[0] } };
+      }
+    };
+  }
+
+  app() {
+    return jsonRpcApp(this.methods(), { onCall: (method, params) => this.calls.push([method, params]) });
+  }
+}
+
+module.exports = MockPhatRpc;
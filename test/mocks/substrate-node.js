@@ -0,0 +1,489 @@
+const { TypeRegistry, Metadata } = require("@polkadot/types");
+const { expandMetadata } = require("@polkadot/types/metadata/decorate");
+const { compactStripLength, stringCamelCase, u8aConcat, u8aToHex } = require("@polkadot/util");
+const { blake2AsHex, blake2AsU8a, decodeAddress, signatureVerify } = require("@polkadot/util-crypto");
+const { RpcError, jsonRpcApp, MockService } = require("./http");
+const { phalaMetadata, RUNTIME_VERSION, PROPERTIES } = require("./phala-metadata");
+
+// Mock Substrate Node - an in-memory Phala chain behind the Substrate JSON-RPC API.
+//
+// Serves metadata, blocks and storage the way a node does, so polkadot.js runs unmodified
+// against it. Submitted extrinsics are signature-checked, charged a flat fee and applied
+// for the calls the tools make (balances.transfer, phalaStakePool.contribute), each in a
+// block of its own that is final at once.
+
+// Flat fee per extrinsic: 0.001 PHA
+const FEE = 1000000000n;
+
+// Timestamp.Now of block 0; each later block is BLOCK_TIME_MS after its parent
+const GENESIS_TIME = 1700000000000;
+const BLOCK_TIME_MS = 12000;
+
+const DISPATCH_INFO = { weight: { refTime: 150000000, proofSize: 3593 }, class: "Normal", paysFee: "Yes" };
+
+const RPC_METHODS = [
+  "author_submitExtrinsic",
+  "chain_getBlock",
+  "chain_getBlockHash",
+  "chain_getFinalizedHead",
+  "chain_getHeader",
+  "rpc_methods",
+  "state_getKeysPaged",
+  "state_getMetadata",
+  "state_getRuntimeVersion",
+  "state_call",
+  "state_getStorage",
+  "state_queryStorageAt",
+  "system_accountNextIndex",
+  "system_chain",
+  "system_health",
+  "system_name",
+  "system_properties",
+  "system_version"
+];
+
+// Thrown by a call to fail it with a module error, as the runtime would
+class DispatchError extends Error {
+  constructor(section, name) {
+    super(`${section}.${name}`);
+    this.section = section;
+    this.name = name;
+  }
+}
+
+function accountKey(address) {
+  return u8aToHex(decodeAddress(address));
+}
+
+class MockSubstrateNode extends MockService {
+  constructor() {
+    super();
+    this.registry = new TypeRegistry();
+    this.metadata = new Metadata(this.registry, phalaMetadata());
+    this.registry.setMetadata(this.metadata, undefined, undefined, true);
+    this.registry.setChainProperties(this.registry.createType("ChainProperties", PROPERTIES));
+    this.decorated = expandMetadata(this.registry, this.metadata);
+
+    // AccountId hex -> { nonce, free, reserved, frozen }
+    this.accounts = new Map();
+    // Worker public key hex -> WorkerInfoV2 / VersionedWorkerEndpoints
+    this.workers = new Map();
+    this.endpoints = new Map();
+    // Session AccountId hex -> worker public key hex
+    this.sessions = new Map();
+    // Pool ID -> PoolInfo, "pid:AccountId hex" -> UserStakeInfo
+    this.pools = new Map();
+    this.contributions = new Map();
+    // Events of the head block
+    this.events = [];
+    // Extrinsics the node received, decoded, for assertions
+    this.submitted = [];
+    this.fee = FEE;
+    // [code, message, data] to refuse the next submission with, as a busy pool would
+    this.rejectNext = null;
+    // How many blocks the finalized head trails the best head
+    this.finalityLag = 0;
+    this.blocks = [];
+    this.sealBlock([]);
+  }
+
+  get head() {
+    return this.blocks[this.blocks.length - 1];
+  }
+
+  get genesisHash() {
+    return this.blocks[0].hash;
+  }
+
+  // Fixtures
+
+  setAccount(address, { free = 0n, reserved = 0n, frozen = 0n, nonce = 0 } = {}) {
+    this.accounts.set(accountKey(address), {
+      nonce,
+      free: BigInt(free),
+      reserved: BigInt(reserved),
+      frozen: BigInt(frozen)
+    });
+  }
+
+  account(address) {
+    const key = accountKey(address);
+    if (!this.accounts.has(key)) {
+      this.accounts.set(key, { nonce: 0, free: 0n, reserved: 0n, frozen: 0n });
+    }
+    return this.accounts.get(key);
+  }
+
+  addWorker(pubkey, info = {}, endpoints = null) {
+    this.workers.set(pubkey, {
+      pubkey,
+      ecdhPubkey: pubkey,
+      runtimeVersion: 1,
+      lastUpdated: 1700000000,
+      operator: null,
+      attestationProvider: "Ias",
+      confidenceLevel: 1,
+      initialScore: null,
+      features: [],
+      ...info
+    });
+    if (endpoints) {
+      this.endpoints.set(pubkey, { V1: endpoints });
+    }
+  }
+
+  bindSession(session, pubkey) {
+    this.sessions.set(accountKey(session), pubkey);
+  }
+
+  addPool(pid, info = {}) {
+    this.pools.set(Number(pid), {
+      pid,
+      owner: info.owner,
+      payoutCommission: null,
+      ownerReward: 0n,
+      cap: null,
+      totalShares: 0n,
+      totalStake: 0n,
+      freeStake: 0n,
+      releasingStake: 0n,
+      workers: [],
+      ...info
+    });
+  }
+
+  setContribution(pid, address, info = {}) {
+    this.contributions.set(`${pid}:${accountKey(address)}`, {
+      pid: Number(pid),
+      user: address,
+      locked: 0n,
+      shares: 0n,
+      availableRewards: 0n,
+      rewardDebt: 0n,
+      ...info
+    });
+  }
+
+  contribution(pid, address) {
+    return this.contributions.get(`${pid}:${accountKey(address)}`) || null;
+  }
+
+  // Storage
+
+  storageKey(entry, ...args) {
+    return u8aToHex(compactStripLength(entry(...args))[1]);
+  }
+
+  encodeValue(entry, value) {
+    const type = entry.meta.type.isPlain ? entry.meta.type.asPlain : entry.meta.type.asMap.value;
+    // SCALE bytes; toHex() on integers gives their big-endian value instead
+    return u8aToHex(this.registry.createType(this.registry.createLookupType(type), value).toU8a());
+  }
+
+  // Every storage item the node holds, encoded, as a key -> value map
+  encodeStorage() {
+    const { system, timestamp, balances, phalaRegistry, phalaComputation, phalaStakePool } = this.decorated.query;
+    const storage = new Map();
+    const put = (entry, args, value) => storage.set(this.storageKey(entry, ...args), this.encodeValue(entry, value));
+
+    let totalIssuance = 0n;
+    for (const [key, account] of this.accounts) {
+      totalIssuance += account.free + account.reserved;
+      put(system.account, [key], {
+        nonce: account.nonce,
+        consumers: 0,
+        providers: 1,
+        sufficients: 0,
+        data: { free: account.free, reserved: account.reserved, frozen: account.frozen, flags: 0 }
+      });
+    }
+    put(balances.totalIssuance, [], totalIssuance);
+    put(system.events, [], this.events);
+    put(system.number, [], this.blocks.length);
+    put(timestamp.now, [], GENESIS_TIME + (this.blocks.length - 1) * BLOCK_TIME_MS);
+    for (const [pubkey, info] of this.workers) {
+      put(phalaRegistry.workers, [pubkey], info);
+    }
+    for (const [pubkey, endpoints] of this.endpoints) {
+      put(phalaRegistry.endpoints, [pubkey], endpoints);
+    }
+    for (const [session, pubkey] of this.sessions) {
+      put(phalaComputation.sessionBindings, [session], pubkey);
+    }
+    for (const [pid, info] of this.pools) {
+      put(phalaStakePool.stakePools, [pid], info);
+    }
+    for (const { pid, ...info } of this.contributions.values()) {
+      put(phalaStakePool.poolContributions, [pid, info.user], info);
+    }
+    return storage;
+  }
+
+  // State at a block hash; the head reflects fixtures changed since it was sealed
+  storageAt(at) {
+    if (!at || at === this.head.hash) return this.encodeStorage();
+    const block = this.blockByHash(at);
+    if (!block) throw new RpcError(4003, `Block ${at} not found`);
+    return block.storage;
+  }
+
+  // Blocks
+
+  // Append a block holding `extrinsics` (hex) whose events are this.events
+  sealBlock(extrinsics) {
+    const parent = this.blocks.length ? this.head : null;
+    const header = this.registry.createType("Header", {
+      parentHash: parent ? parent.hash : "0x" + "00".repeat(32),
+      number: this.blocks.length,
+      stateRoot: blake2AsHex(`state-${this.blocks.length}-${extrinsics.join("")}`),
+      extrinsicsRoot: blake2AsHex(u8aConcat(...extrinsics.map(ex => this.registry.createType("Extrinsic", ex).toU8a()))),
+      digest: { logs: [] }
+    });
+    const block = { hash: header.hash.toHex(), header, extrinsics, storage: null };
+    this.blocks.push(block);
+    block.storage = this.encodeStorage();
+    return block;
+  }
+
+  blockByHash(hash) {
+    return this.blocks.find(block => block.hash === hash) || null;
+  }
+
+  // A hash or nothing (the head) as a block, for RPC methods taking an optional `at`
+  resolveBlock(hash) {
+    if (!hash) return this.head;
+    const block = this.blockByHash(hash);
+    if (!block) throw new RpcError(4003, `Block ${hash} not found`);
+    return block;
+  }
+
+  headerJson(block) {
+    const { header } = block;
+    return {
+      parentHash: header.parentHash.toHex(),
+      number: "0x" + header.number.toNumber().toString(16),
+      stateRoot: header.stateRoot.toHex(),
+      extrinsicsRoot: header.extrinsicsRoot.toHex(),
+      digest: { logs: [] }
+    };
+  }
+
+  // Events
+
+  event(section, method, values) {
+    const pallet = this.metadata.asLatest.pallets.find(p => stringCamelCase(p.name.toString()) === section);
+    const { meta } = this.decorated.events[section][method];
+    const fields = meta.fields.map((field, index) =>
+      this.registry.createType(this.registry.createLookupType(field.type), values[index]).toU8a()
+    );
+    return u8aConcat([pallet.index.toNumber(), meta.index.toNumber()], ...fields);
+  }
+
+  eventRecord(extrinsicIndex, section, method, values) {
+    return { phase: { ApplyExtrinsic: extrinsicIndex }, event: this.event(section, method, values), topics: [] };
+  }
+
+  moduleError(section, name) {
+    const pallet = this.metadata.asLatest.pallets.find(p => stringCamelCase(p.name.toString()) === section);
+    const { meta } = this.decorated.errors[section][name];
+    return { Module: { index: pallet.index.toNumber(), error: u8aToHex(new Uint8Array([meta.index.toNumber(), 0, 0, 0])) } };
+  }
+
+  // Extrinsics
+
+  verifySignature(extrinsic) {
+    const era = extrinsic.era;
+    const birth = era.isMortalEra ? era.asMortalEra.birth(this.head.header.number.toNumber()) : 0;
+    const checkpoint = this.blocks[birth];
+    if (!checkpoint) {
+      throw new RpcError(1010, "Invalid Transaction", "Transaction has an ancient birth block");
+    }
+    const payload = this.registry.createType("ExtrinsicPayload", {
+      method: extrinsic.method.toHex(),
+      era,
+      nonce: extrinsic.nonce,
+      tip: extrinsic.tip,
+      specVersion: RUNTIME_VERSION.specVersion,
+      transactionVersion: RUNTIME_VERSION.transactionVersion,
+      genesisHash: this.genesisHash,
+      blockHash: checkpoint.hash
+    }, { version: extrinsic.type });
+    const data = payload.toU8a({ method: true });
+    // Payloads longer than 256 bytes are signed by hash
+    const message = data.length > 256 ? blake2AsU8a(data) : data;
+    const { isValid } = signatureVerify(message, extrinsic.signature.toU8a(), extrinsic.signer.toString());
+    if (!isValid) {
+      throw new RpcError(1010, "Invalid Transaction", "Transaction has a bad signature");
+    }
+  }
+
+  // Apply a call for `who`. Returns its events; throws DispatchError to fail it.
+  dispatch(call, who, index) {
+    const { section, method } = call;
+    const args = call.args;
+
+    if (section === "balances" && method === "transfer") {
+      const to = args[0].toString();
+      const amount = BigInt(args[1].toString());
+      const sender = this.account(who);
+      if (sender.free - sender.frozen < amount) {
+        throw new DispatchError("balances", "InsufficientBalance");
+      }
+      const recipient = this.account(to);
+      if (recipient.free + amount < this.existentialDeposit) {
+        throw new DispatchError("balances", "ExistentialDeposit");
+      }
+      sender.free -= amount;
+      recipient.free += amount;
+      return [this.eventRecord(index, "balances", "Transfer", [who, to, amount])];
+    }
+
+    if (section === "phalaStakePool" && method === "contribute") {
+      const pid = args[0].toNumber();
+      const amount = BigInt(args[1].toString());
+      const pool = this.pools.get(pid);
+      if (!pool) {
+        throw new DispatchError("phalaStakePool", "PoolDoesNotExist");
+      }
+      const account = this.account(who);
+      if (account.free - account.frozen < amount) {
+        throw new DispatchError("balances", "InsufficientBalance");
+      }
+      if (pool.cap !== null && BigInt(pool.totalStake) + amount > BigInt(pool.cap)) {
+        throw new DispatchError("phalaStakePool", "StakeExceedsCapacity");
+      }
+      // One share per planck keeps the bookkeeping obvious
+      const stake = this.contribution(pid, who) || { locked: 0n, shares: 0n };
+      this.setContribution(pid, who, {
+        locked: BigInt(stake.locked) + amount,
+        shares: BigInt(stake.shares) + amount
+      });
+      pool.totalStake = BigInt(pool.totalStake) + amount;
+      pool.totalShares = BigInt(pool.totalShares) + amount;
+      pool.freeStake = BigInt(pool.freeStake) + amount;
+      account.frozen += amount;
+      return [this.eventRecord(index, "phalaStakePool", "Contribution", [pid, who, amount, amount])];
+    }
+
+    throw new RpcError(1010, "Invalid Transaction", `Call ${section}.${method} is not supported by the mock node`);
+  }
+
+  get existentialDeposit() {
+    return BigInt(this.decorated.consts.balances.existentialDeposit.toString());
+  }
+
+  // Validate, charge and apply a signed extrinsic in a new block after the timestamp inherent
+  submitExtrinsic(hex) {
+    if (this.rejectNext) {
+      const [code, message, data] = this.rejectNext;
+      this.rejectNext = null;
+      throw new RpcError(code, message, data);
+    }
+    let extrinsic;
+    try {
+      extrinsic = this.registry.createType("Extrinsic", hex);
+    } catch (error) {
+      throw new RpcError(1002, `Verification Error: Runtime error: Could not decode extrinsic: ${error.message}`);
+    }
+    if (!extrinsic.isSigned) {
+      throw new RpcError(1010, "Invalid Transaction", "Transaction call is not expected");
+    }
+    this.verifySignature(extrinsic);
+
+    const who = extrinsic.signer.toString();
+    const account = this.account(who);
+    const nonce = extrinsic.nonce.toNumber();
+    if (nonce < account.nonce) {
+      throw new RpcError(1010, "Invalid Transaction", "Transaction is outdated");
+    }
+    if (nonce > account.nonce) {
+      throw new RpcError(1010, "Invalid Transaction", "Transaction will be valid in the future");
+    }
+    if (account.free - account.frozen < this.fee) {
+      throw new RpcError(1010, "Invalid Transaction", "Inability to pay some fees , e.g. account balance too low");
+    }
+    account.free -= this.fee;
+    account.nonce += 1;
+
+    const call = this.registry.createType("Call", extrinsic.method.toHex());
+    const index = 1;
+    let records;
+    let error = null;
+    try {
+      records = this.dispatch(call, who, index);
+    } catch (failure) {
+      if (!(failure instanceof DispatchError)) throw failure;
+      records = [];
+      error = this.moduleError(failure.section, failure.name);
+    }
+
+    const inherent = this.registry.createType("Extrinsic", this.decorated.tx.timestamp.set(Date.now()));
+    this.events = [
+      this.eventRecord(0, "system", "ExtrinsicSuccess", [DISPATCH_INFO]),
+      ...records,
+      this.eventRecord(index, "transactionPayment", "TransactionFeePaid", [who, this.fee, 0]),
+      error
+        ? this.eventRecord(index, "system", "ExtrinsicFailed", [error, DISPATCH_INFO])
+        : this.eventRecord(index, "system", "ExtrinsicSuccess", [DISPATCH_INFO])
+    ];
+    const block = this.sealBlock([inherent.toHex(), extrinsic.toHex()]);
+    this.submitted.push({ hash: extrinsic.hash.toHex(), signer: who, nonce, call: `${call.section}.${call.method}`, args: call.toHuman().args, blockHash: block.hash, error });
+    return extrinsic.hash.toHex();
+  }
+
+  // JSON-RPC
+
+  methods() {
+    return {
+      rpc_methods: () => ({ version: 1, methods: RPC_METHODS }),
+      system_chain: () => "Phala",
+      system_name: () => "Phala Mock Node",
+      system_version: () => "0.1.0-mock",
+      system_properties: () => PROPERTIES,
+      system_health: () => ({ peers: 8, isSyncing: false, shouldHavePeers: true }),
+      system_accountNextIndex: ([address]) => this.account(address).nonce,
+      state_getMetadata: () => phalaMetadata(),
+      state_getRuntimeVersion: () => RUNTIME_VERSION,
+      chain_getBlockHash: ([number]) => {
+        if (number === undefined || number === null) return this.head.hash;
+        const block = this.blocks[typeof number === "string" ? parseInt(number, 16) : number];
+        return block ? block.hash : null;
+      },
+      chain_getHeader: ([hash]) => this.headerJson(this.resolveBlock(hash)),
+      chain_getBlock: ([hash]) => {
+        const block = this.resolveBlock(hash);
+        return { block: { header: this.headerJson(block), extrinsics: block.extrinsics }, justifications: null };
+      },
+      chain_getFinalizedHead: () => this.blocks[Math.max(0, this.blocks.length - 1 - this.finalityLag)].hash,
+      state_getStorage: ([key, at]) => this.storageAt(at).get(key) || null,
+      state_queryStorageAt: ([keys, at]) => {
+        const storage = this.storageAt(at);
+        return [{ block: at || this.head.hash, changes: keys.map(key => [key, storage.get(key) || null]) }];
+      },
+      state_getKeysPaged: ([prefix, count, startKey, at]) => Array.from(this.storageAt(at).keys())
+        .filter(key => key.startsWith(prefix) && (!startKey || key > startKey))
+        .sort()
+        .slice(0, count),
+      state_call: ([method]) => {
+        if (method !== "TransactionPaymentApi_query_info") {
+          throw new RpcError(-32000, `Client error: Exported method ${method} is not found`);
+        }
+        return this.registry.createType("RuntimeDispatchInfoV2", {
+          weight: DISPATCH_INFO.weight,
+          class: DISPATCH_INFO.class,
+          partialFee: this.fee
+        }).toHex();
+      },
+      author_submitExtrinsic: ([hex]) => this.submitExtrinsic(hex)
+    };
+  }
+
+  app() {
+    return jsonRpcApp(this.methods());
+  }
+}
+
+module.exports = MockSubstrateNode;
+module.exports.FEE = FEE;
+module.exports.BLOCK_TIME_MS = BLOCK_TIME_MS;
+module.exports.accountKey = accountKey;
@@ -0,0 +1,307 @@
+const crypto = require("crypto");
+
+// Mock TEE - a throwaway Intel-style PKI and the attestation evidence it signs.
+//
+// Stands in for the Intel SGX Root CA (PCK and TCB signing chains) and the Attestation
+// Report Signing CA: the harness points the server at these roots, so DCAP quotes, TCB
+// info collateral and IAS reports built here verify the way Intel-signed ones would.
+
+const SGX_EXTENSIONS_OID = "1.2.840.113741.1.13.1";
+const FMSPC = "00906ed50000";
+const PCE_ID = "0000";
+// Platform TCB in the PCK certificate: 16 CPU SVN components and the PCE SVN
+const PLATFORM_TCB = { components: Array(16).fill(3), pceSvn: 13 };
+const INTEL_QE_VENDOR_ID = "939a7233f79c4ca9940a0db3957f0607";
+// Event type of dstack runtime events in RTMR3
+const DSTACK_EVENT_TYPE = 0x08000001;
+
+// DER encoding, just what certificates need
+
+function derLength(length) {
+  if (length < 0x80) return Buffer.from([length]);
+  const bytes = [];
+  for (let rest = length; rest > 0; rest = Math.floor(rest / 256)) bytes.unshift(rest & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function der(tag, ...contents) {
+  const body = Buffer.concat(contents);
+  return Buffer.concat([Buffer.from([tag]), derLength(body.length), body]);
+}
+
+const sequence = (...items) => der(0x30, ...items);
+const set = (...items) => der(0x31, ...items);
+const octets = bytes => der(0x04, bytes);
+const boolean = value => der(0x01, Buffer.from([value ? 0xff : 0]));
+
+function oid(dotted) {
+  const [first, second, ...rest] = dotted.split(".").map(Number);
+  const bytes = [first * 40 + second];
+  for (const part of rest) {
+    const chunk = [part & 0x7f];
+    for (let value = Math.floor(part / 128); value > 0; value = Math.floor(value / 128)) {
+      chunk.unshift((value & 0x7f) | 0x80);
+    }
+    bytes.push(...chunk);
+  }
+  return der(0x06, Buffer.from(bytes));
+}
+
+function integer(value) {
+  const digits = value.toString(16);
+  let bytes = Buffer.from(digits.length % 2 ? "0" + digits : digits, "hex");
+  if (bytes[0] & 0x80) bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  return der(0x02, bytes);
+}
+
+// UTCTime, YYMMDDHHMMSSZ
+function time(date) {
+  return der(0x17, Buffer.from(date.toISOString().replace(/[-:T]/g, "").slice(2, 14) + "Z"));
+}
+
+function name(commonName) {
+  return sequence(
+    set(sequence(oid("2.5.4.3"), der(0x0c, Buffer.from(commonName)))),
+    set(sequence(oid("2.5.4.10"), der(0x0c, Buffer.from("Mock TEE"))))
+  );
+}
+
+let serial = 1;
+
+// A certificate for `keys.publicKey`, signed by `issuer` (self-signed without one)
+function certificate(commonName, keys, { issuer = null, ca = false, extensions = [] } = {}) {
+  const signer = issuer || { name: commonName, keys };
+  const algorithm = signer.keys.privateKey.asymmetricKeyType === "ec"
+    ? sequence(oid("1.2.840.10045.4.3.2"))
+    : sequence(oid("1.2.840.113549.1.1.11"), der(0x05));
+  const now = Date.now();
+  const tbs = sequence(
+    der(0xa0, integer(2)),
+    integer(serial++),
+    algorithm,
+    name(signer.name),
+    sequence(time(new Date(now - 86400000)), time(new Date(now + 5 * 365 * 86400000))),
+    name(commonName),
+    keys.publicKey.export({ type: "spki", format: "der" }),
+    der(0xa3, sequence(
+      sequence(oid("2.5.29.19"), boolean(true), octets(sequence(...(ca ? [boolean(true)] : [])))),
+      ...extensions
+    ))
+  );
+  const signature = crypto.sign("sha256", tbs, signer.keys.privateKey);
+  const body = sequence(tbs, algorithm, der(0x03, Buffer.from([0]), signature)).toString("base64");
+  return {
+    name: commonName,
+    keys,
+    pem: `-----BEGIN CERTIFICATE-----\n${body.match(/.{1,64}/g).join("\n")}\n-----END CERTIFICATE-----\n`
+  };
+}
+
+// Intel SGX extensions of a PCK certificate: PPID, TCB, PCE ID, FMSPC and SGX type
+function sgxExtensions() {
+  const field = (suffix, value) => sequence(oid(`${SGX_EXTENSIONS_OID}.${suffix}`), value);
+  const tcb = sequence(
+    ...PLATFORM_TCB.components.map((svn, index) => field(`2.${index + 1}`, integer(svn))),
+    field("2.17", integer(PLATFORM_TCB.pceSvn)),
+    field("2.18", octets(Buffer.from(PLATFORM_TCB.components)))
+  );
+  return sequence(oid(SGX_EXTENSIONS_OID), octets(sequence(
+    field("1", octets(crypto.randomBytes(16))),
+    field("2", tcb),
+    field("3", octets(Buffer.from(PCE_ID, "hex"))),
+    field("4", octets(Buffer.from(FMSPC, "hex"))),
+    field("5", der(0x0a, Buffer.from([0])))
+  )));
+}
+
+const ecKeys = () => crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+
+const sgxRoot = certificate("Mock SGX Root CA", ecKeys(), { ca: true });
+const pckCa = certificate("Mock SGX PCK Platform CA", ecKeys(), { issuer: sgxRoot, ca: true });
+const pck = certificate("Mock SGX PCK Certificate", ecKeys(), { issuer: pckCa, extensions: [sgxExtensions()] });
+const tcbSigning = certificate("Mock SGX TCB Signing", ecKeys(), { issuer: sgxRoot });
+const iasRoot = certificate("Mock Attestation Report Signing CA", crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }), { ca: true });
+const iasSigning = certificate("Mock Attestation Report Signing", crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }), { issuer: iasRoot });
+// Not under any trusted root
+const strangerRoot = certificate("Mock SGX Root CA", ecKeys(), { ca: true });
+const strangerPck = certificate("Mock SGX PCK Certificate", ecKeys(), { issuer: strangerRoot, extensions: [sgxExtensions()] });
+
+function p1363(data, privateKey) {
+  return crypto.sign("sha256", data, { key: privateKey, dsaEncoding: "ieee-p1363" });
+}
+
+function rawPublicKey(publicKey) {
+  const { x, y } = publicKey.export({ format: "jwk" });
+  return Buffer.concat([Buffer.from(x, "base64url"), Buffer.from(y, "base64url")]);
+}
+
+function bytes(value, size) {
+  const buffer = Buffer.alloc(size);
+  if (value) Buffer.from(value.replace(/^0x/, ""), "hex").copy(buffer);
+  return buffer;
+}
+
+function u16(value) {
+  const buffer = Buffer.alloc(2);
+  buffer.writeUInt16LE(value);
+  return buffer;
+}
+
+function u32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value);
+  return buffer;
+}
+
+function enclaveReport({ mrEnclave, mrSigner, isvProdId = 0, isvSvn = 0, reportData, debug = false }) {
+  const report = Buffer.alloc(384);
+  Buffer.from(PLATFORM_TCB.components).copy(report, 0);
+  report[48] = debug ? 0x07 : 0x05;
+  bytes(mrEnclave, 32).copy(report, 64);
+  bytes(mrSigner, 32).copy(report, 128);
+  report.writeUInt16LE(isvProdId, 256);
+  report.writeUInt16LE(isvSvn, 258);
+  bytes(reportData, 64).copy(report, 320);
+  return report;
+}
+
+function tdReport({ mrTd, rtmrs = [], reportData, debug = false }) {
+  const report = Buffer.alloc(584);
+  report[120] = debug ? 0x01 : 0x00;
+  bytes(mrTd, 48).copy(report, 136);
+  rtmrs.forEach((rtmr, index) => bytes(rtmr, 48).copy(report, 328 + index * 48));
+  bytes(reportData, 64).copy(report, 520);
+  return report;
+}
+
+// A DCAP quote as hex. v3 quotes are SGX; v4 ones SGX or TDX. `tamper` flips a byte of the
+// signed body after signing; `untrusted` uses a PCK chain under an unknown root.
+function dcapQuote({ teeType = "Intel SGX", version = teeType === "Intel TDX" ? 4 : 3, tamper = false, untrusted = false, ...report } = {}) {
+  const tdx = teeType === "Intel TDX";
+  const header = Buffer.alloc(48);
+  header.writeUInt16LE(version, 0);
+  header.writeUInt16LE(2, 2);
+  header.writeUInt32LE(tdx ? 0x81 : 0, 4);
+  Buffer.from(INTEL_QE_VENDOR_ID, "hex").copy(header, 12);
+  const body = tdx ? tdReport(report) : enclaveReport(report);
+
+  const attestationKeys = ecKeys();
+  const attestationKey = rawPublicKey(attestationKeys.publicKey);
+  const quoteSignature = p1363(Buffer.concat([header, body]), attestationKeys.privateKey);
+  const qeAuthData = crypto.randomBytes(32);
+  const qeReport = enclaveReport({
+    mrEnclave: "0x" + "5e".repeat(32),
+    mrSigner: "0x" + "8c".repeat(32),
+    isvProdId: 1,
+    isvSvn: 8,
+    reportData: crypto.createHash("sha256").update(Buffer.concat([attestationKey, qeAuthData])).digest("hex")
+  });
+  const [leaf, chain] = untrusted ? [strangerPck, [strangerPck, strangerRoot]] : [pck, [pck, pckCa, sgxRoot]];
+  const pem = Buffer.from(chain.map(certificate => certificate.pem).join(""));
+  const qe = Buffer.concat([
+    qeReport,
+    p1363(qeReport, leaf.keys.privateKey),
+    u16(qeAuthData.length), qeAuthData,
+    u16(5), u32(pem.length), pem
+  ]);
+  const signatureData = Buffer.concat([
+    quoteSignature,
+    attestationKey,
+    version === 4 ? Buffer.concat([u16(6), u32(qe.length), qe]) : qe
+  ]);
+  if (tamper) body[tdx ? 136 : 64] ^= 0xff;
+  return "0x" + Buffer.concat([header, body, u32(signatureData.length), signatureData]).toString("hex");
+}
+
+// TCB info collateral as served by the PCS, with a single TCB level of `status` unless
+// `tcbLevels` are given
+function collateral({ teeType = "Intel SGX", status = "UpToDate", tcbLevels = null, fmspc = FMSPC } = {}) {
+  const tdx = teeType === "Intel TDX";
+  const level = (svn, tcbStatus) => ({
+    tcb: {
+      sgxtcbcomponents: Array(16).fill(null).map(() => ({ svn })),
+      pcesvn: PLATFORM_TCB.pceSvn,
+      ...(tdx ? { tdxtcbcomponents: Array(16).fill(null).map(() => ({ svn: 0 })) } : {})
+    },
+    tcbDate: "2024-03-13T00:00:00Z",
+    tcbStatus,
+    advisoryIDs: tcbStatus === "UpToDate" ? [] : ["INTEL-SA-00837"]
+  });
+  const now = Date.now();
+  const tcbInfo = JSON.stringify({
+    id: tdx ? "TDX" : "SGX",
+    version: 3,
+    issueDate: new Date(now - 86400000).toISOString(),
+    nextUpdate: new Date(now + 30 * 86400000).toISOString(),
+    fmspc,
+    pceId: PCE_ID,
+    tcbType: 0,
+    tcbEvaluationDataNumber: 17,
+    tcbLevels: tcbLevels || [level(PLATFORM_TCB.components[0], status)]
+  });
+  return {
+    tcbInfo: `{"tcbInfo":${tcbInfo},"signature":"${p1363(Buffer.from(tcbInfo), tcbSigning.keys.privateKey).toString("hex")}"}`,
+    tcbInfoIssuerChain: tcbSigning.pem + sgxRoot.pem
+  };
+}
+
+// An IAS attestation report: { body, signature, certificates }
+function iasReport({ status = "OK", timestamp = new Date(), ...report } = {}) {
+  const quoteHeader = Buffer.alloc(48);
+  quoteHeader.writeUInt16LE(2, 0);
+  quoteHeader.writeUInt16LE(1, 2);
+  const body = JSON.stringify({
+    id: crypto.randomBytes(16).toString("hex"),
+    // IAS timestamps have microseconds and no zone designator
+    timestamp: timestamp.toISOString().replace("Z", "000"),
+    version: 4,
+    epidPseudonym: crypto.randomBytes(32).toString("base64"),
+    advisoryIDs: status === "OK" ? [] : ["INTEL-SA-00334"],
+    isvEnclaveQuoteStatus: status,
+    isvEnclaveQuoteBody: Buffer.concat([quoteHeader, enclaveReport(report)]).toString("base64")
+  });
+  return {
+    body,
+    signature: crypto.sign("sha256", Buffer.from(body), iasSigning.keys.privateKey).toString("base64"),
+    certificates: iasSigning.pem + iasRoot.pem
+  };
+}
+
+// An RTMR3 event of a dstack event log, with payload as hex
+function dstackEvent(event, payload) {
+  const digest = crypto.createHash("sha384")
+    .update(Buffer.concat([u32(DSTACK_EVENT_TYPE), Buffer.from(`:${event}:`), Buffer.from(payload, "hex")]))
+    .digest("hex");
+  return { imr: 3, event_type: DSTACK_EVENT_TYPE, digest, event, event_payload: payload };
+}
+
+// Attestation of a dstack CVM as its API returns it: a TDX quote whose RTMR3 replays an
+// event log measuring `composeHash`, TCB info collateral and when it was produced
+function dstackEvidence({ composeHash, mrTd, reportData, status = "UpToDate", timestamp = new Date() }) {
+  const eventLog = [
+    dstackEvent("app-id", crypto.randomBytes(20).toString("hex")),
+    dstackEvent("compose-hash", composeHash.replace(/^0x/, "")),
+    dstackEvent("instance-id", crypto.randomBytes(20).toString("hex"))
+  ];
+  const rtmr3 = eventLog.reduce(
+    (rtmr, entry) => crypto.createHash("sha384").update(Buffer.concat([rtmr, Buffer.from(entry.digest, "hex")])).digest(),
+    Buffer.alloc(48)
+  );
+  return {
+    quote: dcapQuote({ teeType: "Intel TDX", mrTd, rtmrs: [null, null, null, rtmr3.toString("hex")], reportData }),
+    collateral: collateral({ teeType: "Intel TDX", status }),
+    eventLog: JSON.stringify(eventLog),
+    timestamp: timestamp.toISOString()
+  };
+}
+
+module.exports = {
+  FMSPC,
+  PLATFORM_TCB,
+  dcapRoots: sgxRoot.pem,
+  iasRoots: iasRoot.pem,
+  dcapQuote,
+  collateral,
+  iasReport,
+  dstackEvidence
+};
@@ -0,0 +1,17 @@
+// Example third-party pack, loaded from TOOL_PACKS_DIR in tool-groups.test.js
+module.exports = {
+  name: "greetings",
+  description: "Example pack",
+  capabilities: ["Greetings"],
+  register(tools, { z, jsonResult }) {
+    tools.registerTool(
+      "hello",
+      {
+        description: "Say hello",
+        inputSchema: { who: z.string() },
+        outputSchema: { greeting: z.string() }
+      },
+      async ({ who }) => jsonResult({ greeting: `Hello ${who}` })
+    );
+  }
+};
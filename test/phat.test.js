@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, fixtures } = require("./harness");
+
+const { WALLET, CLUSTER, CONTRACT } = fixtures;
+
+describe("phat tools", () => {
+  let h;
+  before(async () => { h = await startHarness(); });
+  after(() => h.stop());
+
+  it("getPhatContractList filters by cluster", async () => {
+    const { contracts, total } = await h.call("getPhatContractList", { clusterId: CLUSTER });
+    assert.equal(total, 1);
+    assert.equal(contracts[0].address, CONTRACT);
+  });
+
+  it("queryPhatContract reads contract state", async () => {
+    const { result } = await h.call("queryPhatContract", { contractAddress: CONTRACT, method: "get_value" });
+    assert.equal(result, 7);
+  });
+
+  it("queryPhatContract surfaces RPC errors", async () => {
+    const error = await h.callError("queryPhatContract", { contractAddress: "0x" + "00".repeat(32), method: "get_value" });
+    assert.equal(error.code, "UPSTREAM_ERROR");
+    assert.equal(error.details.rpcError.code, -32000);
+  });
+
+  it("deployPhatContract deploys with the default constructor", async () => {
+    const codeHash = "0x" + "ab".repeat(32);
+    const deployed = await h.call("deployPhatContract", { codeHash, clusterId: CLUSTER });
+    assert.equal(deployed.success, true);
+    assert.ok(h.phat.contracts.has(deployed.contractAddress));
+
+    const [method, params] = h.phat.calls.at(-1);
+    assert.equal(method, "phat_deployContract");
+    assert.equal(params.constructor, "default");
+    assert.equal(params.origin, WALLET);
+  });
+
+  it("deployPhatContract dryRun sends nothing", async () => {
+    const before = h.phat.calls.length;
+    const preview = await h.call("deployPhatContract", { codeHash: "0x" + "ac".repeat(32), clusterId: CLUSTER, dryRun: true });
+    assert.equal(preview.dryRun, true);
+    assert.equal(h.phat.calls.length, before);
+  });
+
+  it("deployPhatContract rejects invalid code hashes", async () => {
+    const error = await h.callError("deployPhatContract", { codeHash: "0xzz", clusterId: CLUSTER });
+    assert.equal(error.code, "UPSTREAM_ERROR");
+  });
+
+  it("executePhatContract changes state once approved", async () => {
+    const result = await h.callApproved("executePhatContract", { contractAddress: CONTRACT, method: "get_value", args: [9] });
+    assert.equal(result.success, true);
+    assert.equal(result.gasUsed, "1250000");
+    assert.equal(h.phat.contracts.get(CONTRACT).state.get_value, 9);
+
+    const { result: value } = await h.call("queryPhatContract", { contractAddress: CONTRACT, method: "get_value" });
+    assert.equal(value, 9);
+  });
+});
+
+describe("phat contract method policy", () => {
+  let h;
+  before(async () => {
+    h = await startHarness({
+      spendingPolicy: { tools: { executePhatContract: { allowedMethods: { [CONTRACT.toUpperCase().replace("0X", "0x")]: ["get_value"] } } } }
+    });
+  });
+  after(() => h.stop());
+
+  it("matches contract keys whatever the case of their hex", async () => {
+    const queued = await h.call("executePhatContract", { contractAddress: CONTRACT, method: "get_value", args: [1] });
+    assert.equal(queued.status, "pending_approval");
+
+    const error = await h.callError("executePhatContract", { contractAddress: CONTRACT, method: "set_owner", args: [] });
+    assert.equal(error.code, "POLICY_VIOLATION");
+    assert.equal(error.details.rule, "allowedMethods");
+  });
+});
+
+describe("phat contract call approval", () => {
+  let h;
+  before(async () => {
+    h = await startHarness({ env: { APPROVAL_AUTO_APPROVE_BELOW_PHA: "10", APPROVAL_AUTO_APPROVE_CONTRACTS: CONTRACT.toUpperCase().replace("0X", "0x") } });
+  });
+  after(() => h.stop());
+
+  it("queues a zero-value call on a contract that is not allow-listed", async () => {
+    const other = "0x" + "cd".repeat(32);
+    const queued = await h.call("executePhatContract", { contractAddress: other, method: "get_value", args: [1] });
+    assert.equal(queued.status, "pending_approval");
+    assert.equal(queued.intent.params.value, "0");
+  });
+
+  it("auto-approves a small call on an allow-listed contract", async () => {
+    const result = await h.call("executePhatContract", { contractAddress: CONTRACT, method: "get_value", args: [4] });
+    assert.equal(result.success, true);
+    assert.equal(h.phat.contracts.get(CONTRACT).state.get_value, 4);
+
+    const { autoApproveContracts } = await h.call("listPendingTransactions", {});
+    assert.deepEqual(autoApproveContracts, [CONTRACT.toUpperCase().replace("0X", "0x")]);
+  });
+});
@@ -0,0 +1,140 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const RateLimiter = require("../http/rate-limit");
+const { TokenBucket } = RateLimiter;
+
+const reader = { clientId: "reader", scopes: ["read"], extra: { method: "api-key", rateLimit: null } };
+
+// Pretend every bucket was last touched `ms` earlier
+function elapse(limiter, ms) {
+  for (const bucket of limiter.buckets.values()) bucket.updatedAt -= ms;
+}
+
+describe("token bucket", () => {
+  it("starts full, refills over time and never holds more than its capacity", () => {
+    const bucket = new TokenBucket(60, 10);
+    bucket.take(10);
+    // One token a second, less the microseconds since take()
+    const wait = bucket.waitFor(1);
+    assert.ok(wait > 900 && wait <= 1000, String(wait));
+    bucket.updatedAt -= 5000;
+    assert.equal(bucket.waitFor(5), 0);
+    bucket.updatedAt -= 600000;
+    bucket.refill();
+    assert.equal(bucket.tokens, 10);
+  });
+
+  it("treats a cost above the capacity as needing a full bucket", () => {
+    const bucket = new TokenBucket(60, 4);
+    assert.equal(bucket.waitFor(10), 0);
+    bucket.take(10);
+    assert.equal(bucket.tokens, 0);
+  });
+});
+
+describe("rate limiter", () => {
+  it("admits calls until the caller's burst is used up, then asks to retry", () => {
+    const limiter = new RateLimiter({ defaults: { perMinute: 60, burst: 3 } });
+    for (let call = 0; call < 3; call++) {
+      assert.equal(limiter.check({ auth: reader, ip: "10.0.0.1", tool: "getPHABalance" }).allowed, true);
+    }
+    const rejected = limiter.check({ auth: reader, ip: "10.0.0.1", tool: "getPHABalance" });
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.retryAfterSeconds, 1);
+    assert.match(rejected.reason, /Rate limit reached \(60 tokens\/min, getPHABalance costs 1\)/);
+    assert.equal(limiter.rejected, 1);
+
+    elapse(limiter, 1000);
+    assert.equal(limiter.check({ auth: reader, ip: "10.0.0.1", tool: "getPHABalance" }).allowed, true);
+  });
+
+  it("admits a batch as a whole and takes nothing for a rejected one", () => {
+    const limiter = new RateLimiter({ defaults: { perMinute: 60, burst: 3 } });
+    assert.deepEqual(limiter.check({ auth: reader, ip: null, tools: ["getPHABalance", "getPHABalance"] }), { allowed: true, cost: 2, remaining: 1 });
+    const rejected = limiter.check({ auth: reader, ip: null, tools: ["getPHABalance", "getPHABalance"] });
+    assert.equal(rejected.allowed, false);
+    assert.match(rejected.reason, /2 tool calls cost 2/);
+    // The one token left was not spent on the rejected batch
+    assert.equal(limiter.check({ auth: reader, ip: null, tool: "getPHABalance" }).allowed, true);
+  });
+
+  it("keeps separate buckets per client id, or per IP without auth", () => {
+    const limiter = new RateLimiter({ defaults: { perMinute: 60, burst: 1 } });
+    assert.equal(limiter.check({ auth: reader, ip: "10.0.0.1", tool: "getPHABalance" }).allowed, true);
+    assert.equal(limiter.check({ auth: reader, ip: "10.0.0.2", tool: "getPHABalance" }).allowed, false);
+    assert.equal(limiter.check({ auth: null, ip: "10.0.0.1", tool: "getPHABalance" }).allowed, true);
+    assert.equal(limiter.check({ auth: null, ip: "10.0.0.2", tool: "getPHABalance" }).allowed, true);
+    assert.deepEqual(Array.from(limiter.buckets.keys()).sort(), ["client:reader", "ip:10.0.0.1", "ip:10.0.0.2"]);
+  });
+
+  it("charges heavy tools their cost", () => {
+    const limiter = new RateLimiter({ defaults: { perMinute: 60, burst: 12 } });
+    const first = limiter.check({ auth: reader, ip: null, tool: "getStakingInfo" });
+    assert.deepEqual(first, { allowed: true, cost: 10, remaining: 2 });
+    const second = limiter.check({ auth: reader, ip: null, tool: "getWorkerList" });
+    assert.equal(second.allowed, false);
+    assert.equal(second.cost, 5);
+    assert.equal(second.retryAfterSeconds, 3);
+  });
+
+  it("applies a key's own limits over the defaults", () => {
+    const limiter = new RateLimiter({ defaults: { perMinute: 60, burst: 1 } });
+    const bot = { clientId: "bot", scopes: ["read"], extra: { rateLimit: { perMinute: 600, burst: 5 } } };
+    for (let call = 0; call < 5; call++) {
+      assert.equal(limiter.check({ auth: bot, ip: null, tool: "getPHABalance" }).allowed, true);
+    }
+    assert.equal(limiter.check({ auth: bot, ip: null, tool: "getPHABalance" }).allowed, false);
+  });
+
+  it("limits a tool per caller with its own bucket from RATE_LIMITS_FILE", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "phala-mcp-rate-limits-"));
+    const file = path.join(dir, "rate-limits.yaml");
+    fs.writeFileSync(file, "defaults: { perMinute: 600, burst: 100 }\ntools:\n  fetchOracleData: { cost: 2, perMinute: 2, burst: 1 }\n");
+    const limiter = new RateLimiter({ file });
+    assert.equal(limiter.costOf("fetchOracleData"), 2);
+    // Built-in costs stay unless overridden
+    assert.equal(limiter.costOf("getStakingInfo"), 10);
+
+    assert.equal(limiter.check({ auth: reader, ip: null, tool: "fetchOracleData" }).allowed, true);
+    const rejected = limiter.check({ auth: reader, ip: null, tool: "fetchOracleData" });
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.reason, "Rate limit for fetchOracleData reached (2/min)");
+    assert.equal(rejected.retryAfterSeconds, 30);
+    // Other tools still draw on the caller's spare quota
+    assert.equal(limiter.check({ auth: reader, ip: null, tool: "getPHABalance" }).allowed, true);
+  });
+
+  it("takes defaults from RATE_LIMITS_FILE unless the env settings are given", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "phala-mcp-rate-limits-"));
+    const file = path.join(dir, "rate-limits.json");
+    fs.writeFileSync(file, JSON.stringify({ defaults: { perMinute: 30, burst: 5 }, maxConcurrent: 2 }));
+    const fromFile = new RateLimiter({ file, defaults: { perMinute: undefined, burst: undefined }, maxConcurrent: undefined });
+    assert.deepEqual([fromFile.perMinute, fromFile.burst, fromFile.maxConcurrent], [30, 5, 2]);
+    const overridden = new RateLimiter({ file, defaults: { perMinute: 600 }, maxConcurrent: 4 });
+    assert.deepEqual([overridden.perMinute, overridden.burst, overridden.maxConcurrent], [600, 5, 4]);
+  });
+
+  it("caps tool calls in flight, even with buckets off", () => {
+    let inFlight = 2;
+    const limiter = new RateLimiter({ defaults: { perMinute: 0 }, maxConcurrent: 2, getInFlight: () => inFlight });
+    assert.equal(limiter.enabled, false);
+    const rejected = limiter.check({ auth: reader, ip: null, tool: "getPHABalance" });
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.reason, "Too many tool calls in progress (limit 2); retry shortly");
+    inFlight = 1;
+    assert.equal(limiter.check({ auth: reader, ip: null, tool: "getPHABalance" }).allowed, true);
+    assert.equal(limiter.buckets.size, 0);
+  });
+
+  it("drops buckets that have been idle long enough to be full", () => {
+    const limiter = new RateLimiter({ defaults: { perMinute: 60, burst: 2 } });
+    limiter.check({ auth: reader, ip: null, tool: "getPHABalance" });
+    elapse(limiter, 11 * 60 * 1000);
+    limiter.check({ auth: null, ip: "10.0.0.9", tool: "getPHABalance" });
+    assert.deepEqual(Array.from(limiter.buckets.keys()), ["ip:10.0.0.9"]);
+    assert.equal(limiter.status().trackedCallers, 1);
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, fixtures } = require("./harness");
+
+const { pha, WALLET, POOLS } = fixtures;
+
+describe("staking tools", () => {
+  let h;
+  before(async () => { h = await startHarness(); });
+  after(() => h.stop());
+
+  it("getStakingInfo lists every pool", async () => {
+    const { totalPools, pools } = await h.call("getStakingInfo");
+    assert.equal(totalPools, 2);
+    assert.deepEqual(pools.map(pool => pool.id), [String(POOLS.open), String(POOLS.capped)]);
+  });
+
+  it("getStakingInfo reads one pool and a delegation", async () => {
+    const { info, delegation } = await h.call("getStakingInfo", { poolId: String(POOLS.capped), address: WALLET });
+    assert.equal(BigInt(info.cap), pha(100));
+    assert.equal(BigInt(delegation.locked), pha(40));
+  });
+
+  it("getStakingInfo fails for unknown pools", async () => {
+    const error = await h.callError("getStakingInfo", { poolId: String(POOLS.missing) });
+    assert.equal(error.code, "NOT_FOUND");
+  });
+
+  it("delegateStake dryRun previews the contribution", async () => {
+    const preview = await h.call("delegateStake", { poolId: String(POOLS.open), amount: "10", dryRun: true });
+    assert.equal(preview.call.section, "phalaStakePool");
+    assert.equal(preview.call.method, "contribute");
+    assert.ok(preview.checks.every(check => check.passed));
+    assert.equal(h.node.submitted.length, 0);
+  });
+
+  it("delegateStake contributes to a pool once approved", async () => {
+    const result = await h.callApproved("delegateStake", { poolId: String(POOLS.open), amount: "10" });
+    assert.equal(result.success, true);
+    assert.equal(result.poolId, String(POOLS.open));
+    assert.equal(h.node.contribution(POOLS.open, WALLET).locked, pha(10));
+    assert.equal(h.node.pools.get(POOLS.open).totalStake, pha(510));
+    assert.equal(h.node.account(WALLET).frozen, pha(50));
+
+    const { delegation } = await h.call("getStakingInfo", { poolId: String(POOLS.open), address: WALLET });
+    assert.equal(BigInt(delegation.locked), pha(10));
+  });
+
+  it("delegateStake reports contributions above the pool cap", async () => {
+    const queued = await h.call("delegateStake", { poolId: String(POOLS.capped), amount: "20" });
+    const error = await h.callError("approveTransaction", { id: queued.intent.id });
+    assert.equal(error.code, "TX_FAILED");
+    assert.equal(error.details.dispatchError.section, "phalaStakePool");
+    assert.equal(error.details.dispatchError.name, "StakeExceedsCapacity");
+    assert.equal(h.node.pools.get(POOLS.capped).totalStake, pha(90));
+  });
+
+  it("delegateStake reports unknown pools", async () => {
+    const queued = await h.call("delegateStake", { poolId: String(POOLS.missing), amount: "1" });
+    const error = await h.callError("approveTransaction", { id: queued.intent.id });
+    assert.equal(error.code, "TX_FAILED");
+    assert.equal(error.details.dispatchError.name, "PoolDoesNotExist");
+  });
+});
@@ -0,0 +1,53 @@
+const path = require("path");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./harness");
+
+describe("tool groups", () => {
+  let h;
+  before(async () => {
+    h = await startHarness({
+      env: {
+        DISABLED_TOOL_GROUPS: "cloud,ethereum",
+        TOOL_PACKS_DIR: path.join(__dirname, "packs")
+      }
+    });
+  });
+  after(() => h.stop());
+
+  it("does not list tools of disabled groups", () => {
+    const names = h.tools.map(tool => tool.name);
+    assert.ok(names.includes("sendPHA"));
+    assert.ok(!names.includes("generateVRF"));
+    assert.ok(!names.includes("sendPHAEthereum"));
+  });
+
+  it("refuses calls to disabled tools", async () => {
+    await assert.rejects(h.callRaw("generateVRF", { seed: "x" }), /Tool generateVRF not found/);
+  });
+
+  it("serves tools from packs in TOOL_PACKS_DIR", async () => {
+    const { greeting } = await h.call("hello", { who: "Phala" });
+    assert.equal(greeting, "Hello Phala");
+  });
+
+  it("getServiceInfo reports every group and its source", async () => {
+    const { toolGroups, tools } = await h.call("getServiceInfo");
+    const groups = Object.fromEntries(toolGroups.map(group => [group.name, group]));
+    assert.equal(groups.cloud.enabled, false);
+    assert.equal(groups.balances.enabled, true);
+    assert.equal(groups.greetings.source, path.join(__dirname, "packs", "greetings.js"));
+    assert.ok(tools.includes("hello"));
+    assert.ok(!tools.includes("generateVRF"));
+  });
+});
+
+describe("tool group allowlist", () => {
+  let h;
+  before(async () => { h = await startHarness({ env: { TOOL_GROUPS: "balances" } }); });
+  after(() => h.stop());
+
+  it("serves the listed groups plus core", () => {
+    assert.deepEqual(h.tools.map(tool => tool.name).sort(), ["getChainInfo", "getPHABalance", "getServiceInfo", "sendPHA"]);
+  });
+});
@@ -0,0 +1,115 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, fixtures } = require("./harness");
+
+const { pha, WALLET, BOB, WORKERS, POOLS, CLUSTER } = fixtures;
+
+// Nothing listens on the discard port, so any request that escapes replay fails
+const UNREACHABLE = "http://127.0.0.1:9";
+
+// Read-only calls replayed verbatim, and what they returned while recording
+const SCENARIO = [
+  ["getWorkerList", { limit: 10, sortBy: "confidenceLevel" }],
+  ["getWorkerInfo", { workerPublicKey: WORKERS.tdx }],
+  ["getStakingInfo", {}],
+  ["getStakingInfo", { poolId: String(POOLS.capped), address: WALLET }],
+  ["getClusterInfo", {}],
+  ["getClusterInfo", { clusterId: CLUSTER }],
+  ["getPHABalanceEthereum", {}]
+];
+
+// Drop the worker index build times, which depend on timing rather than upstream answers
+function stable(result) {
+  const { index, ...rest } = result;
+  return rest;
+}
+
+describe("upstream fixtures", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "phala-mcp-fixtures-"));
+  const recorded = [];
+  let containerId;
+  let transfer;
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("records RPC and HTTP traffic while calling tools", async () => {
+    const h = await startHarness({ env: { UPSTREAM_FIXTURES: "record", UPSTREAM_FIXTURES_DIR: dir, APPROVAL_MODE: "disabled" } });
+    try {
+      for (const [name, args] of SCENARIO) {
+        recorded.push(stable(await h.call(name, args)));
+      }
+      ({ containerId } = await h.call("deployContainer", { image: "nginx:latest", name: "web", clusterId: CLUSTER }));
+      await h.call("getContainerStatus", { containerId });
+      transfer = await h.call("sendPHA", { to: BOB, amount: "1" });
+
+      const { upstreamFixtures } = await h.call("getServiceInfo");
+      assert.equal(upstreamFixtures.mode, "record");
+      assert.ok(upstreamFixtures.recorded > 0);
+    } finally {
+      await h.stop();
+    }
+
+    assert.deepEqual(fs.readdirSync(dir).sort(), ["ethereum.jsonl", "http.jsonl", "phala.jsonl"]);
+    const http = fs.readFileSync(path.join(dir, "http.jsonl"), "utf8").trim().split("\n").map(line => JSON.parse(line));
+    const deploy = http.find(entry => entry.request.url === "/containers/deploy");
+    assert.equal(deploy.request.method, "POST");
+    assert.equal(deploy.request.body.cluster, CLUSTER);
+    assert.equal(deploy.response.data.containerId, containerId);
+    // Health probes are not part of the recording
+    assert.ok(!http.some(entry => entry.request.body && entry.request.body.method === "system_health"));
+  });
+
+  describe("replay", () => {
+    let h;
+    before(async () => {
+      h = await startHarness({
+        env: {
+          UPSTREAM_FIXTURES: "replay",
+          UPSTREAM_FIXTURES_DIR: dir,
+          APPROVAL_MODE: "disabled",
+          PHALA_RPC_URL: UNREACHABLE,
+          PHALA_PHAT_RPC_URL: UNREACHABLE,
+          ETHEREUM_RPC_URL: UNREACHABLE,
+          DSTACK_API_URL: UNREACHABLE,
+          ATTESTATION_SERVICE_URL: UNREACHABLE
+        }
+      });
+    });
+    after(() => h.stop());
+
+    it("answers tool calls from the fixtures alone", async () => {
+      for (const [index, [name, args]] of SCENARIO.entries()) {
+        assert.deepEqual(stable(await h.call(name, args)), recorded[index], name);
+      }
+      const status = await h.call("getContainerStatus", { containerId });
+      assert.equal(status.containerId, containerId);
+    });
+
+    it("replays signed submissions and their tracking", async () => {
+      // A fresh signature gives a new hash; the recorded block is rewritten to hold it
+      const replayed = await h.call("sendPHA", { to: BOB, amount: "1" });
+      assert.notEqual(replayed.transactionHash, transfer.transactionHash);
+      assert.equal(replayed.blockHash, transfer.blockHash);
+      assert.equal(replayed.blockNumber, transfer.blockNumber);
+      assert.equal(replayed.amount.raw, pha(1).toString());
+    });
+
+    it("fails requests that were never recorded", async () => {
+      const error = await h.callError("getWorkerInfo", { workerPublicKey: WORKERS.sgx });
+      assert.equal(error.code, "UPSTREAM_UNAVAILABLE");
+      assert.match(error.message, /No recorded response for phala state_/);
+
+      const { upstreamFixtures } = await h.call("getServiceInfo");
+      assert.equal(upstreamFixtures.mode, "replay");
+      assert.ok(upstreamFixtures.replayed > 0);
+      assert.equal(upstreamFixtures.missing, 1);
+    });
+
+    it("sends nothing to the mock services", () => {
+      assert.equal(h.dstack.requests.length, 0);
+      assert.equal(h.node.submitted.length, 0);
+    });
+  });
+});
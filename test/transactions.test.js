@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, fixtures } = require("./harness");
+
+const { BOB } = fixtures;
+
+describe("transactions tools", () => {
+  let h;
+  let hash;
+  before(async () => { h = await startHarness(); });
+  after(() => h.stop());
+
+  it("listPendingTransactions shows queued intents", async () => {
+    const queued = await h.call("sendPHA", { to: BOB, amount: "1" });
+    const { mode, total, pending } = await h.call("listPendingTransactions");
+    assert.equal(mode, "required");
+    assert.equal(total, 1);
+    assert.equal(pending[0].id, queued.intent.id);
+    assert.equal(pending[0].tool, "sendPHA");
+
+    ({ transactionHash: hash } = await h.callApproved("sendPHA", { to: BOB, amount: "2" }));
+    // The first intent is still waiting
+    assert.equal((await h.call("listPendingTransactions")).total, 1);
+  });
+
+  it("rejectTransaction drops an intent so it cannot be approved", async () => {
+    const [intent] = (await h.call("listPendingTransactions")).pending;
+    const rejected = await h.call("rejectTransaction", { id: intent.id, reason: "wrong amount" });
+    assert.equal(rejected.intent.status, "rejected");
+    assert.equal(rejected.intent.reason, "wrong amount");
+    assert.equal((await h.call("listPendingTransactions")).total, 0);
+
+    const error = await h.callError("approveTransaction", { id: intent.id });
+    assert.equal(error.code, "CONFLICT");
+    assert.equal(h.node.submitted.length, 1);
+  });
+
+  it("approveTransaction fails for unknown intents", async () => {
+    const error = await h.callError("approveTransaction", { id: "00000000-0000-0000-0000-000000000000" });
+    assert.equal(error.code, "NOT_FOUND");
+  });
+
+  it("getTransactionStatus lists tracked transactions", async () => {
+    const { transactions } = await h.call("getTransactionStatus");
+    assert.deepEqual(transactions.map(tx => tx.hash), [hash]);
+  });
+
+  it("getTransactionStatus waits for finality", async () => {
+    const status = await h.call("getTransactionStatus", { hash, waitForFinality: true, timeoutSeconds: 30 });
+    assert.equal(status.status, "finalized");
+    assert.equal(status.finalized, true);
+    assert.equal(status.blockHash, h.node.submitted[0].blockHash);
+    assert.equal(status.errorDescription, null);
+  });
+
+  it("getTransactionStatus fails for untracked hashes", async () => {
+    const error = await h.callError("getTransactionStatus", { hash: "0x" + "00".repeat(32) });
+    assert.equal(error.code, "NOT_FOUND");
+  });
+});
+
+describe("spending policy", () => {
+  let h;
+  before(async () => {
+    h = await startHarness({
+      spendingPolicy: {
+        defaults: { maxPerTransaction: "100" },
+        tools: { sendPHA: { denyRecipients: [fixtures.ETHEREUM_RECIPIENT] } }
+      }
+    });
+  });
+  after(() => h.stop());
+
+  it("blocks transfers above the per-transaction limit before queueing", async () => {
+    const error = await h.callError("sendPHA", { to: BOB, amount: "150" });
+    assert.equal(error.code, "POLICY_VIOLATION");
+    assert.equal(error.details.rule, "maxPerTransaction");
+    assert.equal((await h.call("listPendingTransactions")).total, 0);
+  });
+
+  it("matches an EVM denylist entry against Phala transfers to its mapped account", async () => {
+    const error = await h.callError("sendPHA", { to: fixtures.ETHEREUM_RECIPIENT, amount: "1" });
+    assert.equal(error.code, "POLICY_VIOLATION");
+    assert.equal(error.details.rule, "denyRecipients");
+  });
+
+  it("allows transfers within the limit", async () => {
+    const result = await h.callApproved("sendPHA", { to: BOB, amount: "100" });
+    assert.equal(result.success, true);
+  });
+});
+
+describe("spending policy budgets", () => {
+  let h;
+  before(async () => {
+    h = await startHarness({
+      env: { APPROVAL_MODE: "disabled" },
+      spendingPolicy: { tools: { sendPHA: { dailyLimit: "10" } } }
+    });
+  });
+  after(() => h.stop());
+
+  it("reserves amounts so concurrent transfers cannot overrun the budget together", async () => {
+    const results = await Promise.all([1, 2, 3].map(() => h.callRaw("sendPHA", { to: BOB, amount: "4" })));
+    const violations = results
+      .filter(result => result.isError)
+      .map(result => JSON.parse(result.content[0].text).error)
+      .filter(error => error.code === "POLICY_VIOLATION");
+    assert.equal(violations.length, 1);
+    assert.equal(violations[0].details.rule, "dailyLimit");
+    // Broadcast transfers stay counted whether or not they succeeded
+    const { spendingPolicy } = await h.call("listPendingTransactions");
+    assert.deepEqual(spendingPolicy.spentLast24h, { sendPHA: "8" });
+  });
+});
@@ -0,0 +1,401 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, fixtures } = require("./harness");
+const tee = require("./mocks/tee");
+const AttestationVerifier = require("../mcp/attestation");
+
+const { BOB, WORKERS, MEASUREMENTS } = fixtures;
+const NEW_WORKER = "0x" + "ee".repeat(32);
+
+async function eventually(check, { attempts = 50, interval = 100 } = {}) {
+  for (let i = 1; ; i++) {
+    const value = await check();
+    if (value || i === attempts) return value;
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+describe("workers tools", () => {
+  let h;
+  before(async () => { h = await startHarness({ env: { WORKER_INDEX_SYNC_MS: "200" } }); });
+  after(() => h.stop());
+
+  it("getWorkerList returns the registered workers", async () => {
+    const list = await h.call("getWorkerList");
+    assert.equal(list.scanned, 3);
+    assert.equal(list.nextCursor, null);
+    assert.deepEqual(list.workers.map(worker => worker.publicKey).sort(), Object.values(WORKERS).sort());
+    const sgx = list.workers.find(worker => worker.publicKey === WORKERS.sgx);
+    assert.equal(sgx.teeType, "Intel SGX");
+    assert.equal(sgx.initialScore, 2500);
+  });
+
+  it("getWorkerList pages the registry with a cursor", async () => {
+    const first = await h.call("getWorkerList", { limit: 2 });
+    assert.equal(first.showing, 2);
+    assert.ok(first.nextCursor);
+
+    const second = await h.call("getWorkerList", { limit: 2, startKey: first.nextCursor });
+    assert.equal(second.showing, 1);
+    assert.equal(second.nextCursor, null);
+    const keys = [...first.workers, ...second.workers].map(worker => worker.publicKey);
+    assert.deepEqual(keys.sort(), Object.values(WORKERS).sort());
+  });
+
+  it("getWorkerList filters by TEE type", async () => {
+    const list = await h.call("getWorkerList", { teeType: "Intel TDX" });
+    const keys = list.workers.map(worker => worker.publicKey);
+    assert.ok(keys.includes(WORKERS.tdx));
+    assert.ok(!keys.includes(WORKERS.sgx));
+  });
+
+  it("getWorkerList sorts and counts from the worker index", async () => {
+    const first = await h.call("getWorkerList", { sortBy: "confidenceLevel", order: "asc", limit: 2 });
+    assert.equal(first.index.status, "ready");
+    assert.equal(first.totalWorkers, 3);
+    assert.equal(first.totalMatching, 3);
+    assert.equal(first.scanned, 0);
+    assert.deepEqual(first.workers.map(worker => worker.publicKey), [WORKERS.sgx, WORKERS.tdx]);
+
+    const second = await h.call("getWorkerList", { sortBy: "confidenceLevel", order: "asc", limit: 2, startKey: first.nextCursor });
+    assert.deepEqual(second.workers.map(worker => worker.publicKey), [WORKERS.unknown]);
+    assert.equal(second.nextCursor, null);
+
+    const descending = await h.call("getWorkerList", { sortBy: "confidenceLevel", limit: 1 });
+    assert.deepEqual(descending.workers.map(worker => worker.publicKey), [WORKERS.unknown]);
+
+    const filtered = await h.call("getWorkerList", { sortBy: "confidenceLevel", teeType: "Intel SGX" });
+    assert.equal(filtered.totalMatching, 2);
+  });
+
+  it("getWorkerList rejects a cursor of another order", async () => {
+    const { nextCursor } = await h.call("getWorkerList", { sortBy: "confidenceLevel", limit: 1 });
+    const error = await h.callError("getWorkerList", { sortBy: "runtimeVersion", startKey: nextCursor });
+    assert.equal(error.code, "INVALID_ARGUMENT");
+  });
+
+  it("queryWorkers combines filters over the worker index", async () => {
+    const keys = async (filters) => (await h.call("queryWorkers", filters)).workers.map(worker => worker.publicKey);
+    assert.deepEqual(await keys({ teeTypes: ["Intel SGX"] }), [WORKERS.sgx]);
+    assert.deepEqual((await keys({ confidenceLevels: [2, 5] })).sort(), [WORKERS.tdx, WORKERS.unknown].sort());
+    assert.deepEqual(await keys({ hasEndpoint: true, operator: BOB }), [WORKERS.sgx]);
+    assert.deepEqual(await keys({ teeTypes: ["AMD SEV"] }), []);
+    const error = await h.callError("queryWorkers", { operator: "not-an-address" });
+    assert.equal(error.code, "INVALID_ARGUMENT");
+
+    const sorted = await h.call("queryWorkers", { sortBy: "confidenceLevel", order: "desc", limit: 2 });
+    assert.equal(sorted.totalMatching, 3);
+    assert.deepEqual(sorted.workers.map(worker => worker.confidenceLevel), [5, 2]);
+    assert.ok(sorted.nextCursor);
+  });
+
+  it("getWorkerStats counts workers per TEE type, runtime version and confidence level", async () => {
+    const stats = await h.call("getWorkerStats");
+    assert.equal(stats.total, 3);
+    assert.deepEqual(stats.byTeeType, { "Intel SGX": 1, "Intel TDX": 1, Unknown: 1 });
+    assert.deepEqual(stats.byConfidenceLevel, { 1: 1, 2: 1, 5: 1 });
+    assert.deepEqual(stats.byRuntimeVersion, { 1: 3 });
+
+    const filtered = await h.call("getWorkerStats", { confidenceLevels: [1, 2] });
+    assert.equal(filtered.total, 2);
+    assert.equal(filtered.byTeeType.Unknown, undefined);
+  });
+
+  it("the worker index follows registry events of new blocks", async () => {
+    const { index } = await h.call("getWorkerStats");
+    h.node.addWorker(NEW_WORKER, { features: [2], confidenceLevel: 3, attestationProvider: "Dcap" });
+    h.node.events = [h.node.eventRecord(0, "phalaRegistry", "WorkerAdded", [NEW_WORKER, "Dcap", 3])];
+    h.node.sealBlock([]);
+
+    const added = await eventually(async () => {
+      const { workers } = await h.call("queryWorkers", { confidenceLevels: [3] });
+      return workers.length === 1 && workers[0];
+    });
+    assert.equal(added.publicKey, NEW_WORKER);
+    assert.equal(added.teeType, "Intel TDX");
+
+    h.node.addWorker(NEW_WORKER, { features: [2], confidenceLevel: 4, runtimeVersion: 2 });
+    h.node.events = [h.node.eventRecord(0, "phalaRegistry", "WorkerUpdated", [NEW_WORKER])];
+    h.node.sealBlock([]);
+
+    const stats = await eventually(async () => {
+      const result = await h.call("getWorkerStats");
+      return result.byRuntimeVersion[2] === 1 && result;
+    });
+    // The head's events are served live; clear them only once synced
+    h.node.events = [];
+    assert.equal(stats.total, 4);
+    assert.equal(stats.byConfidenceLevel[3], undefined);
+    assert.equal(stats.index.builtAt, index.builtAt);
+    assert.equal(stats.index.syncedBlock, h.node.blocks.length - 1);
+  });
+
+  it("the worker index follows computation events that name a worker by its session", async () => {
+    h.node.bindSession(BOB, NEW_WORKER);
+    h.node.addWorker(NEW_WORKER, { features: [2], confidenceLevel: 4, runtimeVersion: 3 });
+    h.node.events = [h.node.eventRecord(0, "phalaComputation", "WorkerStarted", [BOB, 1000n, 50])];
+    h.node.sealBlock([]);
+
+    const stats = await eventually(async () => {
+      const result = await h.call("getWorkerStats");
+      return result.byRuntimeVersion[3] === 1 && result;
+    });
+    h.node.events = [];
+    assert.ok(stats, "the worker bound to the session was re-read");
+    assert.equal(stats.byRuntimeVersion[2], undefined);
+  });
+
+  it("getWorkerInfo decodes the registry entry and endpoints", async () => {
+    const info = await h.call("getWorkerInfo", { workerPublicKey: WORKERS.sgx });
+    assert.equal(info.confidenceLevel, 1);
+    assert.deepEqual(info.features, [1]);
+    assert.match(info.endpoint, /sgx\.worker\.test/);
+  });
+
+  it("getWorkerInfo fails for unknown workers", async () => {
+    const error = await h.callError("getWorkerInfo", { workerPublicKey: "0x" + "dd".repeat(32) });
+    assert.equal(error.code, "NOT_FOUND");
+  });
+
+  it("verifyAttestation checks the TDX worker's DCAP quote and collateral", async () => {
+    const result = await h.call("verifyAttestation", { workerPublicKey: WORKERS.tdx, reportData: WORKERS.tdx });
+    assert.equal(result.status, "verified");
+    assert.equal(result.verified, true);
+    assert.equal(result.evidence, "dcap");
+    assert.equal(result.source, "attestationService");
+    assert.equal(result.teeType, "Intel TDX");
+    assert.equal(result.quote.format, "DCAP v4");
+    assert.equal(result.quote.measurements.mrTd, MEASUREMENTS.mrTd);
+    assert.deepEqual(result.quote.measurements.rtmrs, MEASUREMENTS.rtmrs);
+    assert.ok(result.quote.reportData.startsWith(WORKERS.tdx));
+    assert.deepEqual(result.tcb, { evaluated: true, status: "UpToDate", date: "2024-03-13T00:00:00Z", advisoryIds: [], fmspc: tee.FMSPC });
+    assert.ok(result.checks.every(check => check.passed === true), JSON.stringify(result.checks));
+    assert.deepEqual(result.registry, { registered: true, confidenceLevel: 2, attestationProvider: "Dcap" });
+    assert.deepEqual(result.warnings, []);
+    assert.equal(h.attestation.requests.at(-1).workerKey, WORKERS.tdx);
+  });
+
+  it("verifyAttestation checks the SGX worker's IAS report", async () => {
+    const result = await h.call("verifyAttestation", { workerPublicKey: WORKERS.sgx });
+    assert.equal(result.status, "verified");
+    assert.equal(result.evidence, "ias");
+    assert.equal(result.quote.format, "EPID v2");
+    assert.equal(result.quote.measurements.mrEnclave, MEASUREMENTS.mrEnclave);
+    assert.equal(result.quote.measurements.mrSigner, MEASUREMENTS.mrSigner);
+    assert.equal(result.tcb.status, "UpToDate");
+    assert.ok(Date.now() - Date.parse(result.reportTimestamp) < 600000);
+    assert.equal(result.checks.find(check => check.check === "reportData").passed, null);
+    assert.match(result.warnings.join("\n"), /pass reportData/);
+  });
+
+  it("verifyAttestation verifies a given SGX quote without a worker", async () => {
+    const quote = tee.dcapQuote({ mrEnclave: MEASUREMENTS.mrEnclave, reportData: "0xc0ffee" });
+    const result = await h.call("verifyAttestation", { quote, collateral: tee.collateral(), reportData: "c0ffee" });
+    assert.equal(result.status, "verified");
+    assert.equal(result.source, "input");
+    assert.equal(result.worker, null);
+    assert.equal(result.registry, null);
+    assert.equal(result.quote.format, "DCAP v3");
+    assert.equal(result.quote.measurements.mrEnclave, MEASUREMENTS.mrEnclave);
+
+    // Base64 works too, and without collateral the TCB status is not evaluated
+    const base64 = Buffer.from(quote.slice(2), "hex").toString("base64");
+    const unevaluated = await h.call("verifyAttestation", { quote: base64 });
+    assert.equal(unevaluated.status, "tcbUnevaluated");
+    assert.equal(unevaluated.verified, false);
+    assert.deepEqual(unevaluated.reasons, []);
+    assert.equal(unevaluated.tcb.evaluated, false);
+    assert.match(unevaluated.warnings.join("\n"), /TCB status not evaluated/);
+  });
+
+  it("refuses empty or odd-length expected report data, which would match any quote", () => {
+    const verifier = new AttestationVerifier();
+    const quote = tee.dcapQuote({ reportData: "0xc0ffee" });
+    for (const reportData of ["", "0x", "c0f"]) {
+      assert.throws(() => verifier.verifyQuote(quote, { reportData }), { code: "INVALID_ARGUMENT" }, reportData);
+    }
+  });
+
+  it("verifyAttestation reports an out-of-date TCB as a warning", async () => {
+    const result = await h.call("verifyAttestation", { quote: tee.dcapQuote({ version: 4 }), collateral: tee.collateral({ status: "OutOfDate" }) });
+    assert.equal(result.status, "verified");
+    assert.equal(result.tcb.status, "OutOfDate");
+    assert.deepEqual(result.tcb.advisoryIds, ["INTEL-SA-00837"]);
+    assert.match(result.warnings.join("\n"), /TCB status OutOfDate/);
+  });
+
+  it("verifyAttestation fails evidence that does not check out", async () => {
+    const failures = [
+      [{ quote: tee.dcapQuote({ tamper: true }) }, "quoteSignature"],
+      [{ quote: tee.dcapQuote({ untrusted: true }) }, "pckCertificateChain"],
+      [{ quote: tee.dcapQuote({ debug: true }) }, "production"],
+      [{ quote: tee.dcapQuote({ reportData: "0x01" }), reportData: "0x02" }, "reportData"],
+      [{ quote: tee.dcapQuote(), collateral: tee.collateral({ status: "Revoked" }) }, "tcbStatus"],
+      [{ quote: tee.dcapQuote(), collateral: tee.collateral({ fmspc: "30606a000000" }) }, "tcbStatus"],
+      [{ quote: tee.dcapQuote({ teeType: "Intel TDX" }), collateral: tee.collateral() }, "tcbStatus"],
+      [{ quote: "0x0300020000" }, "quoteFormat"],
+      [{ iasReport: tee.iasReport({ status: "GROUP_REVOKED" }) }, "tcbStatus"],
+      [{ iasReport: { ...tee.iasReport(), body: tee.iasReport().body } }, "reportSignature"]
+    ];
+    for (const [args, check] of failures) {
+      const result = await h.call("verifyAttestation", args);
+      assert.equal(result.status, "failed", check);
+      assert.equal(result.verified, false);
+      assert.equal(result.checks.find(entry => entry.check === check).passed, false, JSON.stringify(result.checks));
+      assert.ok(result.reasons.some(reason => reason.startsWith(`${check}: `)), result.reasons.join("; "));
+    }
+  });
+
+  it("verifyAttestation replays a dstack event log to the compose hash", async () => {
+    const evidence = tee.dstackEvidence({ composeHash: MEASUREMENTS.composeHash, mrTd: MEASUREMENTS.mrTd });
+    const result = await h.call("verifyAttestation", { quote: evidence.quote, collateral: evidence.collateral, eventLog: evidence.eventLog });
+    assert.equal(result.status, "verified");
+    assert.equal(result.composeHash, MEASUREMENTS.composeHash);
+    assert.equal(result.checks.find(check => check.check === "eventLog").passed, true);
+    assert.equal(result.policy, null);
+
+    // Another CVM's log does not replay to this quote's RTMR3
+    const other = tee.dstackEvidence({ composeHash: MEASUREMENTS.composeHash });
+    const mismatch = await h.call("verifyAttestation", { quote: evidence.quote, eventLog: JSON.parse(other.eventLog) });
+    assert.equal(mismatch.status, "failed");
+    assert.equal(mismatch.composeHash, null);
+    assert.match(mismatch.reasons.join("\n"), /eventLog: Event log does not replay to the quote's RTMR3/);
+  });
+
+  it("verifyAttestation reports workers without evidence as registered on chain only", async () => {
+    h.attestation.available = false;
+    try {
+      const result = await h.call("verifyAttestation", { workerPublicKey: WORKERS.sgx });
+      assert.equal(result.status, "onChainOnly");
+      assert.equal(result.verified, false);
+      assert.equal(result.evidence, null);
+      assert.deepEqual(result.checks, []);
+      assert.equal(result.registry.confidenceLevel, 1);
+      assert.match(result.warnings.join("\n"), /status code 503/);
+    } finally {
+      h.attestation.available = true;
+    }
+
+    const unknown = await h.call("verifyAttestation", { workerPublicKey: WORKERS.unknown });
+    assert.equal(unknown.status, "onChainOnly");
+  });
+
+  it("verifyAttestation rejects calls without a worker or evidence", async () => {
+    assert.equal((await h.callError("verifyAttestation", {})).code, "INVALID_ARGUMENT");
+    assert.equal((await h.callError("verifyAttestation", { workerPublicKey: "0x" + "dd".repeat(32) })).code, "NOT_FOUND");
+  });
+});
+
+describe("attestation policy", () => {
+  let h;
+  before(async () => {
+    h = await startHarness({
+      attestationPolicy: {
+        defaults: {
+          allowedMrEnclaves: [MEASUREMENTS.mrEnclave],
+          allowedMrTds: [MEASUREMENTS.mrTd.toUpperCase().replace("0X", "")],
+          minTcbStatus: "SWHardeningNeeded",
+          maxReportAgeSeconds: 3600,
+          requireReportData: true
+        }
+      }
+    });
+  });
+  after(() => h.stop());
+
+  it("passes evidence that meets every rule", async () => {
+    const result = await h.call("verifyAttestation", { workerPublicKey: WORKERS.tdx, reportData: WORKERS.tdx });
+    assert.equal(result.policy.verdict, "pass", result.policy.reasons.join("; "));
+    assert.equal(result.policy.enforced, false);
+    assert.deepEqual(result.policy.rules.map(rule => rule.rule), ["verified", "allowedMrTds", "minTcbStatus", "maxReportAgeSeconds", "requireReportData"]);
+    assert.match(result.policy.rules.find(rule => rule.rule === "maxReportAgeSeconds").message, /as reported by the service/);
+  });
+
+  it("fails evidence with a rule reason for each broken rule", async () => {
+    const quote = tee.dcapQuote({ mrEnclave: "0x" + "66".repeat(32) });
+    const result = await h.call("verifyAttestation", { quote, collateral: tee.collateral({ status: "OutOfDate" }) });
+    // The evidence itself checks out; only the policy rejects it
+    assert.equal(result.status, "verified");
+    assert.equal(result.policy.verdict, "fail");
+    assert.deepEqual(result.policy.reasons.map(reason => reason.split(":")[0]),
+      ["allowedMrEnclaves", "minTcbStatus", "maxReportAgeSeconds", "requireReportData"]);
+    assert.match(result.policy.reasons[1], /TCB status OutOfDate is below SWHardeningNeeded/);
+  });
+
+  it("does not count evidence without an evaluated TCB as verified", async () => {
+    const quote = tee.dcapQuote({ mrEnclave: MEASUREMENTS.mrEnclave, reportData: "0xc0ffee" });
+    const result = await h.call("verifyAttestation", { quote, reportData: "c0ffee" });
+    assert.equal(result.status, "tcbUnevaluated");
+    assert.equal(result.policy.verdict, "fail");
+    assert.match(result.policy.rules[0].message, /TCB status was not evaluated/);
+  });
+
+  it("holds IAS reports to their signed timestamp", async () => {
+    const iasReport = tee.iasReport({ mrEnclave: MEASUREMENTS.mrEnclave, reportData: "0xc0ffee", timestamp: new Date(Date.now() - 7200000) });
+    const result = await h.call("verifyAttestation", { iasReport, reportData: "0xc0ffee" });
+    assert.equal(result.policy.verdict, "fail");
+    assert.deepEqual(result.policy.reasons.map(reason => reason.split(":")[0]), ["maxReportAgeSeconds"]);
+    assert.match(result.policy.reasons[0], /Report is 7\d{3}s old; at most 3600s allowed/);
+  });
+
+  it("fails workers without evidence", async () => {
+    h.attestation.available = false;
+    try {
+      const result = await h.call("verifyAttestation", { workerPublicKey: WORKERS.sgx });
+      assert.equal(result.status, "onChainOnly");
+      assert.equal(result.policy.verdict, "fail");
+      assert.equal(result.policy.reasons[0], "verified: No attestation evidence");
+    } finally {
+      h.attestation.available = true;
+    }
+  });
+});
+
+describe("bundled attestation roots", () => {
+  let h;
+  before(async () => {
+    h = await startHarness({ env: { ATTESTATION_DCAP_ROOTS_FILE: null, ATTESTATION_IAS_ROOTS_FILE: null } });
+  });
+  after(() => h.stop());
+
+  it("do not trust evidence signed by other roots", async () => {
+    const quote = await h.call("verifyAttestation", { quote: tee.dcapQuote() });
+    assert.equal(quote.status, "failed");
+    assert.match(quote.reasons[0], /pckCertificateChain: .*not a trusted root/);
+
+    const report = await h.call("verifyAttestation", { workerPublicKey: WORKERS.sgx });
+    assert.equal(report.status, "failed");
+    assert.match(report.reasons[0], /reportSigningChain: .*not a trusted root/);
+  });
+});
+
+describe("worker index file", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "phala-mcp-worker-index-"));
+  const env = { WORKER_INDEX_FILE: path.join(dir, "worker-index.json") };
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("is saved and loaded on the next start instead of rescanning", async () => {
+    let built;
+    const first = await startHarness({ env });
+    try {
+      built = (await first.call("getWorkerStats")).index;
+      assert.equal(built.source, "chain");
+    } finally {
+      await first.stop();
+    }
+    assert.ok(fs.existsSync(env.WORKER_INDEX_FILE));
+
+    const second = await startHarness({ env });
+    try {
+      const { total, index } = await second.call("getWorkerStats");
+      assert.equal(total, 3);
+      assert.equal(index.source, "file");
+      assert.equal(index.builtAt, built.builtAt);
+    } finally {
+      await second.stop();
+    }
+  });
+});